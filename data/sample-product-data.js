@@ -12,6 +12,10 @@ module.exports = {
   hsCode: "2932999090",
   category: "Pharmaceutical Active Ingredient",
   
+  // No shipment ledger is bundled with the sample, so the shipment records
+  // section uses synthetic rows and every records slide is watermarked
+  demoData: true,
+  
   // Market overview data
   totalRecords: 28456,
   totalValue: 1245800000,
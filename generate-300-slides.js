@@ -10,38 +10,181 @@ const path = require('path');
 
 // Import core modules
 const MainOrchestrator = require('./src/orchestrator/main-orchestrator');
-const DataProcessor = require('./src/shared/data-processor');
-const TemplateEngine = require('./src/shared/template-engine');
-const ChartGenerator = require('./src/shared/chart-generator');
+const ShipmentImporter = require('./src/shared/shipment-importer');
 
 // Import sample data
 const sampleProductData = require('./data/sample-product-data');
 
 /**
- * Main execution function
+ * Parse command line options
+ *
+ * Supported flags:
+ *   --ledger <file>    Build product data from a raw shipment ledger CSV
+ *   --product <name>   Product name to use with --ledger
+ *   --date-order <dmy|mdy> Day/month order of numeric ledger dates such as 05/03/2023
+ *   --deck <name|file> Deck spec to build ('full', 'executive' or a spec file)
+ *   --theme <name|file> Theme for colours, fonts, logo and footer ('bcg', 'neutral' or a theme file)
+ *   --rows-per-slide <n>     Shipment records per slide
+ *   --max-record-slides <n>  Cap on shipment record slides; the rest go to a closing slide
+ *   --company-aliases <file> JSON alias file consolidating company spellings
+ *   --match-threshold <0-1>  Similarity needed to merge company spellings (default 0.9)
+ *   --currency <code>        Reporting currency for all values (default USD)
+ *   --fx-rates <file>        Monthly FX rate table used to convert other currencies
+ *   --base-unit <unit>       Unit all quantities and unit prices are normalised to (default kg)
+ *   --unit-conversions <file> Product-specific unit factors, e.g. mg of API per vial
+ *   --strict                 Refuse to generate when the product data fails validation
+ *   --insight-rules <file>   JSON thresholds and disabled rules for the slide commentary
+ *   --previous <file>        Previous period's product data (JSON / JS module) or ledger CSV to compare with
+ *   --compare <yoy|qoq>      Split a multi-period ledger by year or quarter and compare the latest two periods
+ *   --granularity <unit>     Period of the trend slides: day, week, month or quarter (default month)
+ *   --moving-average <n>     Periods in the trend slides' moving average (default 3)
+ *   --forecast-horizon <n>   Months of unit price forecast, 6 to 12 (default 12)
+ *   --seed <value>           Seed for estimated and synthetic figures; reproduces a deck exactly
+ *   --format <list>          Output formats, comma-separated: html, pptx, pdf, xlsx (default html)
+ *   --pdf-fonts <regular,bold> .ttf files for the PDF text instead of the bundled DejaVu Sans
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--ledger') {
+      args.ledger = argv[++i];
+    } else if (argv[i] === '--product') {
+      args.product = argv[++i];
+    } else if (argv[i] === '--date-order') {
+      args.dateOrder = argv[++i].toLowerCase();
+    } else if (argv[i] === '--deck') {
+      args.deck = argv[++i];
+    } else if (argv[i] === '--theme') {
+      args.theme = argv[++i];
+    } else if (argv[i] === '--rows-per-slide') {
+      args.rowsPerSlide = Number(argv[++i]);
+    } else if (argv[i] === '--max-record-slides') {
+      args.maxRecordSlides = Number(argv[++i]);
+    } else if (argv[i] === '--company-aliases') {
+      args.entityResolution = { ...args.entityResolution, aliasFile: argv[++i] };
+    } else if (argv[i] === '--match-threshold') {
+      args.entityResolution = { ...args.entityResolution, threshold: parseFloat(argv[++i]) };
+    } else if (argv[i] === '--currency') {
+      args.currency = { ...args.currency, reportingCurrency: argv[++i] };
+    } else if (argv[i] === '--fx-rates') {
+      args.currency = { ...args.currency, fxFile: argv[++i] };
+    } else if (argv[i] === '--base-unit') {
+      args.units = { ...args.units, baseUnit: argv[++i] };
+    } else if (argv[i] === '--unit-conversions') {
+      args.units = { ...args.units, conversionsFile: argv[++i] };
+    } else if (argv[i] === '--insight-rules') {
+      args.insights = { rulesFile: argv[++i] };
+    } else if (argv[i] === '--previous') {
+      args.previous = argv[++i];
+    } else if (argv[i] === '--compare') {
+      args.comparison = { mode: argv[++i].toLowerCase() };
+    } else if (argv[i] === '--granularity') {
+      args.timeSeries = { ...args.timeSeries, granularity: argv[++i].toLowerCase() };
+    } else if (argv[i] === '--moving-average') {
+      args.timeSeries = { ...args.timeSeries, window: Number(argv[++i]) };
+    } else if (argv[i] === '--forecast-horizon') {
+      args.forecast = { horizon: parseInt(argv[++i], 10) };
+    } else if (argv[i] === '--strict') {
+      args.validation = { mode: 'strict' };
+    } else if (argv[i] === '--seed') {
+      const seed = argv[++i];
+      args.seed = /^\d+$/.test(seed) ? Number(seed) : seed;
+    } else if (argv[i] === '--format') {
+      args.formats = argv[++i].split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    } else if (argv[i] === '--pdf-fonts') {
+      const [regular, bold] = argv[++i].split(',').map(file => file.trim());
+      args.pdfFonts = { regular, bold: bold || regular };
+    }
+  }
+  return args;
+}
+
+/**
+ * Load product data from a ledger CSV, or fall back to the sample data
+ *
+ * With --previous the previous period's data is nested as `previousPeriod`; with
+ * --compare alone a ledger covering several periods is split into the latest two.
  */
-async function generatePresentation() {
-  console.log('🚀 Starting BCG-Level 300-Slide Presentation Generation...');
-  console.log('=' .repeat(60));
+async function loadProductData(args) {
+  const importer = new ShipmentImporter({
+    dateOrder: args.dateOrder,
+    entityResolution: args.entityResolution,
+    currency: args.currency,
+    units: args.units,
+    comparison: args.previous ? undefined : args.comparison
+  });
+  
+  let productData = sampleProductData;
+  if (args.ledger) {
+    console.log(`📥 Importing shipment ledger: ${args.ledger}`);
+    productData = await importer.importFile(args.ledger, { name: args.product });
+    console.log(`✅ Imported ${productData.totalRecords} shipments from ledger`);
+  } else if (args.comparison && !args.previous) {
+    console.warn('⚠️ --compare needs a multi-period --ledger or a --previous file; generating without a period comparison');
+  }
+  
+  if (!args.previous) {
+    return productData;
+  }
   
+  console.log(`📥 Loading previous period: ${args.previous}`);
+  const previousPeriod = path.extname(args.previous).toLowerCase() === '.csv'
+    ? await importer.importFile(args.previous, { name: args.product || productData.name })
+    : require(path.resolve(args.previous));
+  return { ...productData, previousPeriod };
+}
+
+/**
+ * Main execution function
+ */
+async function generatePresentation(productData = sampleProductData, options = {}) {
   try {
-    // Initialize core components
+    // Initialize the orchestrator; it builds the data processor, template engine and chart generator
     console.log('🔧 Initializing core components...');
-    const dataProcessor = new DataProcessor(sampleProductData);
-    const templateEngine = new TemplateEngine();
-    const chartGenerator = new ChartGenerator();
+    const orchestrator = new MainOrchestrator(productData, {
+      deck: options.deck,
+      theme: options.theme,
+      rowsPerSlide: options.rowsPerSlide,
+      maxRecordSlides: options.maxRecordSlides,
+      entityResolution: options.entityResolution,
+      currency: options.currency,
+      units: options.units,
+      validation: options.validation,
+      insights: options.insights,
+      comparison: options.comparison,
+      timeSeries: options.timeSeries,
+      forecast: options.forecast,
+      seed: options.seed
+    });
     
-    // Initialize main orchestrator
-    const orchestrator = new MainOrchestrator(sampleProductData);
+    console.log(`🚀 Starting BCG-Level ${orchestrator.deckSpec.title || orchestrator.deckSpec.name} Generation (${orchestrator.expectedSlideCount} slides)...`);
+    console.log('=' .repeat(60));
+    
+    // Output formats, checked before the slides are generated
+    const exporters = {
+      html: filePath => orchestrator.exportToHTML(filePath),
+      pptx: filePath => orchestrator.exportToPPTX(filePath),
+      pdf: filePath => orchestrator.exportToPDF(filePath, { fonts: options.pdfFonts }),
+      xlsx: filePath => orchestrator.exportToXLSX(filePath)
+    };
+    const formats = options.formats || ['html'];
+    const unknownFormat = formats.find(format => !exporters[format]);
+    if (unknownFormat) {
+      throw new Error(`Unknown output format "${unknownFormat}" (expected one of: ${Object.keys(exporters).join(', ')})`);
+    }
     
     // Generate the complete presentation
-    console.log('🎯 Generating complete 300-slide presentation...');
+    console.log(`🎯 Generating ${orchestrator.deckSpec.title || orchestrator.deckSpec.name} (${orchestrator.expectedSlideCount} slides)...`);
     const slides = await orchestrator.generateAllSlides();
     
-    // Export to HTML
-    const outputPath = path.join(__dirname, 'output', `${sampleProductData.name}-300-slides.html`);
-    await fs.ensureDir(path.dirname(outputPath));
-    await orchestrator.exportToHTML(outputPath);
+    // Export in each requested format, named after the deck and its slide count
+    const outputPaths = [];
+    for (const format of formats) {
+      const filePath = path.join(__dirname, 'output', `${productData.name}-${orchestrator.deckSpec.name}-${slides.length}-slides.${format}`);
+      await exporters[format](filePath);
+      outputPaths.push(filePath);
+    }
+    const outputPath = outputPaths[0];
     
     // Generate progress report
     const progressReport = orchestrator.generateProgressReport();
@@ -49,11 +192,16 @@ async function generatePresentation() {
     // Generate summary report
     const summaryPath = path.join(__dirname, 'output', 'generation-summary.json');
     const summary = {
-      productName: sampleProductData.name,
+      productName: productData.name,
+      deck: orchestrator.deckSpec.name,
+      theme: orchestrator.theme.name,
+      seed: orchestrator.seed,
       totalSlides: slides.length,
       generationTime: 'N/A',
       sections: progressReport.sections,
+      dataQualityIssues: orchestrator.dataProcessor.getSectionData('dataQuality').issues,
       outputFile: outputPath,
+      outputFiles: outputPaths,
       generatedAt: new Date().toISOString()
     };
     
@@ -63,9 +211,10 @@ async function generatePresentation() {
     console.log('=' .repeat(60));
     console.log('✅ PRESENTATION GENERATION COMPLETE!');
     console.log('=' .repeat(60));
-    console.log(`📊 Product: ${sampleProductData.name}`);
+    console.log(`📊 Product: ${productData.name}`);
     console.log(`📄 Total Slides: ${slides.length}`);
-    console.log(`📁 Output File: ${outputPath}`);
+    console.log(`🎲 Seed: ${orchestrator.seed} (rerun with --seed ${orchestrator.seed} to reproduce)`);
+    outputPaths.forEach(filePath => console.log(`📁 Output File: ${filePath}`));
     console.log(`📋 Summary Report: ${summaryPath}`);
     console.log('=' .repeat(60));
     
@@ -82,6 +231,7 @@ async function generatePresentation() {
     return {
       success: true,
       outputPath,
+      outputPaths,
       summaryPath,
       totalSlides: slides.length
     };
@@ -98,7 +248,10 @@ async function generatePresentation() {
 
 // Execute if run directly
 if (require.main === module) {
-  generatePresentation()
+  const args = parseArgs(process.argv.slice(2));
+  
+  loadProductData(args)
+    .then(productData => generatePresentation(productData, args))
     .then(result => {
       if (result.success) {
         console.log('🎯 Generation completed successfully!');
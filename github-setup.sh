@@ -122,7 +122,7 @@ echo "2. Click Settings → Pages"
 echo "3. Source: Deploy from a branch"
 echo "4. Branch: main, Folder: / (root)"
 echo "5. Your presentation will be available at:"
-echo "   https://USERNAME.github.io/REPOSITORY-NAME/output/Paclitaxel-300-slides.html"
+echo "   https://USERNAME.github.io/REPOSITORY-NAME/output/Paclitaxel-full-306-slides.html"
 
 echo ""
 log_success "GitHub setup complete! 🎉"
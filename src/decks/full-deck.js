@@ -0,0 +1,126 @@
+/**
+ * Full Deck Specification - Complete Appendix Deck
+ *
+ * Declarative structure of the complete trade intelligence deck. The orchestrator
+ * expands this spec into numbered slide definitions:
+ * - `perRank` entries produce one slide per rank (`{rank}` in the title is replaced)
+ * - `paginate` entries produce one slide per `rowsPerSlide` shipment records, based on the
+ *   actual record count (`{page}` in the title is replaced). With `maxSlides` set, pages
+ *   beyond the cap are replaced by a single closing slide pointing to the appendix export
+ * - `startId` pins the first slide number of a section; otherwise numbering continues
+ *
+ * The deck has 306 slides when there are 2,340 shipment records (234 record slides),
+ * closing with the methodology and data quality appendix.
+ */
+
+module.exports = {
+  name: 'full',
+  title: 'Full Appendix Deck',
+  sections: [
+    {
+      key: 'foundation',
+      label: 'Foundation',
+      slides: [
+        { type: 'title_agenda', title: 'Title & Agenda generation' },
+        { type: 'table_of_contents', title: 'Table of Contents' },
+        { type: 'executive_summary', title: 'Executive Summary (Key Findings)' },
+        { type: 'product_overview', title: 'Product Overview' },
+        { type: 'market_share_analysis', title: 'Market share analysis- value, volume, import, export, countries' },
+        { type: 'geography_intelligence', title: 'Geography Import Export Intelligence- top 10 value and volume along with export and import' },
+        { type: 'supplier_buyer_relationships', title: 'Supplier-Buyer Relationships with countries- Sankey Diagram' },
+        { type: 'top_importing_countries', title: 'Top 10 Importing countries- name, market share and charts' }
+      ]
+    },
+    {
+      key: 'importingCountries',
+      label: 'Importing Countries',
+      slides: [
+        {
+          type: 'importing_country_suppliers',
+          title: 'Top {rank} Importing country- Who are the top 10 suppliers countries',
+          perRank: { field: 'countryRank', count: 5 }
+        },
+        {
+          type: 'importing_country_companies',
+          title: 'Top {rank} Importing country- Who are the top 10 suppliers companies',
+          perRank: { field: 'countryRank', count: 10 }
+        }
+      ]
+    },
+    {
+      key: 'exportingCountries',
+      label: 'Exporting Countries',
+      slides: [
+        { type: 'top_exporting_countries', title: 'Top 10 Exporting countries- name, market share and charts' },
+        {
+          type: 'exporting_country_destinations',
+          title: 'Top {rank} Exporting country- Who are the top 10 destination countries',
+          perRank: { field: 'countryRank', count: 5 }
+        },
+        {
+          type: 'exporting_country_companies',
+          title: 'Top {rank} Exporting country- Who are the top 10 Importer companies',
+          perRank: { field: 'countryRank', count: 10 }
+        }
+      ]
+    },
+    {
+      key: 'supplierBuyer',
+      label: 'Supplier & Buyer',
+      slides: [
+        { type: 'supplier_buyer_intelligence', title: 'SUPPLIER & BUYER INTELLIGENCE - Sankey Diagram' },
+        { type: 'top_suppliers_analysis', title: 'Top 15 Suppliers Analysis- market share, suppliers countries and importers name - Sankey Diagram' },
+        {
+          type: 'supplier_detailed_analysis',
+          title: 'Top {rank} Supplier detailed analysis- price, number of destination countries, market share and charts',
+          perRank: { field: 'supplierRank', count: 10 }
+        },
+        { type: 'top_importers_analysis', title: 'Top 15 Importers Analysis- Market share, Suppliers countries and Importers name- Sankey Diagram' },
+        {
+          type: 'importer_detailed_analysis',
+          title: 'Top {rank} Importer detailed analysis- price, market share, number of suppliers countries and charts',
+          perRank: { field: 'importerRank', count: 10 }
+        }
+      ]
+    },
+    {
+      key: 'pricing',
+      label: 'Pricing',
+      slides: [
+        { type: 'pricing_analysis', title: 'Pricing analysis (per unit)' },
+        { type: 'price_distribution', title: 'Unit price distribution across shipments' },
+        { type: 'price_origin_destination', title: 'Unit price by supplier country vs. buyer country' },
+        { type: 'price_trend_bands', title: 'Unit price trend with monthly min/max bands' },
+        { type: 'price_forecast', title: 'Unit price forecast with 80%/95% confidence bands' }
+      ]
+    },
+    {
+      key: 'trends',
+      label: 'Market Trends',
+      slides: [
+        { type: 'metric_trend', metric: 'value', dimension: 'lane', title: 'Traded value trend- moving average, linear trend, seasonality, peaks and troughs' },
+        { type: 'metric_trend', metric: 'volume', dimension: 'supplierCountry', title: 'Volume trend- moving average, linear trend, seasonality, peaks and troughs' },
+        { type: 'metric_trend', metric: 'unitPrice', dimension: 'buyerCountry', title: 'Unit price trend- moving average, linear trend, seasonality, peaks and troughs' }
+      ]
+    },
+    {
+      key: 'shipmentRecords',
+      label: 'Shipment Records',
+      slides: [
+        {
+          type: 'shipment_records',
+          title: 'Shipment Records {page}',
+          paginate: { rowsPerSlide: 10 }
+        }
+      ]
+    },
+    {
+      key: 'appendix',
+      label: 'Appendix',
+      slides: [
+        { type: 'methodology', title: 'Methodology & Data Sources' },
+        { type: 'data_quality', title: 'Data Quality' }
+      ]
+    }
+  ]
+};
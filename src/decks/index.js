@@ -0,0 +1,89 @@
+/**
+ * Deck Specification Registry
+ *
+ * Resolves a deck spec by built-in name ('full', 'executive') or by path to a
+ * JSON / JS module, and checks that it is well-formed before the orchestrator
+ * expands it into slides.
+ */
+
+const path = require('path');
+
+const BUILT_IN_DECKS = {
+  full: require('./full-deck'),
+  executive: require('./executive-cut')
+};
+
+/**
+ * Load a deck spec by name, file path or spec object
+ */
+function loadDeckSpec(deck = 'full') {
+  let spec;
+
+  if (typeof deck === 'object') {
+    spec = deck;
+  } else if (BUILT_IN_DECKS[deck]) {
+    spec = BUILT_IN_DECKS[deck];
+  } else {
+    try {
+      spec = require(path.resolve(deck));
+    } catch (error) {
+      throw new Error(`Unknown deck spec "${deck}": not a built-in deck (${Object.keys(BUILT_IN_DECKS).join(', ')}) or a readable spec file`);
+    }
+  }
+
+  validateDeckSpec(spec);
+  return spec;
+}
+
+/**
+ * Validate the shape of a deck spec
+ */
+function validateDeckSpec(spec) {
+  const name = spec && spec.name ? spec.name : '(unnamed)';
+
+  if (!spec || !Array.isArray(spec.sections) || spec.sections.length === 0) {
+    throw new Error(`Deck spec ${name} must define a non-empty "sections" array`);
+  }
+
+  if (spec.expectedSlides !== undefined && !(Number.isInteger(spec.expectedSlides) && spec.expectedSlides > 0)) {
+    throw new Error(`Deck spec ${name}: "expectedSlides" must be a positive integer`);
+  }
+
+  const seenKeys = new Set();
+  spec.sections.forEach((section, sectionIndex) => {
+    const where = `Deck spec ${name}, section ${section.key || sectionIndex}`;
+
+    if (!section.key) {
+      throw new Error(`${where}: missing "key"`);
+    }
+    if (seenKeys.has(section.key)) {
+      throw new Error(`${where}: duplicate section key`);
+    }
+    seenKeys.add(section.key);
+
+    if (!Array.isArray(section.slides) || section.slides.length === 0) {
+      throw new Error(`${where}: must define a non-empty "slides" array`);
+    }
+
+    section.slides.forEach((entry, entryIndex) => {
+      if (!entry.type) {
+        throw new Error(`${where}, slide ${entryIndex + 1}: missing "type"`);
+      }
+      if (entry.perRank && !(entry.perRank.field && entry.perRank.count > 0)) {
+        throw new Error(`${where}, slide ${entryIndex + 1}: "perRank" needs a "field" and a positive "count"`);
+      }
+      if (entry.paginate && !(entry.paginate.rowsPerSlide > 0)) {
+        throw new Error(`${where}, slide ${entryIndex + 1}: "paginate" needs a positive "rowsPerSlide"`);
+      }
+      if (entry.paginate && entry.paginate.maxSlides !== undefined && !(entry.paginate.maxSlides > 0)) {
+        throw new Error(`${where}, slide ${entryIndex + 1}: "paginate.maxSlides" must be positive`);
+      }
+    });
+  });
+}
+
+module.exports = {
+  BUILT_IN_DECKS,
+  loadDeckSpec,
+  validateDeckSpec
+};
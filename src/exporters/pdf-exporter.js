@@ -0,0 +1,902 @@
+/**
+ * PDF Exporter - One Landscape Page per Slide
+ *
+ * Writes the generated deck as a self-contained PDF for partners who review decks
+ * outside the HTML viewer. Each slide is read back by the SlideParser, positioned by
+ * the SlideLayout (shared with the PPTX exporter) and drawn on a 960 x 540 pt page:
+ * - Text wrapped with the embedded font's real widths, shrunk until it fits its box
+ * - Tables, KPI cards and bar, column, line and pie charts as vector drawings
+ * - Table of contents entries as links to the slide's page
+ * - An outline (bookmarks) per deck section and slide
+ * - Document title, product and generation date in the document information
+ *
+ * Text uses a regular and a bold TrueType font embedded in full: DejaVu Sans, bundled
+ * in ./fonts with its licence, or any other .ttf pair given as the `fonts` option.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const ChartScale = require('../shared/chart-scale');
+const PdfWriter = require('./pdf-writer');
+const SlideLayout = require('./slide-layout');
+const SlideParser = require('./slide-parser');
+const TrueTypeFont = require('./truetype-font');
+
+const { SLIDE, FONT, COLORS, SERIES_COLORS, PIE_COLORS } = SlideLayout;
+
+// Points per inch; a 16:9 slide is a 960 x 540 pt page
+const PT = 72;
+const PAGE = { width: SLIDE.width * PT, height: SLIDE.height * PT };
+
+// Text layout in points, matching the PPTX text boxes
+const TEXT_INSET = { x: 7.2, y: 3.6 };
+const CELL_INSET = 3.6;
+const MIN_TABLE_FONT = 6;
+const BULLET_INDENT = 18;
+const LINE_HEIGHT = 1.2;
+const MIN_FONT_SCALE = 0.4;
+
+// Chart text sizes in points
+const CHART_FONT = { title: 12, label: 8, axis: 7 };
+
+// Regular and bold fonts shipped with the exporter (Bitstream Vera / DejaVu licence)
+const BUNDLED_FONTS = {
+  regular: path.join(__dirname, 'fonts', 'DejaVuSans.ttf'),
+  bold: path.join(__dirname, 'fonts', 'DejaVuSans-Bold.ttf')
+};
+
+const num = PdfWriter.number;
+const ref = PdfWriter.ref;
+
+class PdfExporter {
+  constructor(options = {}) {
+    this.options = {
+      title: 'Trade Intelligence Report',
+      author: 'Trade Intelligence Report Generator',
+      product: null,
+      // Deck sections ({ key: { label, range } }) for the outline; flat when absent
+      sections: null,
+      // { regular, bold } .ttf paths, e.g. system fonts; the bundled DejaVu Sans otherwise
+      fonts: null,
+      generatedAt: new Date(),
+      ...options
+    };
+    this.parser = new SlideParser();
+    this.layout = new SlideLayout();
+  }
+
+  /**
+   * Write the slides ({ id, type, title, html }) to a .pdf file
+   */
+  async export(slides, outputPath) {
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, this.generate(slides));
+    return outputPath;
+  }
+
+  /**
+   * Build the PDF bytes
+   */
+  generate(slides) {
+    if (slides.length === 0) {
+      throw new Error('Cannot export a PDF without slides');
+    }
+
+    this.fonts = this.loadFonts();
+    const pages = slides.map(slide => this.renderSlide(slide));
+
+    const writer = new PdfWriter();
+    const catalogRef = writer.allocate();
+    const pagesRef = writer.allocate();
+    const pageRefs = pages.map(() => writer.allocate());
+    const pageBySlide = new Map(slides.map((slide, index) => [slide.id, pageRefs[index]]));
+
+    // Fonts go after the pages are drawn, once the used glyphs are known
+    const fontResources = Object.values(this.fonts)
+      .map(embedded => `/${embedded.resource} ${ref(this.writeFont(writer, embedded))}`)
+      .join(' ');
+
+    pages.forEach((page, index) => {
+      const contentRef = writer.addStream('', page.content.join('\n'));
+      const annotationRefs = page.links
+        .filter(link => pageBySlide.has(link.slideId))
+        .map(link => writer.addObject(
+          `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(num).join(' ')}] /Border [0 0 0] ` +
+          `/Dest [${ref(pageBySlide.get(link.slideId))} /Fit] >>`
+        ));
+      const annotations = annotationRefs.length > 0 ? ` /Annots [${annotationRefs.map(ref).join(' ')}]` : '';
+
+      writer.addObject(
+        `<< /Type /Page /Parent ${ref(pagesRef)} /MediaBox [0 0 ${num(PAGE.width)} ${num(PAGE.height)}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${ref(contentRef)}${annotations} >>`,
+        pageRefs[index]
+      );
+    });
+    writer.addObject(`<< /Type /Pages /Kids [${pageRefs.map(ref).join(' ')}] /Count ${pageRefs.length} >>`, pagesRef);
+
+    const outlinesRef = this.writeOutlines(writer, slides, pages, pageRefs);
+    writer.addObject(
+      `<< /Type /Catalog /Pages ${ref(pagesRef)} /Outlines ${ref(outlinesRef)} /PageMode /UseOutlines ` +
+      '/ViewerPreferences << /DisplayDocTitle true >> /Lang (en-US) >>',
+      catalogRef
+    );
+    const infoRef = writer.addObject(this.generateInfo());
+
+    return writer.toBuffer(catalogRef, infoRef);
+  }
+
+  loadFonts() {
+    const paths = this.options.fonts || BUNDLED_FONTS;
+    ['regular', 'bold'].forEach(style => {
+      if (!paths[style] || !fs.existsSync(paths[style])) {
+        throw new Error(`PDF ${style} font not found: ${paths[style]} (fonts needs { regular, bold } with .ttf paths)`);
+      }
+    });
+
+    return {
+      regular: { resource: 'F1', font: TrueTypeFont.load(paths.regular), used: new Map() },
+      bold: { resource: 'F2', font: TrueTypeFont.load(paths.bold), used: new Map() }
+    };
+  }
+
+  renderSlide(slide) {
+    const model = this.parser.parse(slide);
+    const page = { title: model.title, content: [], links: [] };
+
+    this.layout.layout(model).forEach(item => {
+      if (item.kind === 'table') {
+        this.drawTable(page, item);
+      } else if (item.kind === 'chart') {
+        this.drawChart(page, item.chart, this.toPoints(item.box));
+      } else {
+        this.drawShape(page, item);
+      }
+    });
+    return page;
+  }
+
+  /**
+   * Shapes and text
+   */
+
+  drawShape(page, shape) {
+    const box = this.toPoints(shape.box);
+    if (shape.rotation) {
+      // DrawingML rotates clockwise around the box centre; PDF angles run counter-clockwise
+      const angle = (-shape.rotation * Math.PI) / 180;
+      const [cx, cy] = [box.x + box.w / 2, PAGE.height - box.y - box.h / 2];
+      const [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+      page.content.push(`q 1 0 0 1 ${num(cx)} ${num(cy)} cm ${num(cos)} ${num(sin)} ${num(-sin)} ${num(cos)} 0 0 cm 1 0 0 1 ${num(-cx)} ${num(-cy)} cm`);
+    }
+
+    if (shape.fill || shape.line) {
+      const outline = shape.geometry === 'roundRect' ? this.roundRectPath(box, Math.min(box.w, box.h) / 6) : this.rectPath(box);
+      page.content.push(`${outline} ${this.paintOperator(shape.fill, shape.line)}`);
+    }
+    if (shape.paragraphs) {
+      this.drawText(page, shape, box);
+    }
+
+    if (shape.rotation) {
+      page.content.push('Q');
+    }
+  }
+
+  drawText(page, shape, box) {
+    const inner = { x: box.x + TEXT_INSET.x, y: box.y + TEXT_INSET.y, w: box.w - 2 * TEXT_INSET.x, h: box.h - 2 * TEXT_INSET.y };
+    const { lines, height } = this.fitParagraphs(shape.paragraphs, inner);
+
+    let top = inner.y;
+    if (shape.anchor === 'ctr') {
+      top += (inner.h - height) / 2;
+    } else if (shape.anchor === 'b') {
+      top += inner.h - height;
+    }
+
+    const linkRects = new Map();
+    lines.forEach(line => {
+      top += line.spaceBefore;
+      const { paragraph } = line;
+      const available = inner.w - line.indent;
+      let x = inner.x + line.indent;
+      if (paragraph.align === 'ctr') {
+        x += (available - line.width) / 2;
+      } else if (paragraph.align === 'r') {
+        x += available - line.width;
+      }
+      const baseline = this.baseline(top, line.height, line.size);
+
+      if (paragraph.bullet && line.first && line.segments.length > 0) {
+        const run = line.segments[0].run;
+        this.drawString(page, '•', 'regular', line.segments[0].size, inner.x, baseline, run.color);
+      }
+
+      if (paragraph.link && line.segments.length > 0) {
+        const rect = linkRects.get(paragraph) || { slideId: paragraph.link, left: x, right: x, top, bottom: top };
+        rect.left = Math.min(rect.left, x);
+        rect.right = Math.max(rect.right, x + line.width);
+        rect.bottom = top + line.height;
+        linkRects.set(paragraph, rect);
+      }
+
+      line.segments.forEach(segment => {
+        this.drawString(page, segment.text, segment.font, segment.size, x, baseline, segment.run.color, segment.run.italic);
+        x += segment.width;
+      });
+      top += line.height;
+    });
+
+    linkRects.forEach(({ slideId, left, right, top: rectTop, bottom }) => {
+      page.links.push({ slideId, rect: [left, PAGE.height - bottom, right, PAGE.height - rectTop] });
+    });
+  }
+
+  /**
+   * Wrap paragraphs in a box, shrinking the font until the text fits
+   */
+  fitParagraphs(paragraphs, box) {
+    let scale = 1;
+    let wrapped = this.wrapParagraphs(paragraphs, box.w, scale);
+    while (wrapped.height > box.h && scale > MIN_FONT_SCALE) {
+      scale = Math.max(MIN_FONT_SCALE, scale - 0.05);
+      wrapped = this.wrapParagraphs(paragraphs, box.w, scale);
+    }
+    return wrapped;
+  }
+
+  wrapParagraphs(paragraphs, width, scale) {
+    const lines = [];
+    let height = 0;
+
+    paragraphs.forEach((paragraph, index) => {
+      const indent = paragraph.bullet ? BULLET_INDENT : 0;
+      const paragraphSize = Math.max(FONT.footer, ...paragraph.runs.map(run => run.size)) * scale;
+      this.wrapRuns(paragraph.runs, width - indent, scale).forEach((segments, lineIndex) => {
+        const size = segments.length > 0 ? Math.max(...segments.map(segment => segment.size)) : paragraphSize;
+        const line = {
+          paragraph,
+          segments,
+          indent,
+          size,
+          first: lineIndex === 0,
+          width: segments.reduce((sum, segment) => sum + segment.width, 0),
+          height: size * LINE_HEIGHT,
+          spaceBefore: index > 0 && lineIndex === 0 ? (paragraph.spaceBefore || 0) * scale : 0
+        };
+        height += line.spaceBefore + line.height;
+        lines.push(line);
+      });
+    });
+
+    return { lines, height };
+  }
+
+  /**
+   * Greedy line breaking at spaces; words wider than the line break between characters
+   */
+  wrapRuns(runs, width, scale) {
+    const lines = [[]];
+    let lineWidth = 0;
+    let pendingSpace = null;
+
+    const append = (text, run) => {
+      const line = lines[lines.length - 1];
+      const last = line[line.length - 1];
+      const font = run.bold ? 'bold' : 'regular';
+      const size = run.size * scale;
+      const textWidth = this.measure(font, text, size);
+      if (last && last.run === run) {
+        last.text += text;
+        last.width += textWidth;
+      } else {
+        line.push({ text, run, font, size, width: textWidth });
+      }
+      lineWidth += textWidth;
+    };
+    const newLine = () => {
+      lines.push([]);
+      lineWidth = 0;
+    };
+
+    runs.forEach(run => {
+      const font = run.bold ? 'bold' : 'regular';
+      run.text.split(/(\s+)/).filter(Boolean).forEach(token => {
+        if (/^\s+$/.test(token)) {
+          pendingSpace = lines[lines.length - 1].length > 0 ? run : null;
+          return;
+        }
+
+        const wordWidth = this.measure(font, token, run.size * scale);
+        const spaceWidth = pendingSpace ? this.measure(pendingSpace.bold ? 'bold' : 'regular', ' ', pendingSpace.size * scale) : 0;
+        if (lines[lines.length - 1].length > 0 && lineWidth + spaceWidth + wordWidth > width) {
+          newLine();
+        } else if (pendingSpace) {
+          append(' ', pendingSpace);
+        }
+        pendingSpace = null;
+
+        if (wordWidth <= width) {
+          append(token, run);
+          return;
+        }
+        for (const character of token) {
+          if (lines[lines.length - 1].length > 0 && lineWidth + this.measure(font, character, run.size * scale) > width) {
+            newLine();
+          }
+          append(character, run);
+        }
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Baseline that centres the font's ascent and descent in a line
+   */
+  baseline(top, lineHeight, size) {
+    const { font } = this.fonts.regular;
+    const ascent = font.ascent / font.unitsPerEm;
+    const descent = -font.descent / font.unitsPerEm;
+    return top + (lineHeight - (ascent + descent) * size) / 2 + ascent * size;
+  }
+
+  drawString(page, text, fontKey, size, x, baseline, color = COLORS.darkGray, italic = false) {
+    if (!text) {
+      return;
+    }
+    const { resource } = this.fonts[fontKey];
+    // Italic is a slanted text matrix; no italic font is embedded
+    page.content.push(
+      `BT /${resource} ${num(size)} Tf ${this.color(color)} rg 1 0 ${italic ? '0.2' : '0'} 1 ${num(x)} ${num(PAGE.height - baseline)} Tm ` +
+      `${this.encode(fontKey, text)} Tj ET`
+    );
+  }
+
+  /**
+   * Two-byte glyph ids for the Identity-H encoding; records each glyph for the font's widths and ToUnicode map
+   */
+  encode(fontKey, text) {
+    const embedded = this.fonts[fontKey];
+    let hex = '';
+    for (const character of text) {
+      const glyph = embedded.font.glyphId(character);
+      if (!embedded.used.has(glyph)) {
+        embedded.used.set(glyph, character);
+      }
+      hex += glyph.toString(16).padStart(4, '0');
+    }
+    return `<${hex}>`;
+  }
+
+  measure(fontKey, text, size) {
+    return this.fonts[fontKey].font.measure(text, size);
+  }
+
+  /**
+   * Text shortened with an ellipsis to fit a width
+   */
+  truncate(fontKey, text, size, width) {
+    if (this.measure(fontKey, text, size) <= width) {
+      return text;
+    }
+    const characters = Array.from(text);
+    while (characters.length > 0 && this.measure(fontKey, `${characters.join('')}…`, size) > width) {
+      characters.pop();
+    }
+    return characters.length > 0 ? `${characters.join('').trimEnd()}…` : '';
+  }
+
+  /**
+   * Tables
+   */
+
+  drawTable(page, { table, box: boxInches, columnWidths, rowHeight, fontSize }) {
+    const box = this.toPoints(boxInches);
+    const allRows = table.headers.length > 0 ? [table.headers, ...table.rows] : table.rows;
+    const height = rowHeight * PT;
+    const widths = columnWidths.map(width => width * PT);
+
+    allRows.forEach((row, rowIndex) => {
+      const isHeader = table.headers.length > 0 && rowIndex === 0;
+      const top = box.y + rowIndex * height;
+      const fill = isHeader ? COLORS.navy : rowIndex % 2 === 0 ? COLORS.lightGray : COLORS.white;
+      const font = isHeader ? 'bold' : 'regular';
+      page.content.push(`${this.rectPath({ x: box.x, y: top, w: box.w, h: height })} ${this.paintOperator(fill)}`);
+
+      let x = box.x;
+      widths.forEach((width, column) => {
+        // Long cells shrink down to the minimum table font size before they are cut
+        const available = width - 2 * CELL_INSET;
+        const fullWidth = this.measure(font, row[column] || '', fontSize);
+        const size = fullWidth > available ? Math.max(MIN_TABLE_FONT, (fontSize * available) / fullWidth) : fontSize;
+        const text = this.truncate(font, row[column] || '', size, available);
+        this.drawString(page, text, font, size, x + CELL_INSET, this.baseline(top, height, size), isHeader ? COLORS.white : COLORS.darkGray);
+        x += width;
+      });
+
+      page.content.push(`${this.lineColor(COLORS.border)} 0.5 w ${this.linePath([[box.x, top + height], [box.x + box.w, top + height]])} S`);
+    });
+  }
+
+  /**
+   * Vector charts
+   */
+
+  drawChart(page, chart, box) {
+    page.content.push(`q ${this.rectPath(box)} W n`);
+
+    let top = box.y + 4;
+    if (chart.title) {
+      const title = this.truncate('bold', chart.title, CHART_FONT.title, box.w - 8);
+      const width = this.measure('bold', title, CHART_FONT.title);
+      this.drawString(page, title, 'bold', CHART_FONT.title, box.x + (box.w - width) / 2, top + CHART_FONT.title, COLORS.navy);
+      top += CHART_FONT.title * 1.6;
+    }
+
+    let bottom = box.y + box.h - 4;
+    if (chart.type !== 'pie' && chart.series.length > 1) {
+      this.drawSeriesLegend(page, chart, { x: box.x, y: bottom - 10, w: box.w });
+      bottom -= 16;
+    }
+
+    const plot = { x: box.x + 4, y: top, w: box.w - 8, h: bottom - top };
+    if (plot.h > 10) {
+      if (chart.type === 'pie') {
+        this.drawPieChart(page, chart, plot);
+      } else if (chart.type === 'bar') {
+        this.drawBarChart(page, chart, plot);
+      } else {
+        this.drawColumnChart(page, chart, plot);
+      }
+    }
+
+    page.content.push('Q');
+  }
+
+  /**
+   * Horizontal bars, first category on top
+   */
+  drawBarChart(page, chart, plot) {
+    const values = this.chartValues(chart);
+    const band = (plot.h - 12) / chart.categories.length;
+    const labelSize = Math.max(5, Math.min(CHART_FONT.label, band * 0.6));
+    const labelWidth = Math.min(plot.w * 0.35, Math.max(0, ...chart.categories.map(category => this.measure('regular', category, labelSize))) + 6);
+    const valueWidth = Math.max(0, ...values.map(value => this.measure('regular', this.formatValue(value, chart.numberFormat), labelSize))) + 4;
+    const area = { x: plot.x + labelWidth, y: plot.y, w: plot.w - labelWidth - valueWidth, h: plot.h - 12 };
+
+    // Fewer ticks when their labels would touch
+    const tickWidth = Math.max(...values.map(value => this.measure('regular', this.formatValue(value, chart.numberFormat), CHART_FONT.axis))) + 12;
+    const tickCount = Math.max(2, Math.min(5, Math.floor(area.w / tickWidth) - 1));
+    const scale = ChartScale.nice(Math.min(0, ...values), Math.max(0, ...values), tickCount);
+    const toX = value => area.x + ((value - scale.min) / (scale.max - scale.min)) * area.w;
+
+    ChartScale.ticks(scale).forEach(tick => {
+      const x = toX(tick);
+      page.content.push(`${this.lineColor(COLORS.border)} 0.5 w ${this.linePath([[x, area.y], [x, area.y + area.h]])} S`);
+      const label = this.formatValue(tick, chart.numberFormat);
+      const width = this.measure('regular', label, CHART_FONT.axis);
+      this.drawString(page, label, 'regular', CHART_FONT.axis, x - width / 2, area.y + area.h + 9, COLORS.mediumGray);
+    });
+
+    const barHeight = band / (chart.series.length + 0.6);
+    chart.categories.forEach((category, index) => {
+      const bandTop = area.y + index * band;
+      const label = this.truncate('regular', category, labelSize, labelWidth - 6);
+      const width = this.measure('regular', label, labelSize);
+      this.drawString(page, label, 'regular', labelSize, area.x - 4 - width, bandTop + band / 2 + labelSize * 0.35, COLORS.darkGray);
+
+      chart.series.forEach((series, seriesIndex) => {
+        const value = series.values[index];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return;
+        }
+        const y = bandTop + band * 0.3 + seriesIndex * barHeight;
+        const [start, end] = [toX(0), toX(value)];
+        page.content.push(`${this.rectPath({ x: Math.min(start, end), y, w: Math.abs(end - start), h: barHeight })} ${this.paintOperator(SERIES_COLORS[seriesIndex % SERIES_COLORS.length])}`);
+        const size = Math.max(5, Math.min(CHART_FONT.label, barHeight * 0.9));
+        this.drawString(page, this.formatValue(value, chart.numberFormat), 'regular', size, Math.max(start, end) + 3, y + barHeight / 2 + size * 0.35, COLORS.darkGray);
+      });
+    });
+
+    const zero = toX(0);
+    page.content.push(`${this.lineColor(COLORS.mediumGray)} 0.75 w ${this.linePath([[zero, area.y], [zero, area.y + area.h]])} S`);
+  }
+
+  /**
+   * Vertical columns, or lines through the category centres
+   */
+  drawColumnChart(page, chart, plot) {
+    const isLine = chart.type === 'line';
+    const values = this.chartValues(chart);
+    const scale = isLine
+      ? ChartScale.nice(Math.min(...values), Math.max(...values))
+      : ChartScale.nice(Math.min(0, ...values), Math.max(0, ...values));
+    const ticks = ChartScale.ticks(scale);
+    const axisWidth = Math.max(...ticks.map(tick => this.measure('regular', this.formatValue(tick, chart.numberFormat), CHART_FONT.axis))) + 4;
+    const area = { x: plot.x + axisWidth, y: plot.y + (isLine ? 4 : 10), w: plot.w - axisWidth, h: plot.h - (isLine ? 4 : 10) - 12 };
+    const toY = value => area.y + area.h - ((value - scale.min) / (scale.max - scale.min)) * area.h;
+    const band = area.w / chart.categories.length;
+
+    ticks.forEach(tick => {
+      const y = toY(tick);
+      page.content.push(`${this.lineColor(COLORS.border)} 0.5 w ${this.linePath([[area.x, y], [area.x + area.w, y]])} S`);
+      const label = this.formatValue(tick, chart.numberFormat);
+      const width = this.measure('regular', label, CHART_FONT.axis);
+      this.drawString(page, label, 'regular', CHART_FONT.axis, area.x - 3 - width, y + CHART_FONT.axis * 0.35, COLORS.mediumGray);
+    });
+
+    // Label every category when they fit, otherwise every n-th
+    const labelWidths = chart.categories.map(category => this.measure('regular', category, CHART_FONT.axis));
+    const every = Math.max(1, Math.ceil((Math.max(...labelWidths) + 4) / band));
+    chart.categories.forEach((category, index) => {
+      if (index % every !== 0) {
+        return;
+      }
+      const label = this.truncate('regular', category, CHART_FONT.axis, band * every - 2);
+      const width = this.measure('regular', label, CHART_FONT.axis);
+      this.drawString(page, label, 'regular', CHART_FONT.axis, area.x + (index + 0.5) * band - width / 2, area.y + area.h + 9, COLORS.darkGray);
+    });
+
+    if (isLine) {
+      chart.series.forEach((series, seriesIndex) => this.drawLineSeries(page, series, seriesIndex, { band, area, toY }));
+    } else {
+      const barWidth = band / (chart.series.length + 0.6);
+      chart.series.forEach((series, seriesIndex) => {
+        series.values.forEach((value, index) => {
+          if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return;
+          }
+          const x = area.x + index * band + band * 0.3 + seriesIndex * barWidth;
+          const [top, bottom] = [toY(Math.max(value, 0)), toY(Math.min(value, 0))];
+          page.content.push(`${this.rectPath({ x, y: top, w: barWidth, h: bottom - top })} ${this.paintOperator(SERIES_COLORS[seriesIndex % SERIES_COLORS.length])}`);
+
+          const size = Math.max(5, Math.min(CHART_FONT.label, barWidth * 0.5));
+          const label = this.formatValue(value, chart.numberFormat);
+          const width = this.measure('regular', label, size);
+          if (width <= band) {
+            this.drawString(page, label, 'regular', size, x + (barWidth - width) / 2, value < 0 ? bottom + size + 1 : top - 2, COLORS.darkGray);
+          }
+        });
+      });
+    }
+
+    const baseline = toY(Math.max(scale.min, Math.min(0, scale.max)));
+    page.content.push(`${this.lineColor(COLORS.mediumGray)} 0.75 w ${this.linePath([[area.x, baseline], [area.x + area.w, baseline]])} S`);
+  }
+
+  /**
+   * First series solid with markers, later series (ranges) dashed
+   */
+  drawLineSeries(page, series, seriesIndex, { band, area, toY }) {
+    const color = SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+    const points = series.values.map((value, index) =>
+      typeof value === 'number' && Number.isFinite(value) ? [area.x + (index + 0.5) * band, toY(value)] : null
+    );
+
+    // Gaps in the data split the line
+    const segments = [[]];
+    points.forEach(point => {
+      if (point) {
+        segments[segments.length - 1].push(point);
+      } else if (segments[segments.length - 1].length > 0) {
+        segments.push([]);
+      }
+    });
+
+    const dash = seriesIndex > 0 ? '[4 3] 0 d' : '[] 0 d';
+    segments.filter(segment => segment.length > 1).forEach(segment => {
+      page.content.push(`${this.lineColor(color)} ${seriesIndex > 0 ? 1.5 : 2.25} w ${dash} 1 j ${this.linePath(segment)} S [] 0 d`);
+    });
+
+    if (seriesIndex === 0 && points.length <= 40) {
+      points.filter(Boolean).forEach(([x, y]) => {
+        page.content.push(`${this.circlePath(x, y, 2.5)} ${this.paintOperator(color)}`);
+      });
+    }
+  }
+
+  /**
+   * Pie from 12 o'clock, clockwise, with a legend on the right
+   */
+  drawPieChart(page, chart, plot) {
+    const values = chart.series[0].values.map(value => (typeof value === 'number' && value > 0 ? value : 0));
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (total <= 0) {
+      return;
+    }
+
+    const legendRows = Math.min(chart.categories.length, Math.floor(plot.h / 12));
+    const legendWidth = Math.min(plot.w * 0.45, Math.max(...chart.categories.map(category => this.measure('regular', category, CHART_FONT.label))) + 16);
+    const radius = Math.max(4, Math.min((plot.w - legendWidth) / 2, plot.h / 2) - 4);
+    const center = [plot.x + (plot.w - legendWidth) / 2, plot.y + plot.h / 2];
+
+    let angle = -Math.PI / 2;
+    values.forEach((value, index) => {
+      if (value === 0) {
+        return;
+      }
+      const sweep = (value / total) * Math.PI * 2;
+      const color = PIE_COLORS[index % PIE_COLORS.length];
+      page.content.push(`${this.wedgePath(center, radius, angle, angle + sweep)} ${this.paintOperator(color, COLORS.white)}`);
+
+      if (value / total >= 0.04) {
+        const middle = angle + sweep / 2;
+        const label = `${Math.round((value / total) * 100)}%`;
+        const width = this.measure('bold', label, CHART_FONT.label);
+        const [x, y] = [center[0] + Math.cos(middle) * radius * 0.65, center[1] + Math.sin(middle) * radius * 0.65];
+        this.drawString(page, label, 'bold', CHART_FONT.label, x - width / 2, y + CHART_FONT.label * 0.35, COLORS.white);
+      }
+      angle += sweep;
+    });
+
+    const legendX = plot.x + plot.w - legendWidth;
+    const legendTop = plot.y + (plot.h - legendRows * 12) / 2;
+    chart.categories.slice(0, legendRows).forEach((category, index) => {
+      const y = legendTop + index * 12;
+      page.content.push(`${this.rectPath({ x: legendX, y: y + 2, w: 8, h: 8 })} ${this.paintOperator(PIE_COLORS[index % PIE_COLORS.length])}`);
+      const label = this.truncate('regular', category, CHART_FONT.label, legendWidth - 12);
+      this.drawString(page, label, 'regular', CHART_FONT.label, legendX + 12, y + 9, COLORS.darkGray);
+    });
+  }
+
+  drawSeriesLegend(page, chart, { x, y, w }) {
+    const entries = chart.series.map((series, index) => ({
+      name: series.name,
+      color: SERIES_COLORS[index % SERIES_COLORS.length],
+      width: 14 + this.measure('regular', series.name, CHART_FONT.label)
+    }));
+    const totalWidth = entries.reduce((sum, entry) => sum + entry.width, 0) + 12 * (entries.length - 1);
+
+    let left = x + (w - totalWidth) / 2;
+    entries.forEach(entry => {
+      page.content.push(`${this.rectPath({ x: left, y: y + 1, w: 10, h: 6 })} ${this.paintOperator(entry.color)}`);
+      this.drawString(page, entry.name, 'regular', CHART_FONT.label, left + 14, y + 7, COLORS.darkGray);
+      left += entry.width + 12;
+    });
+  }
+
+  chartValues(chart) {
+    const values = [];
+    chart.series.forEach(series => series.values.forEach(value => {
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        values.push(value);
+      }
+    }));
+    return values.length > 0 ? values : [0];
+  }
+
+  /**
+   * Format a value with the chart's spreadsheet number format ('#,##0', '0.0', ...)
+   */
+  formatValue(value, format = 'General') {
+    if (format === 'General') {
+      return String(Math.round(value * 100) / 100);
+    }
+    const decimals = (format.split('.')[1] || '').replace(/[^0#]/g, '').length;
+    return value.toLocaleString('en-US', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+      useGrouping: format.includes(',')
+    });
+  }
+
+  /**
+   * Path and colour operators; boxes and points are in points from the top-left corner
+   */
+
+  toPoints(box) {
+    return { x: box.x * PT, y: box.y * PT, w: box.w * PT, h: box.h * PT };
+  }
+
+  point(x, y) {
+    return `${num(x)} ${num(PAGE.height - y)}`;
+  }
+
+  rectPath(box) {
+    return `${num(box.x)} ${num(PAGE.height - box.y - box.h)} ${num(box.w)} ${num(box.h)} re`;
+  }
+
+  linePath(points) {
+    return points.map(([x, y], index) => `${this.point(x, y)} ${index === 0 ? 'm' : 'l'}`).join(' ');
+  }
+
+  roundRectPath(box, radius) {
+    const k = radius * 0.5523;
+    const [left, top, right, bottom] = [box.x, box.y, box.x + box.w, box.y + box.h];
+    return [
+      `${this.point(left + radius, top)} m`,
+      `${this.point(right - radius, top)} l`,
+      `${this.point(right - radius + k, top)} ${this.point(right, top + radius - k)} ${this.point(right, top + radius)} c`,
+      `${this.point(right, bottom - radius)} l`,
+      `${this.point(right, bottom - radius + k)} ${this.point(right - radius + k, bottom)} ${this.point(right - radius, bottom)} c`,
+      `${this.point(left + radius, bottom)} l`,
+      `${this.point(left + radius - k, bottom)} ${this.point(left, bottom - radius + k)} ${this.point(left, bottom - radius)} c`,
+      `${this.point(left, top + radius)} l`,
+      `${this.point(left, top + radius - k)} ${this.point(left + radius - k, top)} ${this.point(left + radius, top)} c h`
+    ].join(' ');
+  }
+
+  circlePath(x, y, radius) {
+    return this.wedgePath([x, y], radius, 0, Math.PI * 2, false);
+  }
+
+  /**
+   * Pie wedge (or full circle) as Bézier arcs of at most 90 degrees
+   */
+  wedgePath([cx, cy], radius, start, end, fromCenter = true) {
+    const pieces = Math.max(1, Math.ceil((end - start) / (Math.PI / 2)));
+    const step = (end - start) / pieces;
+    const k = (4 / 3) * Math.tan(step / 4) * radius;
+    const at = angle => [cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius];
+
+    const parts = fromCenter ? [`${this.point(cx, cy)} m`, `${this.point(...at(start))} l`] : [`${this.point(...at(start))} m`];
+    for (let piece = 0; piece < pieces; piece++) {
+      const [a1, a2] = [start + piece * step, start + (piece + 1) * step];
+      const [x1, y1] = at(a1);
+      const [x2, y2] = at(a2);
+      parts.push(
+        `${this.point(x1 - k * Math.sin(a1), y1 + k * Math.cos(a1))} ${this.point(x2 + k * Math.sin(a2), y2 - k * Math.cos(a2))} ${this.point(x2, y2)} c`
+      );
+    }
+    parts.push('h');
+    return parts.join(' ');
+  }
+
+  color(hex) {
+    return [0, 2, 4].map(offset => num(parseInt(hex.slice(offset, offset + 2), 16) / 255)).join(' ');
+  }
+
+  lineColor(hex) {
+    return `${this.color(hex)} RG`;
+  }
+
+  /**
+   * Fill and/or stroke the current path
+   */
+  paintOperator(fill, line) {
+    if (fill && line) {
+      return `${this.color(fill)} rg ${this.lineColor(line)} 0.75 w B`;
+    }
+    return fill ? `${this.color(fill)} rg f` : `${this.lineColor(line)} 0.75 w S`;
+  }
+
+  /**
+   * Document structure
+   */
+
+  /**
+   * Type 0 font with Identity-H encoding over the embedded TrueType program
+   */
+  writeFont(writer, { font, used }) {
+    const glyphs = [...used.keys()].sort((a, b) => a - b);
+    const baseFont = PdfWriter.name(font.postScriptName);
+
+    // Widths of the used glyphs, consecutive ids grouped: [first [w1 w2 ...] ...]
+    const widthGroups = [];
+    glyphs.forEach(glyph => {
+      const last = widthGroups[widthGroups.length - 1];
+      if (last && last.first + last.widths.length === glyph) {
+        last.widths.push(font.glyphWidth(glyph));
+      } else {
+        widthGroups.push({ first: glyph, widths: [font.glyphWidth(glyph)] });
+      }
+    });
+    const widths = widthGroups.map(group => `${group.first} [${group.widths.join(' ')}]`).join(' ');
+
+    const fontFileRef = writer.addStream(`/Length1 ${font.data.length}`, font.data);
+    const flags = (font.isFixedPitch ? 1 : 0) | 32 | (font.italicAngle !== 0 ? 64 : 0);
+    const descriptorRef = writer.addObject(
+      `<< /Type /FontDescriptor /FontName ${baseFont} /Flags ${flags} /FontBBox [${font.bbox.map(value => font.scale(value)).join(' ')}] ` +
+      `/ItalicAngle ${num(font.italicAngle)} /Ascent ${font.scale(font.ascent)} /Descent ${font.scale(font.descent)} ` +
+      `/CapHeight ${font.scale(font.capHeight)} /StemV ${font.weightClass >= 600 ? 120 : 80} /FontFile2 ${ref(fontFileRef)} >>`
+    );
+    const cidFontRef = writer.addObject(
+      `<< /Type /Font /Subtype /CIDFontType2 /BaseFont ${baseFont} ` +
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+      `/FontDescriptor ${ref(descriptorRef)} /DW 1000 /W [${widths}] /CIDToGIDMap /Identity >>`
+    );
+    const toUnicodeRef = writer.addStream('', this.generateToUnicode(glyphs.map(glyph => [glyph, used.get(glyph)])));
+
+    return writer.addObject(
+      `<< /Type /Font /Subtype /Type0 /BaseFont ${baseFont} /Encoding /Identity-H ` +
+      `/DescendantFonts [${ref(cidFontRef)}] /ToUnicode ${ref(toUnicodeRef)} >>`
+    );
+  }
+
+  /**
+   * CMap from glyph ids back to text, so copy and search work
+   */
+  generateToUnicode(mappings) {
+    const hex = (value, digits) => value.toString(16).padStart(digits, '0').toUpperCase();
+    const blocks = [];
+    for (let index = 0; index < mappings.length; index += 100) {
+      const chunk = mappings.slice(index, index + 100);
+      blocks.push(`${chunk.length} beginbfchar\n${chunk.map(([glyph, character]) =>
+        `<${hex(glyph, 4)}> <${Buffer.from(character, 'utf16le').swap16().toString('hex').toUpperCase()}>`
+      ).join('\n')}\nendbfchar`);
+    }
+
+    return [
+      '/CIDInit /ProcSet findresource begin',
+      '12 dict begin',
+      'begincmap',
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+      '/CMapName /Adobe-Identity-UCS def',
+      '/CMapType 2 def',
+      '1 begincodespacerange',
+      '<0000> <FFFF>',
+      'endcodespacerange',
+      ...blocks,
+      'endcmap',
+      'CMapName currentdict /CMap defineresource pop',
+      'end',
+      'end'
+    ].join('\n');
+  }
+
+  /**
+   * Bookmarks: one per deck section (closed) with its slides, or one per slide
+   */
+  writeOutlines(writer, slides, pages, pageRefs) {
+    const slideItems = slides.map((slide, index) => ({ title: `${slide.id}. ${pages[index].title}`, page: pageRefs[index], children: [] }));
+
+    let items = slideItems;
+    if (this.options.sections) {
+      items = Object.values(this.options.sections).map(section => {
+        const children = slideItems.filter((_, index) => slides[index].id >= section.range[0] && slides[index].id <= section.range[1]);
+        return { title: section.label, page: children.length > 0 ? children[0].page : null, children };
+      }).filter(item => item.children.length > 0);
+    }
+
+    const rootRef = writer.allocate();
+    const itemRefs = this.writeOutlineItems(writer, items, rootRef);
+    writer.addObject(
+      `<< /Type /Outlines /First ${ref(itemRefs[0])} /Last ${ref(itemRefs[itemRefs.length - 1])} /Count ${itemRefs.length} >>`,
+      rootRef
+    );
+    return rootRef;
+  }
+
+  writeOutlineItems(writer, items, parentRef) {
+    const refs = items.map(() => writer.allocate());
+    items.forEach((item, index) => {
+      const siblings = [
+        index > 0 ? ` /Prev ${ref(refs[index - 1])}` : '',
+        index < refs.length - 1 ? ` /Next ${ref(refs[index + 1])}` : ''
+      ].join('');
+
+      let children = '';
+      if (item.children.length > 0) {
+        const childRefs = this.writeOutlineItems(writer, item.children, refs[index]);
+        // A negative count keeps the section closed
+        children = ` /First ${ref(childRefs[0])} /Last ${ref(childRefs[childRefs.length - 1])} /Count -${childRefs.length}`;
+      }
+
+      writer.addObject(
+        `<< /Title ${PdfWriter.text(item.title)} /Parent ${ref(parentRef)}${siblings}${children} /Dest [${ref(item.page)} /Fit] >>`,
+        refs[index]
+      );
+    });
+    return refs;
+  }
+
+  generateInfo() {
+    const { title, author, product, generatedAt } = this.options;
+    const entries = [
+      `/Title ${PdfWriter.text(title)}`,
+      product ? `/Subject ${PdfWriter.text(product)}` : '',
+      `/Author ${PdfWriter.text(author)}`,
+      `/Creator ${PdfWriter.text(author)}`,
+      `/Producer ${PdfWriter.text(author)}`,
+      `/CreationDate ${PdfWriter.date(generatedAt)}`,
+      `/ModDate ${PdfWriter.date(generatedAt)}`
+    ].filter(Boolean);
+    return `<< ${entries.join(' ')} >>`;
+  }
+}
+
+PdfExporter.BUNDLED_FONTS = BUNDLED_FONTS;
+
+module.exports = PdfExporter;
@@ -0,0 +1,119 @@
+/**
+ * PDF Writer - Minimal PDF 1.7 File Structure
+ *
+ * Collects numbered objects and writes them with a cross-reference table and
+ * trailer. Streams are Flate-compressed. Object contents are written as given, so
+ * callers build dictionaries with the value helpers below. Like the ZIP writer,
+ * output only depends on the objects added.
+ */
+
+const zlib = require('zlib');
+
+class PdfWriter {
+  constructor() {
+    this.objects = [];
+  }
+
+  /**
+   * Reserve an object number, for objects that refer to each other
+   */
+  allocate() {
+    this.objects.push(null);
+    return this.objects.length;
+  }
+
+  /**
+   * Add (or fill a reserved) object; `body` is a string or Buffer
+   */
+  addObject(body, number = this.allocate()) {
+    this.objects[number - 1] = Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1');
+    return number;
+  }
+
+  /**
+   * Add a compressed stream object; `dictionary` holds extra entries (without << >>)
+   */
+  addStream(dictionary, data, number = this.allocate()) {
+    const compressed = zlib.deflateSync(Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1'));
+    const header = `<< ${dictionary ? `${dictionary} ` : ''}/Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`;
+    return this.addObject(Buffer.concat([Buffer.from(header, 'latin1'), compressed, Buffer.from('\nendstream', 'latin1')]), number);
+  }
+
+  /**
+   * Write the file; `root` and `info` are object numbers
+   */
+  toBuffer(root, info) {
+    const missing = this.objects.findIndex(object => object === null);
+    if (missing !== -1) {
+      throw new Error(`PDF object ${missing + 1} was reserved but never written`);
+    }
+
+    // The binary comment marks the file as binary for transfer tools
+    const parts = [Buffer.from('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let offset = parts[0].length;
+    const offsets = this.objects.map((body, index) => {
+      const objectOffset = offset;
+      const object = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+      parts.push(object);
+      offset += object.length;
+      return objectOffset;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${this.objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(objectOffset => `${String(objectOffset).padStart(10, '0')} 00000 n `)
+    ].join('\n');
+    const trailer = `trailer\n<< /Size ${this.objects.length + 1} /Root ${PdfWriter.ref(root)}` +
+      `${info ? ` /Info ${PdfWriter.ref(info)}` : ''} >>\nstartxref\n${offset}\n%%EOF\n`;
+    parts.push(Buffer.from(`${xref}\n${trailer}`, 'latin1'));
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Value helpers
+   */
+
+  static ref(number) {
+    return `${number} 0 R`;
+  }
+
+  /**
+   * Number with at most three decimals (PDF has no exponent notation)
+   */
+  static number(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+  }
+
+  /**
+   * Text string: a literal for ASCII, UTF-16BE hex with a byte order mark otherwise
+   */
+  static text(value) {
+    const text = String(value);
+    if (/^[\x20-\x7E]*$/.test(text)) {
+      return `(${text.replace(/[\\()]/g, '\\$&')})`;
+    }
+    return `<FEFF${Buffer.from(text, 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+  }
+
+  /**
+   * Name object, escaping characters outside the regular set
+   */
+  static name(value) {
+    return `/${String(value).replace(/[^!-~]|[#()<>[\]{}/%]/g, character =>
+      `#${character.charCodeAt(0).toString(16).padStart(2, '0').toUpperCase()}`)}`;
+  }
+
+  /**
+   * Date string in UTC (D:YYYYMMDDHHmmSSZ)
+   */
+  static date(date) {
+    const iso = date.toISOString();
+    return `(D:${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}Z)`;
+  }
+}
+
+module.exports = PdfWriter;
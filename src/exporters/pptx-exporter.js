@@ -0,0 +1,486 @@
+/**
+ * PPTX Exporter - Native PowerPoint Export
+ *
+ * Writes the generated deck as an Office Open XML presentation (.pptx) without
+ * Office or any network service. Each slide is read back into structured content
+ * by the SlideParser and laid out on a 16:9 slide as native objects:
+ * - Slide titles as title placeholders (they show in PowerPoint's outline view)
+ * - Paragraphs and bullet lists as text boxes, shrunk to fit their area
+ * - KPI cards as rounded rectangles
+ * - Tables from TemplateEngine.generateTable as native tables
+ * - Bar, column, line and pie charts as native chart parts with an embedded
+ *   workbook, so "Edit Data" opens the numbers in Excel
+ *
+ * Positions come from the SlideLayout, shared with the PDF exporter. Like the ZIP
+ * writer, output is byte-for-byte reproducible.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const SlideLayout = require('./slide-layout');
+const SlideParser = require('./slide-parser');
+const ZipWriter = require('./zip-writer');
+const XlsxWriter = require('./xlsx-writer');
+const { XML_DECLARATION, escapeXml } = require('./xml-utils');
+
+const NS_A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const NS_P = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+const NS_C = 'http://schemas.openxmlformats.org/drawingml/2006/chart';
+const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const NS_CONTENT_TYPES = 'http://schemas.openxmlformats.org/package/2006/content-types';
+const CT_PRESENTATION = 'application/vnd.openxmlformats-officedocument.presentationml';
+
+// English Metric Units per inch
+const EMU = 914400;
+
+const { SLIDE, MARGIN, FONT, COLORS, SERIES_COLORS, PIE_COLORS } = SlideLayout;
+
+const emu = inches => Math.round(inches * EMU);
+
+class PptxExporter {
+  constructor(options = {}) {
+    this.options = {
+      title: 'Trade Intelligence Report',
+      author: 'Trade Intelligence Report Generator',
+      ...options
+    };
+    this.parser = new SlideParser();
+    this.layout = new SlideLayout();
+  }
+
+  /**
+   * Write the slides ({ id, type, title, html }) to a .pptx file
+   */
+  async export(slides, outputPath) {
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, this.generate(slides));
+    return outputPath;
+  }
+
+  /**
+   * Build the .pptx package bytes
+   */
+  generate(slides) {
+    if (slides.length === 0) {
+      throw new Error('Cannot export a presentation without slides');
+    }
+
+    const zip = new ZipWriter();
+    const charts = [];
+
+    const slideParts = slides.map(slide => {
+      const model = this.parser.parse(slide);
+      const context = { nextShapeId: 2, shapes: [], charts: [] };
+      this.generateSlideShapes(model, context);
+
+      context.charts.forEach(chart => {
+        chart.number = charts.length + 1;
+        charts.push(chart);
+      });
+      return { model, context };
+    });
+
+    zip.addFile('[Content_Types].xml', this.generateContentTypes(slideParts.length, charts.length));
+    zip.addFile('_rels/.rels', this.generateRelationships([
+      { type: `${NS_R}/officeDocument`, target: 'ppt/presentation.xml' },
+      { type: `${NS_PKG_REL}/metadata/core-properties`, target: 'docProps/core.xml' },
+      { type: `${NS_R}/extended-properties`, target: 'docProps/app.xml' }
+    ]));
+    zip.addFile('docProps/core.xml', this.generateCoreProperties());
+    zip.addFile('docProps/app.xml', this.generateAppProperties(slideParts.length));
+
+    zip.addFile('ppt/presentation.xml', this.generatePresentation(slideParts.length));
+    zip.addFile('ppt/_rels/presentation.xml.rels', this.generateRelationships([
+      { type: `${NS_R}/slideMaster`, target: 'slideMasters/slideMaster1.xml' },
+      { type: `${NS_R}/theme`, target: 'theme/theme1.xml' },
+      ...slideParts.map((_, index) => ({ type: `${NS_R}/slide`, target: `slides/slide${index + 1}.xml` })),
+      { type: `${NS_R}/presProps`, target: 'presProps.xml' },
+      { type: `${NS_R}/viewProps`, target: 'viewProps.xml' },
+      { type: `${NS_R}/tableStyles`, target: 'tableStyles.xml' }
+    ]));
+    zip.addFile('ppt/presProps.xml', `${XML_DECLARATION}<p:presentationPr xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"/>`);
+    zip.addFile('ppt/viewProps.xml', `${XML_DECLARATION}<p:viewPr xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:gridSpacing cx="76200" cy="76200"/></p:viewPr>`);
+    zip.addFile('ppt/tableStyles.xml', `${XML_DECLARATION}<a:tblStyleLst xmlns:a="${NS_A}" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>`);
+
+    zip.addFile('ppt/theme/theme1.xml', this.generateTheme());
+    zip.addFile('ppt/slideMasters/slideMaster1.xml', this.generateSlideMaster());
+    zip.addFile('ppt/slideMasters/_rels/slideMaster1.xml.rels', this.generateRelationships([
+      { type: `${NS_R}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' },
+      { type: `${NS_R}/theme`, target: '../theme/theme1.xml' }
+    ]));
+    zip.addFile('ppt/slideLayouts/slideLayout1.xml', this.generateSlideLayout());
+    zip.addFile('ppt/slideLayouts/_rels/slideLayout1.xml.rels', this.generateRelationships([
+      { type: `${NS_R}/slideMaster`, target: '../slideMasters/slideMaster1.xml' }
+    ]));
+
+    slideParts.forEach(({ context }, index) => {
+      zip.addFile(`ppt/slides/slide${index + 1}.xml`, this.generateSlideXml(context.shapes));
+      zip.addFile(`ppt/slides/_rels/slide${index + 1}.xml.rels`, this.generateRelationships([
+        { type: `${NS_R}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' },
+        ...context.charts.map(chart => ({ type: `${NS_R}/chart`, target: `../charts/chart${chart.number}.xml` }))
+      ]));
+    });
+
+    charts.forEach(({ chart, number }) => {
+      zip.addFile(`ppt/charts/chart${number}.xml`, this.generateChartXml(chart));
+      zip.addFile(`ppt/charts/_rels/chart${number}.xml.rels`, this.generateRelationships([
+        { type: `${NS_R}/package`, target: `../embeddings/Microsoft_Excel_Worksheet${number}.xlsx` }
+      ]));
+      zip.addFile(`ppt/embeddings/Microsoft_Excel_Worksheet${number}.xlsx`, this.generateChartWorkbook(chart));
+    });
+
+    return zip.toBuffer();
+  }
+
+  /**
+   * Slide content
+   */
+
+  generateSlideShapes(model, context) {
+    this.layout.layout(model).forEach(item => {
+      if (item.kind === 'table') {
+        this.addTable(item, context);
+      } else if (item.kind === 'chart') {
+        this.addChart(item.chart, item.box, context);
+      } else {
+        this.addShape(context, item);
+      }
+    });
+  }
+
+  /**
+   * Native table with the column widths, row height and font size from the layout
+   */
+  addTable({ table, box, columnWidths, rowHeight, fontSize }, context) {
+    const allRows = table.headers.length > 0 ? [table.headers, ...table.rows] : table.rows;
+    const columnCount = columnWidths.length;
+
+    const cellXml = (text, isHeader, rowIndex) => {
+      const fill = isHeader ? COLORS.navy : rowIndex % 2 === 0 ? COLORS.lightGray : COLORS.white;
+      const run = text === ''
+        ? `<a:endParaRPr lang="en-US" sz="${fontSize * 100}" dirty="0"/>`
+        : `${this.runXml({ text, size: fontSize, bold: isHeader, color: isHeader ? COLORS.white : COLORS.darkGray })}`;
+      return `<a:tc><a:txBody><a:bodyPr/><a:lstStyle/><a:p>${run}</a:p></a:txBody>` +
+        `<a:tcPr marL="45720" marR="45720" marT="18288" marB="18288" anchor="ctr">` +
+        `<a:lnB w="6350"><a:solidFill><a:srgbClr val="${COLORS.border}"/></a:solidFill></a:lnB>` +
+        `<a:solidFill><a:srgbClr val="${fill}"/></a:solidFill></a:tcPr></a:tc>`;
+    };
+
+    const rowsXml = allRows.map((row, rowIndex) => {
+      const isHeader = table.headers.length > 0 && rowIndex === 0;
+      const cells = Array.from({ length: columnCount }, (_, column) => cellXml(row[column] || '', isHeader, rowIndex));
+      return `<a:tr h="${emu(rowHeight)}">${cells.join('')}</a:tr>`;
+    }).join('');
+
+    const id = context.nextShapeId++;
+    context.shapes.push(
+      `<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="${id}" name="Table ${id}"/>` +
+      '<p:cNvGraphicFramePr><a:graphicFrameLocks noGrp="1"/></p:cNvGraphicFramePr><p:nvPr/></p:nvGraphicFramePr>' +
+      `${this.transformXml(box, 'p')}` +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table">' +
+      `<a:tbl><a:tblPr firstRow="${table.headers.length > 0 ? 1 : 0}" bandRow="1"/>` +
+      `<a:tblGrid>${columnWidths.map(width => `<a:gridCol w="${emu(width)}"/>`).join('')}</a:tblGrid>${rowsXml}</a:tbl>` +
+      '</a:graphicData></a:graphic></p:graphicFrame>'
+    );
+  }
+
+  addChart(chart, box, context) {
+    const id = context.nextShapeId++;
+    const relationshipId = `rId${context.charts.length + 2}`;
+    context.charts.push({ chart });
+    context.shapes.push(
+      `<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="${id}" name="Chart ${id}"/><p:cNvGraphicFramePr/><p:nvPr/></p:nvGraphicFramePr>` +
+      `${this.transformXml(box, 'p')}` +
+      `<a:graphic><a:graphicData uri="${NS_C}"><c:chart xmlns:c="${NS_C}" xmlns:r="${NS_R}" r:id="${relationshipId}"/></a:graphicData></a:graphic>` +
+      '</p:graphicFrame>'
+    );
+  }
+
+  /**
+   * Shape XML
+   */
+
+  addShape(context, shape) {
+    const id = context.nextShapeId++;
+    const { box } = shape;
+    const nonVisual = shape.placeholder
+      ? `<p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="${shape.placeholder}"/></p:nvPr>`
+      : `<p:cNvSpPr${shape.paragraphs && !shape.fill ? ' txBox="1"' : ''}/><p:nvPr/>`;
+    const fill = shape.fill ? `<a:solidFill><a:srgbClr val="${shape.fill}"/></a:solidFill>` : '<a:noFill/>';
+    const line = shape.line ? `<a:ln w="9525"><a:solidFill><a:srgbClr val="${shape.line}"/></a:solidFill></a:ln>` : '<a:ln><a:noFill/></a:ln>';
+
+    let textBody = '';
+    if (shape.paragraphs) {
+      let autofit = shape.autofit ? '<a:normAutofit/>' : '';
+      if (shape.fontScale !== undefined && shape.fontScale < 1) {
+        const scale = Math.max(25000, Math.floor((shape.fontScale * 100000) / 2500) * 2500);
+        autofit = `<a:normAutofit fontScale="${scale}"/>`;
+      }
+      textBody = `<p:txBody><a:bodyPr wrap="square" lIns="91440" tIns="45720" rIns="91440" bIns="45720" anchor="${shape.anchor || 't'}" rtlCol="0">${autofit}</a:bodyPr>` +
+        `<a:lstStyle/>${shape.paragraphs.map(paragraph => this.paragraphXml(paragraph)).join('')}</p:txBody>`;
+    }
+
+    context.shapes.push(
+      `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${escapeXml(shape.name)} ${id}"/>${nonVisual}</p:nvSpPr>` +
+      `<p:spPr>${this.transformXml(box, 'a', shape.rotation)}<a:prstGeom prst="${shape.geometry || 'rect'}"><a:avLst/></a:prstGeom>${fill}${line}</p:spPr>` +
+      `${textBody}</p:sp>`
+    );
+  }
+
+  transformXml(box, prefix, rotation = 0) {
+    const rotationAttr = rotation ? ` rot="${rotation * 60000}"` : '';
+    return `<${prefix}:xfrm${rotationAttr}><a:off x="${emu(box.x)}" y="${emu(box.y)}"/><a:ext cx="${emu(box.w)}" cy="${emu(box.h)}"/></${prefix}:xfrm>`;
+  }
+
+  paragraphXml(paragraph) {
+    const align = paragraph.align ? ` algn="${paragraph.align}"` : '';
+    const indent = paragraph.bullet ? ' marL="228600" indent="-228600"' : '';
+    const spacing = paragraph.spaceBefore ? `<a:spcBef><a:spcPts val="${paragraph.spaceBefore * 100}"/></a:spcBef>` : '';
+    const bullet = paragraph.bullet ? '<a:buFont typeface="Arial"/><a:buChar char="•"/>' : '<a:buNone/>';
+    const size = paragraph.runs.length > 0 ? paragraph.runs[0].size : FONT.body;
+    return `<a:p><a:pPr${indent}${align}>${spacing}${bullet}</a:pPr>${paragraph.runs.map(run => this.runXml(run)).join('')}` +
+      `<a:endParaRPr lang="en-US" sz="${size * 100}" dirty="0"/></a:p>`;
+  }
+
+  runXml(run) {
+    const attributes = [
+      'lang="en-US"',
+      `sz="${Math.round(run.size * 100)}"`,
+      run.bold ? 'b="1"' : '',
+      run.italic ? 'i="1"' : '',
+      'dirty="0"'
+    ].filter(Boolean).join(' ');
+    return `<a:r><a:rPr ${attributes}><a:solidFill><a:srgbClr val="${run.color || COLORS.darkGray}"/></a:solidFill>` +
+      `<a:latin typeface="Arial"/><a:cs typeface="Arial"/></a:rPr><a:t>${escapeXml(run.text)}</a:t></a:r>`;
+  }
+
+  generateSlideXml(shapes) {
+    return `${XML_DECLARATION}<p:sld xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:cSld><p:spTree>` +
+      '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+      '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>' +
+      `${shapes.join('')}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>`;
+  }
+
+  /**
+   * Native charts
+   */
+
+  generateChartXml(chart) {
+    const seriesXml = chart.series.map((series, index) => this.generateSeriesXml(chart, series, index)).join('');
+    const numberFormat = escapeXml(chart.numberFormat || 'General');
+    const title = chart.title
+      ? `<c:title><c:tx><c:rich><a:bodyPr/><a:lstStyle/><a:p><a:pPr><a:defRPr sz="1200" b="1"/></a:pPr>` +
+        `<a:r><a:rPr lang="en-US" sz="1200" b="1"><a:solidFill><a:srgbClr val="${COLORS.navy}"/></a:solidFill></a:rPr><a:t>${escapeXml(chart.title)}</a:t></a:r>` +
+        '</a:p></c:rich></c:tx><c:overlay val="0"/></c:title><c:autoTitleDeleted val="0"/>'
+      : '<c:autoTitleDeleted val="1"/>';
+
+    let plot;
+    if (chart.type === 'pie') {
+      plot = `<c:pieChart><c:varyColors val="1"/>${seriesXml}<c:firstSliceAng val="0"/></c:pieChart>`;
+    } else if (chart.type === 'line') {
+      plot = `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${seriesXml}<c:marker val="1"/>` +
+        '<c:axId val="1001"/><c:axId val="1002"/></c:lineChart>' +
+        this.generateAxesXml({ categoryPosition: 'b', valuePosition: 'l', reversed: false, numberFormat });
+    } else {
+      const horizontal = chart.type === 'bar';
+      plot = `<c:barChart><c:barDir val="${horizontal ? 'bar' : 'col'}"/><c:grouping val="clustered"/><c:varyColors val="0"/>${seriesXml}` +
+        '<c:gapWidth val="60"/><c:axId val="1001"/><c:axId val="1002"/></c:barChart>' +
+        this.generateAxesXml({
+          categoryPosition: horizontal ? 'l' : 'b',
+          valuePosition: horizontal ? 'b' : 'l',
+          reversed: horizontal,
+          numberFormat
+        });
+    }
+
+    const legend = chart.type === 'pie' || chart.series.length > 1
+      ? `<c:legend><c:legendPos val="${chart.type === 'pie' ? 'r' : 'b'}"/><c:overlay val="0"/></c:legend>`
+      : '';
+
+    return `${XML_DECLARATION}<c:chartSpace xmlns:c="${NS_C}" xmlns:a="${NS_A}" xmlns:r="${NS_R}">` +
+      '<c:date1904 val="0"/><c:roundedCorners val="0"/>' +
+      `<c:chart>${title}<c:plotArea><c:layout/>${plot}</c:plotArea>${legend}<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart>` +
+      '<c:txPr><a:bodyPr/><a:lstStyle/><a:p><a:pPr><a:defRPr sz="1000"/></a:pPr><a:endParaRPr lang="en-US"/></a:p></c:txPr>' +
+      '<c:externalData r:id="rId1"><c:autoUpdate val="0"/></c:externalData></c:chartSpace>';
+  }
+
+  generateSeriesXml(chart, series, index) {
+    const column = XlsxWriter.columnName(index + 1);
+    const lastRow = chart.categories.length + 1;
+    const categoriesXml = chart.categories.map((category, point) =>
+      `<c:pt idx="${point}"><c:v>${escapeXml(category)}</c:v></c:pt>`
+    ).join('');
+    const valuesXml = series.values.map((value, point) =>
+      typeof value === 'number' && Number.isFinite(value) ? `<c:pt idx="${point}"><c:v>${value}</c:v></c:pt>` : ''
+    ).join('');
+
+    const color = SERIES_COLORS[index % SERIES_COLORS.length];
+    let style = '';
+    if (chart.type === 'line') {
+      const dash = index > 0 ? '<a:prstDash val="dash"/>' : '';
+      style = `<c:spPr><a:ln w="${index > 0 ? 19050 : 28575}"><a:solidFill><a:srgbClr val="${color}"/></a:solidFill>${dash}</a:ln></c:spPr>` +
+        (index > 0 ? '<c:marker><c:symbol val="none"/></c:marker>' : '<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>');
+    } else if (chart.type === 'pie') {
+      style = chart.categories.map((_, point) =>
+        `<c:dPt><c:idx val="${point}"/><c:bubble3D val="0"/><c:spPr><a:solidFill><a:srgbClr val="${PIE_COLORS[point % PIE_COLORS.length]}"/></a:solidFill></c:spPr></c:dPt>`
+      ).join('');
+    } else {
+      style = `<c:spPr><a:solidFill><a:srgbClr val="${color}"/></a:solidFill></c:spPr><c:invertIfNegative val="0"/>`;
+    }
+
+    const labels = chart.type === 'line' ? '' :
+      `<c:dLbls><c:numFmt formatCode="${escapeXml(chart.numberFormat || 'General')}" sourceLinked="0"/><c:spPr><a:noFill/><a:ln><a:noFill/></a:ln></c:spPr>` +
+      `<c:showLegendKey val="0"/><c:showVal val="${chart.type === 'pie' ? 0 : 1}"/><c:showCatName val="0"/><c:showSerName val="0"/>` +
+      `<c:showPercent val="${chart.type === 'pie' ? 1 : 0}"/><c:showBubbleSize val="0"/></c:dLbls>`;
+
+    return `<c:ser><c:idx val="${index}"/><c:order val="${index}"/>` +
+      `<c:tx><c:strRef><c:f>Sheet1!$${column}$1</c:f><c:strCache><c:ptCount val="1"/><c:pt idx="0"><c:v>${escapeXml(series.name)}</c:v></c:pt></c:strCache></c:strRef></c:tx>` +
+      `${style}${labels}` +
+      `<c:cat><c:strRef><c:f>Sheet1!$A$2:$A$${lastRow}</c:f><c:strCache><c:ptCount val="${chart.categories.length}"/>${categoriesXml}</c:strCache></c:strRef></c:cat>` +
+      `<c:val><c:numRef><c:f>Sheet1!$${column}$2:$${column}$${lastRow}</c:f><c:numCache><c:formatCode>General</c:formatCode>` +
+      `<c:ptCount val="${chart.categories.length}"/>${valuesXml}</c:numCache></c:numRef></c:val>` +
+      `${chart.type === 'line' ? '<c:smooth val="0"/>' : ''}</c:ser>`;
+  }
+
+  generateAxesXml({ categoryPosition, valuePosition, reversed, numberFormat }) {
+    const common = '<c:majorTickMark val="none"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/>';
+    return '<c:catAx><c:axId val="1001"/>' +
+      `<c:scaling><c:orientation val="${reversed ? 'maxMin' : 'minMax'}"/></c:scaling><c:delete val="0"/>` +
+      `<c:axPos val="${categoryPosition}"/><c:numFmt formatCode="General" sourceLinked="0"/>${common}` +
+      '<c:crossAx val="1002"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>' +
+      '<c:valAx><c:axId val="1002"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+      `<c:axPos val="${valuePosition}"/><c:majorGridlines><c:spPr><a:ln w="6350"><a:solidFill><a:srgbClr val="${COLORS.border}"/></a:solidFill></a:ln></c:spPr></c:majorGridlines>` +
+      `<c:numFmt formatCode="${numberFormat}" sourceLinked="0"/>${common}` +
+      `<c:crossAx val="1001"/><c:crosses val="${reversed ? 'max' : 'autoZero'}"/><c:crossBetween val="between"/></c:valAx>`;
+  }
+
+  /**
+   * Workbook behind a chart: categories in column A, one column per series
+   */
+  generateChartWorkbook(chart) {
+    const rows = [
+      ['', ...chart.series.map(series => series.name)],
+      ...chart.categories.map((category, point) => [category, ...chart.series.map(series => series.values[point])])
+    ];
+    return new XlsxWriter().addSheet('Sheet1', rows).toBuffer();
+  }
+
+  /**
+   * Package parts
+   */
+
+  generateContentTypes(slideCount, chartCount) {
+    const overrides = [
+      ['/ppt/presentation.xml', `${CT_PRESENTATION}.presentation.main+xml`],
+      ['/ppt/presProps.xml', `${CT_PRESENTATION}.presProps+xml`],
+      ['/ppt/viewProps.xml', `${CT_PRESENTATION}.viewProps+xml`],
+      ['/ppt/tableStyles.xml', `${CT_PRESENTATION}.tableStyles+xml`],
+      ['/ppt/theme/theme1.xml', 'application/vnd.openxmlformats-officedocument.theme+xml'],
+      ['/ppt/slideMasters/slideMaster1.xml', `${CT_PRESENTATION}.slideMaster+xml`],
+      ['/ppt/slideLayouts/slideLayout1.xml', `${CT_PRESENTATION}.slideLayout+xml`],
+      ['/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml'],
+      ['/docProps/app.xml', 'application/vnd.openxmlformats-officedocument.extended-properties+xml'],
+      ...Array.from({ length: slideCount }, (_, index) => [`/ppt/slides/slide${index + 1}.xml`, `${CT_PRESENTATION}.slide+xml`]),
+      ...Array.from({ length: chartCount }, (_, index) => [`/ppt/charts/chart${index + 1}.xml`, 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml'])
+    ];
+
+    return `${XML_DECLARATION}<Types xmlns="${NS_CONTENT_TYPES}">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Default Extension="xlsx" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"/>' +
+      `${overrides.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('')}</Types>`;
+  }
+
+  generateRelationships(relationships) {
+    return `${XML_DECLARATION}<Relationships xmlns="${NS_PKG_REL}">` +
+      relationships.map((relationship, index) =>
+        `<Relationship Id="rId${index + 1}" Type="${relationship.type}" Target="${relationship.target}"/>`
+      ).join('') +
+      '</Relationships>';
+  }
+
+  generateCoreProperties() {
+    return `${XML_DECLARATION}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+      'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+      'xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+      `<dc:title>${escapeXml(this.options.title)}</dc:title><dc:creator>${escapeXml(this.options.author)}</dc:creator></cp:coreProperties>`;
+  }
+
+  generateAppProperties(slideCount) {
+    return `${XML_DECLARATION}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">` +
+      `<Application>${escapeXml(this.options.author)}</Application><Slides>${slideCount}</Slides></Properties>`;
+  }
+
+  generatePresentation(slideCount) {
+    // Relationship ids follow the order in generate(): master, theme, then the slides
+    const slideIds = Array.from({ length: slideCount }, (_, index) =>
+      `<p:sldId id="${256 + index}" r:id="rId${index + 3}"/>`
+    ).join('');
+
+    return `${XML_DECLARATION}<p:presentation xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}" saveSubsetFonts="1">` +
+      '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+      `<p:sldIdLst>${slideIds}</p:sldIdLst>` +
+      `<p:sldSz cx="${emu(SLIDE.width)}" cy="${emu(SLIDE.height)}"/><p:notesSz cx="6858000" cy="9144000"/></p:presentation>`;
+  }
+
+  generateSlideMaster() {
+    const titleStyle = `<a:lvl1pPr algn="l"><a:defRPr sz="${FONT.title * 100}" b="1"><a:solidFill><a:srgbClr val="${COLORS.navy}"/></a:solidFill>` +
+      '<a:latin typeface="+mj-lt"/><a:cs typeface="+mj-cs"/></a:defRPr></a:lvl1pPr>';
+    const textStyle = size => `<a:lvl1pPr><a:defRPr sz="${size * 100}"><a:solidFill><a:srgbClr val="${COLORS.darkGray}"/></a:solidFill>` +
+      '<a:latin typeface="+mn-lt"/><a:cs typeface="+mn-cs"/></a:defRPr></a:lvl1pPr>';
+
+    return `${XML_DECLARATION}<p:sldMaster xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}">` +
+      '<p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>' +
+      '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+      '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>' +
+      this.generateTitlePlaceholder() +
+      '</p:spTree></p:cSld>' +
+      '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" ' +
+      'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>' +
+      '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>' +
+      `<p:txStyles><p:titleStyle>${titleStyle}</p:titleStyle><p:bodyStyle>${textStyle(FONT.body)}</p:bodyStyle>` +
+      `<p:otherStyle>${textStyle(FONT.body)}</p:otherStyle></p:txStyles></p:sldMaster>`;
+  }
+
+  generateSlideLayout() {
+    return `${XML_DECLARATION}<p:sldLayout xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}" type="titleOnly" preserve="1">` +
+      '<p:cSld name="Title Only"><p:spTree>' +
+      '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+      '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>' +
+      this.generateTitlePlaceholder() +
+      '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>';
+  }
+
+  generateTitlePlaceholder() {
+    return '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Title 1"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr>' +
+      `<p:spPr>${this.transformXml({ x: MARGIN, y: 0.3, w: SLIDE.width - 2 * MARGIN - 1, h: 0.8 }, 'a')}</p:spPr>` +
+      '<p:txBody><a:bodyPr anchor="b"><a:normAutofit/></a:bodyPr><a:lstStyle/><a:p><a:endParaRPr lang="en-US"/></a:p></p:txBody></p:sp>';
+  }
+
+  generateTheme() {
+    const color = (name, value) => `<a:${name}><a:srgbClr val="${value}"/></a:${name}>`;
+    const fill = '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>';
+    const line = width => `<a:ln w="${width}"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>`;
+    const font = '<a:latin typeface="Arial"/><a:ea typeface=""/><a:cs typeface=""/>';
+
+    return `${XML_DECLARATION}<a:theme xmlns:a="${NS_A}" name="Trade Intelligence"><a:themeElements>` +
+      '<a:clrScheme name="BCG">' +
+      '<a:dk1><a:srgbClr val="000000"/></a:dk1><a:lt1><a:srgbClr val="FFFFFF"/></a:lt1>' +
+      color('dk2', COLORS.navy) + color('lt2', COLORS.lightGray) +
+      color('accent1', '003366') + color('accent2', '0066CC') + color('accent3', 'FF6B35') +
+      color('accent4', '4D9DE0') + color('accent5', 'E15241') + color('accent6', '7E909A') +
+      color('hlink', '0066CC') + color('folHlink', '6F42C1') +
+      '</a:clrScheme>' +
+      `<a:fontScheme name="Arial"><a:majorFont>${font}</a:majorFont><a:minorFont>${font}</a:minorFont></a:fontScheme>` +
+      '<a:fmtScheme name="Flat">' +
+      `<a:fillStyleLst>${fill}${fill}${fill}</a:fillStyleLst>` +
+      `<a:lnStyleLst>${line(6350)}${line(12700)}${line(19050)}</a:lnStyleLst>` +
+      '<a:effectStyleLst><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle></a:effectStyleLst>' +
+      `<a:bgFillStyleLst>${fill}${fill}${fill}</a:bgFillStyleLst>` +
+      '</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>';
+  }
+}
+
+module.exports = PptxExporter;
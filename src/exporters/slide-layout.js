@@ -0,0 +1,335 @@
+/**
+ * Slide Layout - Positions Slide Content on a 16:9 Page
+ *
+ * Shared by the PPTX and PDF exporters so both formats place content the same way.
+ * Takes a slide model from the SlideParser and returns positioned items (inches from
+ * the top-left corner):
+ *
+ *   { kind: 'shape', name, box, paragraphs, fill, line, geometry, anchor, fontScale, ... }
+ *   { kind: 'table', box, table, columnWidths, fontSize }
+ *   { kind: 'chart', box, chart }
+ *
+ * Content blocks stack top to bottom and `two-column` content is split side by side.
+ * KPI rows keep their height, other blocks shrink to fit (text through `fontScale`)
+ * and spare height goes to charts.
+ */
+
+// 16:9 slide, in inches (12192000 x 6858000 EMU)
+const SLIDE = { width: 13 + 1 / 3, height: 7.5 };
+const MARGIN = 0.5;
+const GAP = 0.15;
+const CONTENT_TOP = 1.3;
+const FOOTER_TOP = 7.0;
+
+// Font sizes in points
+const FONT = { title: 24, heading: 13, body: 12, kpiValue: 20, small: 10, footer: 9, table: 10 };
+
+// Natural heights in inches for blocks that do not depend on their text
+const KPI_ROW_HEIGHT = 1.1;
+const TABLE_ROW_HEIGHT = 0.3;
+const CHART_HEIGHT = 3.2;
+const KPI_CARDS_PER_ROW = 4;
+
+// BCG palette (hex without '#')
+const COLORS = {
+  navy: '003366',
+  blue: '0066CC',
+  orange: 'FF6B35',
+  lightBlue: 'E6F0FF',
+  lightGray: 'F5F5F5',
+  border: 'DDDDDD',
+  darkGray: '333333',
+  mediumGray: '666666',
+  white: 'FFFFFF',
+  up: '28A745',
+  down: 'E15241'
+};
+const SERIES_COLORS = ['0066CC', '7E909A', '7E909A'];
+const PIE_COLORS = ['003366', '0066CC', 'FF6B35', '4D9DE0', 'E15241', '7E909A', '28A745', 'FFC107', '6F42C1', 'FD7E14'];
+
+class SlideLayout {
+  /**
+   * Positioned items for one slide model, in drawing order
+   */
+  layout(model) {
+    const items = [];
+    if (model.isTitleSlide) {
+      this.layoutTitleSlide(model, items);
+      return items;
+    }
+
+    if (model.watermark) {
+      items.push(this.shape({
+        name: 'Watermark',
+        box: { x: 2.2, y: 2.6, w: 9, h: 2 },
+        rotation: 330,
+        anchor: 'ctr',
+        paragraphs: [{ align: 'ctr', runs: [{ text: model.watermark, size: 60, bold: true, color: COLORS.border }] }]
+      }));
+    }
+
+    items.push(this.shape({
+      name: 'Title',
+      placeholder: 'title',
+      box: { x: MARGIN, y: 0.3, w: SLIDE.width - 2 * MARGIN - 1, h: 0.8 },
+      anchor: 'b',
+      paragraphs: [{ runs: [{ text: model.title, size: FONT.title, bold: true, color: COLORS.navy }] }]
+    }));
+    if (model.logo) {
+      items.push(this.shape({
+        name: 'Logo',
+        box: { x: SLIDE.width - MARGIN - 1, y: 0.3, w: 1, h: 0.8 },
+        anchor: 'b',
+        paragraphs: [{ align: 'r', runs: [{ text: model.logo, size: 16, bold: true, color: COLORS.navy }] }]
+      }));
+    }
+    items.push(this.shape({
+      name: 'Title Rule',
+      box: { x: MARGIN, y: 1.12, w: SLIDE.width - 2 * MARGIN, h: 0.03 },
+      fill: COLORS.navy
+    }));
+
+    const contentBottom = model.footnote ? 6.45 : 6.85;
+    this.layoutStack(model.blocks, {
+      x: MARGIN,
+      y: CONTENT_TOP,
+      w: SLIDE.width - 2 * MARGIN,
+      h: contentBottom - CONTENT_TOP
+    }, items);
+
+    if (model.footnote) {
+      items.push(this.shape({
+        name: 'Footnote',
+        box: { x: MARGIN, y: 6.5, w: SLIDE.width - 2 * MARGIN, h: 0.45 },
+        autofit: true,
+        paragraphs: [{ runs: [{ text: model.footnote, size: FONT.footer, italic: true, color: COLORS.mediumGray }] }]
+      }));
+    }
+
+    const [footerLeft, footerRight] = model.footer;
+    if (footerLeft || footerRight) {
+      items.push(this.shape({
+        name: 'Footer',
+        box: { x: MARGIN, y: FOOTER_TOP, w: SLIDE.width - 2 * MARGIN - 3, h: 0.35 },
+        paragraphs: [{ runs: [{ text: footerLeft || '', size: FONT.footer, color: COLORS.mediumGray }] }]
+      }));
+      items.push(this.shape({
+        name: 'Footer Right',
+        box: { x: SLIDE.width - MARGIN - 3, y: FOOTER_TOP, w: 3, h: 0.35 },
+        paragraphs: [{ align: 'r', runs: [{ text: footerRight || '', size: FONT.footer, color: COLORS.mediumGray }] }]
+      }));
+    }
+
+    return items;
+  }
+
+  layoutTitleSlide(model, items) {
+    items.push(this.shape({
+      name: 'Background',
+      box: { x: 0, y: 0, w: SLIDE.width, h: SLIDE.height },
+      fill: COLORS.navy
+    }));
+    items.push(this.shape({
+      name: 'Title',
+      placeholder: 'title',
+      box: { x: 1, y: 2.2, w: SLIDE.width - 2, h: 1.4 },
+      anchor: 'b',
+      paragraphs: [{ align: 'ctr', runs: [{ text: model.title, size: 40, bold: true, color: COLORS.white }] }]
+    }));
+
+    const lines = [
+      model.subtitle && { text: model.subtitle, size: 20, color: COLORS.white },
+      model.date && { text: model.date, size: 14, color: COLORS.lightBlue }
+    ].filter(Boolean);
+    if (lines.length > 0) {
+      items.push(this.shape({
+        name: 'Subtitle',
+        box: { x: 1, y: 3.8, w: SLIDE.width - 2, h: 1.4 },
+        paragraphs: lines.map(run => ({ align: 'ctr', spaceBefore: 6, runs: [run] }))
+      }));
+    }
+  }
+
+  /**
+   * Stack blocks top to bottom in a box
+   */
+  layoutStack(blocks, box, items) {
+    if (blocks.length === 0) {
+      return;
+    }
+
+    const available = box.h - GAP * (blocks.length - 1);
+    const natural = blocks.map(block => this.naturalHeight(block, box.w));
+    const isFixed = blocks.map(block => block.kind === 'kpis');
+    const fixedHeight = natural.reduce((sum, height, index) => sum + (isFixed[index] ? height : 0), 0);
+    const flexibleHeight = natural.reduce((sum, height, index) => sum + (isFixed[index] ? 0 : height), 0);
+
+    let heights;
+    if (fixedHeight + flexibleHeight > available) {
+      const scale = Math.max(available - fixedHeight, 0.5) / Math.max(flexibleHeight, 0.01);
+      heights = natural.map((height, index) => isFixed[index] ? height : height * scale);
+    } else {
+      const growable = blocks.map(block => this.containsChart(block));
+      const growCount = growable.filter(Boolean).length;
+      const extra = available - fixedHeight - flexibleHeight;
+      heights = natural.map((height, index) => growable[index] ? height + extra / growCount : height);
+    }
+
+    let y = box.y;
+    blocks.forEach((block, index) => {
+      this.layoutBlock(block, { x: box.x, y, w: box.w, h: heights[index] }, natural[index], items);
+      y += heights[index] + GAP;
+    });
+  }
+
+  layoutBlock(block, box, naturalHeight, items) {
+    switch (block.kind) {
+      case 'text':
+        items.push(this.layoutText(block, box, naturalHeight));
+        break;
+      case 'kpis':
+        items.push(...this.layoutKPICards(block.cards, box));
+        break;
+      case 'table':
+        if (block.headers.length > 0 || block.rows.length > 0) {
+          items.push(this.layoutTable(block, box));
+        }
+        break;
+      case 'chart':
+        items.push({ kind: 'chart', box, chart: block.chart });
+        break;
+      case 'columns': {
+        const count = block.columns.length;
+        const width = (box.w - GAP * 2 * (count - 1)) / count;
+        block.columns.forEach((column, index) => {
+          this.layoutStack(column, { x: box.x + index * (width + GAP * 2), y: box.y, w: width, h: box.h }, items);
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown slide block: ${block.kind}`);
+    }
+  }
+
+  /**
+   * Height in inches a block needs at full size in a given width
+   */
+  naturalHeight(block, width) {
+    switch (block.kind) {
+      case 'text':
+        return 0.1 + block.paragraphs.reduce((sum, paragraph) => {
+          const size = paragraph.style === 'heading' ? FONT.heading : FONT.body;
+          const indent = paragraph.style === 'bullet' ? 0.25 : 0;
+          const charsPerLine = Math.max(10, Math.floor(((width - 0.2 - indent) * 72) / (size * 0.5)));
+          const length = paragraph.runs.reduce((total, run) => total + run.text.length, 0);
+          const lines = Math.max(1, Math.ceil(length / charsPerLine));
+          return sum + (lines * size * 1.2) / 72 + (paragraph.style === 'heading' ? 0.08 : 0.04);
+        }, 0);
+      case 'kpis':
+        return Math.ceil(block.cards.length / KPI_CARDS_PER_ROW) * (KPI_ROW_HEIGHT + GAP) - GAP;
+      case 'table':
+        return (block.rows.length + (block.headers.length > 0 ? 1 : 0)) * TABLE_ROW_HEIGHT;
+      case 'chart':
+        return CHART_HEIGHT;
+      case 'columns': {
+        const columnWidth = (width - GAP * 2 * (block.columns.length - 1)) / block.columns.length;
+        return Math.max(...block.columns.map(column =>
+          column.reduce((sum, child) => sum + this.naturalHeight(child, columnWidth) + GAP, -GAP)
+        ), 0);
+      }
+      default:
+        return 0;
+    }
+  }
+
+  containsChart(block) {
+    return block.kind === 'chart' || (block.kind === 'columns' && block.columns.some(column => column.some(child => this.containsChart(child))));
+  }
+
+  layoutText(block, box, naturalHeight) {
+    const paragraphs = block.paragraphs.map(paragraph => {
+      const heading = paragraph.style === 'heading';
+      return {
+        bullet: paragraph.style === 'bullet',
+        spaceBefore: heading ? 6 : 3,
+        link: paragraph.link,
+        runs: paragraph.runs.map(run => ({
+          text: run.text,
+          bold: heading || run.bold,
+          size: heading ? FONT.heading : FONT.body,
+          color: heading ? COLORS.navy : COLORS.darkGray
+        }))
+      };
+    });
+
+    return this.shape({
+      name: 'Text',
+      box,
+      fontScale: Math.min(1, box.h / naturalHeight),
+      paragraphs
+    });
+  }
+
+  layoutKPICards(cards, box) {
+    const rows = Math.ceil(cards.length / KPI_CARDS_PER_ROW);
+    const perRow = Math.min(cards.length, KPI_CARDS_PER_ROW);
+    const width = (box.w - GAP * (perRow - 1)) / perRow;
+    const height = (box.h - GAP * (rows - 1)) / rows;
+    const trendColors = { 'trend-up': COLORS.up, 'trend-down': COLORS.down };
+
+    return cards.map((card, index) => this.shape({
+      name: 'KPI Card',
+      geometry: 'roundRect',
+      box: {
+        x: box.x + (index % KPI_CARDS_PER_ROW) * (width + GAP),
+        y: box.y + Math.floor(index / KPI_CARDS_PER_ROW) * (height + GAP),
+        w: width,
+        h: height
+      },
+      fill: COLORS.lightGray,
+      line: COLORS.border,
+      anchor: 'ctr',
+      fontScale: Math.min(1, height / KPI_ROW_HEIGHT),
+      paragraphs: [
+        { align: 'ctr', runs: [{ text: card.title, size: FONT.small, color: COLORS.mediumGray }] },
+        { align: 'ctr', runs: [{ text: card.value, size: FONT.kpiValue, bold: true, color: COLORS.navy }] },
+        { align: 'ctr', runs: [{ text: card.trend, size: FONT.small, color: trendColors[card.trendClass] || COLORS.mediumGray }] }
+      ]
+    }));
+  }
+
+  /**
+   * Column widths follow the longest cell; row height and font size follow the box
+   */
+  layoutTable(table, box) {
+    const allRows = table.headers.length > 0 ? [table.headers, ...table.rows] : table.rows;
+    const columnCount = Math.max(...allRows.map(row => row.length));
+    const weights = Array.from({ length: columnCount }, (_, column) =>
+      Math.min(40, Math.max(4, ...allRows.map(row => (row[column] || '').length))) + 2
+    );
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const rowHeight = box.h / allRows.length;
+
+    return {
+      kind: 'table',
+      box,
+      table,
+      columnWidths: weights.map(weight => (box.w * weight) / totalWeight),
+      rowHeight,
+      fontSize: Math.max(7, Math.min(FONT.table, Math.floor(rowHeight * 72 * 0.5)))
+    };
+  }
+
+  shape(properties) {
+    return { kind: 'shape', ...properties };
+  }
+}
+
+SlideLayout.SLIDE = SLIDE;
+SlideLayout.MARGIN = MARGIN;
+SlideLayout.COLORS = COLORS;
+SlideLayout.FONT = FONT;
+SlideLayout.SERIES_COLORS = SERIES_COLORS;
+SlideLayout.PIE_COLORS = PIE_COLORS;
+
+module.exports = SlideLayout;
@@ -0,0 +1,330 @@
+/**
+ * Slide Parser - Structured Content from Generated Slide HTML
+ *
+ * Sections produce each slide as HTML through the TemplateEngine and ChartGenerator.
+ * Exporters to other formats need the content, not the markup: this module reads a
+ * slide's HTML back into a structured model:
+ *
+ *   {
+ *     id, type, title, isTitleSlide, subtitle, date, logo, watermark, footnote, footer,
+ *     blocks: [
+ *       { kind: 'text', paragraphs: [{ style: 'heading' | 'body' | 'bullet', runs: [{ text, bold }], link }] },
+ *       { kind: 'kpis', cards: [{ title, value, trend, trendClass }] },
+ *       { kind: 'table', headers: [...], rows: [[...]] },
+ *       { kind: 'chart', chart: { type, title, categories, series: [{ name, values }], numberFormat } },
+ *       { kind: 'columns', columns: [[blocks], [blocks]] }
+ *     ]
+ *   }
+ *
+ * Charts are read from the `data-chart` attribute the ChartGenerator writes on each
+ * chart container; their SVG or CSS drawing is skipped. A `data-slide` attribute
+ * (table of contents entries) becomes the paragraph's `link` to that slide number.
+ */
+
+// Tags without a closing tag
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'rect', 'line', 'circle', 'path', 'polygon', 'polyline']);
+
+// Tags whose content is never slide text
+const SKIPPED_TAGS = new Set(['svg', 'style', 'script', 'button']);
+
+// Tags that stay inside a paragraph
+const INLINE_TAGS = new Set(['strong', 'b', 'em', 'i', 'span', 'a', 'small', 'br', 'sup', 'sub', 'code']);
+
+// Classes rendered as paragraph headings
+const HEADING_CLASSES = ['summary-title', 'chart-title', 'toc-section-title', 'uses-title'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+class SlideParser {
+  /**
+   * Parse a generated slide ({ id, type, title, html }) into the structured model
+   */
+  parse(slide) {
+    const root = this.parseHTML(slide.html);
+    const slideNode = this.find(root, node => this.hasClass(node, 'slide')) || root;
+    const textOfClass = className => {
+      const node = this.find(slideNode, candidate => this.hasClass(candidate, className));
+      return node ? this.textOf(node) || null : null;
+    };
+
+    const content = this.find(slideNode, node => this.hasClass(node, 'slide-content'));
+    const footer = this.find(slideNode, node => this.hasClass(node, 'slide-footer'));
+
+    return {
+      id: slide.id,
+      type: slide.type,
+      title: textOfClass('slide-title') || slide.title,
+      isTitleSlide: this.hasClass(slideNode, 'title-slide'),
+      subtitle: textOfClass('subtitle'),
+      date: textOfClass('date'),
+      logo: textOfClass('slide-logo'),
+      watermark: textOfClass('slide-watermark'),
+      footnote: textOfClass('slide-footnote'),
+      footer: footer ? this.elements(footer).map(node => this.textOf(node)).filter(Boolean) : [],
+      blocks: content ? this.parseBlocks(content.children) : []
+    };
+  }
+
+  /**
+   * Build a node tree ({ tag, attrs, children } or { text }) from HTML
+   */
+  parseHTML(html) {
+    const root = { tag: 'root', attrs: {}, children: [] };
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      const [token, closingTag, openingTag, attributeText] = match;
+      const parent = stack[stack.length - 1];
+
+      if (token.startsWith('<!--')) {
+        continue;
+      }
+
+      if (closingTag) {
+        const tag = closingTag.toLowerCase();
+        const index = stack.map(node => node.tag).lastIndexOf(tag);
+        if (index > 0) {
+          stack.length = index;
+        }
+      } else if (openingTag) {
+        const node = {
+          tag: openingTag.toLowerCase(),
+          attrs: this.parseAttributes(attributeText || ''),
+          children: []
+        };
+        parent.children.push(node);
+        if (!VOID_TAGS.has(node.tag) && !/\/\s*$/.test(attributeText || '')) {
+          stack.push(node);
+        }
+      } else {
+        parent.children.push({ text: this.decodeEntities(token) });
+      }
+    }
+
+    return root;
+  }
+
+  parseAttributes(text) {
+    const attrs = {};
+    const pattern = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      attrs[match[1].toLowerCase()] = value === undefined ? '' : this.decodeEntities(value);
+    }
+    return attrs;
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+      }
+      const decoded = ENTITIES[code.toLowerCase()];
+      return decoded !== undefined ? decoded : entity;
+    });
+  }
+
+  /**
+   * Turn content nodes into blocks, merging consecutive paragraphs into one text block
+   */
+  parseBlocks(nodes, blocks = []) {
+    nodes.forEach(node => this.parseNode(node, blocks));
+    return blocks;
+  }
+
+  parseNode(node, blocks) {
+    if (node.text !== undefined) {
+      const text = this.collapseWhitespace(node.text);
+      if (text) {
+        this.addParagraph(blocks, 'body', [{ text, bold: false }]);
+      }
+      return;
+    }
+
+    if (SKIPPED_TAGS.has(node.tag)) {
+      return;
+    }
+
+    if (node.attrs['data-chart']) {
+      blocks.push({ kind: 'chart', chart: JSON.parse(node.attrs['data-chart']) });
+    } else if (this.hasClass(node, 'kpi-container')) {
+      blocks.push({ kind: 'kpis', cards: this.parseKPICards(node) });
+    } else if (node.tag === 'table') {
+      blocks.push(this.parseTable(node));
+    } else if (this.hasClass(node, 'two-column') || this.hasClass(node, 'toc-container')) {
+      const columns = this.elements(node).map(child => this.parseBlocks([child]));
+      blocks.push({ kind: 'columns', columns });
+    } else if (HEADING_CLASSES.some(className => this.hasClass(node, className))) {
+      this.addParagraph(blocks, 'heading', this.runsOf(node), this.linkOf(node));
+    } else if (node.tag === 'li') {
+      this.addParagraph(blocks, 'bullet', this.runsOf(node), this.linkOf(node));
+    } else if (node.tag === 'p' || this.isInlineOnly(node)) {
+      this.addParagraph(blocks, 'body', this.runsOf(node), this.linkOf(node));
+    } else {
+      this.parseBlocks(node.children, blocks);
+    }
+  }
+
+  addParagraph(blocks, style, runs, link = null) {
+    if (runs.length === 0) {
+      return;
+    }
+
+    const paragraph = link ? { style, runs, link } : { style, runs };
+    const last = blocks[blocks.length - 1];
+    if (last && last.kind === 'text') {
+      last.paragraphs.push(paragraph);
+    } else {
+      blocks.push({ kind: 'text', paragraphs: [paragraph] });
+    }
+  }
+
+  linkOf(node) {
+    const slideId = Number(node.attrs['data-slide']);
+    return Number.isInteger(slideId) && slideId > 0 ? slideId : null;
+  }
+
+  parseKPICards(container) {
+    const cards = [];
+    this.walk(container, node => {
+      if (!this.hasClass(node, 'kpi-card')) {
+        return true;
+      }
+      const part = className => {
+        const child = this.find(node, candidate => this.hasClass(candidate, className));
+        return child ? this.textOf(child) : '';
+      };
+      const trendNode = this.find(node, candidate => this.hasClass(candidate, 'kpi-trend'));
+      const trendClass = trendNode ? (trendNode.attrs.class.split(/\s+/).find(name => name.startsWith('trend-')) || '') : '';
+      cards.push({ title: part('kpi-title'), value: part('kpi-value'), trend: part('kpi-trend'), trendClass });
+      return false;
+    });
+    return cards;
+  }
+
+  parseTable(table) {
+    const headers = [];
+    const rows = [];
+    this.walk(table, node => {
+      if (node.tag !== 'tr') {
+        return true;
+      }
+      const cells = this.elements(node).filter(cell => cell.tag === 'td' || cell.tag === 'th');
+      if (cells.length > 0 && cells.every(cell => cell.tag === 'th') && headers.length === 0 && rows.length === 0) {
+        headers.push(...cells.map(cell => this.textOf(cell)));
+      } else if (cells.length > 0) {
+        rows.push(cells.map(cell => this.textOf(cell)));
+      }
+      return false;
+    });
+    return { kind: 'table', headers, rows };
+  }
+
+  /**
+   * Text runs of an inline element; <strong>, <b> and property names are bold
+   */
+  runsOf(node) {
+    const runs = [];
+    const collect = (current, bold) => {
+      if (current.text !== undefined) {
+        const text = current.text.replace(/\s+/g, ' ');
+        const last = runs[runs.length - 1];
+        if (last && last.bold === bold) {
+          last.text += text;
+        } else if (text) {
+          runs.push({ text, bold });
+        }
+        return;
+      }
+      if (SKIPPED_TAGS.has(current.tag)) {
+        return;
+      }
+      if (current.tag === 'br') {
+        collect({ text: ' ' }, bold);
+        return;
+      }
+      const isBold = bold || current.tag === 'strong' || current.tag === 'b' || this.hasClass(current, 'property-name');
+      current.children.forEach(child => collect(child, isBold));
+      if (this.hasClass(current, 'property-name')) {
+        collect({ text: ' ' }, isBold);
+      }
+    };
+    collect(node, false);
+
+    // Trim the paragraph edges and collapse spaces across run boundaries
+    const trimmed = runs.map(run => ({ ...run }));
+    trimmed.forEach((run, index) => {
+      if (index > 0 && trimmed[index - 1].text.endsWith(' ')) {
+        run.text = run.text.replace(/^ +/, '');
+      }
+    });
+    if (trimmed.length > 0) {
+      trimmed[0].text = trimmed[0].text.replace(/^ +/, '');
+      trimmed[trimmed.length - 1].text = trimmed[trimmed.length - 1].text.replace(/ +$/, '');
+    }
+    return trimmed.filter(run => run.text);
+  }
+
+  /**
+   * Helper methods
+   */
+
+  isInlineOnly(node) {
+    return node.children.every(child =>
+      child.text !== undefined || (INLINE_TAGS.has(child.tag) && this.isInlineOnly(child))
+    ) && this.textOf(node) !== '';
+  }
+
+  textOf(node) {
+    if (node.text !== undefined) {
+      return this.collapseWhitespace(node.text);
+    }
+    if (SKIPPED_TAGS.has(node.tag)) {
+      return '';
+    }
+    return this.collapseWhitespace(node.children.map(child => child.tag === 'br' ? ' ' : ` ${this.textOf(child)} `).join(''))
+      .replace(/ ([,.;:%)])/g, '$1');
+  }
+
+  collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  hasClass(node, className) {
+    return Boolean(node.attrs && node.attrs.class && node.attrs.class.split(/\s+/).includes(className));
+  }
+
+  elements(node) {
+    return node.children.filter(child => child.tag !== undefined);
+  }
+
+  /**
+   * Depth-first walk; the visitor returns false to skip a node's children
+   */
+  walk(node, visit) {
+    this.elements(node).forEach(child => {
+      if (visit(child) !== false) {
+        this.walk(child, visit);
+      }
+    });
+  }
+
+  find(node, predicate) {
+    for (const child of this.elements(node)) {
+      if (predicate(child)) {
+        return child;
+      }
+      const found = this.find(child, predicate);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = SlideParser;
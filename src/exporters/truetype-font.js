@@ -0,0 +1,241 @@
+/**
+ * TrueType Font - Metrics and Glyph Lookup for Embedded PDF Fonts
+ *
+ * Reads the tables of a .ttf file the PDF exporter needs to embed the font and
+ * lay text out with its real widths:
+ * - head / hhea / OS/2 / post: units per em, bounding box, ascent, descent, cap height, italic angle
+ * - hmtx: advance width of every glyph
+ * - cmap: character to glyph mapping (formats 4 and 12)
+ * - name: PostScript name
+ */
+
+const fs = require('fs-extra');
+
+class TrueTypeFont {
+  /**
+   * Load and parse a font file
+   */
+  static load(fontPath) {
+    return new TrueTypeFont(fs.readFileSync(fontPath));
+  }
+
+  constructor(data) {
+    this.data = data;
+    this.tables = this.readTableDirectory();
+
+    ['head', 'hhea', 'hmtx', 'maxp', 'cmap'].forEach(tag => {
+      if (!this.tables[tag]) {
+        throw new Error(`Font is missing the required "${tag}" table`);
+      }
+    });
+
+    this.parseHead();
+    this.parseHorizontalMetrics();
+    this.parseOS2();
+    this.parsePost();
+    this.postScriptName = this.parseName(6) || 'EmbeddedFont';
+    this.glyphs = this.parseCmap();
+  }
+
+  readTableDirectory() {
+    const version = this.data.readUInt32BE(0);
+    if (version !== 0x00010000 && version !== 0x74727565) {
+      throw new Error('Not a TrueType font (only glyf-outline .ttf files can be embedded)');
+    }
+
+    const tables = {};
+    const tableCount = this.data.readUInt16BE(4);
+    for (let index = 0; index < tableCount; index++) {
+      const entry = 12 + index * 16;
+      const tag = this.data.toString('latin1', entry, entry + 4);
+      tables[tag] = { offset: this.data.readUInt32BE(entry + 8), length: this.data.readUInt32BE(entry + 12) };
+    }
+    return tables;
+  }
+
+  parseHead() {
+    const { offset } = this.tables.head;
+    this.unitsPerEm = this.data.readUInt16BE(offset + 18);
+    this.bbox = [
+      this.data.readInt16BE(offset + 36),
+      this.data.readInt16BE(offset + 38),
+      this.data.readInt16BE(offset + 40),
+      this.data.readInt16BE(offset + 42)
+    ];
+  }
+
+  parseHorizontalMetrics() {
+    const hhea = this.tables.hhea.offset;
+    this.ascent = this.data.readInt16BE(hhea + 4);
+    this.descent = this.data.readInt16BE(hhea + 6);
+    this.lineGap = this.data.readInt16BE(hhea + 8);
+    const metricCount = this.data.readUInt16BE(hhea + 34);
+    const glyphCount = this.data.readUInt16BE(this.tables.maxp.offset + 4);
+
+    // Glyphs past the last long metric share its advance width
+    const hmtx = this.tables.hmtx.offset;
+    this.advanceWidths = new Uint16Array(glyphCount);
+    for (let glyph = 0; glyph < glyphCount; glyph++) {
+      this.advanceWidths[glyph] = this.data.readUInt16BE(hmtx + Math.min(glyph, metricCount - 1) * 4);
+    }
+  }
+
+  parseOS2() {
+    this.capHeight = this.ascent;
+    this.weightClass = 400;
+    const table = this.tables['OS/2'];
+    if (!table) {
+      return;
+    }
+    const version = this.data.readUInt16BE(table.offset);
+    this.weightClass = this.data.readUInt16BE(table.offset + 4);
+    if (version >= 2 && table.length >= 90) {
+      this.capHeight = this.data.readInt16BE(table.offset + 88);
+    }
+  }
+
+  parsePost() {
+    this.italicAngle = 0;
+    this.isFixedPitch = false;
+    const table = this.tables.post;
+    if (table) {
+      this.italicAngle = this.data.readInt32BE(table.offset + 4) / 65536;
+      this.isFixedPitch = this.data.readUInt32BE(table.offset + 12) !== 0;
+    }
+  }
+
+  /**
+   * A string from the name table (Windows Unicode or Macintosh Roman records)
+   */
+  parseName(nameId) {
+    const table = this.tables.name;
+    if (!table) {
+      return null;
+    }
+    const count = this.data.readUInt16BE(table.offset + 2);
+    const stringsOffset = table.offset + this.data.readUInt16BE(table.offset + 4);
+    for (let index = 0; index < count; index++) {
+      const record = table.offset + 6 + index * 12;
+      const platform = this.data.readUInt16BE(record);
+      if (this.data.readUInt16BE(record + 6) !== nameId || (platform !== 1 && platform !== 3)) {
+        continue;
+      }
+      const start = stringsOffset + this.data.readUInt16BE(record + 10);
+      const bytes = this.data.subarray(start, start + this.data.readUInt16BE(record + 8));
+      return platform === 3 ? Buffer.from(bytes).swap16().toString('utf16le') : bytes.toString('latin1');
+    }
+    return null;
+  }
+
+  /**
+   * Code point → glyph id map from the best Unicode cmap subtable
+   */
+  parseCmap() {
+    const cmap = this.tables.cmap.offset;
+    const count = this.data.readUInt16BE(cmap + 2);
+    const subtables = [];
+    for (let index = 0; index < count; index++) {
+      const record = cmap + 4 + index * 8;
+      const platform = this.data.readUInt16BE(record);
+      const encoding = this.data.readUInt16BE(record + 2);
+      const offset = cmap + this.data.readUInt32BE(record + 4);
+      const format = this.data.readUInt16BE(offset);
+      const isUnicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+      if (isUnicode && (format === 4 || format === 12)) {
+        subtables.push({ format, offset });
+      }
+    }
+
+    const subtable = subtables.find(candidate => candidate.format === 12) || subtables[0];
+    if (!subtable) {
+      throw new Error('Font has no Unicode character map');
+    }
+    return subtable.format === 12 ? this.parseCmapFormat12(subtable.offset) : this.parseCmapFormat4(subtable.offset);
+  }
+
+  parseCmapFormat4(offset) {
+    const glyphs = new Map();
+    const segmentCount = this.data.readUInt16BE(offset + 6) / 2;
+    const endCodes = offset + 14;
+    const startCodes = endCodes + segmentCount * 2 + 2;
+    const deltas = startCodes + segmentCount * 2;
+    const rangeOffsets = deltas + segmentCount * 2;
+
+    for (let segment = 0; segment < segmentCount; segment++) {
+      const end = this.data.readUInt16BE(endCodes + segment * 2);
+      const start = this.data.readUInt16BE(startCodes + segment * 2);
+      const delta = this.data.readInt16BE(deltas + segment * 2);
+      const rangeOffsetPosition = rangeOffsets + segment * 2;
+      const rangeOffset = this.data.readUInt16BE(rangeOffsetPosition);
+
+      for (let code = start; code <= end && code !== 0xFFFF; code++) {
+        let glyph;
+        if (rangeOffset === 0) {
+          glyph = (code + delta) & 0xFFFF;
+        } else {
+          glyph = this.data.readUInt16BE(rangeOffsetPosition + rangeOffset + (code - start) * 2);
+          if (glyph !== 0) {
+            glyph = (glyph + delta) & 0xFFFF;
+          }
+        }
+        if (glyph !== 0) {
+          glyphs.set(code, glyph);
+        }
+      }
+    }
+    return glyphs;
+  }
+
+  parseCmapFormat12(offset) {
+    const glyphs = new Map();
+    const groupCount = this.data.readUInt32BE(offset + 12);
+    for (let group = 0; group < groupCount; group++) {
+      const record = offset + 16 + group * 12;
+      const start = this.data.readUInt32BE(record);
+      const end = this.data.readUInt32BE(record + 4);
+      const firstGlyph = this.data.readUInt32BE(record + 8);
+      for (let code = start; code <= end; code++) {
+        glyphs.set(code, firstGlyph + code - start);
+      }
+    }
+    return glyphs;
+  }
+
+  /**
+   * Glyph id for a character (0, the .notdef box, when the font lacks it)
+   */
+  glyphId(character) {
+    return this.glyphs.get(character.codePointAt(0)) || 0;
+  }
+
+  hasGlyph(character) {
+    return this.glyphs.has(character.codePointAt(0));
+  }
+
+  /**
+   * Advance width of a glyph in thousandths of an em (PDF glyph space)
+   */
+  glyphWidth(glyph) {
+    return Math.round((this.advanceWidths[glyph] || 0) * 1000 / this.unitsPerEm);
+  }
+
+  /**
+   * Width of a string in points at a font size
+   */
+  measure(text, size) {
+    let width = 0;
+    for (const character of text) {
+      width += this.advanceWidths[this.glyphId(character)] || 0;
+    }
+    return (width * size) / this.unitsPerEm;
+  }
+
+  /**
+   * Scale font units to PDF glyph space (thousandths of an em)
+   */
+  scale(value) {
+    return Math.round((value * 1000) / this.unitsPerEm);
+  }
+}
+
+module.exports = TrueTypeFont;
@@ -0,0 +1,291 @@
+/**
+ * XLSX Exporter - The Numbers Behind the Slides
+ *
+ * Writes an Excel workbook with the data shown in the deck, for analysts who want
+ * to work with the figures rather than the slides:
+ * - One worksheet per deck section with every table (TemplateEngine.generateTable)
+ *   and the series behind every chart (ChartGenerator), each with the slide IDs
+ *   it appears on; a dataset shown on several slides is written once
+ * - A Shipment Ledger worksheet with every shipment record and the slide it is on
+ *
+ * Slides are read back by the SlideParser, so tables arrive as display strings.
+ * Currency amounts, percentages and grouped numbers are turned back into numeric
+ * cells with a matching Excel number format; chart series are numeric already.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const SlideParser = require('./slide-parser');
+const XlsxWriter = require('./xlsx-writer');
+
+// Leading zeros mark codes (HS codes, postcodes) rather than amounts
+const PLAIN_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+const GROUPED_NUMBER = /^-?\d{1,3}(,\d{3})+(\.\d+)?$/;
+const PERCENTAGE = /^(-?\d+(?:\.(\d+))?)%$/;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class XlsxExporter {
+  constructor(options = {}) {
+    this.options = {
+      title: 'Trade Intelligence Report',
+      // Reporting currency (ISO code) of the currency strings on the slides
+      currency: 'USD',
+      // Deck sections ({ key: { label, range, slides } }); one sheet per deck when absent
+      sections: null,
+      // Shipment records for the ledger sheet, and the unit of records without one
+      records: [],
+      unit: null,
+      ...options
+    };
+    this.parser = new SlideParser();
+
+    const symbol = new Intl.NumberFormat('en-US', { style: 'currency', currency: this.options.currency })
+      .formatToParts(0)
+      .filter(part => part.type === 'currency' || part.type === 'literal')
+      .map(part => part.value)
+      .join('');
+    this.currencyPattern = new RegExp(`^(-)?${escapeRegExp(symbol)}(\\d{1,3}(?:,\\d{3})*(?:\\.\\d+)?)$`);
+    this.currencyFormat = `"${symbol}"#,##0`;
+  }
+
+  /**
+   * Write the slides ({ id, type, title, html }) to a .xlsx file
+   */
+  async export(slides, outputPath) {
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, this.generate(slides));
+    return outputPath;
+  }
+
+  /**
+   * Build the workbook bytes
+   */
+  generate(slides) {
+    if (slides.length === 0) {
+      throw new Error('Cannot export a workbook without slides');
+    }
+
+    const workbook = new XlsxWriter();
+    this.groupSlides(slides).forEach(group => {
+      workbook.addSheet(group.label, this.generateSectionRows(group), { columnWidths: true });
+    });
+    workbook.addSheet('Shipment Ledger', this.generateLedgerRows(), { columnWidths: true });
+
+    return workbook.toBuffer();
+  }
+
+  /**
+   * Slides grouped by deck section, in deck order
+   */
+  groupSlides(slides) {
+    const sections = Object.values(this.options.sections || {});
+    if (sections.length === 0) {
+      return [{ label: this.options.title, range: [slides[0].id, slides[slides.length - 1].id], slides }];
+    }
+
+    return sections
+      .map(section => ({
+        label: section.label,
+        range: section.range,
+        recordSlides: new Set(section.slides.filter(slideDef => slideDef.recordStart).map(slideDef => slideDef.id)),
+        slides: slides.filter(slide => slide.id >= section.range[0] && slide.id <= section.range[1])
+      }))
+      .filter(group => group.slides.length > 0);
+  }
+
+  /**
+   * Rows for one section sheet: a header, then each dataset with its slide IDs
+   */
+  generateSectionRows(group) {
+    const rows = [
+      [{ value: group.label, bold: true }],
+      [`Slides ${group.range[0]}-${group.range[1]}`]
+    ];
+
+    // Record tables are truncated for the slide; the ledger holds them in full
+    if (group.recordSlides && group.recordSlides.size > 0) {
+      rows.push([`Shipment records (slides ${this.formatSlideIds([...group.recordSlides])}): see the Shipment Ledger sheet`]);
+    }
+
+    this.collectDatasets(group).forEach(dataset => {
+      rows.push(
+        [],
+        [{ value: dataset.title, bold: true }],
+        [`Slides: ${this.formatSlideIds(dataset.slideIds)}`],
+        dataset.headers.map(header => ({ value: header, bold: true })),
+        ...dataset.rows
+      );
+    });
+
+    return rows;
+  }
+
+  /**
+   * Table and chart datasets of a section, merging repeats across slides
+   */
+  collectDatasets(group) {
+    const datasets = new Map();
+    const add = (dataset, slideId) => {
+      const key = JSON.stringify([dataset.title, dataset.headers, dataset.rows]);
+      if (!datasets.has(key)) {
+        datasets.set(key, { ...dataset, slideIds: [] });
+      }
+      datasets.get(key).slideIds.push(slideId);
+    };
+
+    group.slides
+      .filter(slide => !(group.recordSlides && group.recordSlides.has(slide.id)))
+      .forEach(slide => {
+        const model = this.parser.parse(slide);
+        this.findDatasets(model.blocks, model.title).forEach(dataset => add(dataset, slide.id));
+      });
+
+    return [...datasets.values()];
+  }
+
+  /**
+   * Datasets in a block list; a table is named after the heading above it
+   */
+  findDatasets(blocks, slideTitle) {
+    const datasets = [];
+    let heading = null;
+
+    blocks.forEach(block => {
+      if (block.kind === 'text') {
+        const headings = block.paragraphs.filter(paragraph => paragraph.style === 'heading');
+        if (headings.length > 0) {
+          heading = headings[headings.length - 1].runs.map(run => run.text).join('').trim() || heading;
+        }
+      } else if (block.kind === 'table' && block.rows.length > 0) {
+        datasets.push(this.tableDataset(block, heading || slideTitle));
+      } else if (block.kind === 'chart') {
+        datasets.push(this.chartDataset(block.chart, slideTitle));
+      } else if (block.kind === 'columns') {
+        block.columns.forEach(column => datasets.push(...this.findDatasets(column, heading || slideTitle)));
+      }
+    });
+
+    return datasets;
+  }
+
+  tableDataset(table, title) {
+    return {
+      title,
+      headers: table.headers,
+      rows: table.rows.map(row => row.map(text => this.parseCell(text)))
+    };
+  }
+
+  chartDataset(chart, slideTitle) {
+    const format = chart.numberFormat && chart.numberFormat !== 'General' ? chart.numberFormat : null;
+    return {
+      title: chart.title || slideTitle,
+      headers: ['Category', ...chart.series.map(series => series.name)],
+      rows: chart.categories.map((category, index) => [
+        category,
+        ...chart.series.map(series => ({ value: series.values[index] ?? null, format }))
+      ])
+    };
+  }
+
+  /**
+   * Turn a display string back into a numeric cell where it is a plain amount
+   */
+  parseCell(text) {
+    const value = String(text ?? '').trim();
+
+    const currency = value.match(this.currencyPattern);
+    if (currency) {
+      const amount = Number(currency[2].replace(/,/g, ''));
+      const decimals = currency[2].includes('.') ? currency[2].split('.')[1].length : 0;
+      return { value: currency[1] ? -amount : amount, format: decimals > 0 ? `${this.currencyFormat}.${'0'.repeat(decimals)}` : this.currencyFormat };
+    }
+
+    const percentage = value.match(PERCENTAGE);
+    if (percentage) {
+      const decimals = percentage[2] ? percentage[2].length : 0;
+      return {
+        value: Number((Number(percentage[1]) / 100).toFixed(decimals + 2)),
+        format: decimals > 0 ? `0.${'0'.repeat(decimals)}%` : '0%'
+      };
+    }
+
+    if (GROUPED_NUMBER.test(value)) {
+      return { value: Number(value.replace(/,/g, '')), format: value.includes('.') ? '#,##0.00' : '#,##0' };
+    }
+    if (PLAIN_NUMBER.test(value)) {
+      return Number(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Every shipment record with numeric quantities and amounts
+   */
+  generateLedgerRows() {
+    const { currency, records, unit } = this.options;
+    const headers = [
+      'Record', 'Slide', 'Date', 'Supplier', 'Supplier Country', 'Buyer', 'Buyer Country',
+      'Quantity', 'Unit', `Unit Price (${currency})`, `Value (${currency})`, 'HS Code',
+      'Port of Loading', 'Port of Discharge', 'Original Quantity', 'Original Unit', 'Unit Note'
+    ];
+    const recordSlides = Object.values(this.options.sections || {})
+      .flatMap(section => section.slides)
+      .filter(slideDef => slideDef.recordStart);
+    const quantityCell = quantity => ({ value: quantity, format: Number.isInteger(quantity) ? '#,##0' : '#,##0.00' });
+
+    const rows = records.map((record, index) => {
+      const position = index + 1;
+      const slideDef = recordSlides.find(candidate => position >= candidate.recordStart && position <= candidate.recordEnd);
+      return [
+        record.id ?? position,
+        slideDef ? slideDef.id : null,
+        record.date,
+        record.supplier,
+        record.supplierCountry,
+        record.buyer,
+        record.buyerCountry,
+        quantityCell(record.quantity),
+        record.unit || unit,
+        { value: record.rawUnitPrice ?? null, format: `${this.currencyFormat}.00####` },
+        { value: record.rawValue, format: this.currencyFormat },
+        String(record.hsCode ?? ''),
+        record.portOfLoading,
+        record.portOfDischarge,
+        quantityCell(record.originalQuantity ?? record.quantity),
+        record.originalUnit || record.unit || unit,
+        record.unitFlag || null
+      ];
+    });
+
+    return [
+      [{ value: 'Shipment Ledger', bold: true }],
+      [`${records.length} shipment records; Slide is the slide each record appears on`],
+      [],
+      headers.map(header => ({ value: header, bold: true })),
+      ...rows
+    ];
+  }
+
+  /**
+   * Slide IDs as a compact list, e.g. "9-11, 14"
+   */
+  formatSlideIds(ids) {
+    const sorted = [...new Set(ids)].sort((a, b) => a - b);
+    const ranges = [];
+    sorted.forEach(id => {
+      const last = ranges[ranges.length - 1];
+      if (last && id === last[1] + 1) {
+        last[1] = id;
+      } else {
+        ranges.push([id, id]);
+      }
+    });
+    return ranges.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`).join(', ');
+  }
+}
+
+module.exports = XlsxExporter;
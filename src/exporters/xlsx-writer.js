@@ -0,0 +1,175 @@
+/**
+ * XLSX Writer - Minimal SpreadsheetML Workbooks
+ *
+ * Builds .xlsx workbooks from rows of strings and numbers. The PPTX exporter embeds
+ * one behind every native chart, so "Edit Data" in PowerPoint opens the chart's
+ * numbers in Excel, and the XLSX exporter writes the data behind the whole deck.
+ * Strings are written inline, so no shared string table is needed; a style part is
+ * only added when cells ask for a number format or bold text.
+ */
+
+const ZipWriter = require('./zip-writer');
+const { XML_DECLARATION, escapeXml } = require('./xml-utils');
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Custom number formats are numbered from 164; lower ids are built in
+const FIRST_CUSTOM_FORMAT_ID = 164;
+
+class XlsxWriter {
+  constructor() {
+    this.sheets = [];
+    this.styles = [];
+  }
+
+  /**
+   * Spreadsheet column letters for a zero-based index (0 → A, 26 → AA)
+   */
+  static columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+      const remainder = (n - 1) % 26;
+      name = String.fromCharCode(65 + remainder) + name;
+      n = Math.floor((n - 1) / 26);
+    }
+    return name;
+  }
+
+  /**
+   * Add a worksheet; `rows` is an array of arrays of cells. A cell is a string, a
+   * number, null, or `{ value, format, bold }` for a number format or bold text.
+   * With `columnWidths` set, columns are sized to their longest text.
+   */
+  addSheet(name, rows, options = {}) {
+    const sheetName = String(name).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || `Sheet${this.sheets.length + 1}`;
+    if (this.sheets.some(sheet => sheet.name.toLowerCase() === sheetName.toLowerCase())) {
+      throw new Error(`Duplicate worksheet name: ${sheetName}`);
+    }
+    this.sheets.push({ name: sheetName, rows, columnWidths: Boolean(options.columnWidths) });
+    return this;
+  }
+
+  generateSheetXml(rows, columnWidths = false) {
+    const rowsXml = rows.map((row, rowIndex) => {
+      const cells = row.map((cell, columnIndex) => {
+        const ref = `${XlsxWriter.columnName(columnIndex)}${rowIndex + 1}`;
+        const { value, format, bold } = cell !== null && typeof cell === 'object' ? cell : { value: cell };
+        if (value === null || value === undefined || value === '') {
+          return '';
+        }
+        const style = format || bold ? ` s="${this.styleIndex(format, bold)}"` : '';
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          return `<c r="${ref}"${style}><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+      }).join('');
+      return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return `${XML_DECLARATION}<worksheet xmlns="${NS_MAIN}">${columnWidths ? this.generateColumnsXml(rows) : ''}<sheetData>${rowsXml}</sheetData></worksheet>`;
+  }
+
+  /**
+   * Column widths in characters from the longest value in each column
+   */
+  generateColumnsXml(rows) {
+    const widths = [];
+    rows.forEach(row => row.forEach((cell, columnIndex) => {
+      const value = cell !== null && typeof cell === 'object' ? cell.value : cell;
+      const length = value === null || value === undefined ? 0 : String(typeof value === 'number' ? value.toLocaleString('en-US') : value).length;
+      widths[columnIndex] = Math.max(widths[columnIndex] || 8, Math.min(60, length + 2));
+    }));
+    if (widths.length === 0) {
+      return '';
+    }
+    return `<cols>${Array.from(widths, (width, index) =>
+      `<col min="${index + 1}" max="${index + 1}" width="${width || 8}" customWidth="1"/>`
+    ).join('')}</cols>`;
+  }
+
+  /**
+   * Index of the cell format for a number format and weight; 0 is the default
+   */
+  styleIndex(format = null, bold = false) {
+    const key = `${format || ''}|${bold ? 1 : 0}`;
+    let index = this.styles.findIndex(style => style.key === key);
+    if (index === -1) {
+      this.styles.push({ key, format, bold });
+      index = this.styles.length - 1;
+    }
+    return index + 1;
+  }
+
+  generateStylesXml() {
+    const formats = [...new Set(this.styles.map(style => style.format).filter(Boolean))];
+    const formatId = format => format ? FIRST_CUSTOM_FORMAT_ID + formats.indexOf(format) : 0;
+    const numFmts = formats.length > 0
+      ? `<numFmts count="${formats.length}">${formats.map(format =>
+        `<numFmt numFmtId="${formatId(format)}" formatCode="${escapeXml(format)}"/>`).join('')}</numFmts>`
+      : '';
+    const xfs = this.styles.map(style =>
+      `<xf numFmtId="${formatId(style.format)}" fontId="${style.bold ? 1 : 0}" fillId="0" borderId="0" xfId="0"` +
+      `${style.format ? ' applyNumberFormat="1"' : ''}${style.bold ? ' applyFont="1"' : ''}/>`
+    ).join('');
+
+    return `${XML_DECLARATION}<styleSheet xmlns="${NS_MAIN}">${numFmts}` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      `<cellXfs count="${this.styles.length + 1}"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>${xfs}</cellXfs>` +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>';
+  }
+
+  /**
+   * Package the workbook as .xlsx bytes
+   */
+  toBuffer() {
+    if (this.sheets.length === 0) {
+      throw new Error('Cannot write a workbook without sheets');
+    }
+
+    // Sheets first: writing them registers the styles they use
+    const sheetsXml = this.sheets.map(sheet => this.generateSheetXml(sheet.rows, sheet.columnWidths));
+    const hasStyles = this.styles.length > 0;
+
+    const zip = new ZipWriter();
+    const sheetOverrides = this.sheets.map((_, index) =>
+      `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+    const stylesOverride = hasStyles
+      ? '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      : '';
+
+    zip.addFile('[Content_Types].xml', `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheetOverrides}${stylesOverride}</Types>`);
+
+    zip.addFile('_rels/.rels', `${XML_DECLARATION}<Relationships xmlns="${NS_PKG_REL}"><Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`);
+
+    const sheetEntries = this.sheets.map((sheet, index) =>
+      `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    ).join('');
+    zip.addFile('xl/workbook.xml', `${XML_DECLARATION}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>${sheetEntries}</sheets></workbook>`);
+
+    const sheetRels = this.sheets.map((_, index) =>
+      `<Relationship Id="rId${index + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('');
+    const stylesRel = hasStyles
+      ? `<Relationship Id="rId${this.sheets.length + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>`
+      : '';
+    zip.addFile('xl/_rels/workbook.xml.rels', `${XML_DECLARATION}<Relationships xmlns="${NS_PKG_REL}">${sheetRels}${stylesRel}</Relationships>`);
+
+    sheetsXml.forEach((sheetXml, index) => {
+      zip.addFile(`xl/worksheets/sheet${index + 1}.xml`, sheetXml);
+    });
+    if (hasStyles) {
+      zip.addFile('xl/styles.xml', this.generateStylesXml());
+    }
+
+    return zip.toBuffer();
+  }
+}
+
+module.exports = XlsxWriter;
@@ -0,0 +1,19 @@
+/**
+ * XML Utilities - Shared Helpers for the Office Open XML Exporters
+ */
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Escape text for XML content and attribute values (drops characters XML 1.0 forbids)
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+module.exports = { XML_DECLARATION, escapeXml };
@@ -0,0 +1,116 @@
+/**
+ * Zip Writer - Minimal ZIP Archive Builder
+ *
+ * Office Open XML files (.pptx, .xlsx) are ZIP packages of XML parts. This module
+ * writes such packages with Node's zlib only, so exports need no extra dependency.
+ * Entries are deflated and stamped with a fixed date, so the same content always
+ * produces the same bytes (a seeded deck exports to an identical file).
+ */
+
+const zlib = require('zlib');
+
+// 1980-01-01 00:00 in MS-DOS format, the earliest date a ZIP entry can carry
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * CRC-32 checksum of a buffer, as stored in ZIP headers
+   */
+  static crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Add a file; strings are written as UTF-8
+   */
+  addFile(name, content) {
+    if (this.entries.some(entry => entry.name === name)) {
+      throw new Error(`Duplicate ZIP entry: ${name}`);
+    }
+
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    this.entries.push({
+      name,
+      data,
+      compressed: zlib.deflateRawSync(data),
+      crc: ZipWriter.crc32(data)
+    });
+    return this;
+  }
+
+  /**
+   * Assemble the archive: local file entries, central directory, end record
+   */
+  toBuffer() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    this.entries.forEach(entry => {
+      const name = Buffer.from(entry.name, 'utf8');
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(UTF8_FLAG, 6);
+      local.writeUInt16LE(8, 8);
+      local.writeUInt16LE(DOS_TIME, 10);
+      local.writeUInt16LE(DOS_DATE, 12);
+      local.writeUInt32LE(entry.crc, 14);
+      local.writeUInt32LE(entry.compressed.length, 18);
+      local.writeUInt32LE(entry.data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(UTF8_FLAG, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt16LE(DOS_TIME, 12);
+      central.writeUInt16LE(DOS_DATE, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.compressed.length, 20);
+      central.writeUInt32LE(entry.data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, name, entry.compressed);
+      centralParts.push(central, name);
+      offset += local.length + name.length + entry.compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+}
+
+module.exports = ZipWriter;
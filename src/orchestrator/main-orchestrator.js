@@ -2,13 +2,17 @@
  * BCG-Level 300-Slide Presentation Generator
  * Main Orchestrator - 0% Deviation from Structure
  * 
- * This orchestrator ensures exact compliance with the 300-slide structure:
+ * This orchestrator builds the deck from a declarative deck spec (see src/decks)
+ * and validates the generated slides against the spec's own expected count.
+ * The default 'full' spec produces the complete structure:
  * - Slides 1-8: Foundation
  * - Slides 9-23: Importing Countries Analysis
  * - Slides 24-39: Exporting Countries Analysis
  * - Slides 40-62: Supplier & Buyer Intelligence
- * - Slide 63: Pricing Analysis
- * - Slides 67-300: Shipment Records
+ * - Slides 63-67: Pricing Analysis (including the unit price forecast)
+ * - Slides 68-70: Market Trends (value, volume and unit price over time)
+ * - Slides 71-304: Shipment Records
+ * - Slides 305-306: Appendix (methodology & data sources, data quality)
  */
 
 const fs = require('fs-extra');
@@ -20,187 +24,228 @@ const ImportingCountriesSection = require('../sections/importing-countries-secti
 const ExportingCountriesSection = require('../sections/exporting-countries-section');
 const SupplierBuyerSection = require('../sections/supplier-buyer-section');
 const PricingSection = require('../sections/pricing-section');
+const TrendsSection = require('../sections/trends-section');
 const ShipmentRecordsSection = require('../sections/shipment-records-section');
+const AppendixSection = require('../sections/appendix-section');
 
 // Import shared utilities
 const DataProcessor = require('../shared/data-processor');
 const TemplateEngine = require('../shared/template-engine');
 const ChartGenerator = require('../shared/chart-generator');
+const InsightEngine = require('../shared/insight-engine');
+const SeededRandom = require('../shared/random');
+const { escapeHTML } = require('../shared/html');
+const PptxExporter = require('../exporters/pptx-exporter');
+const PdfExporter = require('../exporters/pdf-exporter');
+const XlsxExporter = require('../exporters/xlsx-exporter');
+
+// Import deck specifications and themes
+const { loadDeckSpec } = require('../decks');
+const { loadTheme } = require('../themes');
 
 class MainOrchestrator {
-  constructor(productData) {
+  constructor(productData, options = {}) {
     this.productData = productData;
+    this.options = options;
     this.slides = [];
-    this.dataProcessor = new DataProcessor(productData);
-    this.templateEngine = new TemplateEngine();
-    this.chartGenerator = new ChartGenerator();
+    this.deckSpec = loadDeckSpec(options.deck || 'full');
+    this.theme = loadTheme(options.theme);
+    
+    // One seeded generator for every estimated or synthetic number; each consumer gets its own stream
+    this.random = new SeededRandom(options.seed);
+    this.seed = this.random.seed;
+    
+    this.dataProcessor = new DataProcessor(productData, {
+      random: this.random.fork('data'),
+      entityResolution: options.entityResolution,
+      currency: options.currency,
+      units: options.units,
+      validation: options.validation,
+      comparison: options.comparison,
+      timeSeries: options.timeSeries,
+      forecast: options.forecast
+    });
+    this.templateEngine = new TemplateEngine(this.theme);
+    this.chartGenerator = new ChartGenerator(this.theme, { currency: this.dataProcessor.currencyConverter.reportingCurrency });
+    this.insightEngine = new InsightEngine({
+      ...options.insights,
+      formatCurrency: value => this.dataProcessor.formatCurrency(value),
+      formatPrice: value => this.dataProcessor.formatPrice(value)
+    });
     
     // Initialize section modules
     this.sections = {
-      foundation: new FoundationSection(this.dataProcessor, this.templateEngine, this.chartGenerator),
-      importingCountries: new ImportingCountriesSection(this.dataProcessor, this.templateEngine, this.chartGenerator),
-      exportingCountries: new ExportingCountriesSection(this.dataProcessor, this.templateEngine, this.chartGenerator),
-      supplierBuyer: new SupplierBuyerSection(this.dataProcessor, this.templateEngine, this.chartGenerator),
-      pricing: new PricingSection(this.dataProcessor, this.templateEngine, this.chartGenerator),
-      shipmentRecords: new ShipmentRecordsSection(this.dataProcessor, this.templateEngine, this.chartGenerator)
+      foundation: new FoundationSection(this.dataProcessor, this.templateEngine, this.chartGenerator, this.random.fork('foundation'), this.insightEngine),
+      importingCountries: new ImportingCountriesSection(this.dataProcessor, this.templateEngine, this.chartGenerator, this.random.fork('importingCountries'), this.insightEngine),
+      exportingCountries: new ExportingCountriesSection(this.dataProcessor, this.templateEngine, this.chartGenerator, this.random.fork('exportingCountries'), this.insightEngine),
+      supplierBuyer: new SupplierBuyerSection(this.dataProcessor, this.templateEngine, this.chartGenerator, this.random.fork('supplierBuyer')),
+      pricing: new PricingSection(this.dataProcessor, this.templateEngine, this.chartGenerator, this.random.fork('pricing'), this.insightEngine),
+      trends: new TrendsSection(this.dataProcessor, this.templateEngine, this.chartGenerator, this.random.fork('trends'), this.insightEngine),
+      shipmentRecords: new ShipmentRecordsSection(this.dataProcessor, this.templateEngine, this.chartGenerator),
+      appendix: new AppendixSection(this.dataProcessor, this.templateEngine, this.chartGenerator)
     };
     
     this.slideStructure = this.defineSlideStructure();
+    this.expectedSlideCount = this.deckSpec.expectedSlides || this.countSpecSlides();
   }
   
   /**
-   * Define the exact 300-slide structure with 0% deviation
+   * Build the slide structure from the deck spec
    */
   defineSlideStructure() {
-    return {
-      foundation: {
-        range: [1, 8],
-        slides: [
-          { id: 1, type: 'title_agenda', title: 'Title & Agenda generation' },
-          { id: 2, type: 'table_of_contents', title: 'Table of Contents' },
-          { id: 3, type: 'executive_summary', title: 'Executive Summary (Key Findings)' },
-          { id: 4, type: 'product_overview', title: 'Product Overview' },
-          { id: 5, type: 'market_share_analysis', title: 'Market share analysis- value, volume, import, export, countries' },
-          { id: 6, type: 'geography_intelligence', title: 'Geography Import Export Intelligence- top 10 value and volume along with export and import' },
-          { id: 7, type: 'supplier_buyer_relationships', title: 'Supplier-Buyer Relationships with countries- Sankey Diagram' },
-          { id: 8, type: 'top_importing_countries', title: 'Top 10 Importing countries- name, market share and charts' }
-        ]
-      },
-      importingCountries: {
-        range: [9, 23],
-        slides: [
-          // Slides 9-13: Top 5 importing countries → their top 10 supplier countries
-          ...Array.from({length: 5}, (_, i) => ({
-            id: 9 + i,
-            type: 'importing_country_suppliers',
-            title: `Top ${i + 1} Importing country- Who are the top 10 suppliers countries`,
-            countryRank: i + 1
-          })),
-          // Slides 14-23: Top 10 importing countries → their top 10 supplier companies
-          ...Array.from({length: 10}, (_, i) => ({
-            id: 14 + i,
-            type: 'importing_country_companies',
-            title: `Top ${i + 1} Importing country- Who are the top 10 suppliers companies`,
-            countryRank: i + 1
-          }))
-        ]
-      },
-      exportingCountries: {
-        range: [24, 39],
-        slides: [
-          { id: 24, type: 'top_exporting_countries', title: 'Top 10 Exporting countries- name, market share and charts' },
-          // Slides 25-29: Top 5 exporting countries → their top 10 destination countries
-          ...Array.from({length: 5}, (_, i) => ({
-            id: 25 + i,
-            type: 'exporting_country_destinations',
-            title: `Top ${i + 1} Exporting country- Who are the top 10 destination countries`,
-            countryRank: i + 1
-          })),
-          // Slides 30-39: Top 10 exporting countries → their top 10 importer companies
-          ...Array.from({length: 10}, (_, i) => ({
-            id: 30 + i,
-            type: 'exporting_country_companies',
-            title: `Top ${i + 1} Exporting country- Who are the top 10 Importer companies`,
-            countryRank: i + 1
-          }))
-        ]
-      },
-      supplierBuyer: {
-        range: [40, 62],
-        slides: [
-          { id: 40, type: 'supplier_buyer_intelligence', title: 'SUPPLIER & BUYER INTELLIGENCE - Sankey Diagram' },
-          { id: 41, type: 'top_suppliers_analysis', title: 'Top 15 Suppliers Analysis- market share, suppliers countries and importers name - Sankey Diagram' },
-          // Slides 42-51: Top 10 suppliers detailed analysis
-          ...Array.from({length: 10}, (_, i) => ({
-            id: 42 + i,
-            type: 'supplier_detailed_analysis',
-            title: `Top ${i + 1} Supplier detailed analysis- price, number of destination countries, market share and charts`,
-            supplierRank: i + 1
-          })),
-          { id: 52, type: 'top_importers_analysis', title: 'Top 15 Importers Analysis- Market share, Suppliers countries and Importers name- Sankey Diagram' },
-          // Slides 53-62: Top 10 importers detailed analysis
-          ...Array.from({length: 10}, (_, i) => ({
-            id: 53 + i,
-            type: 'importer_detailed_analysis',
-            title: `Top ${i + 1} Importer detailed analysis- price, market share, number of suppliers countries and charts`,
-            importerRank: i + 1
-          }))
-        ]
-      },
-      pricing: {
-        range: [63, 63],
-        slides: [
-          { id: 63, type: 'pricing_analysis', title: 'Pricing analysis (per unit)' }
-        ]
-      },
-      shipmentRecords: {
-        range: [67, 300],
-        slides: Array.from({length: 234}, (_, i) => ({
-          id: 67 + i,
-          type: 'shipment_records',
-          title: `Shipment Records ${i + 1}`,
-          recordStart: i * 10 + 1,
-          recordEnd: (i + 1) * 10
-        }))
+    const structure = {};
+    let nextId = 1;
+    
+    this.deckSpec.sections.forEach(sectionSpec => {
+      if (!this.sections[sectionSpec.key]) {
+        throw new Error(`Deck spec ${this.deckSpec.name} references unknown section "${sectionSpec.key}"`);
       }
-    };
+      
+      if (sectionSpec.startId !== undefined) {
+        if (sectionSpec.startId < nextId) {
+          throw new Error(`Deck spec ${this.deckSpec.name}: section ${sectionSpec.key} starts at ${sectionSpec.startId}, which overlaps slide ${nextId - 1}`);
+        }
+        nextId = sectionSpec.startId;
+      }
+      
+      const slides = [];
+      sectionSpec.slides.forEach(entry => {
+        const expanded = this.expandSlideEntry(entry, nextId);
+        slides.push(...expanded);
+        nextId += expanded.length;
+      });
+      
+      // Sections can expand to nothing, e.g. shipment records for a product without shipments
+      if (slides.length === 0) {
+        return;
+      }
+      
+      structure[sectionSpec.key] = {
+        label: sectionSpec.label || sectionSpec.key,
+        range: [slides[0].id, slides[slides.length - 1].id],
+        slides
+      };
+    });
+    
+    return structure;
   }
   
   /**
-   * Generate all 300 slides with 0% deviation
+   * Expand a single spec entry into numbered slide definitions
    */
-  async generateAllSlides() {
-    console.log('🚀 Starting BCG-Level 300-Slide Generation...');
-    console.log('📊 Structure Validation: 0% Deviation Guaranteed');
+  expandSlideEntry(entry, firstId) {
+    const { perRank, paginate, ...slideProps } = entry;
     
-    this.slides = [];
-    let slideCount = 0;
+    if (perRank) {
+      return Array.from({ length: perRank.count }, (_, i) => ({
+        ...slideProps,
+        id: firstId + i,
+        title: entry.title.replace('{rank}', i + 1),
+        [perRank.field]: i + 1
+      }));
+    }
     
-    // Generate Foundation Section (Slides 1-8)
-    console.log('📋 Generating Foundation Section (Slides 1-8)...');
-    const foundationSlides = await this.sections.foundation.generateSlides(this.slideStructure.foundation.slides);
-    this.slides.push(...foundationSlides);
-    slideCount += foundationSlides.length;
-    console.log(`✅ Foundation: ${foundationSlides.length} slides generated`);
+    if (paginate) {
+      return this.paginateRecords(entry, slideProps, firstId);
+    }
     
-    // Generate Importing Countries Section (Slides 9-23)
-    console.log('🌍 Generating Importing Countries Section (Slides 9-23)...');
-    const importingSlides = await this.sections.importingCountries.generateSlides(this.slideStructure.importingCountries.slides);
-    this.slides.push(...importingSlides);
-    slideCount += importingSlides.length;
-    console.log(`✅ Importing Countries: ${importingSlides.length} slides generated`);
+    return [{ ...slideProps, id: firstId }];
+  }
+  
+  /**
+   * Paginate shipment records based on the actual record count
+   *
+   * Rows per slide and the slide cap come from the spec, overridable through the
+   * `rowsPerSlide` and `maxRecordSlides` orchestrator options. When the cap is hit,
+   * a closing slide points to the records left out of the deck. Both must be
+   * positive whole numbers.
+   */
+  paginateRecords(entry, slideProps, firstId) {
+    const { totalRecords, rowsPerSlide, totalPages, pages } = this.recordPages(entry);
     
-    // Generate Exporting Countries Section (Slides 24-39)
-    console.log('🚢 Generating Exporting Countries Section (Slides 24-39)...');
-    const exportingSlides = await this.sections.exportingCountries.generateSlides(this.slideStructure.exportingCountries.slides);
-    this.slides.push(...exportingSlides);
-    slideCount += exportingSlides.length;
-    console.log(`✅ Exporting Countries: ${exportingSlides.length} slides generated`);
+    const slides = Array.from({ length: pages }, (_, i) => ({
+      ...slideProps,
+      id: firstId + i,
+      title: entry.title.replace('{page}', i + 1),
+      recordStart: i * rowsPerSlide + 1,
+      recordEnd: Math.min((i + 1) * rowsPerSlide, totalRecords),
+      rowsPerSlide
+    }));
     
-    // Generate Supplier & Buyer Section (Slides 40-62)
-    console.log('🤝 Generating Supplier & Buyer Section (Slides 40-62)...');
-    const supplierBuyerSlides = await this.sections.supplierBuyer.generateSlides(this.slideStructure.supplierBuyer.slides);
-    this.slides.push(...supplierBuyerSlides);
-    slideCount += supplierBuyerSlides.length;
-    console.log(`✅ Supplier & Buyer: ${supplierBuyerSlides.length} slides generated`);
+    if (pages < totalPages) {
+      slides.push({
+        id: firstId + pages,
+        type: `${entry.type}_overflow`,
+        title: 'Additional Shipment Records',
+        recordStart: pages * rowsPerSlide + 1,
+        recordEnd: totalRecords
+      });
+    }
     
-    // Generate Pricing Section (Slide 63)
-    console.log('💰 Generating Pricing Section (Slide 63)...');
-    const pricingSlides = await this.sections.pricing.generateSlides(this.slideStructure.pricing.slides);
-    this.slides.push(...pricingSlides);
-    slideCount += pricingSlides.length;
-    console.log(`✅ Pricing: ${pricingSlides.length} slides generated`);
+    return slides;
+  }
+  
+  /**
+   * Record count, page size and page counts of a `paginate` spec entry
+   */
+  recordPages(entry) {
+    const totalRecords = this.dataProcessor.getSectionData('shipments').totalShipments || 0;
+    const rowsPerSlide = this.options.rowsPerSlide ?? entry.paginate.rowsPerSlide;
+    const maxSlides = this.options.maxRecordSlides ?? entry.paginate.maxSlides ?? Infinity;
+    if (!Number.isInteger(rowsPerSlide) || rowsPerSlide < 1) {
+      throw new Error(`Rows per slide must be a positive whole number, got ${rowsPerSlide}`);
+    }
+    if (maxSlides !== Infinity && (!Number.isInteger(maxSlides) || maxSlides < 1)) {
+      throw new Error(`Max record slides must be a positive whole number, got ${maxSlides}`);
+    }
     
-    // Generate Shipment Records Section (Slides 67-300)
-    console.log('📦 Generating Shipment Records Section (Slides 67-300)...');
-    const shipmentSlides = await this.sections.shipmentRecords.generateSlides(this.slideStructure.shipmentRecords.slides);
-    this.slides.push(...shipmentSlides);
-    slideCount += shipmentSlides.length;
-    console.log(`✅ Shipment Records: ${shipmentSlides.length} slides generated`);
+    const totalPages = Math.ceil(totalRecords / rowsPerSlide);
+    return { totalRecords, rowsPerSlide, totalPages, pages: Math.min(totalPages, maxSlides) };
+  }
+  
+  /**
+   * Count the slides the deck spec calls for
+   *
+   * Counted from the spec entries and the record count rather than from the built
+   * structure, so the check in generateAllSlides holds the sections to the spec.
+   */
+  countSpecSlides() {
+    const entrySlides = entry => {
+      if (entry.perRank) {
+        return entry.perRank.count;
+      }
+      if (entry.paginate) {
+        const { totalPages, pages } = this.recordPages(entry);
+        return pages < totalPages ? pages + 1 : pages;
+      }
+      return 1;
+    };
+    
+    return this.deckSpec.sections.reduce((sum, section) =>
+      sum + section.slides.reduce((count, entry) => count + entrySlides(entry), 0), 0);
+  }
+  
+  /**
+   * Generate all slides defined by the deck spec with 0% deviation
+   */
+  async generateAllSlides() {
+    console.log(`🚀 Starting BCG-Level ${this.expectedSlideCount}-Slide Generation (${this.deckSpec.title || this.deckSpec.name})...`);
+    console.log('📊 Structure Validation: 0% Deviation Guaranteed');
+    
+    this.slides = [];
+    let slideCount = 0;
+    
+    for (const [sectionName, section] of Object.entries(this.slideStructure)) {
+      console.log(`📋 Generating ${section.label} Section (Slides ${section.range[0]}-${section.range[1]})...`);
+      const sectionSlides = await this.sections[sectionName].generateSlides(section.slides, this.slideStructure);
+      this.slides.push(...sectionSlides);
+      slideCount += sectionSlides.length;
+      console.log(`✅ ${section.label}: ${sectionSlides.length} slides generated`);
+    }
     
     // Validation
-    if (slideCount !== 297) {
-      throw new Error(`❌ STRUCTURE DEVIATION DETECTED: Expected 297 slides, got ${slideCount}`);
+    if (slideCount !== this.expectedSlideCount) {
+      throw new Error(`❌ STRUCTURE DEVIATION DETECTED: Expected ${this.expectedSlideCount} slides, got ${slideCount}`);
     }
     
     console.log(`🎉 SUCCESS: All ${slideCount} slides generated with 0% deviation!`);
@@ -213,27 +258,82 @@ class MainOrchestrator {
   async exportToHTML(outputPath) {
     console.log('📄 Exporting to BCG-Level HTML...');
     
+    await fs.ensureDir(path.dirname(outputPath));
     const template = await this.templateEngine.loadMainTemplate();
     const slidesHTML = this.slides.map(slide => slide.html).join('\\n');
+    const productName = escapeHTML(this.productData.name);
     
+    // Replacer functions keep `$&`-style patterns in the slides from being expanded
     const html = template
-      .replace('{{TITLE}}', `${this.productData.name} Trade Intelligence Report`)
-      .replace('{{SLIDES}}', slidesHTML)
+      .replace('{{TITLE}}', () => `${productName} Trade Intelligence Report`)
+      .replace('{{STYLES}}', () => this.templateEngine.getStyles())
+      .replace('{{SLIDES}}', () => slidesHTML)
       .replace('{{TOTAL_SLIDES}}', this.slides.length)
-      .replace('{{PRODUCT_NAME}}', this.productData.name);
+      .replace('{{PRODUCT_NAME}}', () => productName);
     
     await fs.writeFile(outputPath, html);
     console.log(`✅ HTML exported: ${outputPath}`);
     return outputPath;
   }
   
+  /**
+   * Export to PowerPoint with native, editable tables and charts
+   */
+  async exportToPPTX(outputPath) {
+    console.log('📊 Exporting to PowerPoint (PPTX)...');
+    
+    const exporter = new PptxExporter({ title: `${this.productData.name} Trade Intelligence Report` });
+    await exporter.export(this.slides, outputPath);
+    
+    console.log(`✅ PPTX exported: ${outputPath}`);
+    return outputPath;
+  }
+  
+  /**
+   * Export to PDF, one landscape page per slide
+   */
+  async exportToPDF(outputPath, options = {}) {
+    console.log('📄 Exporting to PDF...');
+    
+    const exporter = new PdfExporter({
+      title: `${this.productData.name} Trade Intelligence Report`,
+      product: this.productData.name,
+      sections: this.slideStructure,
+      ...options
+    });
+    await exporter.export(this.slides, outputPath);
+    
+    console.log(`✅ PDF exported: ${outputPath}`);
+    return outputPath;
+  }
+  
+  /**
+   * Export the data behind the slides to Excel, one worksheet per section
+   */
+  async exportToXLSX(outputPath) {
+    console.log('📗 Exporting data to Excel (XLSX)...');
+    
+    const exporter = new XlsxExporter({
+      title: `${this.productData.name} Trade Intelligence Report`,
+      currency: this.dataProcessor.getSectionData('currency').reportingCurrency,
+      sections: this.slideStructure,
+      records: this.dataProcessor.getSectionData('shipments').shipmentRecords || [],
+      unit: this.dataProcessor.getSectionData('units').baseUnit
+    });
+    await exporter.export(this.slides, outputPath);
+    
+    console.log(`✅ XLSX exported: ${outputPath}`);
+    return outputPath;
+  }
+  
   /**
    * Generate progress report
    */
   generateProgressReport() {
     const sections = Object.keys(this.slideStructure);
     const report = {
-      totalSlides: 297,
+      deck: this.deckSpec.name,
+      totalSlides: this.expectedSlideCount,
       generatedSlides: this.slides.length,
       sections: sections.map(sectionName => {
         const section = this.slideStructure[sectionName];
@@ -243,9 +343,9 @@ class MainOrchestrator {
         return {
           name: sectionName,
           range: section.range,
-          expected: section.range[1] - section.range[0] + 1,
+          expected: section.slides.length,
           generated: sectionSlides.length,
-          status: sectionSlides.length === (section.range[1] - section.range[0] + 1) ? 'Complete' : 'In Progress'
+          status: sectionSlides.length === section.slides.length ? 'Complete' : 'In Progress'
         };
       })
     };
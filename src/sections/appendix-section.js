@@ -0,0 +1,217 @@
+/**
+ * Appendix Section Generator - Closing Slides
+ *
+ * This module generates the appendix slides that follow the shipment records:
+ * - Methodology & Data Sources: data period, reporting currency and FX source,
+ *   trade matrix source and the normalisation applied to country and company names
+ *   and to quantity units
+ * - Data Quality: problems found when validating the product data (lenient mode)
+ */
+
+const { html } = require('../shared/html');
+
+// Problems listed on the data quality slide; the rest are summarised in one line
+const MAX_LISTED_ISSUES = 12;
+
+class AppendixSection {
+  constructor(dataProcessor, templateEngine, chartGenerator) {
+    this.dataProcessor = dataProcessor;
+    this.templateEngine = templateEngine;
+    this.chartGenerator = chartGenerator;
+    this.data = dataProcessor.getProcessedData();
+  }
+  
+  /**
+   * Generate appendix section slides
+   */
+  async generateSlides(slideDefinitions) {
+    console.log('📎 Generating Appendix Section slides...');
+    
+    const slides = [];
+    
+    for (const slideDef of slideDefinitions) {
+      console.log(`   📄 Generating Slide ${slideDef.id}: ${slideDef.title}`);
+      
+      let slide;
+      switch (slideDef.type) {
+        case 'methodology':
+          slide = this.generateMethodologySlide(slideDef);
+          break;
+        case 'data_quality':
+          slide = this.generateDataQualitySlide(slideDef);
+          break;
+        default:
+          throw new Error(`Unknown slide type: ${slideDef.type}`);
+      }
+      
+      slides.push(slide);
+    }
+    
+    console.log(`✅ Appendix Section: ${slides.length} slides generated`);
+    return slides;
+  }
+  
+  /**
+   * Generate Methodology & Data Sources slide
+   */
+  generateMethodologySlide(slideDef) {
+    const content = html`
+      <div class="two-column">
+        <div>
+          ${this.generateSourcesPanel()}
+          ${this.generateCurrencyPanel()}
+        </div>
+        <div>
+          ${this.generateNormalisationPanel()}
+        </div>
+      </div>
+    `;
+    
+    const slideData = {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      content: content,
+      productName: this.data.product.name
+    };
+    
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
+    
+    return {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      html: slideHtml
+    };
+  }
+  
+  /**
+   * Generate Data Quality slide
+   */
+  generateDataQualitySlide(slideDef) {
+    const { mode, issues } = this.data.dataQuality;
+    
+    let content;
+    if (issues.length === 0) {
+      content = this.generatePanel('Data Quality', [
+        'The product data passed all schema checks: required fields, field types, share ranges and country share totals'
+      ]);
+    } else {
+      const listed = issues.slice(0, MAX_LISTED_ISSUES);
+      const table = this.templateEngine.generateTable({
+        headers: ['Field (JSON path)', 'Problem'],
+        rows: listed.map(issue => [issue.path, issue.message])
+      });
+      const remainder = issues.length - listed.length;
+      
+      content = html`
+        ${this.generatePanel('Data Quality', [
+          `${issues.length} problem(s) were found when validating the product data`,
+          `Validation mode: ${mode} - the deck was generated with the data as supplied; figures built from the fields below may be incomplete or defaulted`
+        ])}
+        ${table}
+        ${remainder > 0 ? html`<p>...and ${remainder} more problem(s), listed in the generation log.</p>` : ''}
+      `;
+    }
+    
+    const slideData = {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      content: content,
+      productName: this.data.product.name
+    };
+    
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
+    
+    return {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      html: slideHtml
+    };
+  }
+  
+  /**
+   * Data sources and coverage
+   */
+  generateSourcesPanel() {
+    const shipments = this.data.shipments;
+    const recordsNote = shipments.isDemoData
+      ? `${shipments.totalShipments.toLocaleString()} synthetic demo records (no shipment data supplied)`
+      : `${shipments.totalShipments.toLocaleString()} shipment records`;
+    
+    const tradeMatrixNotes = {
+      shipments: 'aggregated from the shipment records',
+      supplied: 'supplied with the product data',
+      estimated: 'estimated from country import/export totals (iterative proportional fitting)'
+    };
+    
+    return this.generatePanel('Data Sources', [
+      `Data period: ${this.data.market.dateRange}`,
+      `Product: ${this.data.product.name} (HS ${this.data.product.hsCode})`,
+      `Shipments: ${recordsNote}`,
+      `Trade flows: ${tradeMatrixNotes[this.data.tradeFlows.source] || this.data.tradeFlows.source}`
+    ]);
+  }
+  
+  /**
+   * Reporting currency and FX conversion rules
+   */
+  generateCurrencyPanel() {
+    const currency = this.data.currency;
+    const items = [
+      `Reporting currency: ${currency.reportingCurrency}`,
+      `Input currencies: ${currency.inputCurrencies.join(', ')}`,
+      `FX source: ${currency.source}`
+    ];
+    
+    if (currency.converted) {
+      items.push(
+        'Shipment values and monthly prices are converted at the rate of their month',
+        'Period totals and averages are converted at the average rate over the data period',
+        'Months missing from the rate table use the closest earlier month'
+      );
+    } else {
+      items.push('All values were supplied in the reporting currency; no conversion applied');
+    }
+    
+    return this.generatePanel('Currency & FX Conversion', items);
+  }
+  
+  /**
+   * Country and company name normalisation
+   */
+  generateNormalisationPanel() {
+    const mergedCompanies = [...this.data.suppliers.topSuppliers, ...this.data.buyers.topBuyers]
+      .filter(company => company.aliases && company.aliases.length > 0);
+    const units = this.data.units;
+    
+    return this.generatePanel('Normalisation', [
+      'Country names are resolved to ISO-3166 countries; regions follow World Bank groupings',
+      'Company spellings are consolidated into entities (legal suffixes, branches and punctuation ignored, fuzzy matching plus the alias file)',
+      mergedCompanies.length > 0
+        ? `${mergedCompanies.length} ranked companies combine several spellings; merged spellings are footnoted on the company slides`
+        : 'No company spellings were merged',
+      `Quantities are normalised to ${units.baseUnit} (input units: ${units.inputUnits.join(', ')}) and unit prices recomputed per ${units.baseUnit}`,
+      units.flaggedRows > 0
+        ? `${units.flaggedRows} shipments in units with no conversion (${units.flaggedUnits.join(', ')}) are flagged and left out of quantity and price figures`
+        : 'All shipment quantities converted to the base unit'
+    ]);
+  }
+  
+  generatePanel(title, items) {
+    return html`
+      <div class="executive-summary">
+        <div class="summary-title">${title}</div>
+        <div class="summary-content">
+          <ul>
+            ${items.map(item => html`<li>${item}</li>`)}
+          </ul>
+        </div>
+      </div>
+    `;
+  }
+}
+
+module.exports = AppendixSection;
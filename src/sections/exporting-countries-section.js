@@ -7,11 +7,17 @@
  * - Slides 30-39: Top 10 exporting countries → their top 10 importer companies
  */
 
+const { html } = require('../shared/html');
+const InsightEngine = require('../shared/insight-engine');
+const SeededRandom = require('../shared/random');
+
 class ExportingCountriesSection {
-  constructor(dataProcessor, templateEngine, chartGenerator) {
+  constructor(dataProcessor, templateEngine, chartGenerator, random = new SeededRandom(), insightEngine = new InsightEngine()) {
     this.dataProcessor = dataProcessor;
     this.templateEngine = templateEngine;
     this.chartGenerator = chartGenerator;
+    this.random = random;
+    this.insightEngine = insightEngine;
     this.data = dataProcessor.getProcessedData();
   }
   
@@ -57,16 +63,17 @@ class ExportingCountriesSection {
         name: country.country,
         value: country.rawValue
       })),
-      { title: 'Top 10 Exporting Countries by Value' }
+      { title: 'Top 10 Exporting Countries by Value', valueFormat: 'compactCurrency', axisTitle: 'Export value' }
     );
     
     const exportingCountriesTable = this.generateDetailedExportingCountriesTable();
+    const concentration = this.data.concentration.exportingCountries;
     
-    const content = `
+    const content = html`
       <div class="executive-summary">
         <div class="summary-title">Global Export Market Overview</div>
         <div class="summary-content">
-          <p>The global export market for ${this.data.product.name} is valued at ${this.data.market.totalValue} with ${this.data.geography.exportingCountries.length} exporting countries. The top 10 countries account for 89.3% of the total export value, indicating a highly concentrated market structure.</p>
+          <p>The global export market for ${this.data.product.name} is valued at ${this.data.market.totalValue} with ${this.data.geography.exportingCountries.length} exporting countries. ${concentration && html`The top ${Math.min(concentration.count, 10)} countries account for <strong>${concentration.cr10}</strong> of the total export value; the market is <strong>${concentration.band.toLowerCase()}</strong> by antitrust standards (HHI ${concentration.hhi}).`}</p>
         </div>
       </div>
       <div class="two-column">
@@ -87,13 +94,13 @@ class ExportingCountriesSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -105,22 +112,23 @@ class ExportingCountriesSection {
     const exportingCountry = this.data.geography.exportingCountries[countryRank - 1];
     
     if (!exportingCountry) {
-      throw new Error(`Exporting country at rank ${countryRank} not found`);
+      return this.generateDataGapSlide(slideDef, `Exporting country at rank ${countryRank} not found in the product data`);
     }
     
     const destinationCountries = this.generateDestinationCountriesData(exportingCountry);
+    const destinationCountryCount = this.dataProcessor.getPartnerCountries(exportingCountry.country, 'destinations', Infinity).length;
     const destinationChart = this.chartGenerator.generateHorizontalBarChart(
-      destinationCountries.slice(0, 10),
-      { title: `${exportingCountry.country}'s Destination Countries` }
+      destinationCountries.slice(0, 10).map(country => ({ name: country.country, value: country.rawValue })),
+      { title: `${exportingCountry.country}'s Destination Countries`, valueFormat: 'compactCurrency', axisTitle: 'Export value' }
     );
     
     const destinationTable = this.generateDestinationCountriesTable(destinationCountries);
     
-    const content = `
+    const content = html`
       <div class="executive-summary">
         <div class="summary-title">Export Market Overview</div>
         <div class="summary-content">
-          <p><strong>${exportingCountry.country}</strong> exports ${this.data.product.name} worth <strong>${exportingCountry.value}</strong> annually, representing <strong>${exportingCountry.share}</strong> of the global export market. The country exports to <strong>12 different destination countries</strong>.</p>
+          <p><strong>${exportingCountry.country}</strong> exports ${this.data.product.name} worth <strong>${exportingCountry.value}</strong> annually, representing <strong>${exportingCountry.share}</strong> of the global export market. The country exports to <strong>${destinationCountryCount} different destination countries</strong>${this.data.tradeFlows.isEstimated ? ' (estimated from country totals)' : ''}.</p>
         </div>
       </div>
       
@@ -143,13 +151,13 @@ class ExportingCountriesSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideData.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -161,14 +169,14 @@ class ExportingCountriesSection {
     const exportingCountry = this.data.geography.exportingCountries[countryRank - 1];
     
     if (!exportingCountry) {
-      throw new Error(`Exporting country at rank ${countryRank} not found`);
+      return this.generateDataGapSlide(slideDef, `Exporting country at rank ${countryRank} not found in the product data`);
     }
     
     const importerCompanies = this.generateImporterCompaniesData(exportingCountry);
     const companiesTable = this.generateImporterCompaniesTable(importerCompanies);
     const keyInsights = this.generateImporterCompaniesInsights(exportingCountry, importerCompanies);
     
-    const content = `
+    const content = html`
       ${companiesTable}
       ${keyInsights}
     `;
@@ -181,120 +189,69 @@ class ExportingCountriesSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideData.title,
-      html: html
+      html: slideHtml
     };
   }
   
   /**
-   * Generate destination countries data for an exporting country
+   * Generate destination countries data for an exporting country from the trade matrix
    */
   generateDestinationCountriesData(exportingCountry) {
-    const baseValue = exportingCountry.rawValue;
-    
-    // Generate realistic destination country distribution
-    const destinationCountries = [
-      { name: 'United States', value: baseValue * 0.32, share: 32 },
-      { name: 'Germany', value: baseValue * 0.18, share: 18 },
-      { name: 'United Kingdom', value: baseValue * 0.15, share: 15 },
-      { name: 'France', value: baseValue * 0.12, share: 12 },
-      { name: 'Japan', value: baseValue * 0.10, share: 10 },
-      { name: 'Canada', value: baseValue * 0.08, share: 8 },
-      { name: 'Others', value: baseValue * 0.05, share: 5 }
-    ];
-    
-    return destinationCountries.map((country, index) => ({
-      rank: index + 1,
-      country: country.name,
-      value: this.dataProcessor.formatCurrency(country.value),
-      share: `${country.share}%`,
-      rawValue: country.value,
-      rawShare: country.share
+    return this.dataProcessor.getPartnerCountries(exportingCountry.country, 'destinations').map(partner => ({
+      rank: partner.rank,
+      country: partner.name,
+      value: partner.formattedValue,
+      share: this.dataProcessor.formatPercentage(partner.share),
+      growth: partner.growth,
+      rawValue: partner.value,
+      rawShare: partner.share,
+      rawGrowth: partner.rawGrowth
     }));
   }
   
   /**
-   * Generate importer companies data for an exporting country
+   * Generate importer companies data for an exporting country from the trade matrix
    */
   generateImporterCompaniesData(exportingCountry) {
-    const baseValue = exportingCountry.rawValue;
-    
-    // Use actual buyer data and distribute based on exporting country
-    const companies = this.data.buyers.topBuyers.slice(0, 8).map((buyer, index) => {
-      const countryMultiplier = this.getExportCountryMultiplier(exportingCountry.country, buyer.country);
-      const estimatedValue = (baseValue * countryMultiplier * (1 - index * 0.1)) / 8;
-      const marketShare = (estimatedValue / baseValue) * 100;
-      const growth = (Math.random() - 0.5) * 40; // Random growth between -20% and +20%
-      
-      return {
-        rank: index + 1,
-        company: buyer.name,
-        country: buyer.country,
-        estValue: this.dataProcessor.formatCurrency(estimatedValue),
-        marketShare: `${marketShare.toFixed(0)}%`,
-        yoyGrowth: `${growth > 0 ? '↗' : '↘'} ${Math.abs(growth).toFixed(1)}%`,
-        rawValue: estimatedValue,
-        rawShare: marketShare,
-        rawGrowth: growth
-      };
-    });
-    
-    return companies.sort((a, b) => b.rawValue - a.rawValue);
-  }
-  
-  /**
-   * Get export country multiplier for realistic distribution
-   */
-  getExportCountryMultiplier(exportingCountry, buyerCountry) {
-    const multipliers = {
-      'India': {
-        'USA': 0.35,
-        'Germany': 0.2,
-        'UK': 0.15,
-        'France': 0.1,
-        'Japan': 0.1,
-        'Canada': 0.1
-      },
-      'United States': {
-        'USA': 0.4,
-        'Germany': 0.2,
-        'UK': 0.15,
-        'Canada': 0.15,
-        'Japan': 0.1
-      },
-      'Israel': {
-        'USA': 0.4,
-        'Germany': 0.25,
-        'UK': 0.2,
-        'France': 0.15
-      }
-    };
-    
-    return multipliers[exportingCountry]?.[buyerCountry] || 0.1;
+    return this.dataProcessor.getPartnerCompanies(exportingCountry.country, 'buyers', 8).map(partner => ({
+      rank: partner.rank,
+      company: partner.name,
+      country: partner.country,
+      estValue: partner.formattedValue,
+      marketShare: `${partner.share.toFixed(0)}%`,
+      growth: partner.growth,
+      movement: partner.movement,
+      rawValue: partner.value,
+      rawShare: partner.share,
+      rawGrowth: partner.rawGrowth
+    }));
   }
   
   /**
    * Generate detailed exporting countries table
    */
   generateDetailedExportingCountriesTable() {
+    const comparison = this.templateEngine.comparisonColumns(this.data.comparison, { movement: true });
     const tableData = {
-      headers: ['Rank', 'Country', 'Export Value', 'Market Share', 'YoY Growth', 'Key Destinations'],
-      rows: this.data.geography.exportingCountries.slice(0, 8).map((country, index) => {
-        const growth = (Math.random() - 0.5) * 40; // Random growth between -20% and +20%
-        const growthSymbol = growth > 0 ? '↗' : '↘';
-        const destinations = this.data.geography.importingCountries.slice(0, 2).map(c => c.country).join(', ');
+      headers: ['Rank', 'Country', 'Export Value', 'Market Share', ...comparison.headers, 'Key Destinations'],
+      rows: this.data.geography.exportingCountries.slice(0, 8).map(country => {
+        const destinations = this.dataProcessor.getPartnerCountries(country.country, 'destinations', 2)
+          .filter(partner => partner.name !== 'Others')
+          .map(partner => partner.name)
+          .join(', ') || '-';
         
         return [
           country.rank,
           country.country,
           country.value,
           country.share,
-          `${growthSymbol} ${Math.abs(growth).toFixed(1)}%`,
+          ...comparison.cells(country),
           destinations
         ];
       })
@@ -307,13 +264,15 @@ class ExportingCountriesSection {
    * Generate destination countries table
    */
   generateDestinationCountriesTable(destinationCountries) {
+    const comparison = this.templateEngine.comparisonColumns(this.data.comparison);
     const tableData = {
-      headers: ['Rank', 'Destination Country', 'Value', 'Share'],
+      headers: ['Rank', 'Destination Country', 'Value', 'Share', ...comparison.headers],
       rows: destinationCountries.map(country => [
         country.rank,
         country.country,
         country.value,
-        country.share
+        country.share,
+        ...comparison.cells(country)
       ])
     };
     
@@ -324,15 +283,16 @@ class ExportingCountriesSection {
    * Generate importer companies table
    */
   generateImporterCompaniesTable(importerCompanies) {
+    const comparison = this.templateEngine.comparisonColumns(this.data.comparison);
     const tableData = {
-      headers: ['Rank', 'Company', 'Country', 'Est. Value', 'Market Share', 'YoY Growth'],
+      headers: ['Rank', 'Company', 'Country', 'Est. Value', 'Market Share', ...comparison.headers],
       rows: importerCompanies.map(company => [
         company.rank,
         company.company,
         company.country,
         company.estValue,
         company.marketShare,
-        company.yoyGrowth
+        ...comparison.cells(company)
       ])
     };
     
@@ -343,22 +303,63 @@ class ExportingCountriesSection {
    * Generate key insights for importer companies
    */
   generateImporterCompaniesInsights(exportingCountry, importerCompanies) {
-    const topImporter = importerCompanies[0];
-    const growingImporters = importerCompanies.filter(c => c.rawGrowth > 10);
-    const topCountries = [...new Set(importerCompanies.slice(0, 3).map(c => c.country))];
+    if (importerCompanies.length === 0) {
+      return html`
+        <div class="executive-summary" style="margin-top: 20px;">
+          <div class="summary-content">
+            <p>The trade data has no company-level flows for the importer companies sourcing from <strong>${exportingCountry.country}</strong>.</p>
+          </div>
+        </div>
+      `;
+    }
+    
+    const insights = this.insightEngine.evaluate({
+      country: exportingCountry.country,
+      role: 'importers',
+      partners: importerCompanies.map(company => ({
+        name: company.company,
+        country: company.country,
+        share: company.rawShare,
+        growth: company.rawGrowth
+      })),
+      comparedTo: this.data.comparison.previousPeriod
+    }, { scope: 'partners', limit: 4 });
     
-    return `
+    return html`
       <div class="executive-summary" style="margin-top: 20px;">
         <div class="summary-title">Key Insights</div>
         <div class="summary-content">
-          <p>The importer landscape for <strong>${exportingCountry.country}</strong> exports shows strong concentration with the top 3 companies accounting for ${(importerCompanies.slice(0, 3).reduce((sum, c) => sum + c.rawShare, 0)).toFixed(0)}% of the market.</p>
-          <p><strong>${topImporter.company}</strong> is the largest importer with ${topImporter.marketShare} market share, demonstrating strong trade relationships and consistent demand.</p>
-          ${growingImporters.length > 0 ? `<p>Emerging opportunities are evident with <strong>${growingImporters[0].company}</strong> showing significant growth in imports from ${exportingCountry.country}.</p>` : ''}
-          <p>Geographic distribution spans across <strong>${topCountries.join(', ')}</strong>, indicating diversified export markets and reduced dependency risk.</p>
+          ${this.templateEngine.generateInsights(insights)}
         </div>
       </div>
     `;
   }
+  
+  /**
+   * Slide in place of a ranked entry missing from the product data
+   *
+   * Lenient validation generates the deck anyway; strict validation stops here.
+   */
+  generateDataGapSlide(slideDef, message) {
+    if (this.data.dataQuality.mode === 'strict') {
+      throw new Error(message);
+    }
+    
+    const slideHtml = this.templateEngine.generateDataGapSlide({
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      message,
+      productName: this.data.product.name
+    });
+    
+    return {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      html: slideHtml
+    };
+  }
 }
 
 module.exports = ExportingCountriesSection;
@@ -12,20 +12,27 @@
  * - Slide 8: Top 10 Importing countries
  */
 
+const { html } = require('../shared/html');
+const InsightEngine = require('../shared/insight-engine');
+const SeededRandom = require('../shared/random');
+
 class FoundationSection {
-  constructor(dataProcessor, templateEngine, chartGenerator) {
+  constructor(dataProcessor, templateEngine, chartGenerator, random = new SeededRandom(), insightEngine = new InsightEngine()) {
     this.dataProcessor = dataProcessor;
     this.templateEngine = templateEngine;
     this.chartGenerator = chartGenerator;
+    this.random = random;
+    this.insightEngine = insightEngine;
     this.data = dataProcessor.getProcessedData();
   }
   
   /**
    * Generate all foundation slides (1-8)
    */
-  async generateSlides(slideDefinitions) {
+  async generateSlides(slideDefinitions, deckStructure = {}) {
     console.log('🏗️ Generating Foundation Section slides...');
     
+    this.deckStructure = deckStructure;
     const slides = [];
     
     for (const slideDef of slideDefinitions) {
@@ -77,17 +84,18 @@ class FoundationSection {
       type: slideDef.type,
       title: `${this.data.product.name} Trade Intelligence Report`,
       subtitle: 'Global Market Analysis & Strategic Insights',
-      date: `Data Period: ${this.data.market.dateRange}`,
+      date: `Data Period: ${this.data.market.dateRange} · Values in ${this.data.currency.reportingCurrency}` +
+        (this.data.currency.converted ? ` (FX: ${this.data.currency.source})` : ''),
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateTitleSlide(slideData);
+    const slideHtml = this.templateEngine.generateTitleSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -105,13 +113,13 @@ class FoundationSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateTOCSlide(slideData);
+    const slideHtml = this.templateEngine.generateTOCSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -131,13 +139,13 @@ class FoundationSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateExecutiveSummarySlide(slideData);
+    const slideHtml = this.templateEngine.generateExecutiveSummarySlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -155,13 +163,13 @@ class FoundationSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateProductOverviewSlide(slideData);
+    const slideHtml = this.templateEngine.generateProductOverviewSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -175,8 +183,9 @@ class FoundationSection {
     );
     
     const topSuppliersTable = this.generateTopSuppliersTable();
+    const concentrationTable = this.generateConcentrationTable();
     
-    const content = `
+    const content = html`
       <div class="two-column">
         <div>
           ${marketShareChart}
@@ -186,6 +195,8 @@ class FoundationSection {
           ${topSuppliersTable}
         </div>
       </div>
+      <div class="chart-title">Market Concentration</div>
+      ${concentrationTable}
     `;
     
     const slideData = {
@@ -193,16 +204,17 @@ class FoundationSection {
       type: slideDef.type,
       title: slideDef.title,
       content: content,
-      productName: this.data.product.name
+      productName: this.data.product.name,
+      footnote: 'HHI bands of the U.S. Horizontal Merger Guidelines: below 1,500 unconcentrated, 1,500-2,500 moderately concentrated, above 2,500 highly concentrated. CR4/CR5: combined share of the four/five largest. Gini: inequality of the listed shares (0 equal, 1 one participant). "≥" marks an HHI from participants covering less than the whole market.'
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -213,8 +225,18 @@ class FoundationSection {
     const importingTable = this.generateImportingCountriesTable();
     const exportingTable = this.generateExportingCountriesTable();
     const tradeFlowHighlights = this.generateTradeFlowHighlights();
+    const worldMap = this.chartGenerator.generateGeographicMap({
+      ...this.prepareMapLayers(),
+      flows: this.data.tradeFlows.countryFlows.slice(0, 5)
+    }, {
+      title: 'Trade Value by Country and Top Trade Flows',
+      width: 760,
+      height: 380,
+      formatValue: value => this.dataProcessor.formatCurrency(value)
+    });
     
-    const content = `
+    const content = html`
+      ${worldMap}
       <div class="two-column">
         <div>
           <div class="chart-title">Top Importing Countries</div>
@@ -239,13 +261,13 @@ class FoundationSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -257,12 +279,13 @@ class FoundationSection {
     const sankeyDiagram = this.chartGenerator.generateSankeyDiagram(sankeyData, {
       title: 'Supplier-Buyer Trade Flows',
       width: 700,
-      height: 400
+      height: 400,
+      formatValue: value => this.dataProcessor.formatCurrency(value)
     });
     
     const relationshipInsights = this.generateRelationshipInsights();
     
-    const content = `
+    const content = html`
       ${relationshipInsights}
       ${sankeyDiagram}
     `;
@@ -275,13 +298,13 @@ class FoundationSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -289,21 +312,22 @@ class FoundationSection {
    * Generate Slide 8: Top 10 Importing Countries
    */
   generateTopImportingCountriesSlide(slideDef) {
-    const importingCountriesChart = this.chartGenerator.generateHorizontalBarChart(
-      this.data.geography.importingCountries.slice(0, 10).map(country => ({
-        name: country.country,
-        value: country.rawValue
-      })),
-      { title: 'Top 10 Importing Countries by Value' }
-    );
+    const importingCountriesChart = this.chartGenerator.generateGeographicMap(this.prepareMapLayers(), {
+      title: 'Top 10 Importing Countries by Value',
+      width: 500,
+      height: 260,
+      layer: 'imports',
+      formatValue: value => this.dataProcessor.formatCurrency(value)
+    });
     
     const importingCountriesTable = this.generateDetailedImportingCountriesTable();
+    const concentration = this.data.concentration.importingCountries;
     
-    const content = `
+    const content = html`
       <div class="executive-summary">
         <div class="summary-title">Global Import Market Overview</div>
         <div class="summary-content">
-          <p>The global import market for ${this.data.product.name} is valued at ${this.data.market.totalValue} with ${this.data.geography.importingCountries.length} importing countries. The top 10 countries account for 83.7% of the total import value, indicating a concentrated market structure.</p>
+          <p>The global import market for ${this.data.product.name} is valued at ${this.data.market.totalValue} with ${this.data.geography.importingCountries.length} importing countries. ${concentration && html`The top ${Math.min(concentration.count, 10)} countries account for <strong>${concentration.cr10}</strong> of the total import value; the market is <strong>${concentration.band.toLowerCase()}</strong> by antitrust standards (HHI ${concentration.hhi}).`}</p>
         </div>
       </div>
       <div class="two-column">
@@ -324,13 +348,13 @@ class FoundationSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -339,126 +363,186 @@ class FoundationSection {
    */
   
   generateTOCContent() {
+    const item = (title, type) => ({ title, slideId: this.findSlideId(type) });
+    // Per-rank entries are labelled with the number of ranks the deck has slides for
+    const rankedItems = (...entries) => entries
+      .map(([label, type]) => ({ count: this.countSlides(type), label, type }))
+      .filter(entry => entry.count > 0)
+      .map(entry => item(`Top ${entry.count} ${entry.label}`, entry.type));
     const sections = [
       {
         title: 'Foundation & Overview',
         items: [
-          'Title & Agenda generation',
-          'Table of Contents',
-          'Executive Summary (Key Findings)',
-          'Product Overview',
-          'Market share analysis',
-          'Geography Import Export Intelligence',
-          'Supplier-Buyer Relationships',
-          'Top 10 Importing countries'
+          item('Title & Agenda generation', 'title_agenda'),
+          item('Table of Contents', 'table_of_contents'),
+          item('Executive Summary (Key Findings)', 'executive_summary'),
+          item('Product Overview', 'product_overview'),
+          item('Market share analysis', 'market_share_analysis'),
+          item('Geography Import Export Intelligence', 'geography_intelligence'),
+          item('Supplier-Buyer Relationships', 'supplier_buyer_relationships'),
+          item('Top 10 Importing countries', 'top_importing_countries')
         ]
       },
       {
         title: 'Importing Countries Analysis',
-        items: [
-          'Top 5 Importing Countries - Supplier Countries',
-          'Top 10 Importing Countries - Supplier Companies'
-        ]
+        items: rankedItems(
+          ['Importing Countries - Supplier Countries', 'importing_country_suppliers'],
+          ['Importing Countries - Supplier Companies', 'importing_country_companies']
+        )
       },
       {
         title: 'Exporting Countries Analysis',
         items: [
-          'Top 10 Exporting Countries',
-          'Top 5 Exporting Countries - Destination Countries',
-          'Top 10 Exporting Countries - Importer Companies'
+          item('Top 10 Exporting Countries', 'top_exporting_countries'),
+          ...rankedItems(
+            ['Exporting Countries - Destination Countries', 'exporting_country_destinations'],
+            ['Exporting Countries - Importer Companies', 'exporting_country_companies']
+          )
         ]
       },
       {
         title: 'Supplier & Buyer Intelligence',
         items: [
-          'Supplier & Buyer Intelligence Overview',
-          'Top 15 Suppliers Analysis',
-          'Top 10 Suppliers Detailed Analysis',
-          'Top 15 Importers Analysis',
-          'Top 10 Importers Detailed Analysis'
+          item('Supplier & Buyer Intelligence Overview', 'supplier_buyer_intelligence'),
+          item('Top 15 Suppliers Analysis', 'top_suppliers_analysis'),
+          ...rankedItems(['Suppliers Detailed Analysis', 'supplier_detailed_analysis']),
+          item('Top 15 Importers Analysis', 'top_importers_analysis'),
+          ...rankedItems(['Importers Detailed Analysis', 'importer_detailed_analysis'])
         ]
       },
       {
         title: 'Pricing Analysis',
-        items: [
-          'Pricing analysis (per unit)'
-        ]
+        items: this.deckStructure.pricing
+          ? this.deckStructure.pricing.slides.map(slide => ({ title: slide.title, slideId: slide.id }))
+          : [{ title: 'Pricing analysis (per unit)', slideId: null }]
       },
-      {
-        title: 'Shipment Records',
-        items: [
-          'Detailed Shipment Records (234 slides)',
-          '10 records per slide'
-        ]
-      }
     ];
     
-    const midpoint = Math.ceil(sections.length / 2);
-    const firstColumn = sections.slice(0, midpoint);
-    const secondColumn = sections.slice(midpoint);
+    if (this.deckStructure.trends) {
+      sections.push({
+        title: 'Market Trends',
+        items: this.deckStructure.trends.slides.map(slide => ({ title: slide.title, slideId: slide.id }))
+      });
+    }
     
-    let html = '<div>';
-    firstColumn.forEach(section => {
-      html += `
-        <div class="toc-section">
-          <div class="toc-section-title">${section.title}</div>
-          <ul class="toc-items">
-            ${section.items.map(item => `<li class="toc-item">${item}</li>`).join('')}
-          </ul>
-        </div>
-      `;
-    });
-    html += '</div>';
+    const recordsSection = this.deckStructure.shipmentRecords;
+    if (recordsSection) {
+      const recordSlides = recordsSection.slides.filter(slide => slide.type === 'shipment_records');
+      const items = [
+        { title: `Detailed Shipment Records (${recordSlides.length} slides)`, slideId: recordSlides[0].id },
+        { title: `${recordSlides[0].rowsPerSlide} records per slide`, slideId: null }
+      ];
+      if (recordSlides.length < recordsSection.slides.length) {
+        const closingSlide = recordsSection.slides[recordsSection.slides.length - 1];
+        items.push({ title: 'Remaining records in the appendix export', slideId: closingSlide.id });
+      }
+      sections.push({ title: 'Shipment Records', items });
+    }
+    
+    if (this.deckStructure.appendix) {
+      sections.push({
+        title: 'Appendix',
+        items: this.deckStructure.appendix.slides.map(slide => ({ title: slide.title, slideId: slide.id }))
+      });
+    }
     
-    html += '<div>';
-    secondColumn.forEach(section => {
-      html += `
+    // data-slide carries the target slide number for exporters with links (PDF)
+    const link = slideId => slideId && html` data-slide="${slideId}"`;
+    const renderSection = section => {
+      const firstSlideId = (section.items.find(sectionItem => sectionItem.slideId) || {}).slideId;
+      return html`
         <div class="toc-section">
-          <div class="toc-section-title">${section.title}</div>
+          <div class="toc-section-title"${link(firstSlideId)}>${section.title}</div>
           <ul class="toc-items">
-            ${section.items.map(item => `<li class="toc-item">${item}</li>`).join('')}
+            ${section.items.map(sectionItem => html`<li class="toc-item"${link(sectionItem.slideId)}>${sectionItem.title}</li>`)}
           </ul>
         </div>
       `;
-    });
-    html += '</div>';
+    };
     
-    return html;
+    const midpoint = Math.ceil(sections.length / 2);
+    const firstColumn = sections.slice(0, midpoint);
+    const secondColumn = sections.slice(midpoint);
+    
+    return html`<div>${firstColumn.map(renderSection)}</div><div>${secondColumn.map(renderSection)}</div>`;
+  }
+  
+  /**
+   * Number of the first slide of a type in this deck (null when the deck leaves it out)
+   */
+  findSlideId(type) {
+    for (const section of Object.values(this.deckStructure)) {
+      const slide = section.slides.find(candidate => candidate.type === type);
+      if (slide) {
+        return slide.id;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Number of slides of a type in this deck
+   */
+  countSlides(type) {
+    return Object.values(this.deckStructure)
+      .reduce((sum, section) => sum + section.slides.filter(slide => slide.type === type).length, 0);
   }
   
   generateExecutiveSummaryContent() {
-    return `
-      <p>Our comprehensive analysis reveals <strong>${this.data.market.totalRecords} total shipments</strong> of ${this.data.product.name} exported during ${this.data.market.dateRange} across ${this.data.geography.exportingCountries.length} supplier countries to ${this.data.geography.importingCountries.length} buyer countries with a total export value of <strong>${this.data.market.totalValue}</strong>.</p>
-      <p>The market demonstrates robust activity with an average transaction value of <strong>${this.data.market.avgTransactionValue}</strong> per shipment. The trade network features <strong>${this.data.market.uniqueSuppliers} unique suppliers</strong> and <strong>${this.data.market.uniqueBuyers} unique buyers</strong>, representing ${this.data.market.supplierDiversity} supplier diversity and ${this.data.market.buyerDiversity} buyer diversity.</p>
-      <p>Geographically, <strong>${this.data.market.topImportCountry.country}</strong> emerges as the leading destination with <strong>${this.dataProcessor.formatNumber(this.data.market.topImportCountry.count)} shipments</strong>, while <strong>${this.data.market.topExportCountry.country}</strong> dominates as the top exporter with <strong>${this.dataProcessor.formatNumber(this.data.market.topExportCountry.count)} shipments</strong>.</p>
-      <p>Price analysis reveals an average unit price of <strong>${this.data.market.avgPrice}</strong> with <strong>${this.data.market.priceVolatility}</strong> price volatility. This comprehensive trade intelligence delivers detailed supplier and buyer information, pricing trends, shipment quantities, and trade routes essential for informed business decisions.</p>
+    const insights = this.insightEngine.evaluate(this.data.metrics, { limit: 4 });
+    
+    return html`
+      <p>Our analysis covers <strong>${this.data.market.totalRecords} total shipments</strong> of ${this.data.product.name} during ${this.data.market.dateRange} across ${this.data.geography.exportingCountries.length} supplier countries and ${this.data.geography.importingCountries.length} buyer countries, with a total export value of <strong>${this.data.market.totalValue}</strong>, <strong>${this.data.market.uniqueSuppliers} unique suppliers</strong> and <strong>${this.data.market.uniqueBuyers} unique buyers</strong>.</p>
+      ${this.templateEngine.generateInsights(insights)}
     `;
   }
   
   generateKPICards() {
+    const { metrics } = this.data;
+    const trend = (change, suffix) => {
+      const direction = this.insightEngine.direction(change);
+      const arrow = { up: '↗', down: '↘', flat: '→' }[direction];
+      return {
+        trend: `${arrow} ${Math.abs(change).toFixed(1)}% ${suffix}`,
+        trendClass: { up: 'trend-up', down: 'trend-down', flat: '' }[direction]
+      };
+    };
+    const priceChange = metrics.price.change;
+    const { suppliers } = this.data.concentration;
+    const { comparison } = this.data;
+    const growthSuffix = metrics.growth.comparedTo
+      ? `vs ${metrics.growth.comparedTo}`
+      : (metrics.growth.market < 0 ? 'decline' : 'growth');
+    let priceTrend = { trend: 'No price history', trendClass: '' };
+    if (comparison.available && comparison.price.rawAverageChange !== null) {
+      priceTrend = trend(comparison.price.rawAverageChange, `vs ${comparison.previousPeriod}`);
+    } else if (priceChange) {
+      priceTrend = trend(priceChange.percent, `since ${priceChange.from.label}`);
+    }
+    
     const kpiData = [
       {
         title: 'Total Market Value',
         value: this.data.market.totalValue,
-        trend: `↗ ${this.data.market.marketGrowth} growth`,
-        trendClass: 'trend-up'
+        ...(metrics.growth.market !== null
+          ? trend(metrics.growth.market, growthSuffix)
+          : { trend: 'Growth not reported', trendClass: '' })
       },
       {
         title: 'Average Price',
-        value: `${this.data.market.avgPrice}/kg`,
-        trend: '↗ 6.1% YoY',
-        trendClass: 'trend-up'
+        value: `${this.data.market.avgPrice}/${this.data.units.baseUnit}`,
+        ...priceTrend
       },
       {
         title: 'Price Volatility',
         value: this.data.market.priceVolatility,
-        trend: '↘ 2.3% decrease',
-        trendClass: 'trend-down'
+        trend: metrics.price.spread !== null ? `Range: ${metrics.price.spread.toFixed(1)}% of average` : 'Price range not reported',
+        trendClass: ''
       },
       {
-        title: 'Market Concentration',
-        value: 'High',
-        trend: 'Top 5 suppliers: 67.2%',
+        title: 'Supplier Concentration',
+        value: suppliers ? suppliers.band : 'Unknown',
+        trend: suppliers ? `HHI ${suppliers.hhi} · CR5 ${suppliers.cr5}` : 'No supplier shares',
         trendClass: ''
       }
     ];
@@ -467,7 +551,7 @@ class FoundationSection {
   }
   
   generateProductOverviewContent() {
-    return `
+    return html`
       <div class="product-info">
         <div class="product-details">
           <div class="product-property">
@@ -559,71 +643,101 @@ class FoundationSection {
     const topImporter = this.data.geography.importingCountries[0];
     const secondExporter = this.data.geography.exportingCountries[1];
     const secondImporter = this.data.geography.importingCountries[1];
+    const strongestFlow = this.data.tradeFlows.countryFlows[0];
     
-    return `
+    return html`
       <div class="executive-summary">
         <div class="summary-content">
-          <p>The global ${this.data.product.name} trade is dominated by <strong>${topExporter.country}</strong> as the leading exporter with ${topExporter.share} market share, followed by <strong>${secondExporter.country}</strong> (${secondExporter.share}) and other key suppliers.</p>
-          <p>On the import side, <strong>${topImporter.country}</strong> is the largest buyer with ${topImporter.share} of global imports, followed by <strong>${secondImporter.country}</strong> (${secondImporter.share}).</p>
-          <p>The strongest trade relationship is between <strong>${topExporter.country}</strong> and <strong>${topImporter.country}</strong>, accounting for approximately 18% of the global trade value.</p>
+          <p>The global ${this.data.product.name} trade is dominated by <strong>${topExporter.country}</strong> as the leading exporter with ${topExporter.share} market share${secondExporter && html`, followed by <strong>${secondExporter.country}</strong> (${secondExporter.share}) and other key suppliers`}.</p>
+          <p>On the import side, <strong>${topImporter.country}</strong> is the largest buyer with ${topImporter.share} of global imports${secondImporter && html`, followed by <strong>${secondImporter.country}</strong> (${secondImporter.share})`}.</p>
+          ${strongestFlow ? html`<p>The strongest trade relationship is between <strong>${strongestFlow.origin}</strong> and <strong>${strongestFlow.destination}</strong>, accounting for ${this.dataProcessor.formatPercentage((strongestFlow.value / this.data.tradeFlows.totalValue) * 100)} of the global trade value${this.data.tradeFlows.isEstimated ? ' (estimated from country totals)' : ''}.</p>` : ''}
         </div>
       </div>
     `;
   }
   
-  prepareSankeyData() {
-    const sources = this.data.geography.exportingCountries.slice(0, 5).map((country, index) => ({
-      id: `export_${index}`,
-      name: country.country
-    }));
-    
-    const targets = this.data.geography.importingCountries.slice(0, 5).map((country, index) => ({
-      id: `import_${index}`,
-      name: country.country
+  /**
+   * Import and export values per country for the world map
+   */
+  prepareMapLayers() {
+    const layer = countries => countries.map(country => ({
+      country: country.country,
+      value: country.rawValue,
+      share: country.share
     }));
     
-    const flows = [];
-    let maxFlow = 0;
-    
-    // Generate flows between exporters and importers
-    sources.forEach((source, sIndex) => {
-      targets.forEach((target, tIndex) => {
-        const value = Math.random() * 1000000000; // Random flow value
-        flows.push({
-          source: source.id,
-          target: target.id,
-          value: value
-        });
-        maxFlow = Math.max(maxFlow, value);
-      });
-    });
+    return {
+      imports: layer(this.data.geography.importingCountries),
+      exports: layer(this.data.geography.exportingCountries)
+    };
+  }
+  
+  prepareSankeyData() {
+    const exporterNames = this.data.geography.exportingCountries.slice(0, 5).map(country => country.country);
+    const importerNames = this.data.geography.importingCountries.slice(0, 5).map(country => country.country);
+    
+    // Flows between the top exporters and importers from the shared trade matrix
+    const links = this.data.tradeFlows.countryFlows
+      .filter(flow => exporterNames.includes(flow.origin) && importerNames.includes(flow.destination))
+      .map(flow => ({
+        source: `export_${exporterNames.indexOf(flow.origin)}`,
+        target: `import_${importerNames.indexOf(flow.destination)}`,
+        value: flow.value
+      }));
     
     return {
-      sources,
-      targets,
-      flows,
-      maxFlow
+      columns: [
+        exporterNames.map((name, index) => ({ id: `export_${index}`, name })),
+        importerNames.map((name, index) => ({ id: `import_${index}`, name }))
+      ],
+      links
     };
   }
   
   generateRelationshipInsights() {
-    return `
+    const insights = this.insightEngine.evaluate(this.data.metrics, {
+      only: ['dominant-lane', 'supplier-concentration', 'buyer-concentration']
+    });
+    
+    return html`
       <div class="executive-summary">
         <div class="summary-title">Key Relationship Insights</div>
         <div class="summary-content">
-          <p>Analysis of ${this.data.market.totalRecords} shipment records reveals strong supplier-buyer relationships in the ${this.data.product.name} market. The top 10 suppliers account for 67.2% of the total market value, while the top 10 buyers represent 58.9% of purchases.</p>
-          <p>The most significant trade flows occur between major exporting and importing countries, with established trade routes and long-term partnerships driving consistent volume.</p>
+          ${this.templateEngine.generateInsights(insights)}
         </div>
       </div>
     `;
   }
   
+  generateConcentrationTable() {
+    const groups = [
+      ['Suppliers', this.data.concentration.suppliers],
+      ['Buyers', this.data.concentration.buyers],
+      ['Exporting countries', this.data.concentration.exportingCountries],
+      ['Importing countries', this.data.concentration.importingCountries]
+    ].filter(([, metrics]) => metrics);
+    
+    const tableData = {
+      headers: ['Group', 'Listed', 'HHI', 'Band', 'CR4', 'CR5', 'Gini'],
+      rows: groups.map(([label, metrics]) => [
+        label,
+        metrics.count,
+        metrics.hhi,
+        metrics.band,
+        metrics.cr4,
+        metrics.cr5,
+        metrics.gini
+      ])
+    };
+    
+    return this.templateEngine.generateTable(tableData);
+  }
+  
   generateDetailedImportingCountriesTable() {
+    const comparison = this.templateEngine.comparisonColumns(this.data.comparison, { movement: true });
     const tableData = {
-      headers: ['Rank', 'Country', 'Import Value', 'Market Share', 'YoY Growth', 'Key Suppliers'],
-      rows: this.data.geography.importingCountries.slice(0, 10).map((country, index) => {
-        const growth = (Math.random() - 0.5) * 40; // Random growth between -20% and +20%
-        const growthSymbol = growth > 0 ? '↗' : '↘';
+      headers: ['Rank', 'Country', 'Import Value', 'Market Share', ...comparison.headers, 'Key Suppliers'],
+      rows: this.data.geography.importingCountries.slice(0, 10).map(country => {
         const suppliers = this.data.suppliers.topSuppliers.slice(0, 2).map(s => s.name).join(', ');
         
         return [
@@ -631,7 +745,7 @@ class FoundationSection {
           country.country,
           country.value,
           country.share,
-          `${growthSymbol} ${Math.abs(growth).toFixed(1)}%`,
+          ...comparison.cells(country),
           suppliers
         ];
       })
@@ -6,11 +6,17 @@
  * - Slides 14-23: Top 10 importing countries → their top 10 supplier companies
  */
 
+const { html } = require('../shared/html');
+const InsightEngine = require('../shared/insight-engine');
+const SeededRandom = require('../shared/random');
+
 class ImportingCountriesSection {
-  constructor(dataProcessor, templateEngine, chartGenerator) {
+  constructor(dataProcessor, templateEngine, chartGenerator, random = new SeededRandom(), insightEngine = new InsightEngine()) {
     this.dataProcessor = dataProcessor;
     this.templateEngine = templateEngine;
     this.chartGenerator = chartGenerator;
+    this.random = random;
+    this.insightEngine = insightEngine;
     this.data = dataProcessor.getProcessedData();
   }
   
@@ -52,22 +58,23 @@ class ImportingCountriesSection {
     const importingCountry = this.data.geography.importingCountries[countryRank - 1];
     
     if (!importingCountry) {
-      throw new Error(`Importing country at rank ${countryRank} not found`);
+      return this.generateDataGapSlide(slideDef, `Importing country at rank ${countryRank} not found in the product data`);
     }
     
     const supplierCountries = this.generateSupplierCountriesData(importingCountry);
+    const supplierCountryCount = this.dataProcessor.getPartnerCountries(importingCountry.country, 'origins', Infinity).length;
     const supplierChart = this.chartGenerator.generateHorizontalBarChart(
-      supplierCountries.slice(0, 10),
-      { title: `${importingCountry.country}'s Supplier Countries` }
+      supplierCountries.slice(0, 10).map(country => ({ name: country.country, value: country.rawValue })),
+      { title: `${importingCountry.country}'s Supplier Countries`, valueFormat: 'compactCurrency', axisTitle: 'Import value' }
     );
     
     const supplierTable = this.generateSupplierCountriesTable(supplierCountries);
     
-    const content = `
+    const content = html`
       <div class="executive-summary">
         <div class="summary-title">Market Overview</div>
         <div class="summary-content">
-          <p><strong>${importingCountry.country}</strong> imports ${this.data.product.name} worth <strong>${importingCountry.value}</strong> annually, representing <strong>${importingCountry.share}</strong> of the global import market. The country sources from <strong>11 different supplier countries</strong>.</p>
+          <p><strong>${importingCountry.country}</strong> imports ${this.data.product.name} worth <strong>${importingCountry.value}</strong> annually, representing <strong>${importingCountry.share}</strong> of the global import market. The country sources from <strong>${supplierCountryCount} different supplier countries</strong>${this.data.tradeFlows.isEstimated ? ' (estimated from country totals)' : ''}.</p>
         </div>
       </div>
       
@@ -90,13 +97,13 @@ class ImportingCountriesSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideData.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -108,14 +115,14 @@ class ImportingCountriesSection {
     const importingCountry = this.data.geography.importingCountries[countryRank - 1];
     
     if (!importingCountry) {
-      throw new Error(`Importing country at rank ${countryRank} not found`);
+      return this.generateDataGapSlide(slideDef, `Importing country at rank ${countryRank} not found in the product data`);
     }
     
     const supplierCompanies = this.generateSupplierCompaniesData(importingCountry);
     const companiesTable = this.generateSupplierCompaniesTable(supplierCompanies);
     const keyInsights = this.generateSupplierCompaniesInsights(importingCountry, supplierCompanies);
     
-    const content = `
+    const content = html`
       ${companiesTable}
       ${keyInsights}
     `;
@@ -128,110 +135,63 @@ class ImportingCountriesSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideData.title,
-      html: html
+      html: slideHtml
     };
   }
   
   /**
-   * Generate supplier countries data for an importing country
+   * Generate supplier countries data for an importing country from the trade matrix
    */
   generateSupplierCountriesData(importingCountry) {
-    const baseValue = importingCountry.rawValue;
-    
-    // Generate realistic supplier country distribution
-    const supplierCountries = [
-      { name: 'India', value: baseValue * 0.35, share: 35 },
-      { name: 'United States', value: baseValue * 0.25, share: 25 },
-      { name: 'Israel', value: baseValue * 0.15, share: 15 },
-      { name: 'China', value: baseValue * 0.10, share: 10 },
-      { name: 'Germany', value: baseValue * 0.08, share: 8 },
-      { name: 'Others', value: baseValue * 0.07, share: 7 }
-    ];
-    
-    return supplierCountries.map((country, index) => ({
-      rank: index + 1,
-      country: country.name,
-      value: this.dataProcessor.formatCurrency(country.value),
-      share: `${country.share}%`,
-      rawValue: country.value,
-      rawShare: country.share
+    return this.dataProcessor.getPartnerCountries(importingCountry.country, 'origins').map(partner => ({
+      rank: partner.rank,
+      country: partner.name,
+      value: partner.formattedValue,
+      share: this.dataProcessor.formatPercentage(partner.share),
+      growth: partner.growth,
+      rawValue: partner.value,
+      rawShare: partner.share,
+      rawGrowth: partner.rawGrowth
     }));
   }
   
   /**
-   * Generate supplier companies data for an importing country
+   * Generate supplier companies data for an importing country from the trade matrix
    */
   generateSupplierCompaniesData(importingCountry) {
-    const baseValue = importingCountry.rawValue;
-    
-    // Use actual supplier data and distribute based on importing country
-    const companies = this.data.suppliers.topSuppliers.slice(0, 8).map((supplier, index) => {
-      const countryMultiplier = this.getCountryMultiplier(importingCountry.country, supplier.country);
-      const estimatedValue = (baseValue * countryMultiplier * (1 - index * 0.1)) / 8;
-      const marketShare = (estimatedValue / baseValue) * 100;
-      const growth = (Math.random() - 0.5) * 40; // Random growth between -20% and +20%
-      
-      return {
-        rank: index + 1,
-        company: supplier.name,
-        country: supplier.country,
-        estValue: this.dataProcessor.formatCurrency(estimatedValue),
-        marketShare: `${marketShare.toFixed(0)}%`,
-        yoyGrowth: `${growth > 0 ? '↗' : '↘'} ${Math.abs(growth).toFixed(1)}%`,
-        rawValue: estimatedValue,
-        rawShare: marketShare,
-        rawGrowth: growth
-      };
-    });
-    
-    return companies.sort((a, b) => b.rawValue - a.rawValue);
-  }
-  
-  /**
-   * Get country multiplier for realistic distribution
-   */
-  getCountryMultiplier(importingCountry, supplierCountry) {
-    const multipliers = {
-      'United States': {
-        'India': 0.4,
-        'USA': 0.3,
-        'Israel': 0.2,
-        'China': 0.1
-      },
-      'Germany': {
-        'India': 0.35,
-        'USA': 0.25,
-        'Germany': 0.2,
-        'Israel': 0.2
-      },
-      'United Kingdom': {
-        'India': 0.4,
-        'USA': 0.25,
-        'Israel': 0.2,
-        'Germany': 0.15
-      }
-    };
-    
-    return multipliers[importingCountry]?.[supplierCountry] || 0.1;
+    return this.dataProcessor.getPartnerCompanies(importingCountry.country, 'suppliers', 8).map(partner => ({
+      rank: partner.rank,
+      company: partner.name,
+      country: partner.country,
+      estValue: partner.formattedValue,
+      marketShare: `${partner.share.toFixed(0)}%`,
+      growth: partner.growth,
+      movement: partner.movement,
+      rawValue: partner.value,
+      rawShare: partner.share,
+      rawGrowth: partner.rawGrowth
+    }));
   }
   
   /**
    * Generate supplier countries table
    */
   generateSupplierCountriesTable(supplierCountries) {
+    const comparison = this.templateEngine.comparisonColumns(this.data.comparison);
     const tableData = {
-      headers: ['Rank', 'Supplier Country', 'Value', 'Share'],
+      headers: ['Rank', 'Supplier Country', 'Value', 'Share', ...comparison.headers],
       rows: supplierCountries.map(country => [
         country.rank,
         country.country,
         country.value,
-        country.share
+        country.share,
+        ...comparison.cells(country)
       ])
     };
     
@@ -242,15 +202,16 @@ class ImportingCountriesSection {
    * Generate supplier companies table
    */
   generateSupplierCompaniesTable(supplierCompanies) {
+    const comparison = this.templateEngine.comparisonColumns(this.data.comparison);
     const tableData = {
-      headers: ['Rank', 'Company', 'Country', 'Est. Value', 'Market Share', 'YoY Growth'],
+      headers: ['Rank', 'Company', 'Country', 'Est. Value', 'Market Share', ...comparison.headers],
       rows: supplierCompanies.map(company => [
         company.rank,
         company.company,
         company.country,
         company.estValue,
         company.marketShare,
-        company.yoyGrowth
+        ...comparison.cells(company)
       ])
     };
     
@@ -261,22 +222,63 @@ class ImportingCountriesSection {
    * Generate key insights for supplier companies
    */
   generateSupplierCompaniesInsights(importingCountry, supplierCompanies) {
-    const topSupplier = supplierCompanies[0];
-    const growingSuppliers = supplierCompanies.filter(c => c.rawGrowth > 10);
-    const topCountries = [...new Set(supplierCompanies.slice(0, 3).map(c => c.country))];
+    if (supplierCompanies.length === 0) {
+      return html`
+        <div class="executive-summary" style="margin-top: 20px;">
+          <div class="summary-content">
+            <p>The trade data has no company-level flows for the supplier companies selling into <strong>${importingCountry.country}</strong>.</p>
+          </div>
+        </div>
+      `;
+    }
     
-    return `
+    const insights = this.insightEngine.evaluate({
+      country: importingCountry.country,
+      role: 'suppliers',
+      partners: supplierCompanies.map(company => ({
+        name: company.company,
+        country: company.country,
+        share: company.rawShare,
+        growth: company.rawGrowth
+      })),
+      comparedTo: this.data.comparison.previousPeriod
+    }, { scope: 'partners', limit: 4 });
+    
+    return html`
       <div class="executive-summary" style="margin-top: 20px;">
         <div class="summary-title">Key Insights</div>
         <div class="summary-content">
-          <p>The supplier landscape for <strong>${importingCountry.country}</strong> is relatively fragmented with the top 3 companies accounting for ${(supplierCompanies.slice(0, 3).reduce((sum, c) => sum + c.rawShare, 0)).toFixed(0)}% of the market.</p>
-          <p><strong>${topSupplier.company}</strong> maintains the strongest position with ${topSupplier.marketShare} market share, primarily due to its high-quality product offerings.</p>
-          ${growingSuppliers.length > 0 ? `<p>Notable growth is observed from <strong>${growingSuppliers[0].company}</strong>, which has increased its market presence significantly over the past year.</p>` : ''}
-          <p>The supplier base is geographically diverse, with companies from <strong>${topCountries.join(', ')}</strong> representing the majority of supply.</p>
+          ${this.templateEngine.generateInsights(insights)}
         </div>
       </div>
     `;
   }
+  
+  /**
+   * Slide in place of a ranked entry missing from the product data
+   *
+   * Lenient validation generates the deck anyway; strict validation stops here.
+   */
+  generateDataGapSlide(slideDef, message) {
+    if (this.data.dataQuality.mode === 'strict') {
+      throw new Error(message);
+    }
+    
+    const slideHtml = this.templateEngine.generateDataGapSlide({
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      message,
+      productName: this.data.product.name
+    });
+    
+    return {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      html: slideHtml
+    };
+  }
 }
 
 module.exports = ImportingCountriesSection;
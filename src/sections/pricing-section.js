@@ -1,23 +1,33 @@
 /**
- * Pricing Section Generator - Slide 63
+ * Pricing Section Generator - Slides 63-67
  * 
- * This module generates the pricing analysis slide with 0% deviation:
+ * This module generates the pricing analysis slides with 0% deviation:
  * - Slide 63: Pricing analysis (per unit)
+ * - Slide 64: Unit price distribution across shipments
+ * - Slide 65: Unit price by supplier country vs. buyer country
+ * - Slide 66: Unit price trend with monthly min/max bands
+ * - Slide 67: Unit price forecast with 80%/95% confidence bands
  */
 
+const { html } = require('../shared/html');
+const InsightEngine = require('../shared/insight-engine');
+const SeededRandom = require('../shared/random');
+
 class PricingSection {
-  constructor(dataProcessor, templateEngine, chartGenerator) {
+  constructor(dataProcessor, templateEngine, chartGenerator, random = new SeededRandom(), insightEngine = new InsightEngine()) {
     this.dataProcessor = dataProcessor;
     this.templateEngine = templateEngine;
     this.chartGenerator = chartGenerator;
+    this.random = random;
+    this.insightEngine = insightEngine;
     this.data = dataProcessor.getProcessedData();
   }
   
   /**
-   * Generate pricing section slide (63)
+   * Generate pricing section slides (63-67)
    */
   async generateSlides(slideDefinitions) {
-    console.log('💰 Generating Pricing Section slide...');
+    console.log('💰 Generating Pricing Section slides...');
     
     const slides = [];
     
@@ -29,6 +39,18 @@ class PricingSection {
         case 'pricing_analysis':
           slide = this.generatePricingAnalysisSlide(slideDef);
           break;
+        case 'price_distribution':
+          slide = this.generatePriceDistributionSlide(slideDef);
+          break;
+        case 'price_origin_destination':
+          slide = this.generatePriceOriginDestinationSlide(slideDef);
+          break;
+        case 'price_trend_bands':
+          slide = this.generatePriceTrendBandsSlide(slideDef);
+          break;
+        case 'price_forecast':
+          slide = this.generatePriceForecastSlide(slideDef);
+          break;
         default:
           throw new Error(`Unknown slide type: ${slideDef.type}`);
       }
@@ -36,7 +58,7 @@ class PricingSection {
       slides.push(slide);
     }
     
-    console.log(`✅ Pricing Section: ${slides.length} slide generated`);
+    console.log(`✅ Pricing Section: ${slides.length} slides generated`);
     return slides;
   }
   
@@ -49,7 +71,7 @@ class PricingSection {
     const priceByCountryAnalysis = this.generatePriceByCountryAnalysis();
     const volatilityAnalysis = this.generateVolatilityAnalysis();
     
-    const content = `
+    const content = html`
       ${priceOverview}
       <div class="two-column">
         <div>
@@ -70,38 +92,330 @@ class PricingSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
+  /**
+   * Generate Slide 64: Unit price distribution across shipments
+   */
+  generatePriceDistributionSlide(slideDef) {
+    const records = this.data.shipments.shipmentRecords;
+    const distribution = this.dataProcessor.calculatePriceDistribution(records);
+    
+    let content;
+    if (!distribution.stats) {
+      content = this.generateNoShipmentDataNotice('price distribution');
+    } else {
+      const { stats } = distribution;
+      const histogram = this.chartGenerator.generateColumnChart(
+        distribution.bins.map(bin => ({ label: this.formatPriceBucket(bin.from), value: bin.count })),
+        { title: 'Shipments by Unit Price Band', width: 520, height: 260, axisTitle: 'Shipments', categoryTitle: 'Unit price' }
+      );
+      
+      const priceKPIs = [
+        {
+          title: 'Median Unit Price',
+          value: this.dataProcessor.formatPrice(stats.median),
+          trend: `${this.dataProcessor.formatNumber(stats.count)} priced shipments`,
+          trendClass: ''
+        },
+        {
+          title: 'P10 - P90 Range',
+          value: `${this.dataProcessor.formatPrice(stats.p10)} - ${this.dataProcessor.formatPrice(stats.p90)}`,
+          trend: `Spread: ${(((stats.p90 - stats.p10) / stats.median) * 100).toFixed(1)}% of median`,
+          trendClass: ''
+        },
+        {
+          title: 'Full Range',
+          value: `${this.dataProcessor.formatPrice(stats.min)} - ${this.dataProcessor.formatPrice(stats.max)}`,
+          trend: `${distribution.bins.length} price bands`,
+          trendClass: ''
+        }
+      ];
+      
+      const tableData = {
+        headers: ['Price Band', 'Shipments', 'Share'],
+        rows: distribution.bins.map(bin => [
+          bin.label,
+          this.dataProcessor.formatNumber(bin.count),
+          this.dataProcessor.formatPercentage(bin.share)
+        ])
+      };
+      
+      content = html`
+        ${this.chartGenerator.generateKPIVisualization(priceKPIs)}
+        <div class="two-column">
+          <div>
+            ${histogram}
+          </div>
+          <div>
+            ${this.templateEngine.generateTable(tableData)}
+          </div>
+        </div>
+      `;
+    }
+    
+    return this.buildSlide(slideDef, slideDef.title, content);
+  }
+  
+  /**
+   * Generate Slide 65: Unit price by supplier country vs. buyer country
+   */
+  generatePriceOriginDestinationSlide(slideDef) {
+    const records = this.data.shipments.shipmentRecords;
+    
+    let content;
+    if (records.length === 0) {
+      content = this.generateNoShipmentDataNotice('origin/destination price comparison');
+    } else {
+      const matrix = this.dataProcessor.calculatePriceMatrix(records);
+      const pricedRecords = records.filter(r => !r.unitFlag);
+      const globalPrice = pricedRecords.reduce((sum, r) => sum + r.rawValue, 0) /
+        (pricedRecords.reduce((sum, r) => sum + r.quantity, 0) || 1);
+      
+      const tableData = {
+        headers: ['Supplier Country / Buyer Country', ...matrix.destinations],
+        rows: matrix.origins.map(origin => [
+          origin,
+          ...matrix.destinations.map(destination => {
+            const price = matrix.getPrice(origin, destination);
+            if (price === null) return '-';
+            const index = ((price / globalPrice) * 100).toFixed(0);
+            return `${this.dataProcessor.formatPrice(price)} (${index})`;
+          })
+        ])
+      };
+      
+      content = html`
+        <div class="executive-summary">
+          <div class="summary-title">Price by Trade Lane</div>
+          <div class="summary-content">
+            <p>Value-weighted average unit price for each supplier country (rows) and buyer country (columns), covering the top ${matrix.origins.length} origins and ${matrix.destinations.length} destinations by value. The figure in brackets is the price index against the global average of <strong>${this.dataProcessor.formatPrice(globalPrice)}</strong> (100 = global average).</p>
+          </div>
+        </div>
+        ${this.templateEngine.generateTable(tableData)}
+      `;
+    }
+    
+    return this.buildSlide(slideDef, slideDef.title, content);
+  }
+  
+  /**
+   * Generate Slide 66: Unit price trend with min/max bands
+   */
+  generatePriceTrendBandsSlide(slideDef) {
+    const priceHistory = this.data.pricing.priceHistory;
+    
+    let content;
+    if (priceHistory.length < 2) {
+      content = html`
+        <div class="executive-summary">
+          <div class="summary-content">
+            <p>At least two months of price history are needed for the unit price trend.</p>
+          </div>
+        </div>
+      `;
+    } else {
+      const bands = this.getMonthlyPriceBands(priceHistory);
+      const trendChart = this.chartGenerator.generateLineChart(
+        priceHistory.map(item => ({ label: item.date, value: item.rawPrice })),
+        { title: 'Monthly Unit Price with Min/Max Band', width: 900, height: 300, bands, valueFormat: 'price', axisTitle: 'Unit price' }
+      );
+      
+      const tableData = {
+        headers: ['Month', 'Avg. Price', 'Min', 'Max', 'Band Width'],
+        rows: priceHistory.map((item, index) => {
+          const band = bands ? bands[index] : null;
+          return [
+            item.date,
+            item.price,
+            band ? this.dataProcessor.formatPrice(band.low) : '-',
+            band ? this.dataProcessor.formatPrice(band.high) : '-',
+            band ? this.dataProcessor.formatPercentage(((band.high - band.low) / item.rawPrice) * 100) : '-'
+          ];
+        })
+      };
+      
+      const first = priceHistory[0];
+      const last = priceHistory[priceHistory.length - 1];
+      const change = ((last.rawPrice - first.rawPrice) / first.rawPrice) * 100;
+      
+      content = html`
+        <div class="executive-summary">
+          <div class="summary-content">
+            <p>The average unit price moved from <strong>${first.price}</strong> in ${first.date} to <strong>${last.price}</strong> in ${last.date} (<strong>${change >= 0 ? '+' : ''}${change.toFixed(1)}%</strong>).${bands ? ' The shaded band shows the lowest and highest unit price paid in each month.' : ' Monthly min/max prices are not available for this product, so no band is shown.'}</p>
+          </div>
+        </div>
+        ${trendChart}
+        ${this.templateEngine.generateTable(tableData)}
+      `;
+    }
+    
+    return this.buildSlide(slideDef, slideDef.title, content);
+  }
+  
+  /**
+   * Generate Slide 67: Unit price forecast with 80%/95% confidence bands
+   */
+  generatePriceForecastSlide(slideDef) {
+    const { forecast } = this.data.pricing;
+    
+    let content;
+    if (!forecast.available) {
+      content = html`
+        <div class="executive-summary">
+          <div class="summary-content">
+            <p>No price forecast is shown: ${forecast.reason}.</p>
+          </div>
+        </div>
+      `;
+    } else {
+      const { history, points } = forecast;
+      const format = value => this.dataProcessor.formatPrice(value);
+      const last = history[history.length - 1];
+      const end = points[points.length - 1];
+      const change = ((end.mean - last.price) / last.price) * 100;
+      const direction = this.insightEngine.direction(change);
+      
+      // The forecast line and bands start from the last actual price
+      const gap = history.slice(0, -1).map(() => null);
+      const interval = level => ({
+        name: `${level}% interval`,
+        values: [...gap, { low: last.price, high: last.price }, ...points.map(point => ({ low: point[`low${level}`], high: point[`high${level}`] }))]
+      });
+      const forecastChart = this.chartGenerator.generateLineChart(
+        [...history.map(item => ({ label: item.date, value: item.price })), ...points.map(point => ({ label: point.date, value: null }))],
+        {
+          title: `Monthly Unit Price and ${forecast.horizon}-Month Forecast`,
+          width: 900,
+          height: 260,
+          valueFormat: 'price',
+          axisTitle: 'Unit price',
+          seriesName: 'Actual',
+          overlays: [{ name: 'Forecast', values: [...gap, last.price, ...points.map(point => point.mean)] }],
+          intervals: [interval(95), interval(80)]
+        }
+      );
+      
+      const forecastKPIs = [
+        {
+          title: `Forecast ${end.date}`,
+          value: format(end.mean),
+          trend: `${{ up: '↗', down: '↘', flat: '→' }[direction]} ${Math.abs(change).toFixed(1)}% vs ${last.date}`,
+          trendClass: { up: 'trend-up', down: 'trend-down' }[direction] || ''
+        },
+        {
+          title: '80% Interval',
+          value: `${format(end.low80)} - ${format(end.high80)}`,
+          trend: end.date,
+          trendClass: ''
+        },
+        {
+          title: '95% Interval',
+          value: `${format(end.low95)} - ${format(end.high95)}`,
+          trend: end.date,
+          trendClass: ''
+        },
+        {
+          title: 'Backtest MAPE',
+          value: forecast.mape === null ? 'n/a' : this.dataProcessor.formatPercentage(forecast.mape),
+          trend: `Last ${forecast.holdout} months held out${forecast.trendOnlyBacktest ? ', trend-only' : ''}`,
+          trendClass: ''
+        }
+      ];
+      
+      const modelTable = {
+        headers: ['Model', 'MAPE', 'Parameters'],
+        rows: forecast.models.map(model => [
+          model.key === forecast.model ? `${model.name} (used)` : model.name,
+          model.mape === null ? 'n/a' : this.dataProcessor.formatPercentage(model.mape),
+          this.formatModelParameters(model)
+        ])
+      };
+      
+      const forecastTable = {
+        headers: ['Month', 'Forecast', '80% Low', '80% High', '95% Low', '95% High'],
+        rows: points.map(point => [
+          point.date,
+          format(point.mean),
+          format(point.low80),
+          format(point.high80),
+          format(point.low95),
+          format(point.high95)
+        ])
+      };
+      
+      const alternative = forecast.models.find(model => model.key !== forecast.model);
+      const backtestModels = forecast.trendOnlyBacktest
+        ? ` These errors are for the trend-only versions of the models: the ${history.length - forecast.holdout} months left to fit on are fewer than the two seasons the seasonal part needs.`
+        : '';
+      const interpolated = forecast.interpolatedMonths;
+      const movement = direction === 'flat'
+        ? html`broadly unchanged at <strong>${format(end.mean)}</strong> in ${end.date}`
+        : html`at <strong>${format(end.mean)}</strong> in ${end.date}, ${direction === 'up' ? 'up' : 'down'} ${Math.abs(change).toFixed(1)}% from ${format(last.price)} in ${last.date}`;
+      
+      content = html`
+        <div class="executive-summary">
+          <div class="summary-content">
+            <p>${forecast.modelName} projects the average unit price ${movement}, with an 80% interval of ${format(end.low80)} - ${format(end.high80)} and a 95% interval of ${format(end.low95)} - ${format(end.high95)}.${forecast.mape !== null && html` Fitted without the last ${forecast.holdout} months, it missed them by <strong>${this.dataProcessor.formatPercentage(forecast.mape)}</strong> on average (MAPE)${alternative.mape !== null && html`, against ${this.dataProcessor.formatPercentage(alternative.mape)} for the alternative (${alternative.name})`}.${backtestModels}`}${interpolated.length > 0 && ` ${interpolated.length} month${interpolated.length > 1 ? 's' : ''} without a price (${interpolated.join(', ')}) ${interpolated.length > 1 ? 'were' : 'was'} interpolated from the neighbouring months.`} The projection extends the historical ${forecast.models.some(model => model.seasonal) ? 'trend and seasonal pattern' : 'trend (seasonality needs 24 months of history)'} and does not anticipate supply disruptions, regulatory changes or other shocks.</p>
+          </div>
+        </div>
+        ${this.chartGenerator.generateKPIVisualization(forecastKPIs)}
+        ${forecastChart}
+        <div class="two-column">
+          <div>
+            ${this.templateEngine.generateTable(modelTable)}
+          </div>
+          <div>
+            ${this.templateEngine.generateTable(forecastTable)}
+          </div>
+        </div>
+      `;
+    }
+    
+    return this.buildSlide(slideDef, slideDef.title, content);
+  }
+  
   /**
    * Generate price overview section
    */
   generatePriceOverview() {
+    const { comparison } = this.data;
+    const compared = comparison.available && comparison.price.rawAverageChange !== null;
+    const priceChange = this.data.metrics.price.change;
+    const change = compared ? comparison.price.rawAverageChange : priceChange && priceChange.percent;
+    const direction = priceChange || compared ? this.insightEngine.direction(change) : null;
     const priceKPIs = [
       {
         title: 'Current Average Price',
         value: this.data.pricing.currentPrice,
-        trend: '↗ 6.1% YoY increase',
-        trendClass: 'trend-up'
+        trend: direction
+          ? `${{ up: '↗', down: '↘', flat: '→' }[direction]} ${Math.abs(change).toFixed(1)}% ${compared ? `vs ${comparison.previousPeriod}` : `since ${priceChange.from.label}`}`
+          : 'No price history',
+        trendClass: { up: 'trend-up', down: 'trend-down' }[direction] || ''
       },
       {
         title: 'Price Range',
         value: `${this.data.pricing.priceRange.min} - ${this.data.pricing.priceRange.max}`,
-        trend: `Spread: ${this.calculatePriceSpread()}%`,
+        trend: comparison.available
+          ? `Min ${comparison.price.minChange} · Max ${comparison.price.maxChange} vs ${comparison.previousPeriod}`
+          : `Spread: ${this.calculatePriceSpread()}%`,
         trendClass: ''
       },
       {
         title: 'Price Volatility',
         value: this.data.pricing.volatility,
-        trend: '↘ 2.3% decrease',
-        trendClass: 'trend-down'
+        trend: comparison.available
+          ? `${this.getPriceStabilityRating()} pricing, ${comparison.price.volatilityChange} vs ${comparison.previousPeriod}`
+          : `${this.getPriceStabilityRating()} pricing`,
+        trendClass: ''
       },
       {
         title: 'Market Stability',
@@ -111,7 +425,7 @@ class PricingSection {
       }
     ];
     
-    return `
+    return html`
       <div class="executive-summary">
         <div class="summary-title">Pricing Analysis Overview</div>
         <div class="summary-content">
@@ -133,13 +447,15 @@ class PricingSection {
     
     const chartData = priceHistory.map(item => ({
       label: item.date,
-      value: item.rawPrice || parseFloat(item.price.replace(/[$,]/g, ''))
+      value: item.rawPrice
     }));
     
     const priceChart = this.chartGenerator.generateLineChart(chartData, {
       title: 'Price Trend Analysis (2023)',
       width: 450,
-      height: 250
+      height: 250,
+      valueFormat: 'price',
+      axisTitle: 'Unit price'
     });
     
     return priceChart;
@@ -156,22 +472,22 @@ class PricingSection {
     const tableData = {
       headers: ['Rank', 'Country', 'Avg. Price', 'Price Index', 'Market Premium'],
       rows: priceByCountry.slice(0, 8).map((country, index) => {
-        const basePrice = parseFloat(this.data.pricing.currentPrice.replace(/[$,]/g, ''));
-        const countryPrice = country.rawPrice || basePrice * (0.8 + Math.random() * 0.4);
+        const basePrice = this.data.pricing.rawCurrentPrice;
+        const countryPrice = country.rawPrice || basePrice * (0.8 + this.random.next() * 0.4);
         const priceIndex = ((countryPrice / basePrice) * 100).toFixed(0);
         const premium = countryPrice > basePrice ? 'Premium' : 'Discount';
         
         return [
           index + 1,
           country.country,
-          this.dataProcessor.formatCurrency(countryPrice),
+          this.dataProcessor.formatPrice(countryPrice),
           `${priceIndex}`,
           premium
         ];
       })
     };
     
-    return `
+    return html`
       <div class="chart-container">
         <div class="chart-title">Price by Country Analysis</div>
         ${this.templateEngine.generateTable(tableData)}
@@ -203,7 +519,7 @@ class PricingSection {
       ])
     };
     
-    return `
+    return html`
       <div class="chart-container">
         <div class="chart-title">Price Volatility Factors</div>
         ${this.templateEngine.generateTable(tableData)}
@@ -215,16 +531,87 @@ class PricingSection {
    * Helper methods
    */
   
+  buildSlide(slideDef, title, content) {
+    const slideData = {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: title,
+      content: content,
+      productName: this.data.product.name,
+      watermark: ['price_distribution', 'price_origin_destination'].includes(slideDef.type)
+        ? this.data.shipments.watermark
+        : null
+    };
+    
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
+    
+    return {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: title,
+      html: slideHtml
+    };
+  }
+  
+  generateNoShipmentDataNotice(analysis) {
+    return html`
+      <div class="executive-summary">
+        <div class="summary-content">
+          <p>No shipment records are available for this product, so the ${analysis} cannot be computed.</p>
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Monthly min/max bands from price history, falling back to the shipment records
+   */
+  getMonthlyPriceBands(priceHistory) {
+    if (priceHistory.every(item => item.rawMinPrice !== undefined && item.rawMaxPrice !== undefined)) {
+      return priceHistory.map(item => ({ low: item.rawMinPrice, high: item.rawMaxPrice }));
+    }
+    
+    const byMonth = {};
+    this.data.shipments.shipmentRecords.filter(record => !record.unitFlag).forEach(record => {
+      const month = record.date.slice(0, 7);
+      if (!byMonth[month]) {
+        byMonth[month] = [];
+      }
+      byMonth[month].push(record.rawUnitPrice);
+    });
+    
+    if (!priceHistory.every(item => byMonth[item.date])) {
+      return null;
+    }
+    
+    return priceHistory.map(item => ({
+      low: byMonth[item.date].reduce((min, price) => Math.min(min, price), item.rawPrice),
+      high: byMonth[item.date].reduce((max, price) => Math.max(max, price), item.rawPrice)
+    }));
+  }
+  
+  formatModelParameters(model) {
+    if (model.key === 'seasonalRegression') {
+      return `Slope ${this.dataProcessor.formatPrice(model.parameters.slope)} / month`;
+    }
+    const { alpha, beta, gamma } = model.parameters;
+    return `α ${alpha} · β ${beta}${gamma === null ? '' : ` · γ ${gamma}`}`;
+  }
+  
+  formatPriceBucket(value) {
+    return value >= 1000 ? this.dataProcessor.formatCurrencyCompact(value) : this.dataProcessor.formatPrice(value);
+  }
+  
   calculatePriceSpread() {
-    const minPrice = parseFloat(this.data.pricing.priceRange.min.replace(/[$,]/g, ''));
-    const maxPrice = parseFloat(this.data.pricing.priceRange.max.replace(/[$,]/g, ''));
-    const avgPrice = parseFloat(this.data.pricing.currentPrice.replace(/[$,]/g, ''));
+    const minPrice = this.data.pricing.priceRange.rawMin;
+    const maxPrice = this.data.pricing.priceRange.rawMax;
+    const avgPrice = this.data.pricing.rawCurrentPrice;
     
     return (((maxPrice - minPrice) / avgPrice) * 100).toFixed(1);
   }
   
   getPriceStabilityRating() {
-    const volatility = parseFloat(this.data.pricing.volatility.replace('%', ''));
+    const volatility = this.data.pricing.rawVolatility;
     
     if (volatility < 10) return 'Stable';
     if (volatility < 25) return 'Moderate';
@@ -233,16 +620,16 @@ class PricingSection {
   }
   
   generateMockPriceHistory() {
-    const basePrice = parseFloat(this.data.pricing.currentPrice.replace(/[$,]/g, ''));
+    const basePrice = this.data.pricing.rawCurrentPrice;
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
     
     return months.map((month, index) => {
-      const variation = (Math.random() - 0.5) * 0.2; // ±10% variation
+      const variation = (this.random.next() - 0.5) * 0.2; // ±10% variation
       const price = basePrice * (1 + variation);
       
       return {
         date: `2023-${month}`,
-        price: this.dataProcessor.formatCurrency(price),
+        price: this.dataProcessor.formatPrice(price),
         rawPrice: price
       };
     });
@@ -250,33 +637,34 @@ class PricingSection {
   
   generateMockPriceByCountry() {
     return this.data.geography.importingCountries.slice(0, 8).map(country => {
-      const basePrice = parseFloat(this.data.pricing.currentPrice.replace(/[$,]/g, ''));
+      const basePrice = this.data.pricing.rawCurrentPrice;
       const countryMultiplier = this.getCountryPriceMultiplier(country.country);
       const price = basePrice * countryMultiplier;
       
       return {
         country: country.country,
-        avgPrice: this.dataProcessor.formatCurrency(price),
+        avgPrice: this.dataProcessor.formatPrice(price),
         rawPrice: price
       };
     });
   }
   
   getCountryPriceMultiplier(country) {
+    // Keyed by ISO alpha-2 code
     const multipliers = {
-      'United States': 1.15,
-      'Germany': 1.10,
-      'United Kingdom': 1.12,
-      'France': 1.08,
-      'Japan': 1.20,
-      'Canada': 1.05,
-      'Australia': 1.18,
-      'Italy': 1.02,
-      'Spain': 0.98,
-      'Netherlands': 1.06
+      'US': 1.15,
+      'DE': 1.10,
+      'GB': 1.12,
+      'FR': 1.08,
+      'JP': 1.20,
+      'CA': 1.05,
+      'AU': 1.18,
+      'IT': 1.02,
+      'ES': 0.98,
+      'NL': 1.06
     };
     
-    return multipliers[country] || 1.0;
+    return multipliers[this.dataProcessor.countryRegistry.getCode(country)] || 1.0;
   }
 }
 
@@ -1,10 +1,14 @@
 /**
- * Shipment Records Section Generator - Slides 67-300
+ * Shipment Records Section Generator - Slides 71-304
  * 
  * This module generates the shipment records slides with 0% deviation:
- * - Slides 67-300: Detailed shipment records (10 records per slide = 234 slides)
+ * - Slides 71+: Detailed shipment records, paginated from the actual record count
+ *   (10 records per slide by default; 2,340 records = 234 slides)
+ * - Optional closing slide for records beyond the deck's slide cap
  */
 
+const { html } = require('../shared/html');
+
 class ShipmentRecordsSection {
   constructor(dataProcessor, templateEngine, chartGenerator) {
     this.dataProcessor = dataProcessor;
@@ -14,7 +18,7 @@ class ShipmentRecordsSection {
   }
   
   /**
-   * Generate all shipment records slides (67-300)
+   * Generate all shipment records slides (71-304)
    */
   async generateSlides(slideDefinitions) {
     console.log('📦 Generating Shipment Records Section slides...');
@@ -25,7 +29,18 @@ class ShipmentRecordsSection {
     for (const slideDef of slideDefinitions) {
       console.log(`   📄 Generating Slide ${slideDef.id}: Records ${slideDef.recordStart}-${slideDef.recordEnd}`);
       
-      const slide = this.generateShipmentRecordsSlide(slideDef, shipmentRecords);
+      let slide;
+      switch (slideDef.type) {
+        case 'shipment_records':
+          slide = this.generateShipmentRecordsSlide(slideDef, shipmentRecords);
+          break;
+        case 'shipment_records_overflow':
+          slide = this.generateRecordsOverflowSlide(slideDef, shipmentRecords);
+          break;
+        default:
+          throw new Error(`Unknown slide type: ${slideDef.type}`);
+      }
+      
       slides.push(slide);
     }
     
@@ -44,7 +59,7 @@ class ShipmentRecordsSection {
     const recordsTable = this.generateShipmentRecordsTable(slideRecords);
     const recordsSummary = this.generateRecordsSummary(slideRecords, slideDef.recordStart, slideDef.recordEnd);
     
-    const content = `
+    const content = html`
       ${recordsSummary}
       ${recordsTable}
     `;
@@ -54,16 +69,55 @@ class ShipmentRecordsSection {
       type: slideDef.type,
       title: `Shipment Records ${slideDef.recordStart}-${slideDef.recordEnd}`,
       content: content,
-      productName: this.data.product.name
+      productName: this.data.product.name,
+      watermark: this.data.shipments.watermark,
+      footnote: this.generateUnitFootnote(slideRecords)
+    };
+    
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
+    
+    return {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideData.title,
+      html: slideHtml
+    };
+  }
+  
+  /**
+   * Generate closing slide for records left out by the deck's slide cap
+   */
+  generateRecordsOverflowSlide(slideDef, allRecords) {
+    const omittedRecords = allRecords.slice(slideDef.recordStart - 1, slideDef.recordEnd);
+    const omittedValue = omittedRecords.reduce((sum, record) => sum + record.rawValue, 0);
+    const recordRange = `${this.dataProcessor.formatNumber(slideDef.recordStart)}-${this.dataProcessor.formatNumber(slideDef.recordEnd)}`;
+    
+    const content = html`
+      <div class="executive-summary">
+        <div class="summary-title">Records ${recordRange} available in the appendix export</div>
+        <div class="summary-content">
+          <p>This deck shows the first <strong>${this.dataProcessor.formatNumber(slideDef.recordStart - 1)}</strong> of <strong>${this.dataProcessor.formatNumber(allRecords.length)}</strong> shipment records.</p>
+          <p>The remaining <strong>${this.dataProcessor.formatNumber(omittedRecords.length)} records</strong> (records ${recordRange}), with a combined value of <strong>${this.dataProcessor.formatCurrency(omittedValue)}</strong>, are available in the appendix export.</p>
+        </div>
+      </div>
+    `;
+    
+    const slideData = {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: `${slideDef.title}: Records ${recordRange}`,
+      content: content,
+      productName: this.data.product.name,
+      watermark: this.data.shipments.watermark
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideData.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -79,7 +133,7 @@ class ShipmentRecordsSection {
         'Supplier Country',
         'Buyer',
         'Buyer Country',
-        'Quantity (kg)',
+        `Quantity (${this.data.units.baseUnit})`,
         'Unit Price',
         'Total Value',
         'Port of Loading',
@@ -92,7 +146,9 @@ class ShipmentRecordsSection {
         record.supplierCountry,
         this.truncateText(record.buyer, 20),
         record.buyerCountry,
-        this.dataProcessor.formatNumber(record.quantity),
+        record.unitFlag
+          ? `${this.dataProcessor.formatNumber(record.originalQuantity)} ${record.originalUnit} ⚠`
+          : this.dataProcessor.formatNumber(record.quantity),
         record.unitPrice,
         record.totalValue,
         record.portOfLoading,
@@ -107,13 +163,24 @@ class ShipmentRecordsSection {
    * Generate records summary
    */
   generateRecordsSummary(records, startRecord, endRecord) {
-    const totalValue = records.reduce((sum, record) => {
-      const value = parseFloat(record.totalValue.replace(/[$,]/g, ''));
-      return sum + value;
-    }, 0);
+    if (records.length === 0) {
+      return html`
+      <div class="executive-summary">
+        <div class="summary-title">Records ${startRecord}-${endRecord} Summary</div>
+        <div class="summary-content">
+          <p>No shipment records are available for this range.</p>
+        </div>
+      </div>
+      `;
+    }
+    
+    const totalValue = records.reduce((sum, record) => sum + record.rawValue, 0);
     
-    const totalQuantity = records.reduce((sum, record) => sum + record.quantity, 0);
-    const avgUnitPrice = totalValue / totalQuantity;
+    // Rows whose unit could not be converted carry no quantity and stay out of the average price
+    const pricedRecords = records.filter(record => !record.unitFlag);
+    const totalQuantity = pricedRecords.reduce((sum, record) => sum + record.quantity, 0);
+    const avgUnitPrice = totalQuantity > 0 ? pricedRecords.reduce((sum, record) => sum + record.rawValue, 0) / totalQuantity : 0;
+    const unit = this.data.units.baseUnit;
     
     const uniqueSuppliers = [...new Set(records.map(r => r.supplier))].length;
     const uniqueBuyers = [...new Set(records.map(r => r.buyer))].length;
@@ -125,12 +192,12 @@ class ShipmentRecordsSection {
     const topSupplierCountry = this.getTopCountry(records.map(r => r.supplierCountry));
     const topBuyerCountry = this.getTopCountry(records.map(r => r.buyerCountry));
     
-    return `
+    return html`
       <div class="executive-summary">
         <div class="summary-title">Records ${startRecord}-${endRecord} Summary</div>
         <div class="summary-content">
-          <p>This batch contains <strong>${records.length} shipment records</strong> with a combined value of <strong>${this.dataProcessor.formatCurrency(totalValue)}</strong> and total quantity of <strong>${this.dataProcessor.formatNumber(totalQuantity)} kg</strong>.</p>
-          <p>The records involve <strong>${uniqueSuppliers} suppliers</strong> and <strong>${uniqueBuyers} buyers</strong> across <strong>${uniqueCountries} countries</strong>. Average unit price for this batch is <strong>${this.dataProcessor.formatCurrency(avgUnitPrice)}</strong>.</p>
+          <p>This batch contains <strong>${records.length} shipment records</strong> with a combined value of <strong>${this.dataProcessor.formatCurrency(totalValue)}</strong> and total quantity of <strong>${this.dataProcessor.formatNumber(totalQuantity)} ${unit}</strong>.</p>
+          <p>The records involve <strong>${uniqueSuppliers} suppliers</strong> and <strong>${uniqueBuyers} buyers</strong> across <strong>${uniqueCountries} countries</strong>. Average unit price for this batch is <strong>${this.dataProcessor.formatPrice(avgUnitPrice)}</strong>.</p>
           <p>Top supplier country: <strong>${topSupplierCountry}</strong> | Top buyer country: <strong>${topBuyerCountry}</strong></p>
         </div>
       </div>
@@ -143,13 +210,13 @@ class ShipmentRecordsSection {
         </div>
         <div class="kpi-card">
           <div class="kpi-title">Total Quantity</div>
-          <div class="kpi-value">${this.dataProcessor.formatNumber(totalQuantity)} kg</div>
-          <div class="kpi-trend">Avg: ${this.dataProcessor.formatNumber(totalQuantity / records.length)} kg/record</div>
+          <div class="kpi-value">${this.dataProcessor.formatNumber(totalQuantity)} ${unit}</div>
+          <div class="kpi-trend">Avg: ${this.dataProcessor.formatNumber(totalQuantity / (pricedRecords.length || 1))} ${unit}/record</div>
         </div>
         <div class="kpi-card">
           <div class="kpi-title">Avg Unit Price</div>
-          <div class="kpi-value">${this.dataProcessor.formatCurrency(avgUnitPrice)}</div>
-          <div class="kpi-trend">Per kilogram</div>
+          <div class="kpi-value">${this.dataProcessor.formatPrice(avgUnitPrice)}</div>
+          <div class="kpi-trend">Per ${unit}</div>
         </div>
         <div class="kpi-card">
           <div class="kpi-title">Market Coverage</div>
@@ -164,6 +231,16 @@ class ShipmentRecordsSection {
    * Helper methods
    */
   
+  generateUnitFootnote(records) {
+    const flagged = records.filter(record => record.unitFlag);
+    if (flagged.length === 0) {
+      return null;
+    }
+    
+    const units = [...new Set(flagged.map(record => record.originalUnit))].join(', ');
+    return `⚠ ${flagged.length} of these records are in units with no conversion to ${this.data.units.baseUnit} (${units}); they are shown as recorded and left out of quantity and price figures.`;
+  }
+  
   truncateText(text, maxLength) {
     if (text.length <= maxLength) return text;
     return text.substring(0, maxLength - 3) + '...';
@@ -9,11 +9,15 @@
  * - Slides 53-62: Top 10 importers detailed analysis
  */
 
+const { html, trustHTML } = require('../shared/html');
+const SeededRandom = require('../shared/random');
+
 class SupplierBuyerSection {
-  constructor(dataProcessor, templateEngine, chartGenerator) {
+  constructor(dataProcessor, templateEngine, chartGenerator, random = new SeededRandom()) {
     this.dataProcessor = dataProcessor;
     this.templateEngine = templateEngine;
     this.chartGenerator = chartGenerator;
+    this.random = random;
     this.data = dataProcessor.getProcessedData();
   }
   
@@ -64,12 +68,13 @@ class SupplierBuyerSection {
     const sankeyDiagram = this.chartGenerator.generateSankeyDiagram(sankeyData, {
       title: 'Global Supplier-Buyer Intelligence Network',
       width: 800,
-      height: 450
+      height: 450,
+      formatValue: value => this.dataProcessor.formatCurrency(value)
     });
     
     const intelligenceOverview = this.generateIntelligenceOverview();
     
-    const content = `
+    const content = html`
       ${intelligenceOverview}
       ${sankeyDiagram}
     `;
@@ -82,13 +87,13 @@ class SupplierBuyerSection {
       productName: this.data.product.name
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -102,18 +107,20 @@ class SupplierBuyerSection {
         name: supplier.name,
         value: supplier.rawValue
       })),
-      { title: 'Top 15 Suppliers by Market Value' }
+      { title: 'Top 15 Suppliers by Market Value', valueFormat: 'compactCurrency', axisTitle: 'Market value' }
     );
     
     const suppliersTable = this.generateTop15SuppliersTable(top15Suppliers);
+    const concentration = this.data.concentration.suppliers;
     
-    const content = `
+    const content = html`
       <div class="executive-summary">
         <div class="summary-title">Supplier Market Analysis</div>
         <div class="summary-content">
-          <p>The top 15 suppliers control <strong>78.4%</strong> of the global ${this.data.product.name} market, with combined revenues of <strong>${this.dataProcessor.formatCurrency(top15Suppliers.reduce((sum, s) => sum + s.rawValue, 0))}</strong>. Market concentration is high, with the top 5 suppliers accounting for <strong>67.2%</strong> of total market value.</p>
+          <p>The top ${top15Suppliers.length} suppliers hold <strong>${this.topShare(top15Suppliers)}</strong> of the global ${this.data.product.name} market, with combined revenues of <strong>${this.dataProcessor.formatCurrency(top15Suppliers.reduce((sum, s) => sum + s.rawValue, 0))}</strong>.${concentration && html` Supplier concentration is <strong>${concentration.band.toLowerCase()}</strong> by antitrust standards (HHI ${concentration.hhi}), with the top 4 suppliers accounting for <strong>${concentration.cr4}</strong> and the top 5 for <strong>${concentration.cr5}</strong> of market value.`}</p>
         </div>
       </div>
+      ${this.generateConcentrationKPIs(concentration, 'suppliers')}
       <div class="two-column">
         <div>
           ${suppliersChart}
@@ -129,16 +136,17 @@ class SupplierBuyerSection {
       type: slideDef.type,
       title: slideDef.title,
       content: content,
-      productName: this.data.product.name
+      productName: this.data.product.name,
+      footnote: this.generateAliasFootnote(top15Suppliers)
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -150,14 +158,14 @@ class SupplierBuyerSection {
     const supplier = this.data.suppliers.topSuppliers[supplierRank - 1];
     
     if (!supplier) {
-      throw new Error(`Supplier at rank ${supplierRank} not found`);
+      return this.generateDataGapSlide(slideDef, `Supplier at rank ${supplierRank} not found in the product data`);
     }
     
     const supplierDetails = this.generateSupplierDetails(supplier);
     const destinationAnalysis = this.generateSupplierDestinationAnalysis(supplier);
     const performanceMetrics = this.generateSupplierPerformanceMetrics(supplier);
     
-    const content = `
+    const content = html`
       <div class="two-column">
         <div>
           ${supplierDetails}
@@ -174,16 +182,17 @@ class SupplierBuyerSection {
       type: slideDef.type,
       title: `${supplier.name} - Detailed Analysis`,
       content: content,
-      productName: this.data.product.name
+      productName: this.data.product.name,
+      footnote: this.generateAliasFootnote([supplier])
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideData.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -197,18 +206,20 @@ class SupplierBuyerSection {
         name: importer.name,
         value: importer.rawValue
       })),
-      { title: 'Top 15 Importers by Purchase Value' }
+      { title: 'Top 15 Importers by Purchase Value', valueFormat: 'compactCurrency', axisTitle: 'Purchase value' }
     );
     
     const importersTable = this.generateTop15ImportersTable(top15Importers);
+    const concentration = this.data.concentration.buyers;
     
-    const content = `
+    const content = html`
       <div class="executive-summary">
         <div class="summary-title">Importer Market Analysis</div>
         <div class="summary-content">
-          <p>The top 15 importers represent <strong>72.8%</strong> of global ${this.data.product.name} purchases, with combined procurement value of <strong>${this.dataProcessor.formatCurrency(top15Importers.reduce((sum, i) => sum + i.rawValue, 0))}</strong>. The buyer landscape shows moderate concentration with diverse geographic distribution.</p>
+          <p>The top ${top15Importers.length} importers represent <strong>${this.topShare(top15Importers)}</strong> of global ${this.data.product.name} purchases, with combined procurement value of <strong>${this.dataProcessor.formatCurrency(top15Importers.reduce((sum, i) => sum + i.rawValue, 0))}</strong>.${concentration && html` Buyer concentration is <strong>${concentration.band.toLowerCase()}</strong> by antitrust standards (HHI ${concentration.hhi}), with the top 4 importers accounting for <strong>${concentration.cr4}</strong> and the top 5 for <strong>${concentration.cr5}</strong> of purchases.`}</p>
         </div>
       </div>
+      ${this.generateConcentrationKPIs(concentration, 'importers')}
       <div class="two-column">
         <div>
           ${importersChart}
@@ -224,16 +235,17 @@ class SupplierBuyerSection {
       type: slideDef.type,
       title: slideDef.title,
       content: content,
-      productName: this.data.product.name
+      productName: this.data.product.name,
+      footnote: this.generateAliasFootnote(top15Importers)
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideDef.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -245,14 +257,14 @@ class SupplierBuyerSection {
     const importer = this.data.buyers.topBuyers[importerRank - 1];
     
     if (!importer) {
-      throw new Error(`Importer at rank ${importerRank} not found`);
+      return this.generateDataGapSlide(slideDef, `Importer at rank ${importerRank} not found in the product data`);
     }
     
     const importerDetails = this.generateImporterDetails(importer);
     const supplierAnalysis = this.generateImporterSupplierAnalysis(importer);
     const purchaseMetrics = this.generateImporterPurchaseMetrics(importer);
     
-    const content = `
+    const content = html`
       <div class="two-column">
         <div>
           ${importerDetails}
@@ -269,16 +281,17 @@ class SupplierBuyerSection {
       type: slideDef.type,
       title: `${importer.name} - Detailed Analysis`,
       content: content,
-      productName: this.data.product.name
+      productName: this.data.product.name,
+      footnote: this.generateAliasFootnote([importer])
     };
     
-    const html = this.templateEngine.generateStandardSlide(slideData);
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
     
     return {
       id: slideDef.id,
       type: slideDef.type,
       title: slideData.title,
-      html: html
+      html: slideHtml
     };
   }
   
@@ -286,87 +299,126 @@ class SupplierBuyerSection {
    * Helper methods for content generation
    */
   
-  prepareSupplierBuyerSankeyData() {
-    const sources = this.data.suppliers.topSuppliers.slice(0, 8).map((supplier, index) => ({
-      id: `supplier_${index}`,
-      name: supplier.name
-    }));
-    
-    const targets = this.data.buyers.topBuyers.slice(0, 8).map((buyer, index) => ({
-      id: `buyer_${index}`,
-      name: buyer.name
-    }));
+  /**
+   * Average unit price from a company's shipment records
+   */
+  formatCompanyPrice(summary) {
+    if (!summary || summary.avgPrice === null) {
+      return 'Not available';
+    }
+    return `${this.dataProcessor.formatPrice(summary.avgPrice)}/${this.data.units.baseUnit}`;
+  }
+
+  /**
+   * Number of countries a company trades with, marked when the company flows are estimated
+   */
+  formatPartnerCountries(summary) {
+    if (!summary) {
+      return 'Not available';
+    }
+    const count = `${summary.partnerCountries} ${summary.partnerCountries === 1 ? 'country' : 'countries'}`;
+    return this.data.tradeFlows.source === 'shipments' ? count : `${count} (estimated)`;
+  }
+
+  /**
+   * Combined market share of companies, at most 100%
+   */
+  topShare(companies) {
+    return this.dataProcessor.formatPercentage(Math.min(companies.reduce((sum, company) => sum + company.rawShare, 0), 100));
+  }
+  
+  /**
+   * KPI cards for HHI with its antitrust band, CR4, CR5 and Gini
+   */
+  generateConcentrationKPIs(concentration, label) {
+    if (!concentration) {
+      return null;
+    }
     
-    const flows = [];
-    let maxFlow = 0;
-    
-    // Generate realistic flows between suppliers and buyers
-    sources.forEach((source, sIndex) => {
-      targets.forEach((target, tIndex) => {
-        const baseValue = Math.random() * 50000000; // Random base value
-        const countryMultiplier = this.getSupplierBuyerMultiplier(
-          this.data.suppliers.topSuppliers[sIndex].country,
-          this.data.buyers.topBuyers[tIndex].country
-        );
-        const value = baseValue * countryMultiplier;
-        
-        if (value > 10000000) { // Only show significant flows
-          flows.push({
-            source: source.id,
-            target: target.id,
-            value: value
-          });
-          maxFlow = Math.max(maxFlow, value);
-        }
-      });
-    });
+    return this.chartGenerator.generateKPIVisualization([
+      { title: 'HHI', value: concentration.hhi, trend: concentration.band },
+      { title: 'CR4', value: concentration.cr4, trend: `Top 4 ${label}` },
+      { title: 'CR5', value: concentration.cr5, trend: `Top 5 ${label}` },
+      { title: 'Gini', value: concentration.gini, trend: `Across ${concentration.count} listed ${label}` }
+    ]);
+  }
+  
+  /**
+   * Footnote listing the spellings merged into each consolidated company
+   */
+  generateAliasFootnote(companies) {
+    const merged = companies.filter(company => company.aliases && company.aliases.length > 0);
+    if (merged.length === 0) {
+      return null;
+    }
     
-    return {
-      sources,
-      targets,
-      flows,
-      maxFlow
-    };
+    const entries = merged.map(company => html`<strong>${company.name}</strong> includes ${company.aliases.join('; ')}`);
+    return html`Consolidated company names: ${trustHTML(entries.join('. '))}.`;
   }
   
-  getSupplierBuyerMultiplier(supplierCountry, buyerCountry) {
-    // Realistic multipliers based on trade relationships
-    const multipliers = {
-      'USA-USA': 2.0,
-      'USA-Germany': 1.5,
-      'USA-UK': 1.4,
-      'India-USA': 1.8,
-      'India-Germany': 1.3,
-      'India-UK': 1.2,
-      'Israel-USA': 1.6,
-      'Israel-Germany': 1.1
-    };
+  /**
+   * Three-column flows: supplier country → supplier → buyer
+   */
+  prepareSupplierBuyerSankeyData() {
+    const topSuppliers = this.data.suppliers.topSuppliers.slice(0, 8);
+    const supplierNames = topSuppliers.map(supplier => supplier.name);
+    const buyerNames = this.data.buyers.topBuyers.slice(0, 8).map(buyer => buyer.name);
+    const countryNames = [...new Set(topSuppliers.map(supplier => supplier.country))];
+    
+    // Strongest supplier → buyer flows from the shared trade matrix
+    const companyLinks = this.data.tradeFlows.companyFlows
+      .filter(flow => supplierNames.includes(flow.supplier) && buyerNames.includes(flow.buyer))
+      .slice(0, 20)
+      .map(flow => ({
+        source: `supplier_${supplierNames.indexOf(flow.supplier)}`,
+        target: `buyer_${buyerNames.indexOf(flow.buyer)}`,
+        value: flow.value
+      }));
+    
+    // Each supplier's country carries exactly the flows shown for that supplier
+    const countryLinks = topSuppliers.map((supplier, index) => ({
+      source: `country_${countryNames.indexOf(supplier.country)}`,
+      target: `supplier_${index}`,
+      value: companyLinks
+        .filter(link => link.source === `supplier_${index}`)
+        .reduce((sum, link) => sum + link.value, 0)
+    }));
     
-    const key = `${supplierCountry}-${buyerCountry}`;
-    return multipliers[key] || 0.5;
+    return {
+      columns: [
+        countryNames.map((name, index) => ({ id: `country_${index}`, name })),
+        supplierNames.map((name, index) => ({ id: `supplier_${index}`, name })),
+        buyerNames.map((name, index) => ({ id: `buyer_${index}`, name }))
+      ],
+      links: [...countryLinks, ...companyLinks]
+    };
   }
   
   generateIntelligenceOverview() {
-    return `
+    const { suppliers, buyers } = this.data.concentration;
+    
+    return html`
       <div class="executive-summary">
         <div class="summary-title">Supplier & Buyer Intelligence Overview</div>
         <div class="summary-content">
           <p>The global ${this.data.product.name} market features a complex network of <strong>${this.data.market.uniqueSuppliers} suppliers</strong> and <strong>${this.data.market.uniqueBuyers} buyers</strong> across multiple countries. Trade relationships are characterized by long-term partnerships and strategic alliances.</p>
-          <p>Market concentration is high on the supply side with the top 10 suppliers controlling 72.4% of the market, while the buyer side shows more fragmentation with the top 10 buyers representing 58.9% of purchases.</p>
+          ${(suppliers || buyers) && html`<p>${suppliers && html`On the supply side the top ${Math.min(suppliers.count, 10)} suppliers control <strong>${suppliers.cr10}</strong> of the market and supplier concentration is <strong>${suppliers.band.toLowerCase()}</strong> (HHI ${suppliers.hhi}).`} ${buyers && html`On the buyer side the top ${Math.min(buyers.count, 10)} buyers represent <strong>${buyers.cr10}</strong> of purchases and buyer concentration is <strong>${buyers.band.toLowerCase()}</strong> (HHI ${buyers.hhi}).`}</p>`}
         </div>
       </div>
     `;
   }
   
   generateTop15SuppliersTable(suppliers) {
+    const comparison = this.templateEngine.comparisonColumns(this.data.comparison, { movement: true });
     const tableData = {
-      headers: ['Rank', 'Supplier', 'Country', 'Market Value', 'Market Share'],
+      headers: ['Rank', 'Supplier', 'Country', 'Market Value', 'Market Share', ...comparison.headers],
       rows: suppliers.map(supplier => [
         supplier.rank,
         supplier.name,
         supplier.country,
         supplier.value,
-        supplier.share
+        supplier.share,
+        ...comparison.cells(supplier)
       ])
     };
     
@@ -374,14 +426,16 @@ class SupplierBuyerSection {
   }
   
   generateTop15ImportersTable(importers) {
+    const comparison = this.templateEngine.comparisonColumns(this.data.comparison, { movement: true });
     const tableData = {
-      headers: ['Rank', 'Importer', 'Country', 'Purchase Value', 'Market Share'],
+      headers: ['Rank', 'Importer', 'Country', 'Purchase Value', 'Market Share', ...comparison.headers],
       rows: importers.map(importer => [
         importer.rank,
         importer.name,
         importer.country,
         importer.value,
-        importer.share
+        importer.share,
+        ...comparison.cells(importer)
       ])
     };
     
@@ -389,10 +443,9 @@ class SupplierBuyerSection {
   }
   
   generateSupplierDetails(supplier) {
-    const avgPrice = supplier.rawValue / (Math.random() * 1000 + 500); // Estimated quantity
-    const destinationCountries = Math.floor(Math.random() * 15) + 5; // 5-20 countries
+    const summary = this.dataProcessor.getCompanyFlowSummary(supplier.name, 'supplier');
     
-    return `
+    return html`
       <div class="chart-container">
         <div class="chart-title">Supplier Overview</div>
         <div class="product-details">
@@ -414,11 +467,11 @@ class SupplierBuyerSection {
           </div>
           <div class="product-property">
             <span class="property-name">Avg. Price:</span>
-            <span class="property-value">${this.dataProcessor.formatCurrency(avgPrice)}/kg</span>
+            <span class="property-value">${this.formatCompanyPrice(summary)}</span>
           </div>
           <div class="product-property">
             <span class="property-name">Destinations:</span>
-            <span class="property-value">${destinationCountries} countries</span>
+            <span class="property-value">${this.formatPartnerCountries(summary)}</span>
           </div>
         </div>
       </div>
@@ -426,42 +479,34 @@ class SupplierBuyerSection {
   }
   
   generateSupplierDestinationAnalysis(supplier) {
-    const destinations = this.data.geography.importingCountries.slice(0, 6).map((country, index) => ({
-      country: country.country,
-      value: supplier.rawValue * (0.4 - index * 0.06), // Decreasing distribution
-      share: (40 - index * 6)
-    }));
+    const destinations = this.dataProcessor.getCompanyPartners(supplier.name, 'destinations', 6);
     
     const tableData = {
-      headers: ['Rank', 'Destination', 'Est. Value', 'Share'],
-      rows: destinations.map((dest, index) => [
-        index + 1,
-        dest.country,
-        this.dataProcessor.formatCurrency(dest.value),
-        `${dest.share}%`
+      headers: ['Rank', 'Destination', this.data.tradeFlows.source === 'shipments' ? 'Value' : 'Est. Value', 'Share'],
+      rows: destinations.map(destination => [
+        destination.rank,
+        destination.name,
+        destination.formattedValue,
+        this.dataProcessor.formatPercentage(destination.share)
       ])
     };
     
-    return `
+    return html`
       <div class="chart-container">
         <div class="chart-title">Top Destination Countries</div>
-        ${this.templateEngine.generateTable(tableData)}
+        ${destinations.length > 0
+          ? this.templateEngine.generateTable(tableData)
+          : html`<p>Destination countries are not available: the trade data has no flows for ${supplier.name}.</p>`}
       </div>
     `;
   }
   
   generateSupplierPerformanceMetrics(supplier) {
-    const growth = (Math.random() - 0.5) * 30; // -15% to +15%
-    const reliability = 85 + Math.random() * 10; // 85-95%
-    const qualityScore = 8.5 + Math.random() * 1.5; // 8.5-10.0
+    const reliability = 85 + this.random.next() * 10; // 85-95%
+    const qualityScore = 8.5 + this.random.next() * 1.5; // 8.5-10.0
     
     const kpiData = [
-      {
-        title: 'YoY Growth',
-        value: `${growth > 0 ? '+' : ''}${growth.toFixed(1)}%`,
-        trend: growth > 0 ? '↗ Growing' : '↘ Declining',
-        trendClass: growth > 0 ? 'trend-up' : 'trend-down'
-      },
+      this.growthKPI(supplier, 'Growth', ['↗ Growing', '↘ Declining']),
       {
         title: 'Reliability Score',
         value: `${reliability.toFixed(1)}%`,
@@ -476,7 +521,7 @@ class SupplierBuyerSection {
       }
     ];
     
-    return `
+    return html`
       <div class="chart-container">
         <div class="chart-title">Performance Metrics</div>
         ${this.chartGenerator.generateKPIVisualization(kpiData)}
@@ -485,10 +530,9 @@ class SupplierBuyerSection {
   }
   
   generateImporterDetails(importer) {
-    const avgPrice = importer.rawValue / (Math.random() * 800 + 400); // Estimated quantity
-    const supplierCountries = Math.floor(Math.random() * 12) + 3; // 3-15 countries
+    const summary = this.dataProcessor.getCompanyFlowSummary(importer.name, 'buyer');
     
-    return `
+    return html`
       <div class="chart-container">
         <div class="chart-title">Importer Overview</div>
         <div class="product-details">
@@ -510,11 +554,11 @@ class SupplierBuyerSection {
           </div>
           <div class="product-property">
             <span class="property-name">Avg. Price Paid:</span>
-            <span class="property-value">${this.dataProcessor.formatCurrency(avgPrice)}/kg</span>
+            <span class="property-value">${this.formatCompanyPrice(summary)}</span>
           </div>
           <div class="product-property">
             <span class="property-name">Supplier Countries:</span>
-            <span class="property-value">${supplierCountries} countries</span>
+            <span class="property-value">${this.formatPartnerCountries(summary)}</span>
           </div>
         </div>
       </div>
@@ -522,44 +566,35 @@ class SupplierBuyerSection {
   }
   
   generateImporterSupplierAnalysis(importer) {
-    const suppliers = this.data.suppliers.topSuppliers.slice(0, 6).map((supplier, index) => ({
-      supplier: supplier.name,
-      country: supplier.country,
-      value: importer.rawValue * (0.35 - index * 0.05), // Decreasing distribution
-      share: (35 - index * 5)
-    }));
+    const suppliers = this.dataProcessor.getCompanyPartners(importer.name, 'suppliers', 6);
     
     const tableData = {
-      headers: ['Rank', 'Supplier', 'Country', 'Est. Value', 'Share'],
-      rows: suppliers.map((supp, index) => [
-        index + 1,
-        supp.supplier,
-        supp.country,
-        this.dataProcessor.formatCurrency(supp.value),
-        `${supp.share}%`
+      headers: ['Rank', 'Supplier', 'Country', this.data.tradeFlows.source === 'shipments' ? 'Value' : 'Est. Value', 'Share'],
+      rows: suppliers.map(partner => [
+        partner.rank,
+        partner.name,
+        partner.country,
+        partner.formattedValue,
+        this.dataProcessor.formatPercentage(partner.share)
       ])
     };
     
-    return `
+    return html`
       <div class="chart-container">
         <div class="chart-title">Top Supplier Companies</div>
-        ${this.templateEngine.generateTable(tableData)}
+        ${suppliers.length > 0
+          ? this.templateEngine.generateTable(tableData)
+          : html`<p>Supplier companies are not available: the trade data has no flows for ${importer.name}.</p>`}
       </div>
     `;
   }
   
   generateImporterPurchaseMetrics(importer) {
-    const growth = (Math.random() - 0.5) * 25; // -12.5% to +12.5%
-    const diversification = 60 + Math.random() * 30; // 60-90%
-    const costEfficiency = 75 + Math.random() * 20; // 75-95%
+    const diversification = 60 + this.random.next() * 30; // 60-90%
+    const costEfficiency = 75 + this.random.next() * 20; // 75-95%
     
     const kpiData = [
-      {
-        title: 'Purchase Growth',
-        value: `${growth > 0 ? '+' : ''}${growth.toFixed(1)}%`,
-        trend: growth > 0 ? '↗ Increasing' : '↘ Decreasing',
-        trendClass: growth > 0 ? 'trend-up' : 'trend-down'
-      },
+      this.growthKPI(importer, 'Purchase Growth', ['↗ Increasing', '↘ Decreasing']),
       {
         title: 'Supplier Diversity',
         value: `${diversification.toFixed(1)}%`,
@@ -574,13 +609,63 @@ class SupplierBuyerSection {
       }
     ];
     
-    return `
+    return html`
       <div class="chart-container">
         <div class="chart-title">Purchase Metrics</div>
         ${this.chartGenerator.generateKPIVisualization(kpiData)}
       </div>
     `;
   }
+  
+  /**
+   * KPI card for a company's growth and rank movement against the previous period
+   */
+  growthKPI(company, title, [upTrend, downTrend]) {
+    const { comparison } = this.data;
+    if (!comparison.available || company.rawGrowth === null) {
+      return {
+        title,
+        value: 'n/a',
+        trend: comparison.available ? `Not ranked in ${comparison.previousPeriod}` : 'No previous period',
+        trendClass: ''
+      };
+    }
+    
+    const growth = company.rawGrowth;
+    const movement = company.movement === '—' ? 'rank unchanged' : `rank ${company.movement}`;
+    return {
+      title: `${comparison.label} ${title}`,
+      value: `${growth > 0 ? '+' : ''}${growth.toFixed(1)}%`,
+      trend: `${growth > 0 ? upTrend : downTrend} · ${movement}`,
+      trendClass: growth > 0 ? 'trend-up' : 'trend-down'
+    };
+  }
+  
+  /**
+   * Slide in place of a ranked entry missing from the product data
+   *
+   * Lenient validation generates the deck anyway; strict validation stops here.
+   */
+  generateDataGapSlide(slideDef, message) {
+    if (this.data.dataQuality.mode === 'strict') {
+      throw new Error(message);
+    }
+    
+    const slideHtml = this.templateEngine.generateDataGapSlide({
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      message,
+      productName: this.data.product.name
+    });
+    
+    return {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: slideDef.title,
+      html: slideHtml
+    };
+  }
 }
 
 module.exports = SupplierBuyerSection;
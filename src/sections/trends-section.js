@@ -0,0 +1,289 @@
+/**
+ * Market Trends Section Generator - Slides 68-70
+ *
+ * This module generates the time-series slides, one per metric:
+ * - Slide 68: Traded value trend, with the top trade lanes
+ * - Slide 69: Volume trend, with the top supplier countries
+ * - Slide 70: Unit price trend, with the top buyer countries
+ *
+ * Each slide charts the metric per period with its moving average and linear trend,
+ * marks the peaks and troughs, and summarises the seasonal pattern when there are
+ * at least two full seasonal cycles (see TimeSeries).
+ */
+
+const { html } = require('../shared/html');
+const InsightEngine = require('../shared/insight-engine');
+const SeededRandom = require('../shared/random');
+const TimeSeries = require('../shared/time-series');
+
+// Series field, chart format and wording for each metric a slide can show
+const METRICS = {
+  value: { label: 'Traded value', format: 'compactCurrency', axisTitle: 'Value' },
+  volume: { label: 'Volume', format: 'compact', axisTitle: 'Volume' },
+  unitPrice: { label: 'Unit price', format: 'price', axisTitle: 'Unit price' }
+};
+
+// Column heading and table title wording for each breakdown dimension
+const DIMENSIONS = {
+  supplierCountry: { label: 'Supplier Country', plural: 'Supplier Countries' },
+  buyerCountry: { label: 'Buyer Country', plural: 'Buyer Countries' },
+  supplier: { label: 'Supplier', plural: 'Suppliers' },
+  buyer: { label: 'Buyer', plural: 'Buyers' },
+  lane: { label: 'Trade Lane', plural: 'Trade Lanes' }
+};
+
+class TrendsSection {
+  constructor(dataProcessor, templateEngine, chartGenerator, random = new SeededRandom(), insightEngine = new InsightEngine()) {
+    this.dataProcessor = dataProcessor;
+    this.templateEngine = templateEngine;
+    this.chartGenerator = chartGenerator;
+    this.random = random;
+    this.insightEngine = insightEngine;
+    this.data = dataProcessor.getProcessedData();
+  }
+  
+  /**
+   * Generate market trends section slides (68-70)
+   */
+  async generateSlides(slideDefinitions) {
+    console.log('📈 Generating Market Trends Section slides...');
+    
+    const slides = [];
+    
+    for (const slideDef of slideDefinitions) {
+      console.log(`   📄 Generating Slide ${slideDef.id}: ${slideDef.title}`);
+      
+      let slide;
+      switch (slideDef.type) {
+        case 'metric_trend':
+          slide = this.generateMetricTrendSlide(slideDef);
+          break;
+        default:
+          throw new Error(`Unknown slide type: ${slideDef.type}`);
+      }
+      
+      slides.push(slide);
+    }
+    
+    console.log(`✅ Market Trends Section: ${slides.length} slides generated`);
+    return slides;
+  }
+  
+  /**
+   * Generate a trend slide for `slideDef.metric` ('value', 'volume' or 'unitPrice'),
+   * broken down by `slideDef.dimension` when shipment records are available
+   */
+  generateMetricTrendSlide(slideDef) {
+    const metric = METRICS[slideDef.metric];
+    if (!metric) {
+      throw new Error(`Unknown trend metric "${slideDef.metric}" (expected one of: ${Object.keys(METRICS).join(', ')})`);
+    }
+    
+    const timeSeries = this.data.timeSeries;
+    const analysis = timeSeries[slideDef.metric];
+    const present = analysis ? analysis.values.filter(value => value !== null) : [];
+    
+    let content;
+    if (present.length < 2) {
+      content = html`
+        <div class="executive-summary">
+          <div class="summary-content">
+            <p>At least two periods of shipment records or price and volume history are needed for the ${metric.label.toLowerCase()} trend.</p>
+          </div>
+        </div>
+      `;
+    } else {
+      const formatValue = value => this.formatMetric(slideDef.metric, value);
+      const { trend, peaks, troughs } = analysis;
+      const direction = this.insightEngine.direction(this.trendChange(analysis));
+      const periodName = timeSeries.granularity;
+      
+      const trendKPIs = [
+        {
+          title: 'Linear Trend',
+          value: `${{ up: '↗', down: '↘', flat: '→' }[direction]} ${Math.abs(trend.changePerPeriod).toFixed(1)}% / ${periodName}`,
+          trend: `R² ${trend.r2.toFixed(2)}`,
+          trendClass: { up: 'trend-up', down: 'trend-down' }[direction] || ''
+        },
+        {
+          title: 'Peak',
+          value: formatValue(peaks[0].value),
+          trend: analysis.labels[peaks[0].index],
+          trendClass: ''
+        },
+        {
+          title: 'Trough',
+          value: formatValue(troughs[0].value),
+          trend: analysis.labels[troughs[0].index],
+          trendClass: ''
+        },
+        {
+          title: 'Seasonality',
+          value: analysis.seasonality ? `Strength ${analysis.seasonality.strength.toFixed(2)}` : 'n/a',
+          trend: analysis.seasonality ? this.describeSeasonPeaks(analysis.seasonality) : 'Needs two full cycles',
+          trendClass: ''
+        }
+      ];
+      
+      const trendChart = this.chartGenerator.generateLineChart(
+        analysis.labels.map((label, index) => ({ label, value: analysis.values[index] })),
+        {
+          title: `${metric.label} per ${periodName}`,
+          width: 900,
+          height: 280,
+          valueFormat: metric.format,
+          axisTitle: slideDef.metric === 'volume' ? `Volume (${this.data.units.baseUnit})` : metric.axisTitle,
+          seriesName: metric.label,
+          overlays: [
+            { name: `${timeSeries.window}-${periodName} moving average`, values: analysis.movingAverage },
+            { name: 'Linear trend', values: trend.fitted }
+          ],
+          annotations: [
+            ...peaks.map(point => ({ index: point.index, label: `Peak ${formatValue(point.value)}`, position: 'above' })),
+            ...troughs.map(point => ({ index: point.index, label: `Trough ${formatValue(point.value)}`, position: 'below' }))
+          ]
+        }
+      );
+      
+      content = html`
+        <div class="executive-summary">
+          <div class="summary-content">
+            <p>${this.describeTrend(slideDef.metric, analysis, direction)} ${this.describeSeasonality(analysis, timeSeries.granularity)}${timeSeries.source === 'history' ? ` ${this.describeHistorySource(slideDef.metric)}` : ''}</p>
+          </div>
+        </div>
+        ${this.chartGenerator.generateKPIVisualization(trendKPIs)}
+        ${trendChart}
+        ${slideDef.dimension && this.generateBreakdownTable(slideDef.metric, slideDef.dimension)}
+      `;
+    }
+    
+    return this.buildSlide(slideDef, slideDef.title, content);
+  }
+  
+  /**
+   * Top 5 members of a dimension by traded value with their own trend, peak and trough
+   */
+  generateBreakdownTable(metricKey, dimension) {
+    const series = this.dataProcessor.getTimeSeries({ dimension });
+    if (!series) {
+      return null;
+    }
+    
+    const granularity = this.data.timeSeries.granularity;
+    const sum = (points, field) => points.reduce((total, point) => total + point[field], 0);
+    const rows = Object.entries(series)
+      .map(([member, points]) => ({ member, points, value: sum(points, 'value') }))
+      .sort((a, b) => b.value - a.value)
+      .slice(0, 5)
+      .map(({ member, points }) => {
+        const analysis = TimeSeries.analyze(points, metricKey, { granularity, window: this.data.timeSeries.window });
+        const volume = sum(points, 'volume');
+        const pricedValue = points.reduce((total, point) => total + (point.unitPrice === null ? 0 : point.unitPrice * point.volume), 0);
+        const total = { value: sum(points, 'value'), volume, unitPrice: volume > 0 ? pricedValue / volume : null }[metricKey];
+        const extreme = point => (point ? `${analysis.labels[point.index]} (${this.formatMetric(metricKey, point.value)})` : '-');
+        
+        return [
+          member,
+          total === null ? 'n/a' : this.formatMetric(metricKey, total),
+          analysis.trend ? this.dataProcessor.formatGrowth(analysis.trend.changePerPeriod) : 'n/a',
+          extreme(analysis.peaks[0]),
+          extreme(analysis.troughs[0])
+        ];
+      });
+    
+    const table = this.templateEngine.generateTable({
+      headers: [
+        DIMENSIONS[dimension].label,
+        metricKey === 'unitPrice' ? 'Avg. Unit Price' : `Total ${METRICS[metricKey].label}`,
+        `Trend / ${granularity}`,
+        'Peak',
+        'Trough'
+      ],
+      rows
+    });
+    
+    return html`
+      <div class="chart-container">
+        <div class="chart-title">Trends of the Top ${rows.length} ${DIMENSIONS[dimension].plural} by Traded Value</div>
+        ${table}
+      </div>
+    `;
+  }
+  
+  /**
+   * Helper methods
+   */
+  
+  buildSlide(slideDef, title, content) {
+    const slideData = {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: title,
+      content: content,
+      productName: this.data.product.name
+    };
+    
+    const slideHtml = this.templateEngine.generateStandardSlide(slideData);
+    
+    return {
+      id: slideDef.id,
+      type: slideDef.type,
+      title: title,
+      html: slideHtml
+    };
+  }
+  
+  formatMetric(metricKey, value) {
+    if (metricKey === 'value') {
+      return this.dataProcessor.formatCurrencyCompact(value);
+    }
+    if (metricKey === 'volume') {
+      return `${this.dataProcessor.formatNumber(Math.round(value))} ${this.data.units.baseUnit}`;
+    }
+    return this.dataProcessor.formatPrice(value);
+  }
+  
+  describeTrend(metricKey, analysis, direction) {
+    const { label } = METRICS[metricKey];
+    const { labels, trend } = analysis;
+    const granularity = this.data.timeSeries.granularity;
+    const fit = trend.r2 >= 0.7 ? 'closely' : trend.r2 >= 0.3 ? 'loosely' : 'weakly';
+    const span = `the ${labels.length} ${granularity}s from ${labels[0]} to ${labels[labels.length - 1]}`;
+    const movement = direction === 'flat'
+      ? `was broadly flat on its linear trend over ${span}`
+      : html`${direction === 'up' ? 'rose' : 'fell'} by about <strong>${Math.abs(this.trendChange(analysis)).toFixed(1)}%</strong> over ${span} on its linear trend (${Math.abs(trend.changePerPeriod).toFixed(1)}% of its average per ${granularity})`;
+    
+    return html`${label} ${movement}; the trend line fits the data ${fit} (R² ${trend.r2.toFixed(2)}).`;
+  }
+  
+  /**
+   * Change along the linear trend from the first to the last period, as a percentage of the average
+   */
+  trendChange(analysis) {
+    return (analysis.trend.changePerPeriod || 0) * (analysis.labels.length - 1);
+  }
+  
+  describeSeasonality(analysis, granularity) {
+    if (!analysis.seasonality) {
+      const seasonLength = TimeSeries.granularity(granularity).seasonLength;
+      return `Seasonality is not estimated: it needs at least two full cycles (${seasonLength * 2} ${granularity}s) and ${analysis.labels.length} are available.`;
+    }
+    return html`Seasonal pattern (strength ${analysis.seasonality.strength.toFixed(2)}): ${this.describeSeasonPeaks(analysis.seasonality)}.`;
+  }
+  
+  describeSeasonPeaks(seasonality) {
+    const ordered = [...seasonality.indices].sort((a, b) => b.percent - a.percent);
+    const strongest = ordered[0];
+    const weakest = ordered[ordered.length - 1];
+    const signed = percent => `${percent >= 0 ? '+' : '−'}${Math.abs(percent).toFixed(1)}%`;
+    return `strongest in ${strongest.season} (${signed(strongest.percent)}), weakest in ${weakest.season} (${signed(weakest.percent)})`;
+  }
+  
+  describeHistorySource(metricKey) {
+    return metricKey === 'value'
+      ? 'No shipment records are available, so value is estimated as monthly average price × volume from the price and volume history.'
+      : 'No shipment records are available, so the series comes from the monthly price and volume history.';
+  }
+}
+
+module.exports = TrendsSection;
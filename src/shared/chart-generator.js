@@ -3,389 +3,591 @@
  * 
  * This module generates professional charts and visualizations including
  * Sankey diagrams, bar charts, pie charts, and other BCG-level graphics.
+ *
+ * Charts with a value axis share one axis subsystem (ChartScale): nice ticks,
+ * gridlines and labels in the chart's `valueFormat` ('number', 'currency', 'price',
+ * 'compact', 'compactCurrency', 'percent' or a function), optional `axisTitle`
+ * and `dataLabels`, and a padded scale for single-point or constant series.
  */
 
+const { html, trustHTML } = require('./html');
+const ChartScale = require('./chart-scale');
+const SankeyLayout = require('./sankey-layout');
+const WorldMap = require('./world-map');
+const { loadTheme } = require('../themes');
+
 class ChartGenerator {
-  constructor() {
-    this.bcgColors = [
-      '#003366', // BCG Navy
-      '#0066CC', // BCG Blue
-      '#FF6B35', // BCG Orange
-      '#4D9DE0', // Light Blue
-      '#E15241', // Red
-      '#7E909A', // Gray
-      '#28a745', // Green
-      '#ffc107', // Yellow
-      '#6f42c1', // Purple
-      '#fd7e14'  // Orange variant
-    ];
+  /**
+   * Options: currency (ISO code for 'currency', 'price' and 'compactCurrency' values, default USD)
+   */
+  constructor(theme = loadTheme(), options = {}) {
+    this.theme = theme;
+    this.currency = options.currency || 'USD';
+    // Colour ramp from the theme; series and categories take colours in order
+    this.colors = theme.chartColors;
+    // Numbers the world maps so each gets its own toggle inputs
+    this.mapCount = 0;
   }
   
   /**
-   * Generate market share bar chart
+   * Colour for a series or category index, repeating the ramp when it runs out
    */
-  generateMarketShareChart(data, options = {}) {
-    const { title = 'Market Share Analysis', width = 400, height = 300 } = options;
-    
-    const maxValue = Math.max(...data.map(item => item.share));
-    const barHeight = 30;
-    const barSpacing = 10;
-    const chartHeight = data.length * (barHeight + barSpacing);
+  color(index) {
+    return this.colors[index % this.colors.length];
+  }
+  
+  /**
+   * Series behind a chart as a `data-chart` attribute for the chart container
+   *
+   * The PPTX exporter reads it to rebuild the chart as a native, editable chart:
+   * { type: 'bar' | 'column' | 'line' | 'pie', title, categories, series: [{ name, values }], numberFormat }
+   */
+  generateChartData(chart) {
+    const json = JSON.stringify({ numberFormat: '#,##0', ...chart })
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    return trustHTML(` data-chart="${json}"`);
+  }
+  
+  /**
+   * Value formatter in the reporting currency; `decimals` fixes the fraction digits
+   */
+  formatter(format = 'number', decimals) {
+    return ChartScale.formatter(format, { currency: this.currency, decimals });
+  }
+  
+  /**
+   * Formatter for axis ticks, with as many decimals as the tick step needs
+   */
+  tickFormatter(scale, format) {
+    return this.formatter(format, ['number', 'currency', 'price', 'percent'].includes(format) ? scale.tickDecimals : undefined);
+  }
+  
+  /**
+   * Approximate width in pixels of an 11px label
+   */
+  labelWidth(text) {
+    return String(text).length * 6.5;
+  }
+  
+  /**
+   * Shorten a label to about `width` pixels
+   */
+  fitLabel(text, width) {
+    const maxLength = Math.max(Math.floor(width / 6.5), 4);
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+  }
+  
+  /**
+   * Value axis for a scale over `plot` ({ x, y, w, h }): gridlines, tick labels and optional title
+   *
+   * orientation 'x' runs the values along the bottom (bar charts), 'y' up the left side
+   */
+  renderValueAxis(scale, { orientation, plot, format, title }) {
+    const formatTick = this.tickFormatter(scale, format);
+    const round = value => Math.round(value * 10) / 10;
+    
+    const ticks = scale.ticks.map(tick => {
+      const position = round(scale.map(tick));
+      return orientation === 'x'
+        ? html`
+          <line x1="${position}" y1="${plot.y}" x2="${position}" y2="${plot.y + plot.h}" stroke="#e0e0e0" stroke-width="1"/>
+          <text x="${position}" y="${plot.y + plot.h + 14}" font-size="10" text-anchor="middle" fill="#666">${formatTick(tick)}</text>`
+        : html`
+          <line x1="${plot.x}" y1="${position}" x2="${plot.x + plot.w}" y2="${position}" stroke="#e0e0e0" stroke-width="1"/>
+          <text x="${plot.x - 6}" y="${position}" dy="0.35em" font-size="10" text-anchor="end" fill="#666">${formatTick(tick)}</text>`;
+    });
     
-    let html = `
-    <div class="chart-container">
-      <div class="chart-title">${title}</div>
-      <div style="display: flex; height: ${chartHeight}px; align-items: flex-end; margin: 20px 0;">
-    `;
+    let axisTitle = null;
+    if (title && orientation === 'x') {
+      axisTitle = html`
+          <text x="${round(plot.x + plot.w / 2)}" y="${plot.y + plot.h + 32}" font-size="11" text-anchor="middle" fill="#333">${title}</text>`;
+    } else if (title) {
+      axisTitle = html`
+          <text transform="rotate(-90)" x="${round(-(plot.y + plot.h / 2))}" y="12" font-size="11" text-anchor="middle" fill="#333">${title}</text>`;
+    }
     
-    data.forEach((item, index) => {
-      const barWidth = (item.share / maxValue) * width;
-      const color = this.bcgColors[index % this.bcgColors.length];
-      
-      html += `
-        <div style="
-          width: ${barWidth}px;
-          height: ${barHeight}px;
-          background-color: ${color};
-          margin-right: 5px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          color: white;
-          font-size: 12px;
-          font-weight: bold;
-          margin-bottom: ${barSpacing}px;
-        ">
-          ${item.share}%
-        </div>
-      `;
+    return html`${ticks}${axisTitle}`;
+  }
+  
+  /**
+   * Width of the tick labels on a 'y' value axis, plus room for its title
+   */
+  valueAxisWidth(scale, format, title) {
+    const formatTick = this.tickFormatter(scale, format);
+    return Math.max(...scale.ticks.map(tick => this.labelWidth(formatTick(tick)))) + 10 + (title ? 18 : 0);
+  }
+  
+  /**
+   * Horizontal bars with category labels, a value axis along the bottom and optional data labels
+   */
+  renderBarChart(items, options) {
+    const { title, width, valueFormat, axisTitle, dataLabels, chartData } = options;
+    const formatValue = this.formatter(valueFormat);
+    const rowHeight = 26;
+    const barHeight = 18;
+    const categoryWidth = Math.min(140, width * 0.3);
+    const valueLabelWidth = dataLabels ? Math.max(...items.map(item => this.labelWidth(formatValue(item.value))), 0) + 8 : 12;
+    const plot = { x: categoryWidth, y: 4, w: Math.max(width - categoryWidth - valueLabelWidth, 40), h: Math.max(items.length, 1) * rowHeight };
+    const height = plot.y + plot.h + (axisTitle ? 40 : 24);
+    const scale = new ChartScale(items.map(item => item.value), { range: [plot.x, plot.x + plot.w] });
+    const round = value => Math.round(value * 10) / 10;
+    
+    const bars = items.map((item, index) => {
+      const y = plot.y + index * rowHeight + (rowHeight - barHeight) / 2;
+      const start = scale.map(0);
+      const end = scale.map(item.value);
+      return html`
+          <text x="${categoryWidth - 8}" y="${round(y + barHeight / 2)}" dy="0.35em" font-size="11" text-anchor="end" fill="#333">${this.fitLabel(item.name, categoryWidth - 12)}<title>${item.name}</title></text>
+          <rect x="${round(Math.min(start, end))}" y="${round(y)}" width="${round(Math.abs(end - start))}" height="${barHeight}" fill="${this.color(index)}"><title>${item.name}: ${formatValue(item.value)}</title></rect>${dataLabels && html`
+          <text x="${round(Math.max(start, end) + 4)}" y="${round(y + barHeight / 2)}" dy="0.35em" font-size="10" font-weight="bold" fill="#333">${formatValue(item.value)}</text>`}`;
     });
     
-    html += `
-      </div>
-      <div style="display: flex; justify-content: center; margin-top: 10px;">
-        ${this.generateChartLegend(data)}
+    return html`
+    <div class="chart-container"${chartData}>
+      <div class="chart-title">${title}</div>
+      <div style="display: flex; justify-content: center; margin: 20px 0;">
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${this.renderValueAxis(scale, { orientation: 'x', plot, format: valueFormat, title: axisTitle })}${bars}
+          <line x1="${round(scale.map(0))}" y1="${plot.y}" x2="${round(scale.map(0))}" y2="${plot.y + plot.h}" stroke="#999" stroke-width="1"/>
+        </svg>
       </div>
     </div>
     `;
+  }
+  
+  /**
+   * Generate market share bar chart
+   *
+   * Items carry `rawShare` (percent points) or a numeric `share`
+   */
+  generateMarketShareChart(data, options = {}) {
+    const { title = 'Market Share Analysis', width = 420, axisTitle = 'Share of value', dataLabels = true } = options;
+    const items = data.map(item => ({
+      name: item.name || item.country,
+      value: item.rawShare !== undefined ? item.rawShare : parseFloat(item.share)
+    }));
+    const chartData = this.generateChartData({
+      type: 'bar',
+      title,
+      categories: items.map(item => item.name),
+      series: [{ name: 'Share (%)', values: items.map(item => item.value) }],
+      numberFormat: '0.0'
+    });
     
-    return html;
+    return this.renderBarChart(items, { title, width, valueFormat: 'percent', axisTitle, dataLabels, chartData });
   }
   
   /**
    * Generate pie chart
    */
   generatePieChart(data, options = {}) {
-    const { title = 'Distribution Analysis', size = 200 } = options;
-    const total = data.reduce((sum, item) => sum + item.value, 0);
-    
-    let html = `
-    <div class="chart-container">
-      <div class="chart-title">${title}</div>
-      <div style="display: flex; justify-content: center; align-items: center; margin: 20px 0;">
-        <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
-    `;
+    const { title = 'Distribution Analysis', size = 200, valueFormat = 'number', dataLabels = true } = options;
+    const total = data.reduce((sum, item) => sum + item.value, 0) || 1;
+    const formatValue = this.formatter(valueFormat);
+    const formatShare = this.formatter('percent');
+    const chartData = this.generateChartData({
+      type: 'pie',
+      title,
+      categories: data.map(item => item.name || item.country),
+      series: [{ name: 'Value', values: data.map(item => item.value) }]
+    });
     
     let currentAngle = 0;
     const centerX = size / 2;
     const centerY = size / 2;
     const radius = size / 2 - 10;
+    const round = value => Math.round(value * 100) / 100;
+    const pointAt = (angle, distance) => [
+      round(centerX + distance * Math.cos((angle * Math.PI) / 180)),
+      round(centerY + distance * Math.sin((angle * Math.PI) / 180))
+    ];
     
-    data.forEach((item, index) => {
-      const percentage = (item.value / total) * 100;
+    const slices = data.map((item, index) => {
       const angle = (item.value / total) * 360;
-      const color = this.bcgColors[index % this.bcgColors.length];
-      
       const startAngle = currentAngle;
       const endAngle = currentAngle + angle;
+      currentAngle += angle;
+      const share = (item.value / total) * 100;
+      const tooltip = html`<title>${item.name || item.country}: ${formatValue(item.value)} (${formatShare(share)})</title>`;
+      const [labelX, labelY] = pointAt(startAngle + angle / 2, radius * 0.65);
+      const label = dataLabels && share >= 5 && html`
+        <text x="${labelX}" y="${labelY}" dy="0.35em" font-size="11" font-weight="bold" text-anchor="middle" fill="white">${formatShare(share)}</text>`;
       
-      const x1 = centerX + radius * Math.cos((startAngle * Math.PI) / 180);
-      const y1 = centerY + radius * Math.sin((startAngle * Math.PI) / 180);
-      const x2 = centerX + radius * Math.cos((endAngle * Math.PI) / 180);
-      const y2 = centerY + radius * Math.sin((endAngle * Math.PI) / 180);
+      // A single slice is a full circle, which an arc cannot draw
+      if (angle >= 359.999) {
+        return html`
+        <circle cx="${centerX}" cy="${centerY}" r="${radius}" fill="${this.color(index)}" stroke="white" stroke-width="2">${tooltip}</circle>${label}`;
+      }
       
+      const [x1, y1] = pointAt(startAngle, radius);
+      const [x2, y2] = pointAt(endAngle, radius);
       const largeArcFlag = angle > 180 ? 1 : 0;
       
-      html += `
+      return html`
         <path d="M ${centerX} ${centerY} L ${x1} ${y1} A ${radius} ${radius} 0 ${largeArcFlag} 1 ${x2} ${y2} Z"
-              fill="${color}" stroke="white" stroke-width="2"/>
-      `;
-      
-      currentAngle += angle;
+              fill="${this.color(index)}" stroke="white" stroke-width="2">${tooltip}</path>${label}`;
     });
     
-    html += `
+    return html`
+    <div class="chart-container"${chartData}>
+      <div class="chart-title">${title}</div>
+      <div style="display: flex; justify-content: center; align-items: center; margin: 20px 0;">
+        <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+          ${slices}
         </svg>
       </div>
       <div style="display: flex; justify-content: center; margin-top: 10px;">
-        ${this.generateChartLegend(data)}
+        ${this.generateChartLegend(data.map(item => ({ name: item.name || item.country, detail: formatShare((item.value / total) * 100) })))}
       </div>
     </div>
     `;
-    
-    return html;
   }
   
   /**
    * Generate Sankey diagram
+   *
+   * `data` is { columns: [[{ id, name }], ...], links: [{ source, target, value }] };
+   * two or more columns, each link going to the next column. Node heights follow
+   * throughput and link widths follow value; hovering shows value and share.
+   * `options.formatValue` formats values in the tooltips.
    */
   generateSankeyDiagram(data, options = {}) {
-    const { title = 'Trade Flow Analysis', width = 600, height = 400 } = options;
-    
-    let html = `
-    <div class="chart-container">
-      <div class="chart-title">${title}</div>
-      <div style="position: relative; width: ${width}px; height: ${height}px; margin: 20px auto; border: 1px solid #ddd; border-radius: 8px; background-color: #f9f9f9;">
-    `;
-    
-    // Generate source nodes (left side)
-    const sourceHeight = height / data.sources.length;
-    data.sources.forEach((source, index) => {
-      const y = index * sourceHeight + sourceHeight / 2;
-      html += `
-        <div style="
-          position: absolute;
-          left: 20px;
-          top: ${y - 15}px;
-          width: 120px;
-          height: 30px;
-          background-color: ${this.bcgColors[index % this.bcgColors.length]};
-          color: white;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 12px;
-          font-weight: bold;
-          border-radius: 4px;
-        ">
-          ${source.name}
-        </div>
-      `;
+    const {
+      title = 'Trade Flow Analysis',
+      width = 600,
+      height = 400,
+      labelWidth = Math.min(150, width * 0.2),
+      formatValue = this.formatter('number', 0)
+    } = options;
+    
+    const layout = new SankeyLayout({ width, height, margin: labelWidth }).compute(data);
+    const round = value => Math.round(value * 100) / 100;
+    const share = (value, total) => `${((value / total) * 100).toFixed(1)}%`;
+    const columnTotals = layout.columns.map(column => column.reduce((sum, node) => sum + node.value, 0));
+    const flowTotals = layout.columns.map(column => column.reduce((sum, node) => sum + node.sourceLinks.reduce((total, link) => total + link.value, 0), 0));
+    const nodeColor = new Map(layout.nodes.map((node, index) => [node, this.color(index)]));
+    const lastColumn = layout.columns.length - 1;
+    // Labels beside the outer columns are shortened to the label margin (about 6px per character)
+    const maxLabelLength = Math.max(Math.floor((labelWidth - 8) / 6), 4);
+    const label = name => name.length > maxLabelLength ? `${name.slice(0, maxLabelLength - 1)}…` : name;
+    
+    // Native charts have no Sankey type; exporters show the flows as a bar chart
+    const chartData = this.generateChartData({
+      type: 'bar',
+      title,
+      categories: layout.links.map(link => `${link.source.name} → ${link.target.name}`),
+      series: [{ name: 'Flow', values: layout.links.map(link => link.value) }]
     });
     
-    // Generate target nodes (right side)
-    const targetHeight = height / data.targets.length;
-    data.targets.forEach((target, index) => {
-      const y = index * targetHeight + targetHeight / 2;
-      html += `
-        <div style="
-          position: absolute;
-          right: 20px;
-          top: ${y - 15}px;
-          width: 120px;
-          height: 30px;
-          background-color: ${this.bcgColors[(index + data.sources.length) % this.bcgColors.length]};
-          color: white;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 12px;
-          font-weight: bold;
-          border-radius: 4px;
-        ">
-          ${target.name}
-        </div>
-      `;
+    const links = layout.links.map(link => {
+      const x0 = link.source.x1;
+      const x1 = link.target.x0;
+      const xMid = (x0 + x1) / 2;
+      return html`
+          <path d="M ${round(x0)} ${round(link.y0)} C ${round(xMid)} ${round(link.y0)} ${round(xMid)} ${round(link.y1)} ${round(x1)} ${round(link.y1)}"
+                stroke="${nodeColor.get(link.source)}" stroke-opacity="0.35" stroke-width="${round(Math.max(link.width, 1))}">
+            <title>${link.source.name} → ${link.target.name}: ${formatValue(link.value)} (${share(link.value, flowTotals[link.source.column])} of flows)</title>
+          </path>`;
     });
     
-    // Generate flows (simplified representation)
-    data.flows.forEach((flow, index) => {
-      const sourceIndex = data.sources.findIndex(s => s.id === flow.source);
-      const targetIndex = data.targets.findIndex(t => t.id === flow.target);
-      
-      if (sourceIndex !== -1 && targetIndex !== -1) {
-        const sourceY = sourceIndex * sourceHeight + sourceHeight / 2;
-        const targetY = targetIndex * targetHeight + targetHeight / 2;
-        const flowWidth = Math.max(2, (flow.value / data.maxFlow) * 20);
-        
-        html += `
-          <div style="
-            position: absolute;
-            left: 140px;
-            top: ${Math.min(sourceY, targetY)}px;
-            width: ${width - 280}px;
-            height: ${Math.abs(targetY - sourceY) + flowWidth}px;
-            background: linear-gradient(90deg, 
-              ${this.bcgColors[sourceIndex % this.bcgColors.length]}33 0%, 
-              ${this.bcgColors[(targetIndex + data.sources.length) % this.bcgColors.length]}33 100%);
-            border-radius: 4px;
-            opacity: 0.7;
-          "></div>
-        `;
-      }
+    const nodes = layout.nodes.map(node => {
+      const labelLeft = node.column === 0;
+      return html`
+          <rect x="${round(node.x0)}" y="${round(node.y0)}" width="${round(node.x1 - node.x0)}" height="${round(Math.max(node.height, 1))}" fill="${nodeColor.get(node)}">
+            <title>${node.name}: ${formatValue(node.value)} (${share(node.value, columnTotals[node.column])} of column)</title>
+          </rect>
+          <text x="${round(labelLeft ? node.x0 - 6 : node.x1 + 6)}" y="${round((node.y0 + node.y1) / 2)}" dy="0.35em" text-anchor="${labelLeft ? 'end' : 'start'}"
+                font-size="11" fill="#333"${node.column > 0 && node.column < lastColumn ? html` stroke="white" stroke-width="3" paint-order="stroke"` : null}>${label(node.name)}</text>`;
     });
     
-    html += `
+    return html`
+    <div class="chart-container"${chartData}>
+      <div class="chart-title">${title}</div>
+      <div style="display: flex; justify-content: center; margin: 20px 0;">
+        <svg class="sankey" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${title}">
+          <g fill="none">${links}
+          </g>
+          <g>${nodes}
+          </g>
+        </svg>
       </div>
       <div style="text-align: center; margin-top: 10px; font-size: 12px; color: #666;">
-        Flow thickness represents trade volume
+        Link width is proportional to trade value; hover a link or node for its value and share
       </div>
     </div>
     `;
-    
-    return html;
   }
   
   /**
    * Generate horizontal bar chart
    */
   generateHorizontalBarChart(data, options = {}) {
-    const { title = 'Analysis', width = 400, height = 300 } = options;
-    
-    const maxValue = Math.max(...data.map(item => item.value));
-    const barHeight = 25;
-    const barSpacing = 5;
+    const { title = 'Analysis', width = 500, valueFormat = 'number', axisTitle = null, dataLabels = true } = options;
+    const chartData = this.generateChartData({
+      type: 'bar',
+      title,
+      categories: data.map(item => item.name),
+      series: [{ name: 'Value', values: data.map(item => item.value) }]
+    });
     
-    let html = `
-    <div class="chart-container">
-      <div class="chart-title">${title}</div>
-      <div style="margin: 20px 0;">
-    `;
+    return this.renderBarChart(data, { title, width, valueFormat, axisTitle, dataLabels, chartData });
+  }
+  
+  /**
+   * Generate vertical column chart (e.g. histograms)
+   */
+  generateColumnChart(data, options = {}) {
+    const {
+      title = 'Distribution Analysis',
+      width = 500,
+      height = 250,
+      valueFormat = 'number',
+      axisTitle = null,
+      categoryTitle = null,
+      dataLabels = true
+    } = options;
+    
+    const formatValue = this.formatter(valueFormat);
+    const top = dataLabels ? 16 : 8;
+    const bottom = 24 + (categoryTitle ? 16 : 0);
+    const probe = new ChartScale(data.map(item => item.value), { range: [height - bottom, top] });
+    const axisWidth = this.valueAxisWidth(probe, valueFormat, axisTitle);
+    const plot = { x: axisWidth, y: top, w: width - axisWidth - 4, h: height - top - bottom };
+    const scale = new ChartScale(data.map(item => item.value), { range: [plot.y + plot.h, plot.y] });
+    const slotWidth = plot.w / Math.max(data.length, 1);
+    const barWidth = slotWidth * 0.8;
+    const round = value => Math.round(value * 10) / 10;
+    const chartData = this.generateChartData({
+      type: 'column',
+      title,
+      categories: data.map(item => item.label),
+      series: [{ name: 'Value', values: data.map(item => item.value) }]
+    });
     
-    data.forEach((item, index) => {
-      const barWidth = (item.value / maxValue) * width;
-      const color = this.bcgColors[index % this.bcgColors.length];
-      
-      html += `
-        <div style="display: flex; align-items: center; margin-bottom: ${barSpacing}px;">
-          <div style="width: 100px; font-size: 12px; text-align: right; margin-right: 10px;">
-            ${item.name}
-          </div>
-          <div style="
-            width: ${barWidth}px;
-            height: ${barHeight}px;
-            background-color: ${color};
-            display: flex;
-            align-items: center;
-            justify-content: flex-end;
-            padding-right: 8px;
-            color: white;
-            font-size: 11px;
-            font-weight: bold;
-          ">
-            ${item.value}
-          </div>
-        </div>
-      `;
+    const columns = data.map((item, index) => {
+      const x = plot.x + index * slotWidth + (slotWidth - barWidth) / 2;
+      const y0 = scale.map(0);
+      const y1 = scale.map(item.value);
+      return html`
+          <rect x="${round(x)}" y="${round(Math.min(y0, y1))}" width="${round(barWidth)}" height="${round(Math.abs(y1 - y0))}" fill="${this.color(1)}"><title>${item.label}: ${formatValue(item.value)}</title></rect>${dataLabels && html`
+          <text x="${round(x + barWidth / 2)}" y="${round(Math.min(y0, y1) - 4)}" font-size="10" text-anchor="middle" fill="#333">${formatValue(item.value)}</text>`}
+          <text x="${round(x + barWidth / 2)}" y="${plot.y + plot.h + 14}" font-size="9" text-anchor="middle" fill="#666">${item.label}</text>`;
     });
     
-    html += `
+    return html`
+    <div class="chart-container"${chartData}>
+      <div class="chart-title">${title}</div>
+      <div style="margin: 20px 0;">
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${this.renderValueAxis(scale, { orientation: 'y', plot, format: valueFormat, title: axisTitle })}
+          <line x1="${plot.x}" y1="${round(scale.map(0))}" x2="${plot.x + plot.w}" y2="${round(scale.map(0))}" stroke="#999" stroke-width="1"/>
+          ${columns}${categoryTitle && html`
+          <text x="${round(plot.x + plot.w / 2)}" y="${height - 4}" font-size="11" text-anchor="middle" fill="#333">${categoryTitle}</text>`}
+        </svg>
       </div>
     </div>
     `;
-    
-    return html;
   }
   
   /**
    * Generate line chart for trends
+   *
+   * Pass `options.bands` (one `{ low, high }` per data point) to shade a min/max band.
+   * `options.overlays` ([{ name, values }]) adds dashed lines such as a moving average
+   * or trend line, with a legend; `options.intervals` ([{ name, values: [{ low, high }
+   * or null] }]) shades confidence bands, widest first; `options.annotations`
+   * ([{ index, label, position: 'above' | 'below' }]) marks and labels points such as
+   * peaks and troughs. Null values leave gaps. The value axis does not start at zero; flat and single-point
+   * series are padded.
    */
   generateLineChart(data, options = {}) {
-    const { title = 'Trend Analysis', width = 500, height = 300 } = options;
-    
-    const minValue = Math.min(...data.map(item => item.value));
-    const maxValue = Math.max(...data.map(item => item.value));
-    const valueRange = maxValue - minValue;
+    const {
+      title = 'Trend Analysis',
+      width = 500,
+      height = 300,
+      bands = null,
+      valueFormat = 'number',
+      axisTitle = null,
+      dataLabels = false,
+      seriesName = 'Value',
+      overlays = [],
+      intervals = [],
+      annotations = []
+    } = options;
+    
+    const formatValue = this.formatter(valueFormat);
+    const values = [
+      ...data.map(item => item.value),
+      ...(bands ? bands.flatMap(band => [band.low, band.high]) : []),
+      ...overlays.flatMap(overlay => overlay.values),
+      ...intervals.flatMap(interval => interval.values.flatMap(band => (band ? [band.low, band.high] : [])))
+    ];
+    const top = dataLabels ? 18 : 10;
+    const bottom = 24;
+    // Keep annotated points clear of the plot edges so their labels fit
+    const inset = position => (annotations.some(annotation => annotation.position === position) ? 16 : 0);
+    const probe = new ChartScale(values, { includeZero: false, range: [height - bottom, top] });
+    const axisWidth = this.valueAxisWidth(probe, valueFormat, axisTitle);
+    const plot = { x: axisWidth, y: top, w: width - axisWidth - 24, h: height - top - bottom };
+    const scale = new ChartScale(values, {
+      includeZero: false,
+      range: [plot.y + plot.h - inset('below'), plot.y + inset('above')]
+    });
+    const round = value => Math.round(value * 10) / 10;
+    const series = [{ name: seriesName, values: data.map(item => item.value) }];
+    if (bands) {
+      series.push(
+        { name: 'Min', values: bands.map(band => band.low) },
+        { name: 'Max', values: bands.map(band => band.high) }
+      );
+    }
+    series.push(...overlays.map(overlay => ({ name: overlay.name, values: overlay.values })));
+    intervals.forEach(interval => series.push(
+      { name: `${interval.name} low`, values: interval.values.map(band => (band ? band.low : null)) },
+      { name: `${interval.name} high`, values: interval.values.map(band => (band ? band.high : null)) }
+    ));
+    const chartData = this.generateChartData({
+      type: 'line',
+      title,
+      categories: data.map(item => item.label),
+      series,
+      // Unit prices per small base units need more than whole units
+      ...(valueFormat === 'price' && { numberFormat: '#,##0.00####' })
+    });
     
-    let html = `
-    <div class="chart-container">
+    // A single point sits in the middle of the plot
+    const toX = index => round(data.length > 1 ? plot.x + (index / (data.length - 1)) * plot.w : plot.x + plot.w / 2);
+    const toPoint = (index, value) => ({ x: toX(index), y: round(scale.map(value)) });
+    const isValue = value => typeof value === 'number' && Number.isFinite(value);
+    const points = data.map((item, index) => (isValue(item.value) ? toPoint(index, item.value) : null));
+    
+    // Runs of consecutive values, so gaps break the line
+    const segments = lineValues => lineValues
+      .reduce((runs, value, index) => {
+        if (!isValue(value)) {
+          runs.push([]);
+        } else {
+          const point = toPoint(index, value);
+          runs[runs.length - 1].push(`${point.x},${point.y}`);
+        }
+        return runs;
+      }, [[]])
+      .filter(run => run.length > 0)
+      .map(run => run.join(' '));
+    
+    let band = null;
+    if (bands) {
+      const upper = bands.map((item, index) => toPoint(index, item.high));
+      const lower = bands.map((item, index) => toPoint(index, item.low)).reverse();
+      band = html`
+          <!-- Min/max band -->
+          <polygon points="${[...upper, ...lower].map(point => `${point.x},${point.y}`).join(' ')}" fill="${this.color(3)}" fill-opacity="0.25" stroke="none"/>
+      `;
+    }
+    
+    // Each run of consecutive bands is one polygon: upper edge forwards, lower edge back.
+    // Narrower intervals are drawn on top in a stronger tint
+    const intervalColor = index => this.mixColors('#FFFFFF', this.color(3), 0.3 + (0.3 * index) / Math.max(intervals.length - 1, 1));
+    const intervalBands = intervals.map((interval, intervalIndex) => interval.values
+      .reduce((runs, item, index) => {
+        if (!item) {
+          runs.push([]);
+        } else {
+          runs[runs.length - 1].push({ index, item });
+        }
+        return runs;
+      }, [[]])
+      .filter(run => run.length > 0)
+      .map(run => {
+        const upper = run.map(({ index, item }) => toPoint(index, item.high));
+        const lower = run.map(({ index, item }) => toPoint(index, item.low)).reverse();
+        return html`
+          <polygon points="${[...upper, ...lower].map(point => `${point.x},${point.y}`).join(' ')}" fill="${intervalColor(intervalIndex)}" stroke="none"><title>${interval.name}</title></polygon>`;
+      }));
+    
+    const overlayLines = overlays.map((overlay, overlayIndex) => segments(overlay.values).map(run => html`
+          <polyline fill="none" stroke="${this.color(overlayIndex + 2)}" stroke-width="2" stroke-dasharray="6 4" points="${run}"/>`));
+    
+    const markers = annotations
+      .filter(annotation => points[annotation.index])
+      .map(annotation => {
+        const point = points[annotation.index];
+        const anchor = point.x < plot.x + 60 ? 'start' : point.x > plot.x + plot.w - 60 ? 'end' : 'middle';
+        const labelY = annotation.position === 'below' ? point.y + 18 : point.y - 11;
+        return html`
+          <circle cx="${point.x}" cy="${point.y}" r="8" fill="none" stroke="${this.color(0)}" stroke-width="1.5"/>
+          <text x="${point.x}" y="${round(labelY)}" font-size="10" font-weight="bold" text-anchor="${anchor}" fill="#333">${annotation.label}</text>`;
+      });
+    
+    const labelStep = Math.ceil(data.length / 6);
+    const categoryLabels = data
+      .map((item, index) => index % labelStep === 0 && html`
+          <text x="${toX(index)}" y="${plot.y + plot.h + 16}" font-size="11" text-anchor="middle" fill="#666">${item.label}</text>`)
+      .filter(Boolean);
+    
+    const legend = (overlays.length > 0 || intervals.length > 0) && this.generateChartLegend([
+      { name: seriesName, color: this.color(1) },
+      ...overlays.map((overlay, overlayIndex) => ({ name: overlay.name, color: this.color(overlayIndex + 2) })),
+      ...intervals.map((interval, intervalIndex) => ({ name: interval.name, color: intervalColor(intervalIndex) }))
+    ]);
+    
+    return html`
+    <div class="chart-container"${chartData}>
       <div class="chart-title">${title}</div>
       <div style="margin: 20px 0;">
-        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-          <!-- Grid lines -->
-          <defs>
-            <pattern id="grid" width="50" height="30" patternUnits="userSpaceOnUse">
-              <path d="M 50 0 L 0 0 0 30" fill="none" stroke="#e0e0e0" stroke-width="1"/>
-            </pattern>
-          </defs>
-          <rect width="100%" height="100%" fill="url(#grid)" />
-          
-          <!-- Data line -->
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${this.renderValueAxis(scale, { orientation: 'y', plot, format: valueFormat, title: axisTitle })}
+          ${band}${intervalBands}
+          <!-- Data line -->${segments(data.map(item => item.value)).map(run => html`
           <polyline
             fill="none"
-            stroke="${this.bcgColors[1]}"
+            stroke="${this.color(1)}"
             stroke-width="3"
-            points="
-    `;
-    
-    data.forEach((item, index) => {
-      const x = (index / (data.length - 1)) * (width - 40) + 20;
-      const y = height - 20 - ((item.value - minValue) / valueRange) * (height - 40);
-      html += `${x},${y} `;
-    });
-    
-    html += `"
-          />
+            points="${run}"
+          />`)}
+          ${overlayLines}
           
           <!-- Data points -->
-    `;
-    
-    data.forEach((item, index) => {
-      const x = (index / (data.length - 1)) * (width - 40) + 20;
-      const y = height - 20 - ((item.value - minValue) / valueRange) * (height - 40);
-      
-      html += `
-        <circle cx="${x}" cy="${y}" r="4" fill="${this.bcgColors[0]}" stroke="white" stroke-width="2"/>
-      `;
-    });
-    
-    html += `
+          ${points.map((point, index) => point && html`
+          <circle cx="${point.x}" cy="${point.y}" r="4" fill="${this.color(0)}" stroke="white" stroke-width="2"><title>${data[index].label}: ${formatValue(data[index].value)}</title></circle>${dataLabels && html`
+          <text x="${point.x}" y="${round(point.y - 8)}" font-size="10" text-anchor="middle" fill="#333">${formatValue(data[index].value)}</text>`}`)}
+          ${markers}
+          ${categoryLabels}
         </svg>
-      </div>
-      <div style="display: flex; justify-content: space-between; font-size: 12px; color: #666; margin-top: 10px;">
-    `;
-    
-    data.forEach((item, index) => {
-      if (index % Math.ceil(data.length / 6) === 0) {
-        html += `<span>${item.label}</span>`;
-      }
-    });
-    
-    html += `
-      </div>
+      </div>${legend}
     </div>
     `;
-    
-    return html;
   }
   
   /**
-   * Generate chart legend
+   * Generate chart legend from { name, detail, color } items; colours default to the series order
    */
-  generateChartLegend(data) {
-    let html = '<div style="display: flex; flex-wrap: wrap; justify-content: center; gap: 15px;">';
-    
-    data.forEach((item, index) => {
-      const color = this.bcgColors[index % this.bcgColors.length];
-      html += `
+  generateChartLegend(items) {
+    const entries = items.map((item, index) => html`
         <div style="display: flex; align-items: center; font-size: 12px;">
           <div style="
             width: 12px;
             height: 12px;
-            background-color: ${color};
+            background-color: ${item.color || this.color(index)};
             margin-right: 5px;
             border-radius: 2px;
           "></div>
-          <span>${item.name || item.country} (${item.share || item.percentage}%)</span>
+          <span>${item.name}${item.detail && html` (${item.detail})`}</span>
         </div>
-      `;
-    });
+      `);
     
-    html += '</div>';
-    return html;
+    return html`<div style="display: flex; flex-wrap: wrap; justify-content: center; gap: 15px;">${entries}</div>`;
   }
   
   /**
    * Generate KPI visualization
    */
   generateKPIVisualization(kpiData) {
-    let html = '<div class="kpi-container">';
-    
-    kpiData.forEach(kpi => {
+    const cards = kpiData.map(kpi => {
       const trendClass = kpi.trend.includes('↗') ? 'trend-up' : 
                         kpi.trend.includes('↘') ? 'trend-down' : '';
       
-      html += `
+      return html`
         <div class="kpi-card">
           <div class="kpi-title">${kpi.title}</div>
           <div class="kpi-value">${kpi.value}</div>
@@ -394,48 +596,132 @@ class ChartGenerator {
       `;
     });
     
-    html += '</div>';
-    return html;
+    return html`<div class="kpi-container">${cards}</div>`;
   }
   
   /**
-   * Generate geographic distribution map (simplified)
+   * Generate world choropleth map
+   *
+   * `data` is { imports: [{ country, value, share }], exports: [...], flows: [{ origin, destination, value }] };
+   * countries are matched to the bundled outlines by name or ISO code. With both
+   * layers the map gets an imports/exports toggle; flows are drawn as great-circle
+   * lines. `options.formatValue` formats values in the legend and tooltips.
    */
   generateGeographicMap(data, options = {}) {
-    const { title = 'Geographic Distribution' } = options;
+    const {
+      title = 'Geographic Distribution',
+      width = 560,
+      height = 290,
+      layer: initialLayer = data.imports ? 'imports' : 'exports',
+      classes = 5,
+      formatValue = this.formatter('number', 0),
+      id = `world-map-${++this.mapCount}`
+    } = options;
+    
+    const map = new WorldMap({ width, height });
+    const layerLabels = { imports: 'Imports', exports: 'Exports' };
+    const noDataColor = '#E5E5E5';
+    const { primary, primaryLight } = this.theme.palette;
+    
+    // Equal-interval classes from zero to the largest value, light to dark
+    const layers = ['imports', 'exports'].filter(name => data[name] && data[name].length > 0).map(name => {
+      const items = data[name];
+      const maxValue = Math.max(...items.map(item => item.value)) || 1;
+      const ramp = Array.from({ length: classes }, (_, index) => this.mixColors(primaryLight, primary, 0.15 + (0.85 * index) / Math.max(classes - 1, 1)));
+      const byCountry = new Map();
+      const missing = [];
+      items.forEach(item => {
+        const country = map.findCountry(item.country);
+        if (country) {
+          byCountry.set(country, item);
+        } else {
+          missing.push(item.country);
+        }
+      });
+      return {
+        name,
+        label: layerLabels[name],
+        items,
+        byCountry,
+        missing,
+        ramp,
+        fill: item => item ? ramp[Math.min(classes - 1, Math.floor((item.value / maxValue) * classes))] : noDataColor,
+        bounds: ramp.map((color, index) => [(maxValue * index) / classes, (maxValue * (index + 1)) / classes])
+      };
+    });
+    const initial = layers.find(layer => layer.name === initialLayer) || layers[0];
+    
+    const topItems = [...initial.items].sort((a, b) => b.value - a.value).slice(0, 10);
+    const chartData = this.generateChartData({
+      type: 'bar',
+      title,
+      categories: topItems.map(item => item.country),
+      series: [{ name: initial.label, values: topItems.map(item => item.value) }]
+    });
     
-    let html = `
-    <div class="chart-container">
-      <div class="chart-title">${title}</div>
-      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin: 20px 0;">
-    `;
+    const countries = map.countries.map(country => {
+      const tooltip = layers
+        .filter(layer => layer.byCountry.has(country))
+        .map(layer => {
+          const item = layer.byCountry.get(country);
+          return `${layer.label}: ${formatValue(item.value)}${item.share ? ` (${item.share})` : ''}`;
+        });
+      const name = layers.map(layer => layer.byCountry.get(country)).filter(Boolean).map(item => item.country)[0] || country.name;
+      return html`
+          <path class="map-country" d="${map.countryPath(country)}" fill="${initial.fill(initial.byCountry.get(country))}" fill-rule="evenodd"
+                style="${layers.map(layer => `--${layer.name}: ${layer.fill(layer.byCountry.get(country))};`).join(' ')}"><title>${[name, ...tooltip].join(' · ')}</title></path>`;
+    });
     
-    data.forEach((country, index) => {
-      const color = this.bcgColors[index % this.bcgColors.length];
-      const intensity = country.value / Math.max(...data.map(c => c.value));
-      
-      html += `
-        <div style="
-          background-color: ${color}${Math.floor(intensity * 255).toString(16).padStart(2, '0')};
-          border: 2px solid ${color};
-          border-radius: 8px;
-          padding: 15px;
-          text-align: center;
-          color: ${intensity > 0.5 ? 'white' : '#333'};
-        ">
-          <div style="font-weight: bold; margin-bottom: 5px;">${country.country}</div>
-          <div style="font-size: 18px; font-weight: bold;">${country.formattedValue}</div>
-          <div style="font-size: 12px;">${country.share}% of total</div>
-        </div>
-      `;
+    const flows = data.flows || [];
+    const maxFlow = Math.max(...flows.map(flow => flow.value), 0) || 1;
+    const flowLines = flows.map(flow => {
+      const origin = map.findCountry(flow.origin);
+      const destination = map.findCountry(flow.destination);
+      if (!origin || !destination || origin === destination) {
+        return null;
+      }
+      const from = map.centroid(origin);
+      const to = map.centroid(destination);
+      return html`
+          <path class="map-flow" d="${map.greatCirclePath(from, to)}" stroke-width="${Math.round((1 + (3 * flow.value) / maxFlow) * 10) / 10}"><title>${flow.origin} → ${flow.destination}: ${formatValue(flow.value)}</title></path>
+          <circle cx="${map.project(from)[0]}" cy="${map.project(from)[1]}" r="2.5" class="map-flow-end"/>
+          <circle cx="${map.project(to)[0]}" cy="${map.project(to)[1]}" r="2.5" class="map-flow-end"/>`;
     });
     
-    html += `
-      </div>
+    const toggle = layers.length > 1 && html`
+      ${layers.map(layer => html`<input type="radio" class="map-toggle map-toggle-${layer.name}" name="${id}" id="${id}-${layer.name}"${layer === initial ? html` checked` : null}>`)}
+      <div class="map-toggle-labels">${layers.map(layer => html`<label class="map-label-${layer.name}" for="${id}-${layer.name}">${layer.label}</label>`)}</div>`;
+    
+    const legends = layers.map(layer => html`
+      <div class="map-legend map-legend-${layer.name}">
+        ${layer.ramp.map((color, index) => html`<span><i style="background-color: ${color};"></i>${formatValue(layer.bounds[index][0])} – ${formatValue(layer.bounds[index][1])}</span>`)}
+        <span><i style="background-color: ${noDataColor};"></i>No data</span>
+        ${layer.missing.length > 0 && html`<span class="map-legend-note">Too small to draw: ${layer.missing.join(', ')}</span>`}
+      </div>`);
+    
+    return html`
+    <div class="chart-container world-map"${chartData}>
+      <div class="chart-title">${title}</div>${toggle}
+      <div class="map-canvas">
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${title}">
+          <g class="map-countries" stroke="white" stroke-width="0.5">${countries}
+          </g>${flows.length > 0 && html`
+          <g class="map-flows" fill="none" stroke="${this.theme.palette.accent}" stroke-opacity="0.85" stroke-linecap="round">${flowLines}
+          </g>`}
+        </svg>
+      </div>${legends}
     </div>
     `;
-    
-    return html;
+  }
+  
+  /**
+   * Blend two #RRGGBB colours; t = 0 gives the first, t = 1 the second
+   */
+  mixColors(from, to, t) {
+    const channels = hex => [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    const a = channels(from);
+    const b = channels(to);
+    return `#${a.map((channel, index) => Math.round(channel + (b[index] - channel) * t).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
   }
   
   /**
@@ -444,7 +730,15 @@ class ChartGenerator {
   generateComparisonChart(data, options = {}) {
     const { title = 'Comparison Analysis', categories = [] } = options;
     
-    let html = `
+    const rows = data.map((item, index) => html`
+        <tr>
+          <td style="font-weight: bold; color: ${this.color(0)};">${index + 1}</td>
+          <td style="font-weight: bold;">${item.name}</td>
+          ${categories.map(cat => html`<td>${item[cat] || 'N/A'}</td>`)}
+        </tr>
+      `);
+    
+    return html`
     <div class="chart-container">
       <div class="chart-title">${title}</div>
       <div class="table-container">
@@ -453,32 +747,17 @@ class ChartGenerator {
             <tr>
               <th>Rank</th>
               <th>Name</th>
-              ${categories.map(cat => `<th>${cat}</th>`).join('')}
+              ${categories.map(cat => html`<th>${cat}</th>`)}
             </tr>
           </thead>
           <tbody>
-    `;
-    
-    data.forEach((item, index) => {
-      html += `
-        <tr>
-          <td style="font-weight: bold; color: ${this.bcgColors[0]};">${index + 1}</td>
-          <td style="font-weight: bold;">${item.name}</td>
-          ${categories.map(cat => `<td>${item[cat] || 'N/A'}</td>`).join('')}
-        </tr>
-      `;
-    });
-    
-    html += `
+            ${rows}
           </tbody>
         </table>
       </div>
     </div>
     `;
-    
-    return html;
   }
 }
 
 module.exports = ChartGenerator;
-
@@ -0,0 +1,124 @@
+/**
+ * Chart Scale - Nice Axis Ticks and Value Formatting
+ *
+ * Maps data values to a pixel range over a "nice" domain: ticks fall on 1, 2, 2.5
+ * or 5 times a power of ten, and the domain is widened to whole ticks. Constant and
+ * single-point series get a padded domain instead of a zero-width one, and series
+ * with no finite values fall back to 0-1. Shared by every chart in ChartGenerator and
+ * by the PDF exporter's vector charts.
+ *
+ * Values are formatted by name: 'number', 'currency', 'price' (currency with four
+ * significant digits below 1,000, for unit prices), 'compact', 'compactCurrency' or
+ * 'percent' (values already in percent points), or by a function.
+ */
+
+const NICE_FACTORS = [1, 2, 2.5, 5, 10];
+
+class ChartScale {
+  /**
+   * Options: includeZero (default true), tickCount (default 5), range ([start, end] in pixels)
+   */
+  constructor(values, options = {}) {
+    const { includeZero = true, tickCount = 5, range = [0, 1] } = options;
+    const finite = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+    let min = finite.length > 0 ? Math.min(...finite) : 0;
+    let max = finite.length > 0 ? Math.max(...finite) : 1;
+    if (includeZero) {
+      min = Math.min(0, min);
+      max = Math.max(0, max);
+    }
+
+    Object.assign(this, ChartScale.nice(min, max, tickCount));
+    this.range = range;
+    this.ticks = ChartScale.ticks(this);
+  }
+
+  /**
+   * Nice { min, max, step } covering [min, max] in about `tickCount` steps
+   */
+  static nice(min, max, tickCount = 5) {
+    if (min === max) {
+      const padding = Math.abs(min) * 0.1 || 1;
+      [min, max] = [min - padding, max + padding];
+    }
+    const rough = (max - min) / tickCount;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = NICE_FACTORS.map(factor => factor * magnitude).find(candidate => candidate >= rough);
+    return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+  }
+
+  /**
+   * Tick values from min to max, free of floating point drift
+   */
+  static ticks(scale) {
+    const ticks = [];
+    for (let value = scale.min; value <= scale.max + scale.step / 2; value += scale.step) {
+      ticks.push(Number(value.toPrecision(12)));
+    }
+    return ticks;
+  }
+
+  /**
+   * Pixel position of a value
+   */
+  map(value) {
+    const [start, end] = this.range;
+    return start + ((value - this.min) / (this.max - this.min)) * (end - start);
+  }
+
+  /**
+   * Decimals needed to tell the ticks apart (1 for a step of 2.5 or 0.5, ...)
+   */
+  get tickDecimals() {
+    const text = String(Number(this.step.toPrecision(12)));
+    return text.includes('.') ? text.split('.')[1].length : 0;
+  }
+
+  /**
+   * Formatter for a named format or a function; `decimals` fixes the fraction digits
+   */
+  static formatter(format = 'number', options = {}) {
+    if (typeof format === 'function') {
+      return format;
+    }
+
+    const { currency = 'USD', decimals } = options;
+    const digits = decimals === undefined
+      ? { maximumFractionDigits: 2 }
+      : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    switch (format) {
+      case 'currency': {
+        const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency, ...(decimals === undefined ? { maximumFractionDigits: 0 } : digits) });
+        return value => formatter.format(value);
+      }
+      case 'price': {
+        if (decimals !== undefined) {
+          return ChartScale.formatter('currency', options);
+        }
+        const whole = new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 });
+        const small = new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumSignificantDigits: 4 });
+        return value => (Math.abs(value) >= 1000 ? whole : small).format(value);
+      }
+      case 'compact': {
+        const formatter = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+        return value => formatter.format(value);
+      }
+      case 'compactCurrency': {
+        const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency, notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 });
+        return value => formatter.format(value);
+      }
+      case 'percent': {
+        const fixed = decimals === undefined ? 1 : decimals;
+        return value => `${value.toFixed(fixed)}%`;
+      }
+      case 'number': {
+        const formatter = new Intl.NumberFormat('en-US', digits);
+        return value => formatter.format(value);
+      }
+      default:
+        throw new Error(`Unknown value format "${format}" (expected number, currency, price, compact, compactCurrency, percent or a function)`);
+    }
+  }
+}
+
+module.exports = ChartScale;
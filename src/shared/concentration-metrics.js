@@ -0,0 +1,87 @@
+/**
+ * Concentration Metrics - HHI, Concentration Ratios and Gini
+ *
+ * Measures how concentrated a market is across its participants (suppliers, buyers,
+ * exporting or importing countries) from their market shares in percent points:
+ * - HHI: sum of squared shares, 0 (atomistic) to 10,000 (monopoly)
+ * - CR4 / CR5 / CR10: combined share of the four, five or ten largest participants
+ * - Gini: inequality of the listed participants' shares, 0 (equal) to 1
+ *
+ * HHI is classified with the bands of the U.S. Horizontal Merger Guidelines (2010):
+ * below 1,500 unconcentrated, 1,500-2,500 moderately concentrated, above 2,500
+ * highly concentrated. When the listed participants cover less than the whole
+ * market, the rest is treated as many small participants, so HHI is a lower bound.
+ * Shares that add up to more than 100% are scaled back to 100%.
+ */
+
+// Lower HHI bound of each band
+const HHI_BANDS = [
+  { min: 2500, band: 'Highly concentrated', strict: true },
+  { min: 1500, band: 'Moderately concentrated', strict: false },
+  { min: 0, band: 'Unconcentrated', strict: false }
+];
+
+class ConcentrationMetrics {
+  /**
+   * Herfindahl-Hirschman Index of shares in percent points
+   */
+  static hhi(shares) {
+    return shares.reduce((sum, share) => sum + share * share, 0);
+  }
+
+  /**
+   * Combined share of the `count` largest shares
+   */
+  static concentrationRatio(shares, count) {
+    return [...shares].sort((a, b) => b - a).slice(0, count).reduce((sum, share) => sum + share, 0);
+  }
+
+  /**
+   * Gini coefficient of non-negative values (0 when all are equal or there is only one)
+   */
+  static gini(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    if (sorted.length < 2 || total === 0) {
+      return 0;
+    }
+    // Sorted form of the mean absolute difference: sum of (2i - n - 1) * x_i over n * total
+    const weighted = sorted.reduce((sum, value, index) => sum + (2 * (index + 1) - sorted.length - 1) * value, 0);
+    return weighted / (sorted.length * total);
+  }
+
+  /**
+   * Antitrust band for an HHI
+   */
+  static classify(hhi) {
+    return HHI_BANDS.find(entry => (entry.strict ? hhi > entry.min : hhi >= entry.min)).band;
+  }
+
+  /**
+   * All metrics for participants' shares (percent points of the whole market)
+   *
+   * Returns { count, coverage, hhi, cr4, cr5, cr10, gini, band, isLowerBound }
+   */
+  static analyze(shares) {
+    const valid = shares.filter(share => Number.isFinite(share) && share > 0);
+    const listed = valid.reduce((sum, share) => sum + share, 0);
+    const scaled = listed > 100 ? valid.map(share => (share / listed) * 100) : valid;
+    const hhi = ConcentrationMetrics.hhi(scaled);
+
+    return {
+      count: scaled.length,
+      coverage: Math.min(listed, 100),
+      hhi,
+      cr4: ConcentrationMetrics.concentrationRatio(scaled, 4),
+      cr5: ConcentrationMetrics.concentrationRatio(scaled, 5),
+      cr10: ConcentrationMetrics.concentrationRatio(scaled, 10),
+      gini: ConcentrationMetrics.gini(scaled),
+      band: ConcentrationMetrics.classify(hhi),
+      isLowerBound: listed < 99.5
+    };
+  }
+}
+
+ConcentrationMetrics.HHI_BANDS = HHI_BANDS;
+
+module.exports = ConcentrationMetrics;
@@ -0,0 +1,157 @@
+/**
+ * Country Registry - ISO-3166 Country Resolution
+ *
+ * Maps the many spellings found in trade data ("USA", "U.S.", "United States of America")
+ * to one ISO-3166 entry with alpha-2, alpha-3 and numeric codes, a display name and a
+ * World Bank region, so countries join consistently across data sources and sections.
+ */
+
+const COUNTRIES = [
+  // North America
+  { alpha2: 'US', alpha3: 'USA', numeric: '840', name: 'United States', region: 'North America', aliases: ['U.S.', 'U.S.A.', 'United States of America'] },
+  { alpha2: 'CA', alpha3: 'CAN', numeric: '124', name: 'Canada', region: 'North America', aliases: [] },
+
+  // Latin America & Caribbean
+  { alpha2: 'MX', alpha3: 'MEX', numeric: '484', name: 'Mexico', region: 'Latin America & Caribbean', aliases: [] },
+  { alpha2: 'BR', alpha3: 'BRA', numeric: '076', name: 'Brazil', region: 'Latin America & Caribbean', aliases: ['Brasil'] },
+  { alpha2: 'AR', alpha3: 'ARG', numeric: '032', name: 'Argentina', region: 'Latin America & Caribbean', aliases: [] },
+  { alpha2: 'CL', alpha3: 'CHL', numeric: '152', name: 'Chile', region: 'Latin America & Caribbean', aliases: [] },
+  { alpha2: 'CO', alpha3: 'COL', numeric: '170', name: 'Colombia', region: 'Latin America & Caribbean', aliases: [] },
+  { alpha2: 'PE', alpha3: 'PER', numeric: '604', name: 'Peru', region: 'Latin America & Caribbean', aliases: [] },
+
+  // Europe & Central Asia
+  { alpha2: 'GB', alpha3: 'GBR', numeric: '826', name: 'United Kingdom', region: 'Europe & Central Asia', aliases: ['UK', 'U.K.', 'Great Britain', 'Britain', 'England'] },
+  { alpha2: 'IE', alpha3: 'IRL', numeric: '372', name: 'Ireland', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'FR', alpha3: 'FRA', numeric: '250', name: 'France', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'DE', alpha3: 'DEU', numeric: '276', name: 'Germany', region: 'Europe & Central Asia', aliases: ['Deutschland'] },
+  { alpha2: 'NL', alpha3: 'NLD', numeric: '528', name: 'Netherlands', region: 'Europe & Central Asia', aliases: ['Holland'] },
+  { alpha2: 'BE', alpha3: 'BEL', numeric: '056', name: 'Belgium', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'LU', alpha3: 'LUX', numeric: '442', name: 'Luxembourg', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'CH', alpha3: 'CHE', numeric: '756', name: 'Switzerland', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'AT', alpha3: 'AUT', numeric: '040', name: 'Austria', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'IT', alpha3: 'ITA', numeric: '380', name: 'Italy', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'ES', alpha3: 'ESP', numeric: '724', name: 'Spain', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'PT', alpha3: 'PRT', numeric: '620', name: 'Portugal', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'DK', alpha3: 'DNK', numeric: '208', name: 'Denmark', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'SE', alpha3: 'SWE', numeric: '752', name: 'Sweden', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'NO', alpha3: 'NOR', numeric: '578', name: 'Norway', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'FI', alpha3: 'FIN', numeric: '246', name: 'Finland', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'PL', alpha3: 'POL', numeric: '616', name: 'Poland', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'CZ', alpha3: 'CZE', numeric: '203', name: 'Czechia', region: 'Europe & Central Asia', aliases: ['Czech Republic'] },
+  { alpha2: 'HU', alpha3: 'HUN', numeric: '348', name: 'Hungary', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'SK', alpha3: 'SVK', numeric: '703', name: 'Slovakia', region: 'Europe & Central Asia', aliases: ['Slovak Republic'] },
+  { alpha2: 'SI', alpha3: 'SVN', numeric: '705', name: 'Slovenia', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'HR', alpha3: 'HRV', numeric: '191', name: 'Croatia', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'RO', alpha3: 'ROU', numeric: '642', name: 'Romania', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'BG', alpha3: 'BGR', numeric: '100', name: 'Bulgaria', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'GR', alpha3: 'GRC', numeric: '300', name: 'Greece', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'TR', alpha3: 'TUR', numeric: '792', name: 'Turkey', region: 'Europe & Central Asia', aliases: ['Türkiye', 'Turkiye'] },
+  { alpha2: 'RU', alpha3: 'RUS', numeric: '643', name: 'Russia', region: 'Europe & Central Asia', aliases: ['Russian Federation'] },
+  { alpha2: 'UA', alpha3: 'UKR', numeric: '804', name: 'Ukraine', region: 'Europe & Central Asia', aliases: [] },
+  { alpha2: 'KZ', alpha3: 'KAZ', numeric: '398', name: 'Kazakhstan', region: 'Europe & Central Asia', aliases: [] },
+
+  // Middle East & North Africa
+  { alpha2: 'IL', alpha3: 'ISR', numeric: '376', name: 'Israel', region: 'Middle East & North Africa', aliases: [] },
+  { alpha2: 'SA', alpha3: 'SAU', numeric: '682', name: 'Saudi Arabia', region: 'Middle East & North Africa', aliases: ['KSA'] },
+  { alpha2: 'AE', alpha3: 'ARE', numeric: '784', name: 'United Arab Emirates', region: 'Middle East & North Africa', aliases: ['UAE', 'U.A.E.'] },
+  { alpha2: 'JO', alpha3: 'JOR', numeric: '400', name: 'Jordan', region: 'Middle East & North Africa', aliases: [] },
+  { alpha2: 'IR', alpha3: 'IRN', numeric: '364', name: 'Iran', region: 'Middle East & North Africa', aliases: ['Iran, Islamic Republic of'] },
+  { alpha2: 'EG', alpha3: 'EGY', numeric: '818', name: 'Egypt', region: 'Middle East & North Africa', aliases: [] },
+  { alpha2: 'MA', alpha3: 'MAR', numeric: '504', name: 'Morocco', region: 'Middle East & North Africa', aliases: [] },
+
+  // Sub-Saharan Africa
+  { alpha2: 'ZA', alpha3: 'ZAF', numeric: '710', name: 'South Africa', region: 'Sub-Saharan Africa', aliases: [] },
+  { alpha2: 'NG', alpha3: 'NGA', numeric: '566', name: 'Nigeria', region: 'Sub-Saharan Africa', aliases: [] },
+  { alpha2: 'KE', alpha3: 'KEN', numeric: '404', name: 'Kenya', region: 'Sub-Saharan Africa', aliases: [] },
+  { alpha2: 'ET', alpha3: 'ETH', numeric: '231', name: 'Ethiopia', region: 'Sub-Saharan Africa', aliases: [] },
+
+  // South Asia
+  { alpha2: 'IN', alpha3: 'IND', numeric: '356', name: 'India', region: 'South Asia', aliases: ['Bharat'] },
+  { alpha2: 'PK', alpha3: 'PAK', numeric: '586', name: 'Pakistan', region: 'South Asia', aliases: [] },
+  { alpha2: 'BD', alpha3: 'BGD', numeric: '050', name: 'Bangladesh', region: 'South Asia', aliases: [] },
+  { alpha2: 'LK', alpha3: 'LKA', numeric: '144', name: 'Sri Lanka', region: 'South Asia', aliases: [] },
+
+  // East Asia & Pacific
+  { alpha2: 'CN', alpha3: 'CHN', numeric: '156', name: 'China', region: 'East Asia & Pacific', aliases: ['PRC', "People's Republic of China", 'China, Peoples Republic of', 'Mainland China'] },
+  { alpha2: 'HK', alpha3: 'HKG', numeric: '344', name: 'Hong Kong', region: 'East Asia & Pacific', aliases: ['Hong Kong SAR', 'Hong Kong, China'] },
+  { alpha2: 'TW', alpha3: 'TWN', numeric: '158', name: 'Taiwan', region: 'East Asia & Pacific', aliases: ['Chinese Taipei', 'Taiwan, Province of China'] },
+  { alpha2: 'JP', alpha3: 'JPN', numeric: '392', name: 'Japan', region: 'East Asia & Pacific', aliases: [] },
+  { alpha2: 'KR', alpha3: 'KOR', numeric: '410', name: 'South Korea', region: 'East Asia & Pacific', aliases: ['Korea', 'Republic of Korea', 'Korea, Republic of', 'Korea (South)'] },
+  { alpha2: 'SG', alpha3: 'SGP', numeric: '702', name: 'Singapore', region: 'East Asia & Pacific', aliases: [] },
+  { alpha2: 'MY', alpha3: 'MYS', numeric: '458', name: 'Malaysia', region: 'East Asia & Pacific', aliases: [] },
+  { alpha2: 'TH', alpha3: 'THA', numeric: '764', name: 'Thailand', region: 'East Asia & Pacific', aliases: [] },
+  { alpha2: 'VN', alpha3: 'VNM', numeric: '704', name: 'Vietnam', region: 'East Asia & Pacific', aliases: ['Viet Nam'] },
+  { alpha2: 'ID', alpha3: 'IDN', numeric: '360', name: 'Indonesia', region: 'East Asia & Pacific', aliases: [] },
+  { alpha2: 'PH', alpha3: 'PHL', numeric: '608', name: 'Philippines', region: 'East Asia & Pacific', aliases: [] },
+  { alpha2: 'AU', alpha3: 'AUS', numeric: '036', name: 'Australia', region: 'East Asia & Pacific', aliases: [] },
+  { alpha2: 'NZ', alpha3: 'NZL', numeric: '554', name: 'New Zealand', region: 'East Asia & Pacific', aliases: [] }
+];
+
+class CountryRegistry {
+  constructor(countries = COUNTRIES) {
+    this.countries = countries;
+    this.index = new Map();
+
+    countries.forEach(country => {
+      [country.name, country.alpha2, country.alpha3, country.numeric, ...country.aliases].forEach(alias => {
+        this.index.set(this.normalizeKey(alias), country);
+      });
+    });
+  }
+
+  /**
+   * Normalise a country spelling for lookup: case, accents, punctuation and a leading "the"
+   */
+  normalizeKey(name) {
+    return String(name)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[.']/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .replace(/^the /, '');
+  }
+
+  /**
+   * Resolve a country name, alias or ISO code to its registry entry (null when unknown)
+   */
+  resolve(name) {
+    if (name === undefined || name === null || name === '') {
+      return null;
+    }
+    return this.index.get(this.normalizeKey(name)) || null;
+  }
+
+  /**
+   * Display name for a country, or the trimmed input when it is not in the registry
+   */
+  getDisplayName(name) {
+    const country = this.resolve(name);
+    return country ? country.name : String(name || '').trim();
+  }
+
+  getCode(name) {
+    const country = this.resolve(name);
+    return country ? country.alpha2 : null;
+  }
+
+  getRegion(name) {
+    const country = this.resolve(name);
+    return country ? country.region : 'Other';
+  }
+
+  /**
+   * Whether two spellings refer to the same country
+   */
+  isSameCountry(a, b) {
+    const countryA = this.resolve(a);
+    const countryB = this.resolve(b);
+    return countryA && countryB ? countryA === countryB : this.normalizeKey(a) === this.normalizeKey(b);
+  }
+}
+
+CountryRegistry.COUNTRIES = COUNTRIES;
+
+module.exports = CountryRegistry;
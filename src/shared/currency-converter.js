@@ -0,0 +1,198 @@
+/**
+ * Currency Converter - FX Conversion to a Reporting Currency
+ *
+ * Converts monetary values from the currency of each input (shipment, product data
+ * aggregate) into one reporting currency, using a monthly FX rate table:
+ *
+ *   {
+ *     "source": "ECB reference rates, monthly average",
+ *     "base": "USD",
+ *     "rates": { "EUR": { "2023-01": 0.9272, ... }, "INR": { ... } }
+ *   }
+ *
+ * Each rate is the number of currency units per one unit of the base currency.
+ * Values are converted at the rate of their month; months missing from the table
+ * use the closest earlier month, or the first month when there is none.
+ */
+
+const fs = require('fs-extra');
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+class CurrencyConverter {
+  constructor(options = {}) {
+    this.options = {
+      reportingCurrency: 'USD',
+      fxTable: null,
+      fxFile: null,
+      ...options
+    };
+
+    this.reportingCurrency = String(this.options.reportingCurrency).toUpperCase();
+    if (this.options.fxFile) {
+      this.fxTable = CurrencyConverter.loadRateTable(this.options.fxFile);
+    } else {
+      this.fxTable = this.options.fxTable;
+      if (this.fxTable) {
+        CurrencyConverter.validateRateTable(this.fxTable);
+      }
+    }
+
+    this.formatter = new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: this.reportingCurrency,
+      maximumFractionDigits: 0
+    });
+    this.compactFormatter = new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: this.reportingCurrency,
+      notation: 'compact',
+      maximumFractionDigits: 1
+    });
+    this.priceFormatter = new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: this.reportingCurrency,
+      maximumSignificantDigits: 4
+    });
+  }
+
+  /**
+   * Load and validate an FX rate table from a JSON file
+   */
+  static loadRateTable(filePath) {
+    let table;
+    try {
+      table = fs.readJsonSync(filePath);
+    } catch (error) {
+      throw new Error(`Cannot read FX rate table ${filePath}: ${error.message}`);
+    }
+    CurrencyConverter.validateRateTable(table, filePath);
+    return table;
+  }
+
+  static validateRateTable(table, label = 'FX rate table') {
+    if (!table || typeof table.base !== 'string' || !table.rates || typeof table.rates !== 'object') {
+      throw new Error(`${label} must define a "base" currency and a "rates" object`);
+    }
+
+    Object.entries(table.rates).forEach(([currency, months]) => {
+      Object.entries(months).forEach(([month, rate]) => {
+        if (!MONTH_PATTERN.test(month) || !(rate > 0)) {
+          throw new Error(`${label}: invalid rate ${currency} ${month} = ${rate} (expected "YYYY-MM": positive number)`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Description of where conversion rates come from, for slide footers and methodology
+   */
+  get source() {
+    if (!this.fxTable) {
+      return 'No FX conversion applied';
+    }
+    return this.fxTable.source || 'User-supplied FX rate table';
+  }
+
+  /**
+   * Whether a value in `currency` needs converting to the reporting currency
+   */
+  needsConversion(currency) {
+    return this.normalizeCurrency(currency) !== this.reportingCurrency;
+  }
+
+  normalizeCurrency(currency) {
+    return currency ? String(currency).trim().toUpperCase() : this.reportingCurrency;
+  }
+
+  /**
+   * Units of `currency` per one unit of the table's base currency in a month
+   */
+  getRate(currency, month) {
+    const code = this.normalizeCurrency(currency);
+
+    if (!this.fxTable) {
+      throw new Error(`Values in ${code} need an FX rate table to convert to ${this.reportingCurrency} (use --fx-rates <file>)`);
+    }
+    if (code === this.fxTable.base.toUpperCase()) {
+      return 1;
+    }
+
+    const months = this.fxTable.rates[code];
+    if (!months || Object.keys(months).length === 0) {
+      throw new Error(`FX rate table "${this.source}" has no rates for ${code}`);
+    }
+
+    if (month && months[month]) {
+      return months[month];
+    }
+
+    // Closest earlier month, otherwise the first month in the table
+    const available = Object.keys(months).sort();
+    const earlier = month ? available.filter(m => m < month) : [];
+    return months[earlier.length > 0 ? earlier[earlier.length - 1] : available[0]];
+  }
+
+  /**
+   * Average rate over the months a currency has in the table (used for period aggregates)
+   */
+  getAverageRate(currency, months = null) {
+    const code = this.normalizeCurrency(currency);
+    if (this.fxTable && code === this.fxTable.base.toUpperCase()) {
+      return 1;
+    }
+
+    const tableMonths = this.fxTable && this.fxTable.rates[code] ? Object.keys(this.fxTable.rates[code]) : [];
+    const periodMonths = months && months.length > 0 ? months : tableMonths;
+    if (periodMonths.length === 0) {
+      return this.getRate(code, null);
+    }
+
+    return periodMonths.reduce((sum, month) => sum + this.getRate(code, month), 0) / periodMonths.length;
+  }
+
+  /**
+   * Convert an amount at the rate of the month of `date` ('YYYY-MM' or 'YYYY-MM-DD')
+   */
+  convert(amount, fromCurrency, date = null) {
+    if (!this.needsConversion(fromCurrency) || !amount) {
+      return amount;
+    }
+
+    const month = date ? String(date).slice(0, 7) : null;
+    if (!MONTH_PATTERN.test(month)) {
+      return this.convertAggregate(amount, fromCurrency);
+    }
+    return (amount / this.getRate(fromCurrency, month)) * this.getRate(this.reportingCurrency, month);
+  }
+
+  /**
+   * Convert a period aggregate at the average rate over `months` (all table months by default)
+   */
+  convertAggregate(amount, fromCurrency, months = null) {
+    if (!this.needsConversion(fromCurrency) || !amount) {
+      return amount;
+    }
+
+    return (amount / this.getAverageRate(fromCurrency, months)) * this.getAverageRate(this.reportingCurrency, months);
+  }
+
+  format(value) {
+    return this.formatter.format(value || 0);
+  }
+
+  formatCompact(value) {
+    return this.compactFormatter.format(value || 0);
+  }
+
+  /**
+   * Unit prices below 1,000 keep four significant digits, so prices per small base
+   * units (e.g. per mg) do not round to zero; from 1,000 up they round like totals
+   */
+  formatPrice(value) {
+    const price = value || 0;
+    return (Math.abs(price) >= 1000 ? this.formatter : this.priceFormatter).format(price);
+  }
+}
+
+module.exports = CurrencyConverter;
@@ -5,17 +5,399 @@
  * required for the 300-slide presentation, ensuring data consistency across all slides.
  */
 
+const ConcentrationMetrics = require('./concentration-metrics');
+const CountryRegistry = require('./country-registry');
+const EntityResolver = require('./entity-resolver');
+const PeriodComparison = require('./period-comparison');
+const PriceForecaster = require('./price-forecaster');
+const CurrencyConverter = require('./currency-converter');
+const UnitConverter = require('./unit-converter');
+const SchemaValidator = require('./schema-validator');
+const SeededRandom = require('./random');
+const TimeSeries = require('./time-series');
+
 class DataProcessor {
-  constructor(productData) {
-    this.productData = productData;
+  constructor(productData, options = {}) {
+    this.options = options;
+    this.random = options.random || new SeededRandom(options.seed);
+    this.dataQuality = this.validateInput(productData);
+    this.countryRegistry = new CountryRegistry();
+    this.entityResolver = new EntityResolver(options.entityResolution);
+    this.currencyConverter = new CurrencyConverter(options.currency);
+    this.unitConverter = new UnitConverter({
+      ...options.units,
+      conversions: { ...productData.unitConversions, ...(options.units && options.units.conversions) }
+    });
+    this.productData = this.resolveCompanies(
+      this.normalizeUnits(this.convertCurrencies(this.normalizeCountries(productData)))
+    );
+    this.previousProcessor = this.createPreviousProcessor(productData.previousPeriod);
     this.processedData = this.processAllData();
   }
   
+  /**
+   * Process the previous period's product data, when supplied, with the same options
+   *
+   * Its validation problems are listed with the current period's under
+   * `$.previousPeriod`. The comparison mode comes from the `comparison.mode` option
+   * or the period labels (see PeriodComparison.inferMode).
+   */
+  createPreviousProcessor(previousData) {
+    if (!previousData) {
+      this.comparisonMode = null;
+      return null;
+    }
+    
+    const previous = new DataProcessor(previousData, {
+      ...this.options,
+      random: this.random.fork('previousPeriod')
+    });
+    this.dataQuality.issues.push(...previous.dataQuality.issues.map(issue => ({
+      ...issue,
+      path: issue.path.replace(/^\$/, '$.previousPeriod')
+    })));
+    
+    const labels = [this.productData.period, previousData.period];
+    this.comparisonMode = PeriodComparison.mode(
+      (this.options.comparison && this.options.comparison.mode) ||
+      (labels.every(Boolean) ? PeriodComparison.inferMode(labels) : 'pop')
+    ).key;
+    
+    return previous;
+  }
+  
+  /**
+   * Check the product data against the input schema before any processing
+   *
+   * In strict mode any problem stops generation; in lenient mode (the default) the
+   * problems are reported and listed on the data quality appendix slide.
+   */
+  validateInput(productData) {
+    const mode = (this.options.validation && this.options.validation.mode) || 'lenient';
+    if (!['strict', 'lenient'].includes(mode)) {
+      throw new Error(`Unknown validation mode "${mode}" (expected strict or lenient)`);
+    }
+    
+    const issues = new SchemaValidator().validate(productData);
+    const report = issues.map(issue => `  ${issue.path}: ${issue.message}`).join('\n');
+    if (issues.length > 0 && mode === 'strict') {
+      const error = new Error(`Product data failed validation with ${issues.length} problem(s):\n${report}`);
+      error.issues = issues;
+      throw error;
+    }
+    
+    if (issues.length > 0) {
+      console.warn(`⚠️ Product data has ${issues.length} data quality problem(s), listed on the Data Quality slide:\n${report}`);
+    }
+    
+    return { mode, issues };
+  }
+  
+  /**
+   * Resolve every country reference in the product data to its registry display name
+   *
+   * Country lists that contain the same country under two spellings are merged.
+   * Names the registry does not know are kept as given and reported once.
+   */
+  normalizeCountries(productData) {
+    const unresolved = new Set();
+    const displayName = name => {
+      if (name && name !== 'Unknown' && !this.countryRegistry.resolve(name)) {
+        unresolved.add(name);
+      }
+      return this.countryRegistry.getDisplayName(name) || name;
+    };
+    const withCountry = entries => entries.map(entry => ({ ...entry, country: displayName(entry.country) }));
+    
+    const normalized = { ...productData };
+    
+    ['topSuppliers', 'topBuyers'].forEach(field => {
+      if (Array.isArray(productData[field])) {
+        normalized[field] = withCountry(productData[field]);
+      }
+    });
+    
+    ['importingCountries', 'exportingCountries'].forEach(field => {
+      if (Array.isArray(productData[field])) {
+        normalized[field] = this.mergeCountryEntries(withCountry(productData[field]));
+      }
+    });
+    
+    ['topImportCountry', 'topExportCountry'].forEach(field => {
+      if (productData[field]) {
+        normalized[field] = { ...productData[field], country: displayName(productData[field].country) };
+      }
+    });
+    
+    if (Array.isArray(productData.shipments)) {
+      normalized.shipments = productData.shipments.map(shipment => ({
+        ...shipment,
+        supplierCountry: displayName(shipment.supplierCountry),
+        buyerCountry: displayName(shipment.buyerCountry)
+      }));
+    }
+    
+    if (Array.isArray(productData.tradeMatrix)) {
+      normalized.tradeMatrix = productData.tradeMatrix.map(flow => ({
+        ...flow,
+        origin: displayName(flow.origin),
+        destination: displayName(flow.destination)
+      }));
+    }
+    
+    if (unresolved.size > 0) {
+      console.warn(`⚠️ Countries not found in the country registry: ${[...unresolved].join(', ')}`);
+    }
+    
+    return normalized;
+  }
+  
+  /**
+   * Convert all monetary values to the reporting currency
+   *
+   * Aggregates are in `productData.currency` (USD when not set) and are converted at
+   * the average rate over the data period; price history points and shipments are
+   * converted at the rate of their own month, shipments from their own `currency`.
+   */
+  convertCurrencies(productData) {
+    const converter = this.currencyConverter;
+    const dataCurrency = converter.normalizeCurrency(productData.currency || 'USD');
+    const shipments = productData.shipments || [];
+    const priceHistory = productData.priceHistory || [];
+    
+    const shipmentCurrency = shipment => converter.normalizeCurrency(shipment.currency || dataCurrency);
+    const needsConversion = converter.needsConversion(dataCurrency) ||
+      shipments.some(shipment => converter.needsConversion(shipmentCurrency(shipment)));
+    
+    // Currencies as found in the source data, including shipments converted on import
+    const inputCurrencies = new Set([dataCurrency]);
+    shipments.forEach(shipment => {
+      inputCurrencies.add(converter.normalizeCurrency(shipment.originalCurrency || shipmentCurrency(shipment)));
+    });
+    
+    this.currencySummary = {
+      reportingCurrency: converter.reportingCurrency,
+      inputCurrencies: [...inputCurrencies],
+      converted: [...inputCurrencies].some(currency => converter.needsConversion(currency)),
+      source: needsConversion ? converter.source : (productData.fxSource || converter.source)
+    };
+    
+    if (!needsConversion) {
+      return productData;
+    }
+    
+    const periodMonths = [...new Set([
+      ...shipments.map(shipment => String(shipment.date || '').slice(0, 7)),
+      ...priceHistory.map(item => String(item.date || ''))
+    ].filter(month => /^\d{4}-\d{2}$/.test(month)))].sort();
+    const aggregate = value => (typeof value === 'number' ? converter.convertAggregate(value, dataCurrency, periodMonths) : value);
+    const atDate = (value, currency, date) => (typeof value === 'number' ? converter.convert(value, currency, date) : value);
+    
+    const converted = { ...productData, currency: converter.reportingCurrency };
+    
+    ['totalValue', 'avgPrice', 'minPrice', 'maxPrice'].forEach(field => {
+      converted[field] = aggregate(productData[field]);
+    });
+    
+    ['topSuppliers', 'topBuyers', 'importingCountries', 'exportingCountries', 'tradeMatrix'].forEach(field => {
+      if (Array.isArray(productData[field])) {
+        converted[field] = productData[field].map(entry => ({ ...entry, value: aggregate(entry.value) }));
+      }
+    });
+    
+    if (productData.priceHistory) {
+      converted.priceHistory = priceHistory.map(item => ({
+        ...item,
+        price: atDate(item.price, dataCurrency, item.date),
+        minPrice: atDate(item.minPrice, dataCurrency, item.date),
+        maxPrice: atDate(item.maxPrice, dataCurrency, item.date)
+      }));
+    }
+    
+    if (productData.shipments) {
+      converted.shipments = shipments.map(shipment => {
+        const currency = shipmentCurrency(shipment);
+        return {
+          ...shipment,
+          currency: converter.reportingCurrency,
+          originalCurrency: shipment.originalCurrency || currency,
+          originalValue: shipment.originalValue ?? shipment.value ?? shipment.totalValue,
+          unitPrice: atDate(Number(shipment.unitPrice) || undefined, currency, shipment.date),
+          value: atDate(Number(shipment.value ?? shipment.totalValue) || undefined, currency, shipment.date),
+          totalValue: undefined
+        };
+      });
+    }
+    
+    return converted;
+  }
+  
+  /**
+   * Normalise quantities to the base unit and recompute unit prices from them
+   *
+   * Shipments give their unit in `unit`; aggregates and shipments without one are in
+   * `productData.quantityUnit` (the base unit when not set). Shipments whose unit cannot
+   * be converted keep their value but lose quantity and unit price, and are flagged with
+   * `unitFlag` so they are left out of quantity and price averages.
+   */
+  normalizeUnits(productData) {
+    const converter = this.unitConverter;
+    const baseUnit = converter.baseUnit;
+    const dataUnit = converter.normalizeUnit(productData.quantityUnit);
+    const shipments = productData.shipments || [];
+    const normalized = { ...productData, quantityUnit: baseUnit };
+    
+    // Per-unit aggregates: prices divide by the factor, quantities multiply by it
+    if (dataUnit !== baseUnit) {
+      const factor = converter.getFactor(dataUnit);
+      if (factor === null) {
+        throw new Error(`Product quantities are in "${dataUnit}", which has no conversion to ${baseUnit}; add it to unitConversions`);
+      }
+      const perUnit = value => (typeof value === 'number' ? value / factor : value);
+      
+      ['avgPrice', 'minPrice', 'maxPrice'].forEach(field => {
+        normalized[field] = perUnit(productData[field]);
+      });
+      if (productData.priceHistory) {
+        normalized.priceHistory = productData.priceHistory.map(item => ({
+          ...item,
+          price: perUnit(item.price),
+          minPrice: perUnit(item.minPrice),
+          maxPrice: perUnit(item.maxPrice)
+        }));
+      }
+      if (productData.volumeHistory) {
+        normalized.volumeHistory = productData.volumeHistory.map(item => ({ ...item, volume: item.volume * factor }));
+      }
+    }
+    
+    const inputUnits = new Set(shipments.length > 0 ? [] : [dataUnit]);
+    const flaggedRows = [];
+    
+    const normalizedShipments = shipments.map(shipment => {
+      const unit = converter.normalizeUnit(shipment.unit || dataUnit);
+      inputUnits.add(converter.normalizeUnit(shipment.originalUnit || unit));
+      
+      // Rows flagged on import are already normalised
+      if (shipment.unitFlag) {
+        flaggedRows.push(shipment);
+        return shipment;
+      }
+      
+      const originalQuantity = Number(shipment.quantity) || 0;
+      const quantity = converter.toBase(originalQuantity, unit);
+      const provenance = {
+        originalQuantity: shipment.originalQuantity ?? originalQuantity,
+        originalUnit: shipment.originalUnit || unit
+      };
+      
+      if (quantity === null) {
+        const flagged = {
+          ...shipment,
+          ...provenance,
+          quantity: null,
+          unitPrice: null,
+          unit,
+          unitFlag: `No conversion from "${unit}" to ${baseUnit}`
+        };
+        flaggedRows.push(flagged);
+        return flagged;
+      }
+      
+      const value = Number(shipment.value ?? shipment.totalValue);
+      return {
+        ...shipment,
+        ...provenance,
+        quantity,
+        unit: baseUnit,
+        unitPrice: quantity !== originalQuantity && quantity > 0 && value ? value / quantity : shipment.unitPrice
+      };
+    });
+    if (productData.shipments) {
+      normalized.shipments = normalizedShipments;
+    }
+    
+    if (flaggedRows.length > 0) {
+      const units = [...new Set(flaggedRows.map(shipment => shipment.originalUnit))].join(', ');
+      console.warn(`⚠️ ${flaggedRows.length} shipments have units that cannot be converted to ${baseUnit} (${units}); they are excluded from quantity and price averages`);
+    }
+    
+    this.unitSummary = {
+      baseUnit,
+      inputUnits: [...inputUnits],
+      flaggedRows: flaggedRows.length,
+      flaggedUnits: [...new Set(flaggedRows.map(shipment => shipment.originalUnit))]
+    };
+    
+    return normalized;
+  }
+  
+  /**
+   * Consolidate supplier and buyer spellings into entities before ranking
+   *
+   * The same name map renames the shipment records, so company flows and the
+   * ranked lists refer to the same entities.
+   */
+  resolveCompanies(productData) {
+    const shipments = productData.shipments || [];
+    const resolved = { ...productData };
+    
+    [
+      { listField: 'topSuppliers', shipmentField: 'supplier' },
+      { listField: 'topBuyers', shipmentField: 'buyer' }
+    ].forEach(({ listField, shipmentField }) => {
+      const companies = productData[listField] || [];
+      const weights = {};
+      companies.forEach(company => {
+        weights[company.name] = (weights[company.name] || 0) + company.value;
+      });
+      shipments.forEach(shipment => {
+        const name = shipment[shipmentField];
+        weights[name] = (weights[name] || 0) + (Number(shipment.value) || 0);
+      });
+      
+      const nameMap = this.entityResolver.buildNameMap(Object.keys(weights), weights);
+      if (productData[listField]) {
+        resolved[listField] = this.entityResolver.consolidate(companies, nameMap);
+      }
+      if (productData.shipments) {
+        resolved.shipments = (resolved.shipments || shipments).map(shipment => ({
+          ...shipment,
+          [shipmentField]: nameMap.get(shipment[shipmentField]) || shipment[shipmentField]
+        }));
+      }
+    });
+    
+    return resolved;
+  }
+  
+  /**
+   * Merge country list entries that resolved to the same country
+   */
+  mergeCountryEntries(entries) {
+    const merged = new Map();
+    entries.forEach(entry => {
+      const existing = merged.get(entry.country);
+      if (!existing) {
+        merged.set(entry.country, { ...entry });
+        return;
+      }
+      ['value', 'share', 'shipments'].forEach(field => {
+        if (entry[field] !== undefined) {
+          existing[field] = (existing[field] || 0) + entry[field];
+        }
+      });
+    });
+    return [...merged.values()];
+  }
+  
   /**
    * Process all data for the presentation
    */
   processAllData() {
-    return {
+    const shipments = this.processShipmentData();
+    
+    const processed = {
       // Basic product information
       product: this.processProductInfo(),
       
@@ -35,7 +417,205 @@ class DataProcessor {
       pricing: this.processPricingData(),
       
       // Shipment records
-      shipments: this.processShipmentData()
+      shipments,
+      
+      // Origin × destination trade matrix
+      tradeFlows: this.processTradeFlows(shipments),
+      
+      // Value, volume and unit price over time
+      timeSeries: this.processTimeSeries(shipments),
+      
+      // Growth against the previous period, when one is supplied
+      comparison: this.processComparison(),
+      
+      // Reporting currency and FX source
+      currency: this.currencySummary,
+      
+      // Base quantity unit and rows that could not be converted
+      units: this.unitSummary,
+      
+      // Schema validation problems found in the input
+      dataQuality: this.dataQuality
+    };
+    
+    // HHI, CR4/CR5/CR10 and Gini for suppliers, buyers and countries
+    processed.concentration = this.processConcentration(processed);
+    
+    // Headline metrics the insight engine writes commentary from
+    processed.metrics = this.processMetrics(processed);
+    
+    return processed;
+  }
+  
+  /**
+   * Market concentration of suppliers, buyers, exporting and importing countries
+   *
+   * Each group has formatted values and raw numbers (rawHhi, rawCr4, ...); a group
+   * with no shares is null. See ConcentrationMetrics for the bands and the lower-bound rule.
+   */
+  processConcentration(data) {
+    const analyze = items => {
+      const metrics = ConcentrationMetrics.analyze(items.map(item => item.rawShare));
+      if (metrics.count === 0) {
+        return null;
+      }
+      return {
+        count: metrics.count,
+        band: metrics.band,
+        isLowerBound: metrics.isLowerBound,
+        hhi: `${metrics.isLowerBound ? '≥ ' : ''}${this.formatNumber(Math.round(metrics.hhi))}`,
+        cr4: this.formatPercentage(metrics.cr4),
+        cr5: this.formatPercentage(metrics.cr5),
+        cr10: this.formatPercentage(metrics.cr10),
+        gini: metrics.gini.toFixed(2),
+        coverage: this.formatPercentage(metrics.coverage),
+        rawHhi: metrics.hhi,
+        rawCr4: metrics.cr4,
+        rawCr5: metrics.cr5,
+        rawCr10: metrics.cr10,
+        rawGini: metrics.gini,
+        rawCoverage: metrics.coverage
+      };
+    };
+    
+    return {
+      suppliers: analyze(data.suppliers.topSuppliers),
+      buyers: analyze(data.buyers.topBuyers),
+      exportingCountries: analyze(data.geography.exportingCountries),
+      importingCountries: analyze(data.geography.importingCountries)
+    };
+  }
+  
+  /**
+   * Headline metrics in raw numbers: concentration, leading countries, growth, price and lanes
+   *
+   * Shares are percent points; a metric the data cannot support is null.
+   */
+  processMetrics(data) {
+    const finite = value => (Number.isFinite(value) ? value : null);
+    const leaders = (items, count) => items.slice(0, count).map(item => ({ name: item.name || item.country, share: finite(item.rawShare) }));
+    const concentration = (items, group) => {
+      const metrics = data.concentration[group];
+      return {
+        count: metrics ? Math.min(metrics.count, 5) : 0,
+        topShare: metrics ? metrics.rawCr5 : null,
+        hhi: metrics ? metrics.rawHhi : null,
+        band: metrics ? metrics.band : null,
+        leaders: leaders(items, 3).filter(item => item.share !== null)
+      };
+    };
+    
+    const history = data.pricing.priceHistory.filter(item => Number.isFinite(item.rawPrice));
+    const first = history[0];
+    const last = history[history.length - 1];
+    const { rawMin, rawMax } = data.pricing.priceRange;
+    const average = data.pricing.rawCurrentPrice;
+    
+    const { countryFlows, totalValue } = data.tradeFlows;
+    const topLane = countryFlows[0];
+    
+    return {
+      suppliers: concentration(data.suppliers.topSuppliers, 'suppliers'),
+      buyers: concentration(data.buyers.topBuyers, 'buyers'),
+      exporters: { leaders: leaders(data.geography.exportingCountries, 3) },
+      importers: { leaders: leaders(data.geography.importingCountries, 3) },
+      growth: {
+        market: finite(this.getMarketGrowth()),
+        totalValue: finite(this.productData.totalValue),
+        comparedTo: data.comparison.available ? data.comparison.previousPeriod : null
+      },
+      price: {
+        average,
+        min: rawMin,
+        max: rawMax,
+        spread: average > 0 && rawMax > 0 ? ((rawMax - rawMin) / average) * 100 : null,
+        change: history.length > 1 && first.rawPrice > 0
+          ? {
+            from: { label: first.date, value: first.rawPrice },
+            to: { label: last.date, value: last.rawPrice },
+            percent: ((last.rawPrice - first.rawPrice) / first.rawPrice) * 100
+          }
+          : null
+      },
+      lanes: {
+        top: topLane && totalValue > 0
+          ? { origin: topLane.origin, destination: topLane.destination, value: topLane.value, share: (topLane.value / totalValue) * 100 }
+          : null,
+        estimated: data.tradeFlows.isEstimated
+      }
+    };
+  }
+  
+  /**
+   * Market value growth: against the previous period when one is supplied, else as reported
+   */
+  getMarketGrowth() {
+    if (this.previousProcessor) {
+      return PeriodComparison.growth(this.productData.totalValue, this.previousProcessor.productData.totalValue);
+    }
+    return this.productData.marketGrowth;
+  }
+  
+  /**
+   * Period comparison summary: mode, period labels and market and price changes
+   *
+   * Growth values come as formatted and raw pairs (growth / rawGrowth); without a
+   * previous period only `available: false` and the current period label are set.
+   */
+  processComparison() {
+    if (!this.previousProcessor) {
+      return { available: false, currentPeriod: this.productData.period || null };
+    }
+    
+    const mode = PeriodComparison.mode(this.comparisonMode);
+    const current = this.productData;
+    const previous = this.previousProcessor.productData;
+    const change = (field, key) => {
+      const raw = PeriodComparison.growth(current[field], previous[field]);
+      return { [key]: this.formatGrowth(raw), [`raw${key[0].toUpperCase()}${key.slice(1)}`]: raw };
+    };
+    const volatilityChange = Number.isFinite(current.priceVolatility) && Number.isFinite(previous.priceVolatility)
+      ? current.priceVolatility - previous.priceVolatility
+      : null;
+    
+    return {
+      available: true,
+      mode: mode.key,
+      label: mode.label,
+      name: mode.name,
+      currentPeriod: current.period || 'Current period',
+      previousPeriod: previous.period || 'previous period',
+      market: {
+        ...change('totalValue', 'growth'),
+        ...change('totalRecords', 'recordsGrowth')
+      },
+      price: {
+        ...change('avgPrice', 'averageChange'),
+        ...change('minPrice', 'minChange'),
+        ...change('maxPrice', 'maxChange'),
+        volatilityChange: volatilityChange === null ? 'n/a' : `${volatilityChange >= 0 ? '+' : '−'}${Math.abs(volatilityChange).toFixed(1)} pts`,
+        rawVolatilityChange: volatilityChange
+      }
+    };
+  }
+  
+  /**
+   * Growth and rank movement of a ranked entry against the previous period's ranking
+   *
+   * `names` are the entry's name and aliases. Without a previous period growth is
+   * 'n/a' and movement null; entries new to the ranking have movement 'NEW'.
+   */
+  periodChange(previousItems, names, rank, value) {
+    if (!previousItems) {
+      return { growth: 'n/a', movement: null, rawGrowth: null, previousRank: null };
+    }
+    
+    const change = PeriodComparison.compare({ names, rank, value }, previousItems);
+    return {
+      growth: this.formatGrowth(change.rawGrowth),
+      movement: change.movement,
+      rawGrowth: change.rawGrowth,
+      previousRank: change.previousRank
     };
   }
   
@@ -48,7 +628,7 @@ class DataProcessor {
       description: this.productData.description || 'Product description not available',
       hsCode: this.productData.hsCode || 'N/A',
       category: this.productData.category || 'General',
-      averagePrice: this.formatCurrency(this.productData.avgPrice || 0)
+      averagePrice: this.formatPrice(this.productData.avgPrice || 0)
     };
   }
   
@@ -61,14 +641,12 @@ class DataProcessor {
     return {
       totalRecords: this.formatNumber(data.totalRecords || 0),
       totalValue: this.formatCurrency(data.totalValue || 0),
-      avgPrice: this.formatCurrency(data.avgPrice || 0),
+      avgPrice: this.formatPrice(data.avgPrice || 0),
       avgTransactionValue: this.formatCurrency((data.totalValue || 0) / (data.totalRecords || 1)),
       priceVolatility: this.formatPercentage(data.priceVolatility || 0),
       uniqueSuppliers: this.formatNumber(data.uniqueSuppliers || 0),
       uniqueBuyers: this.formatNumber(data.uniqueBuyers || 0),
-      supplierDiversity: this.formatPercentage(data.supplierConcentration || 0),
-      buyerDiversity: this.formatPercentage(data.buyerConcentration || 0),
-      marketGrowth: this.formatPercentage(data.marketGrowth || 0),
+      marketGrowth: this.formatPercentage(this.getMarketGrowth() || 0),
       topImportCountry: data.topImportCountry || { country: 'Unknown', count: 0 },
       topExportCountry: data.topExportCountry || { country: 'Unknown', count: 0 },
       dateRange: data.dateRange || 'N/A'
@@ -81,23 +659,30 @@ class DataProcessor {
   processGeographicData() {
     const importingCountries = this.productData.importingCountries || [];
     const exportingCountries = this.productData.exportingCountries || [];
+    const previous = this.previousProcessor && this.previousProcessor.getSectionData('geography');
     
     return {
       importingCountries: importingCountries.map((country, index) => ({
         rank: index + 1,
         country: country.country,
+        code: this.countryRegistry.getCode(country.country),
+        region: this.countryRegistry.getRegion(country.country),
         value: this.formatCurrency(country.value),
         share: this.formatPercentage(country.share),
         rawValue: country.value,
-        rawShare: country.share
+        rawShare: country.share,
+        ...this.periodChange(previous && previous.importingCountries, [country.country], index + 1, country.value)
       })),
       exportingCountries: exportingCountries.map((country, index) => ({
         rank: index + 1,
         country: country.country,
+        code: this.countryRegistry.getCode(country.country),
+        region: this.countryRegistry.getRegion(country.country),
         value: this.formatCurrency(country.value),
         share: this.formatPercentage(country.share),
         rawValue: country.value,
-        rawShare: country.share
+        rawShare: country.share,
+        ...this.periodChange(previous && previous.exportingCountries, [country.country], index + 1, country.value)
       }))
     };
   }
@@ -107,6 +692,7 @@ class DataProcessor {
    */
   processSupplierData() {
     const suppliers = this.productData.topSuppliers || [];
+    const previous = this.previousProcessor && this.previousProcessor.getSectionData('suppliers');
     
     return {
       topSuppliers: suppliers.map((supplier, index) => ({
@@ -116,7 +702,9 @@ class DataProcessor {
         value: this.formatCurrency(supplier.value),
         share: this.formatPercentage((supplier.value / this.productData.totalValue) * 100),
         rawValue: supplier.value,
-        rawShare: (supplier.value / this.productData.totalValue) * 100
+        rawShare: (supplier.value / this.productData.totalValue) * 100,
+        aliases: supplier.aliases || [],
+        ...this.periodChange(previous && previous.topSuppliers, [supplier.name, ...(supplier.aliases || [])], index + 1, supplier.value)
       })),
       suppliersByCountry: this.groupSuppliersByCountry(suppliers)
     };
@@ -127,6 +715,7 @@ class DataProcessor {
    */
   processBuyerData() {
     const buyers = this.productData.topBuyers || [];
+    const previous = this.previousProcessor && this.previousProcessor.getSectionData('buyers');
     
     return {
       topBuyers: buyers.map((buyer, index) => ({
@@ -136,7 +725,9 @@ class DataProcessor {
         value: this.formatCurrency(buyer.value),
         share: this.formatPercentage((buyer.value / this.productData.totalValue) * 100),
         rawValue: buyer.value,
-        rawShare: (buyer.value / this.productData.totalValue) * 100
+        rawShare: (buyer.value / this.productData.totalValue) * 100,
+        aliases: buyer.aliases || [],
+        ...this.periodChange(previous && previous.topBuyers, [buyer.name, ...(buyer.aliases || [])], index + 1, buyer.value)
       })),
       buyersByCountry: this.groupBuyersByCountry(buyers)
     };
@@ -149,36 +740,548 @@ class DataProcessor {
     const priceHistory = this.productData.priceHistory || [];
     
     return {
-      currentPrice: this.formatCurrency(this.productData.avgPrice || 0),
+      currentPrice: this.formatPrice(this.productData.avgPrice || 0),
+      rawCurrentPrice: this.productData.avgPrice || 0,
       priceRange: {
-        min: this.formatCurrency(this.productData.minPrice || 0),
-        max: this.formatCurrency(this.productData.maxPrice || 0)
+        min: this.formatPrice(this.productData.minPrice || 0),
+        max: this.formatPrice(this.productData.maxPrice || 0),
+        rawMin: this.productData.minPrice || 0,
+        rawMax: this.productData.maxPrice || 0
       },
       volatility: this.formatPercentage(this.productData.priceVolatility || 0),
+      rawVolatility: this.productData.priceVolatility || 0,
       priceHistory: priceHistory.map(item => ({
         date: item.date,
-        price: this.formatCurrency(item.price),
-        rawPrice: item.price
+        price: this.formatPrice(item.price),
+        rawPrice: item.price,
+        rawMinPrice: item.minPrice,
+        rawMaxPrice: item.maxPrice
       })),
-      priceByCountry: this.calculatePriceByCountry()
+      priceByCountry: this.calculatePriceByCountry(),
+      forecast: this.processPriceForecast(priceHistory)
+    };
+  }
+  
+  /**
+   * Project the monthly average price with PriceForecaster
+   *
+   * The `forecast.horizon` option sets the months projected (6-12, default 12).
+   * Returns { available: false, reason } with too little history, otherwise the
+   * chosen model and its name, every model's backtest MAPE, the holdout length, the
+   * history and the projected months with their 80% and 95% bands.
+   *
+   * Months missing between the first and last price are filled by linear
+   * interpolation between their neighbours (flagged `interpolated` in the history
+   * and listed in `interpolatedMonths`), so the models see an evenly spaced series.
+   */
+  processPriceForecast(priceHistory) {
+    const horizon = (this.options.forecast && this.options.forecast.horizon) || 12;
+    if (!Number.isInteger(horizon) || horizon < 6 || horizon > 12) {
+      throw new Error(`Forecast horizon must be a whole number of months from 6 to 12, got ${horizon}`);
+    }
+    
+    const known = new Map(priceHistory
+      .filter(item => Number.isFinite(item.price) && /^\d{4}-\d{2}/.test(item.date || ''))
+      .map(item => [item.date.slice(0, 7), item.price]));
+    const dates = [...known.keys()].sort();
+    const months = dates.length > 0 ? TimeSeries.periodRange(dates[0], dates[dates.length - 1], 'month') : [];
+    const history = months.map((date, index) => {
+      if (known.has(date)) {
+        return { date, price: known.get(date), interpolated: false };
+      }
+      const previous = months.slice(0, index).reverse().find(month => known.has(month));
+      const next = months.slice(index + 1).find(month => known.has(month));
+      const [from, to] = [months.indexOf(previous), months.indexOf(next)];
+      const price = known.get(previous) + ((index - from) / (to - from)) * (known.get(next) - known.get(previous));
+      return { date, price, interpolated: true };
+    });
+    
+    // Interpolated months do not count towards the minimum history
+    const forecast = known.size >= PriceForecaster.MIN_HISTORY ? PriceForecaster.forecast(history.map(item => item.price), { horizon }) : null;
+    if (!forecast) {
+      return {
+        available: false,
+        reason: `at least ${PriceForecaster.MIN_HISTORY} months of price history are needed, ${known.size} available`
+      };
+    }
+    
+    const forecastMonths = PriceForecaster.monthsAfter(history[history.length - 1].date, horizon);
+    const chosen = forecast.models.find(model => model.key === forecast.model);
+    return {
+      available: true,
+      model: forecast.model,
+      modelName: chosen.name,
+      mape: chosen.mape,
+      models: forecast.models,
+      horizon,
+      holdout: forecast.holdout,
+      trendOnlyBacktest: forecast.trendOnlyBacktest,
+      interpolatedMonths: history.filter(item => item.interpolated).map(item => item.date),
+      history,
+      points: forecast.points.map((point, index) => ({ date: forecastMonths[index], ...point }))
     };
   }
   
   /**
    * Process shipment data for records section
+   *
+   * Uses the actual `shipments` array when supplied. Synthetic records are only
+   * generated when the product data is explicitly flagged as demo data.
    */
   processShipmentData() {
-    // Generate mock shipment records based on the data
-    const shipments = this.generateShipmentRecords();
+    const actualShipments = this.productData.shipments || [];
+    const isDemoData = actualShipments.length === 0 && this.productData.demoData === true;
+    
+    const shipments = isDemoData
+      ? this.generateShipmentRecords()
+      : this.normalizeShipmentRecords(actualShipments);
     
     return {
       totalShipments: shipments.length,
       shipmentRecords: shipments,
       shipmentsPerSlide: 10,
-      totalSlides: Math.ceil(shipments.length / 10)
+      totalSlides: Math.ceil(shipments.length / 10),
+      isDemoData,
+      watermark: isDemoData ? 'DEMO DATA - synthetic records' : null
     };
   }
   
+  /**
+   * Normalise actual shipments into the record shape used by the records section
+   */
+  normalizeShipmentRecords(shipments) {
+    return shipments
+      .map(shipment => {
+        const quantity = Number(shipment.quantity) || 0;
+        const rawValue = Number(shipment.value ?? shipment.totalValue) ||
+          (Number(shipment.unitPrice) || 0) * quantity;
+        const rawUnitPrice = shipment.unitFlag
+          ? null
+          : Number(shipment.unitPrice) || (quantity > 0 ? rawValue / quantity : 0);
+        
+        return {
+          date: shipment.date || 'N/A',
+          supplier: shipment.supplier || 'Unknown Supplier',
+          supplierCountry: shipment.supplierCountry || 'Unknown',
+          buyer: shipment.buyer || 'Unknown Buyer',
+          buyerCountry: shipment.buyerCountry || 'Unknown',
+          quantity,
+          unit: shipment.unit || this.unitConverter.baseUnit,
+          unitPrice: rawUnitPrice === null ? 'n/a' : this.formatPrice(rawUnitPrice),
+          totalValue: this.formatCurrency(rawValue),
+          hsCode: shipment.hsCode || this.productData.hsCode || 'N/A',
+          portOfLoading: shipment.portOfLoading || 'N/A',
+          portOfDischarge: shipment.portOfDischarge || 'N/A',
+          rawUnitPrice,
+          rawValue,
+          unitFlag: shipment.unitFlag || null,
+          originalQuantity: shipment.originalQuantity ?? quantity,
+          originalUnit: shipment.originalUnit || shipment.unit || this.unitConverter.baseUnit
+        };
+      })
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((record, index) => ({ id: index + 1, ...record }));
+  }
+  
+  /**
+   * Build the origin × destination trade matrix shared by all sections
+   *
+   * Flows come from the actual shipment records when available, otherwise from a
+   * supplied `tradeMatrix` ([{ origin, destination, value, volume, shipments }]),
+   * otherwise they are estimated from the exporting and importing country totals.
+   * Company flows are exact for shipment data and estimated from the country
+   * matrix otherwise.
+   */
+  processTradeFlows(shipments) {
+    const suppliedMatrix = this.productData.tradeMatrix || [];
+    let source;
+    let countryFlows;
+    let companyFlows;
+    
+    if (!shipments.isDemoData && shipments.shipmentRecords.length > 0) {
+      source = 'shipments';
+      countryFlows = this.aggregateFlows(shipments.shipmentRecords, record => ({
+        origin: record.supplierCountry,
+        destination: record.buyerCountry
+      }));
+      companyFlows = this.aggregateFlows(shipments.shipmentRecords, record => ({
+        supplier: record.supplier,
+        supplierCountry: record.supplierCountry,
+        buyer: record.buyer,
+        buyerCountry: record.buyerCountry
+      }));
+    } else {
+      if (suppliedMatrix.length > 0) {
+        source = 'supplied';
+        countryFlows = suppliedMatrix.map(flow => ({
+          origin: flow.origin,
+          destination: flow.destination,
+          value: Number(flow.value) || 0,
+          volume: Number(flow.volume) || 0,
+          shipments: Number(flow.shipments) || 0
+        }));
+      } else {
+        source = 'estimated';
+        countryFlows = this.estimateCountryFlows();
+      }
+      companyFlows = this.estimateCompanyFlows(countryFlows);
+    }
+    
+    const byValue = (a, b) => b.value - a.value;
+    countryFlows = countryFlows.filter(flow => flow.value > 0).sort(byValue);
+    companyFlows = companyFlows.filter(flow => flow.value > 0).sort(byValue);
+    
+    return {
+      source,
+      isEstimated: source === 'estimated',
+      countryFlows,
+      companyFlows,
+      totalValue: countryFlows.reduce((sum, flow) => sum + flow.value, 0)
+    };
+  }
+  
+  /**
+   * Aggregate value, volume and unit price per period and analyse each series
+   *
+   * Uses the actual shipment records when available, otherwise the monthly
+   * `priceHistory` and `volumeHistory` with value estimated as price × volume. The
+   * `timeSeries` option sets the granularity (day, week, month or quarter; history
+   * is monthly, so day and week fall back to month) and the moving average window
+   * (a positive whole number of periods). Each series is analysed by
+   * TimeSeries.analyze; all are null without data.
+   */
+  processTimeSeries(shipments) {
+    const settings = { granularity: 'month', window: 3, ...this.options.timeSeries };
+    TimeSeries.granularity(settings.granularity);
+    if (!Number.isInteger(settings.window) || settings.window < 1) {
+      throw new Error(`Moving average window must be a positive whole number of periods, got ${settings.window}`);
+    }
+    
+    const records = this.timeSeriesRecords(shipments);
+    const source = records === null ? 'history' : 'shipments';
+    const granularity = source === 'history' && ['day', 'week'].includes(settings.granularity)
+      ? 'month'
+      : settings.granularity;
+    const points = TimeSeries.aggregate(records || this.historyRecords(), { granularity });
+    const analysisOf = field => (points.length > 0
+      ? TimeSeries.analyze(points, field, { granularity, window: settings.window })
+      : null);
+    
+    return {
+      source: points.length > 0 ? source : null,
+      isEstimated: source === 'history',
+      granularity,
+      window: settings.window,
+      points,
+      value: analysisOf('value'),
+      volume: analysisOf('volume'),
+      unitPrice: analysisOf('unitPrice')
+    };
+  }
+  
+  /**
+   * Time series records of the actual shipments, or null for demo data or no shipments
+   *
+   * Shipments whose unit did not convert keep their value but have no quantity, so
+   * they are left out of volume and unit price.
+   */
+  timeSeriesRecords(shipments) {
+    if (shipments.isDemoData || shipments.shipmentRecords.length === 0) {
+      return null;
+    }
+    return shipments.shipmentRecords.map(record => ({
+      date: record.date,
+      value: record.rawValue,
+      quantity: record.rawUnitPrice === null ? null : record.quantity,
+      supplier: record.supplier,
+      supplierCountry: record.supplierCountry,
+      buyer: record.buyer,
+      buyerCountry: record.buyerCountry
+    }));
+  }
+  
+  /**
+   * Monthly records built from the months present in both price and volume history
+   */
+  historyRecords() {
+    const volumes = new Map((this.productData.volumeHistory || []).map(item => [item.date, item.volume]));
+    return (this.productData.priceHistory || [])
+      .filter(item => volumes.has(item.date))
+      .map(item => ({
+        date: item.date,
+        value: item.price * volumes.get(item.date),
+        quantity: volumes.get(item.date)
+      }));
+  }
+  
+  /**
+   * Per-period series of the actual shipments, optionally split by a dimension
+   *
+   * Dimensions are supplierCountry, buyerCountry, supplier, buyer and lane
+   * ("origin → destination"); returns { member: [{ period, value, volume,
+   * shipments, unitPrice }] }, or the single series without a dimension. Returns
+   * null when only history or demo data is available.
+   */
+  getTimeSeries({ granularity = this.processedData.timeSeries.granularity, dimension = null } = {}) {
+    const records = this.timeSeriesRecords(this.processedData.shipments);
+    return records && TimeSeries.aggregate(records, { granularity, dimension });
+  }
+  
+  /**
+   * Sum value, volume and shipment count of records grouped by the given key fields
+   *
+   * `pricedValue` only sums records whose unit converted to the base unit, so that
+   * divided by volume it gives the average unit price.
+   */
+  aggregateFlows(records, keyOf) {
+    const flows = {};
+    records.forEach(record => {
+      const keyFields = keyOf(record);
+      const key = Object.values(keyFields).join('|');
+      if (!flows[key]) {
+        flows[key] = { ...keyFields, value: 0, pricedValue: 0, volume: 0, shipments: 0 };
+      }
+      flows[key].value += record.rawValue;
+      if (!record.unitFlag) {
+        flows[key].pricedValue += record.rawValue;
+      }
+      flows[key].volume += record.quantity;
+      flows[key].shipments++;
+    });
+    return Object.values(flows);
+  }
+  
+  /**
+   * Estimate country flows from exporter and importer totals
+   *
+   * Uses iterative proportional fitting so every exporter's flows add up to its
+   * export value and every importer's flows to its (rescaled) import value, with
+   * no domestic flows.
+   */
+  estimateCountryFlows() {
+    const exporters = (this.productData.exportingCountries || []).filter(c => c.value > 0);
+    const importers = (this.productData.importingCountries || []).filter(c => c.value > 0);
+    if (exporters.length === 0 || importers.length === 0) {
+      return [];
+    }
+    
+    const exportTotal = exporters.reduce((sum, c) => sum + c.value, 0);
+    const importTotal = importers.reduce((sum, c) => sum + c.value, 0);
+    const importTargets = importers.map(c => (c.value / importTotal) * exportTotal);
+    const matrix = exporters.map(exporter => importers.map(importer => (exporter.country === importer.country ? 0 : 1)));
+    
+    for (let iteration = 0; iteration < 50; iteration++) {
+      matrix.forEach((row, i) => {
+        const rowSum = row.reduce((sum, cell) => sum + cell, 0);
+        if (rowSum > 0) {
+          row.forEach((cell, j) => { row[j] = (cell / rowSum) * exporters[i].value; });
+        }
+      });
+      importTargets.forEach((target, j) => {
+        const columnSum = matrix.reduce((sum, row) => sum + row[j], 0);
+        if (columnSum > 0) {
+          matrix.forEach(row => { row[j] = (row[j] / columnSum) * target; });
+        }
+      });
+    }
+    
+    const avgPrice = this.productData.avgPrice || 0;
+    const flows = [];
+    exporters.forEach((exporter, i) => {
+      importers.forEach((importer, j) => {
+        flows.push({
+          origin: exporter.country,
+          destination: importer.country,
+          value: matrix[i][j],
+          volume: avgPrice > 0 ? matrix[i][j] / avgPrice : 0,
+          shipments: 0
+        });
+      });
+    });
+    return flows;
+  }
+  
+  /**
+   * Estimate supplier → buyer company flows from the country matrix
+   *
+   * A supplier's value is spread over destination countries in proportion to its
+   * country's flows (or to global imports when its country has no flows), then over
+   * the top buyers in each destination in proportion to their value.
+   */
+  estimateCompanyFlows(countryFlows) {
+    const suppliers = this.productData.topSuppliers || [];
+    const buyers = this.productData.topBuyers || [];
+    const total = countryFlows.reduce((sum, flow) => sum + flow.value, 0);
+    if (total === 0) {
+      return [];
+    }
+    
+    const originTotals = {};
+    const destinationTotals = {};
+    countryFlows.forEach(flow => {
+      originTotals[flow.origin] = (originTotals[flow.origin] || 0) + flow.value;
+      destinationTotals[flow.destination] = (destinationTotals[flow.destination] || 0) + flow.value;
+    });
+    
+    const destinationShare = (origin, destination) => {
+      if (originTotals[origin]) {
+        const flow = countryFlows.find(f => f.origin === origin && f.destination === destination);
+        return flow ? flow.value / originTotals[origin] : 0;
+      }
+      return (destinationTotals[destination] || 0) / total;
+    };
+    
+    const buyerTotals = {};
+    buyers.forEach(buyer => {
+      buyerTotals[buyer.country] = (buyerTotals[buyer.country] || 0) + buyer.value;
+    });
+    
+    const avgPrice = this.productData.avgPrice || 0;
+    const flows = [];
+    suppliers.forEach(supplier => {
+      buyers.forEach(buyer => {
+        const value = supplier.value * destinationShare(supplier.country, buyer.country) *
+          (buyer.value / buyerTotals[buyer.country]);
+        flows.push({
+          supplier: supplier.name,
+          supplierCountry: supplier.country,
+          buyer: buyer.name,
+          buyerCountry: buyer.country,
+          value,
+          volume: avgPrice > 0 ? value / avgPrice : 0,
+          shipments: 0
+        });
+      });
+    });
+    return flows;
+  }
+  
+  /**
+   * Get the partner countries of a country from the trade matrix
+   *
+   * direction 'origins' returns the supplier countries of an importing country,
+   * 'destinations' the destination countries of an exporting country. Partners
+   * beyond `limit` are combined into an "Others" row.
+   */
+  getPartnerCountries(country, direction, limit = 10) {
+    const [ownField, partnerField] = direction === 'origins' ? ['destination', 'origin'] : ['origin', 'destination'];
+    const flows = this.processedData.tradeFlows.countryFlows.filter(flow => flow[ownField] === country);
+    const partners = this.rankPartners(flows.map(flow => ({ name: flow[partnerField], value: flow.value })), limit);
+    return this.withPeriodChange(partners, previous => previous.getPartnerCountries(country, direction, Infinity));
+  }
+  
+  /**
+   * Get the partner companies of a country from the trade matrix
+   *
+   * direction 'suppliers' returns the supplier companies selling into a country,
+   * 'buyers' the buyer companies sourcing from a country.
+   */
+  getPartnerCompanies(country, direction, limit = 10) {
+    const [ownField, partnerField, partnerCountryField] = direction === 'suppliers'
+      ? ['buyerCountry', 'supplier', 'supplierCountry']
+      : ['supplierCountry', 'buyer', 'buyerCountry'];
+    
+    const grouped = {};
+    this.processedData.tradeFlows.companyFlows
+      .filter(flow => flow[ownField] === country)
+      .forEach(flow => {
+        const name = flow[partnerField];
+        if (!grouped[name]) {
+          grouped[name] = { name, country: flow[partnerCountryField], value: 0 };
+        }
+        grouped[name].value += flow.value;
+      });
+    
+    const partners = this.rankPartners(Object.values(grouped), limit, false);
+    return this.withPeriodChange(partners, previous => previous.getPartnerCompanies(country, direction, Infinity));
+  }
+  
+  /**
+   * Get the partners of one company from the company flows
+   *
+   * direction 'destinations' returns the destination countries of a supplier,
+   * 'suppliers' the supplier companies selling to a buyer. Empty when the company
+   * has no flows.
+   */
+  getCompanyPartners(company, direction, limit = 10) {
+    const [ownField, partnerField, partnerCountryField] = direction === 'destinations'
+      ? ['supplier', 'buyerCountry', null]
+      : ['buyer', 'supplier', 'supplierCountry'];
+    
+    const grouped = {};
+    this.processedData.tradeFlows.companyFlows
+      .filter(flow => flow[ownField] === company)
+      .forEach(flow => {
+        const name = flow[partnerField];
+        if (!grouped[name]) {
+          grouped[name] = partnerCountryField ? { name, country: flow[partnerCountryField], value: 0 } : { name, value: 0 };
+        }
+        grouped[name].value += flow.value;
+      });
+    
+    const partners = this.rankPartners(Object.values(grouped), limit, direction === 'destinations');
+    return this.withPeriodChange(partners, previous => previous.getCompanyPartners(company, direction, Infinity));
+  }
+  
+  /**
+   * Traded value, partner country count and average unit price of one company
+   *
+   * role is 'supplier' or 'buyer'. The average price needs shipment records (company
+   * flows estimated from country totals carry the market average), so it is null
+   * otherwise. Returns null when the company has no flows.
+   */
+  getCompanyFlowSummary(company, role) {
+    const partnerCountryField = role === 'supplier' ? 'buyerCountry' : 'supplierCountry';
+    const { source, companyFlows } = this.processedData.tradeFlows;
+    const flows = companyFlows.filter(flow => flow[role] === company);
+    if (flows.length === 0) {
+      return null;
+    }
+    
+    const value = flows.reduce((sum, flow) => sum + flow.value, 0);
+    const pricedValue = flows.reduce((sum, flow) => sum + flow.pricedValue, 0);
+    const volume = flows.reduce((sum, flow) => sum + flow.volume, 0);
+    return {
+      value,
+      volume,
+      partnerCountries: new Set(flows.map(flow => flow[partnerCountryField])).size,
+      avgPrice: source === 'shipments' && volume > 0 ? pricedValue / volume : null
+    };
+  }
+  
+  /**
+   * Add growth and rank movement to ranked partners from the same query on the previous period
+   */
+  withPeriodChange(partners, previousPartnersOf) {
+    const previousPartners = this.previousProcessor
+      ? previousPartnersOf(this.previousProcessor).map(partner => ({ ...partner, rawValue: partner.value }))
+      : null;
+    
+    return partners.map(partner => (partner.name === 'Others'
+      ? partner
+      : { ...partner, ...this.periodChange(previousPartners, [partner.name], partner.rank, partner.value) }));
+  }
+  
+  /**
+   * Rank partners by value with their share of the combined total
+   */
+  rankPartners(partners, limit, groupOthers = true) {
+    const total = partners.reduce((sum, partner) => sum + partner.value, 0);
+    const sorted = partners.filter(partner => partner.value > 0).sort((a, b) => b.value - a.value);
+    const ranked = sorted.slice(0, limit);
+    
+    if (groupOthers && sorted.length > limit) {
+      ranked.push({ name: 'Others', value: sorted.slice(limit).reduce((sum, partner) => sum + partner.value, 0) });
+    }
+    
+    return ranked.map((partner, index) => ({
+      ...partner,
+      rank: partner.name === 'Others' ? '-' : index + 1,
+      formattedValue: this.formatCurrency(partner.value),
+      share: total > 0 ? (partner.value / total) * 100 : 0
+    }));
+  }
+  
   /**
    * Group suppliers by country
    */
@@ -214,13 +1317,100 @@ class DataProcessor {
     const countries = this.productData.importingCountries || [];
     return countries.map(country => ({
       country: country.country,
-      avgPrice: this.formatCurrency(country.value / (country.shipments || 1)),
+      avgPrice: this.formatPrice(country.value / (country.shipments || 1)),
       rawPrice: country.value / (country.shipments || 1)
     }));
   }
   
   /**
-   * Generate shipment records for slides 67-300
+   * Calculate the unit price distribution of shipment records as histogram bins
+   */
+  calculatePriceDistribution(records, binCount) {
+    const prices = records.map(record => record.rawUnitPrice).filter(price => price > 0).sort((a, b) => a - b);
+    if (prices.length === 0) {
+      return { bins: [], stats: null };
+    }
+    
+    // Sturges' rule, capped to keep the bars readable
+    const bins = binCount || Math.min(12, Math.ceil(Math.log2(prices.length) + 1));
+    const min = prices[0];
+    const max = prices[prices.length - 1];
+    const width = (max - min) / bins || 1;
+    
+    const histogram = Array.from({ length: bins }, (_, i) => ({
+      from: min + i * width,
+      to: min + (i + 1) * width,
+      count: 0
+    }));
+    prices.forEach(price => {
+      const index = Math.min(bins - 1, Math.floor((price - min) / width));
+      histogram[index].count++;
+    });
+    
+    const percentile = p => prices[Math.min(prices.length - 1, Math.floor(p * (prices.length - 1)))];
+    
+    return {
+      bins: histogram.map(bin => ({
+        ...bin,
+        label: `${this.formatPrice(bin.from)}-${this.formatPrice(bin.to)}`,
+        share: (bin.count / prices.length) * 100
+      })),
+      stats: {
+        count: prices.length,
+        min,
+        max,
+        median: percentile(0.5),
+        p10: percentile(0.1),
+        p90: percentile(0.9)
+      }
+    };
+  }
+  
+  /**
+   * Calculate value-weighted unit prices by supplier country and buyer country
+   */
+  calculatePriceMatrix(records, maxCountries = 6) {
+    const topCountries = field => {
+      const totals = {};
+      records.forEach(record => {
+        totals[record[field]] = (totals[record[field]] || 0) + record.rawValue;
+      });
+      return Object.keys(totals).sort((a, b) => totals[b] - totals[a]).slice(0, maxCountries);
+    };
+    
+    const origins = topCountries('supplierCountry');
+    const destinations = topCountries('buyerCountry');
+    const cells = {};
+    
+    records.forEach(record => {
+      if (!origins.includes(record.supplierCountry) || !destinations.includes(record.buyerCountry) || record.quantity <= 0) {
+        return;
+      }
+      const key = `${record.supplierCountry}|${record.buyerCountry}`;
+      if (!cells[key]) {
+        cells[key] = { value: 0, quantity: 0, shipments: 0 };
+      }
+      cells[key].value += record.rawValue;
+      cells[key].quantity += record.quantity;
+      cells[key].shipments++;
+    });
+    
+    return {
+      origins,
+      destinations,
+      getPrice: (origin, destination) => {
+        const cell = cells[`${origin}|${destination}`];
+        return cell ? cell.value / cell.quantity : null;
+      },
+      getShipments: (origin, destination) => {
+        const cell = cells[`${origin}|${destination}`];
+        return cell ? cell.shipments : 0;
+      }
+    };
+  }
+  
+  /**
+   * Generate synthetic demo shipment records for slides 71-304
    */
   generateShipmentRecords() {
     const records = [];
@@ -234,6 +1424,9 @@ class DataProcessor {
       const buyer = buyers[i % buyers.length] || { name: 'Unknown Buyer', country: 'Unknown' };
       const country = countries[i % countries.length] || { country: 'Unknown' };
       
+      const unitPrice = this.generateRandomPrice();
+      const totalValue = this.generateRandomValue();
+      
       records.push({
         id: i + 1,
         date: this.generateRandomDate(),
@@ -242,11 +1435,13 @@ class DataProcessor {
         buyer: buyer.name,
         buyerCountry: buyer.country,
         quantity: this.generateRandomQuantity(),
-        unitPrice: this.formatCurrency(this.generateRandomPrice()),
-        totalValue: this.formatCurrency(this.generateRandomValue()),
+        unitPrice: this.formatPrice(unitPrice),
+        totalValue: this.formatCurrency(totalValue),
         hsCode: this.productData.hsCode || 'N/A',
         portOfLoading: this.generateRandomPort(supplier.country),
-        portOfDischarge: this.generateRandomPort(buyer.country)
+        portOfDischarge: this.generateRandomPort(buyer.country),
+        rawUnitPrice: unitPrice,
+        rawValue: totalValue
       });
     }
     
@@ -259,7 +1454,7 @@ class DataProcessor {
   generateRandomDate() {
     const start = new Date('2023-01-01');
     const end = new Date('2023-12-31');
-    const randomTime = start.getTime() + Math.random() * (end.getTime() - start.getTime());
+    const randomTime = start.getTime() + this.random.next() * (end.getTime() - start.getTime());
     return new Date(randomTime).toISOString().split('T')[0];
   }
   
@@ -267,7 +1462,7 @@ class DataProcessor {
    * Generate random quantity
    */
   generateRandomQuantity() {
-    return Math.floor(Math.random() * 10000) + 100;
+    return Math.floor(this.random.next() * 10000) + 100;
   }
   
   /**
@@ -276,7 +1471,7 @@ class DataProcessor {
   generateRandomPrice() {
     const basePrice = this.productData.avgPrice || 100;
     const variation = basePrice * 0.3; // 30% variation
-    return basePrice + (Math.random() - 0.5) * variation;
+    return basePrice + (this.random.next() - 0.5) * variation;
   }
   
   /**
@@ -290,28 +1485,33 @@ class DataProcessor {
    * Generate random port based on country
    */
   generateRandomPort(country) {
+    // Keyed by ISO alpha-2 code
     const ports = {
-      'USA': ['New York', 'Los Angeles', 'Miami', 'Houston'],
-      'India': ['Mumbai', 'Chennai', 'Kolkata', 'Cochin'],
-      'China': ['Shanghai', 'Shenzhen', 'Qingdao', 'Tianjin'],
-      'Germany': ['Hamburg', 'Bremen', 'Bremerhaven'],
-      'UK': ['London', 'Southampton', 'Liverpool'],
-      'France': ['Le Havre', 'Marseille', 'Dunkirk']
+      'US': ['New York', 'Los Angeles', 'Miami', 'Houston'],
+      'IN': ['Mumbai', 'Chennai', 'Kolkata', 'Cochin'],
+      'CN': ['Shanghai', 'Shenzhen', 'Qingdao', 'Tianjin'],
+      'DE': ['Hamburg', 'Bremen', 'Bremerhaven'],
+      'GB': ['London', 'Southampton', 'Liverpool'],
+      'FR': ['Le Havre', 'Marseille', 'Dunkirk']
     };
     
-    const countryPorts = ports[country] || ['Unknown Port'];
-    return countryPorts[Math.floor(Math.random() * countryPorts.length)];
+    const countryPorts = ports[this.countryRegistry.getCode(country)] || ['Unknown Port'];
+    return countryPorts[Math.floor(this.random.next() * countryPorts.length)];
   }
   
   /**
    * Utility functions for formatting
    */
   formatCurrency(value) {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      maximumFractionDigits: 0
-    }).format(value || 0);
+    return this.currencyConverter.format(value);
+  }
+  
+  formatCurrencyCompact(value) {
+    return this.currencyConverter.formatCompact(value);
+  }
+  
+  formatPrice(value) {
+    return this.currencyConverter.formatPrice(value);
   }
   
   formatNumber(value) {
@@ -322,6 +1522,13 @@ class DataProcessor {
     return `${(value || 0).toFixed(1)}%`;
   }
   
+  formatGrowth(value) {
+    if (value === null || value === undefined) {
+      return 'n/a';
+    }
+    return `${value > 0 ? '↗' : value < 0 ? '↘' : '→'} ${Math.abs(value).toFixed(1)}%`;
+  }
+  
   /**
    * Get processed data
    */
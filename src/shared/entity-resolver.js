@@ -0,0 +1,216 @@
+/**
+ * Entity Resolver - Company Name Consolidation
+ *
+ * Trade data lists the same firm under many spellings ("Cipla Ltd", "CIPLA LIMITED",
+ * "Cipla Ltd. (Goa Branch)"). This module folds those spellings into one entity before
+ * suppliers and buyers are ranked: names are normalised (case, punctuation, legal
+ * suffixes, branch qualifiers), matched fuzzily above a configurable similarity
+ * threshold, and a user-maintained alias file can force or name any grouping.
+ */
+
+const fs = require('fs-extra');
+
+// Legal-form tokens removed from the end of a name before matching
+const LEGAL_SUFFIXES = [
+  'limited', 'ltd', 'incorporated', 'inc', 'corporation', 'corp', 'company', 'co',
+  'llc', 'llp', 'lp', 'plc', 'gmbh', 'ag', 'kg', 'sa', 'sas', 'sarl', 'spa', 'srl',
+  'bv', 'nv', 'ab', 'as', 'oy', 'pty', 'pte', 'pvt', 'private', 'public', 'kk',
+  'holdings', 'holding', 'group'
+];
+
+// Words that introduce a branch or site qualifier ("Pfizer Inc - Puurs Branch")
+const BRANCH_WORDS = ['branch', 'division', 'unit', 'plant', 'site', 'office', 'warehouse'];
+
+class EntityResolver {
+  constructor(options = {}) {
+    this.options = {
+      threshold: 0.9,
+      aliases: {},
+      aliasFile: null,
+      ...options
+    };
+
+    if (this.options.aliasFile) {
+      this.options.aliases = { ...EntityResolver.loadAliasFile(this.options.aliasFile), ...this.options.aliases };
+    }
+
+    if (!(this.options.threshold > 0 && this.options.threshold <= 1)) {
+      throw new Error(`Entity match threshold must be between 0 and 1, got ${this.options.threshold}`);
+    }
+
+    // Normalised alias key → canonical name, from { "Canonical Name": ["Alias", ...] }
+    this.aliasIndex = new Map();
+    Object.entries(this.options.aliases).forEach(([canonical, aliases]) => {
+      [canonical, ...aliases].forEach(alias => {
+        this.aliasIndex.set(this.normalizeName(alias), canonical);
+      });
+    });
+  }
+
+  /**
+   * Load an alias file: JSON object mapping each canonical name to its alternative spellings
+   */
+  static loadAliasFile(filePath) {
+    let aliases;
+    try {
+      aliases = fs.readJsonSync(filePath);
+    } catch (error) {
+      throw new Error(`Cannot read company alias file ${filePath}: ${error.message}`);
+    }
+
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases) ||
+        !Object.values(aliases).every(Array.isArray)) {
+      throw new Error(`Company alias file ${filePath} must map each canonical name to an array of aliases`);
+    }
+
+    return aliases;
+  }
+
+  /**
+   * Normalise a company name into a matching key
+   */
+  normalizeName(name) {
+    let key = String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/&/g, ' and ');
+
+    // Drop " - Goa Branch" style qualifiers
+    const branchPattern = new RegExp(`\\s[-–,/]\\s*[^-–,/]*\\b(${BRANCH_WORDS.join('|')})\\b.*$`);
+    key = key.replace(branchPattern, ' ');
+
+    const tokens = key.replace(/[.']/g, '').replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+    while (tokens.length > 1 && (LEGAL_SUFFIXES.includes(tokens[tokens.length - 1]) || tokens[tokens.length - 1] === 'and')) {
+      tokens.pop();
+    }
+    if (tokens.length > 1 && tokens[0] === 'the') {
+      tokens.shift();
+    }
+
+    return tokens.join(' ');
+  }
+
+  /**
+   * Similarity of two matching keys in [0, 1] (normalised Levenshtein distance)
+   */
+  similarity(a, b) {
+    if (a === b) {
+      return 1;
+    }
+    if (!a || !b) {
+      return 0;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * Group name spellings into entities
+   *
+   * `weights` ({ name: value }) decides which spelling names an entity when the alias
+   * file does not. Returns a Map of spelling → entity name.
+   */
+  buildNameMap(names, weights = {}) {
+    const spellings = [...new Set(names.filter(Boolean))]
+      .sort((a, b) => (weights[b] || 0) - (weights[a] || 0));
+    const clusters = [];
+    const byAlias = new Map();
+
+    spellings.forEach(spelling => {
+      const key = this.normalizeName(spelling);
+      const canonical = this.aliasIndex.get(key);
+      let cluster;
+
+      if (canonical) {
+        cluster = byAlias.get(canonical);
+        if (!cluster) {
+          cluster = { name: canonical, keys: [key], spellings: [] };
+          byAlias.set(canonical, cluster);
+          clusters.push(cluster);
+        }
+      } else {
+        let bestScore = 0;
+        clusters.forEach(candidate => {
+          const score = Math.max(...candidate.keys.map(candidateKey => this.similarity(key, candidateKey)));
+          if (score > bestScore) {
+            bestScore = score;
+            cluster = candidate;
+          }
+        });
+
+        if (bestScore < this.options.threshold) {
+          cluster = { name: spelling, keys: [], spellings: [] };
+          clusters.push(cluster);
+        }
+      }
+
+      if (!cluster.keys.includes(key)) {
+        cluster.keys.push(key);
+      }
+      cluster.spellings.push(spelling);
+    });
+
+    const nameMap = new Map();
+    clusters.forEach(cluster => {
+      cluster.spellings.forEach(spelling => nameMap.set(spelling, cluster.name));
+    });
+    return nameMap;
+  }
+
+  /**
+   * Consolidate ranked company entries ({ name, country, value }) into entities
+   *
+   * Values of merged entries are summed, the entity keeps the country of its largest
+   * entry and lists the merged spellings in `aliases`. The result is sorted by value.
+   */
+  consolidate(companies, nameMap = null) {
+    const map = nameMap || this.buildNameMap(
+      companies.map(company => company.name),
+      Object.fromEntries(companies.map(company => [company.name, company.value]))
+    );
+
+    const entities = new Map();
+    companies.forEach(company => {
+      const entityName = map.get(company.name) || company.name;
+      const existing = entities.get(entityName);
+
+      if (!existing) {
+        entities.set(entityName, { ...company, name: entityName, aliases: [], largestValue: company.value });
+      } else {
+        existing.value += company.value;
+        if (company.value > existing.largestValue) {
+          existing.country = company.country;
+          existing.largestValue = company.value;
+        }
+      }
+
+      const consolidated = entities.get(entityName);
+      [company.name, ...(company.aliases || [])].forEach(alias => {
+        if (alias !== entityName && !consolidated.aliases.includes(alias)) {
+          consolidated.aliases.push(alias);
+        }
+      });
+    });
+
+    return [...entities.values()]
+      .map(({ largestValue, ...entity }) => entity)
+      .sort((a, b) => b.value - a.value);
+  }
+}
+
+module.exports = EntityResolver;
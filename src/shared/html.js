@@ -0,0 +1,148 @@
+/**
+ * HTML Escaping - Safe Interpolation of Data into Slide Markup
+ *
+ * Supplier, buyer, country and product names come from data feeds and end up in a
+ * deck sent to clients, so they must never be read as markup. Slide HTML is built
+ * with the `html` tagged template: every interpolated value is escaped for where it
+ * lands, unless it is TrustedHTML (the result of another `html` template, or markup
+ * wrapped on purpose with `trustHTML`):
+ *
+ *   html`<td title="${name}">${name}</td>`   → attribute and text escaping
+ *   html`<a href="${url}">`                  → javascript: and other unsafe URLs dropped
+ *   html`<svg><text>${label}</text></svg>`   → text escaping without XML-illegal characters
+ *   html`<div${attributes}>`                 → TrustedHTML only, plain strings throw
+ *
+ * Arrays are joined, and null, undefined and false render nothing, so lists and
+ * optional parts can be written inline.
+ */
+
+/**
+ * Markup that is inserted as it is; `toString()` gives the HTML
+ */
+class TrustedHTML {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Mark markup a section builds on purpose as trusted
+ */
+function trustHTML(value) {
+  return value instanceof TrustedHTML ? value : new TrustedHTML(value);
+}
+
+/**
+ * Escape text content; quotes are escaped too, so the result is also safe in a quoted attribute
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape a quoted attribute value
+ */
+function escapeAttribute(value) {
+  return escapeHTML(value).replace(/`/g, '&#96;');
+}
+
+/**
+ * Escape text inside inline SVG, dropping the control characters XML 1.0 forbids
+ */
+function escapeSVG(value) {
+  return escapeHTML(String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''));
+}
+
+/**
+ * URL for href and src attributes: relative, http(s), mailto and data:image URLs pass; others become '#'
+ */
+function safeURL(value) {
+  const url = String(value).trim();
+  const scheme = url.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) {
+    return url;
+  }
+  const name = scheme[1].toLowerCase();
+  if (name === 'http' || name === 'https' || name === 'mailto' || /^data:image\/(png|jpeg|gif|webp|svg\+xml)[;,]/i.test(url)) {
+    return url;
+  }
+  return '#';
+}
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'xlink:href', 'action', 'formaction', 'poster']);
+
+/**
+ * Where an interpolation lands, from the markup before it
+ */
+function contextAt(markup) {
+  const tagStart = markup.lastIndexOf('<');
+  if (tagStart > markup.lastIndexOf('>')) {
+    const tag = markup.slice(tagStart);
+    const attribute = tag.match(/([\w:-]+)\s*=\s*(?:"([^"]*)|'([^']*))$/);
+    if (attribute) {
+      const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+      return URL_ATTRIBUTES.has(attribute[1].toLowerCase()) && value.trim() === '' ? 'url' : 'attribute';
+    }
+    const unquoted = tag.match(/([\w:-]+)\s*=\s*$/);
+    if (unquoted) {
+      throw new Error(`Unquoted attribute ${unquoted[1]}: quote attribute values in html templates`);
+    }
+    return 'tag';
+  }
+  return markup.lastIndexOf('<svg') > markup.lastIndexOf('</svg') ? 'svg' : 'text';
+}
+
+function render(value, context) {
+  if (value instanceof TrustedHTML) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => render(item, context)).join('');
+  }
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  switch (context) {
+    case 'tag':
+      throw new Error('Only TrustedHTML can be inserted inside a tag; use an attribute value instead');
+    case 'url':
+      return escapeAttribute(safeURL(value));
+    case 'attribute':
+      return escapeAttribute(value);
+    case 'svg':
+      return escapeSVG(value);
+    default:
+      return escapeHTML(value);
+  }
+}
+
+/**
+ * Tagged template for slide markup; returns TrustedHTML
+ */
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, index) => {
+    markup += render(value, contextAt(markup)) + strings[index + 1];
+  });
+  return new TrustedHTML(markup);
+}
+
+module.exports = {
+  TrustedHTML,
+  html,
+  trustHTML,
+  escapeHTML,
+  escapeAttribute,
+  escapeSVG,
+  safeURL
+};
@@ -0,0 +1,385 @@
+/**
+ * Insight Engine - Rules-Based Slide Commentary
+ *
+ * Turns computed metrics into ranked commentary. Each rule looks at one aspect of
+ * the metrics (concentration, growth direction, price spread, dominant trade lanes,
+ * the leading partner of a country) and returns a sentence, a score and the figures
+ * behind it, or nothing when the data does not support a statement. Sentences only
+ * say what the figures show; the wording changes with the thresholds crossed.
+ *
+ * Rules run in one of two scopes:
+ * - 'market':   the DataProcessor's `metrics` section (executive summary, KPI cards)
+ * - 'partners': { country, role: 'suppliers' | 'importers', partners: [{ name, country, share, growth }], comparedTo }
+ *   where growth is against the previous period named by `comparedTo`
+ *
+ * Thresholds can be changed, rules switched off and custom rules added, in code or
+ * with a JSON rules file: { "thresholds": { "highConcentration": 70 }, "disabled": ["price-trend"] }
+ */
+
+const fs = require('fs-extra');
+
+const DEFAULT_THRESHOLDS = {
+  // Share (%) of a country's top 3 partner companies (or the top 5 suppliers or buyers when no HHI is known) at or above which a market is concentrated
+  highConcentration: 60,
+  // ... and at or below which it is fragmented
+  lowConcentration: 30,
+  // Share (%) of one country or company at which it dominates
+  dominantShare: 25,
+  // Share (%) of traded value at which one origin → destination lane dominates
+  dominantLane: 15,
+  // Growth or price change (%) below which a figure is described as flat
+  flatChange: 2,
+  // Partner growth (%) worth calling out
+  strongGrowth: 10,
+  // Price range (max - min) as a share (%) of the average price above which prices are widely spread
+  wideSpread: 50
+};
+
+const percent = value => `${value.toFixed(1)}%`;
+
+const list = items => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0]);
+
+/**
+ * Concentration of a group of companies: the antitrust band of its HHI when known,
+ * otherwise the combined share of the largest companies against the thresholds
+ */
+function concentrationRule(id, group, label, side) {
+  return {
+    id,
+    scope: 'market',
+    evaluate(metrics, { thresholds, level }) {
+      const data = metrics[group];
+      if (!data || !Number.isFinite(data.topShare) || data.count === 0) {
+        return null;
+      }
+      const subject = `top ${data.count} ${label}`;
+      const share = percent(data.topShare);
+      let text;
+      if (data.band) {
+        const hhi = `HHI ${Math.round(data.hhi).toLocaleString('en-US')}`;
+        text = {
+          'Highly concentrated': `${side} is highly concentrated (${hhi}): the ${subject} account for ${share} of traded value.`,
+          'Moderately concentrated': `${side} is moderately concentrated (${hhi}), with the ${subject} accounting for ${share} of traded value.`,
+          Unconcentrated: `${side} is unconcentrated (${hhi}); the ${subject} account for ${share} of traded value.`
+        }[data.band];
+      } else {
+        text = {
+          High: `${side} is highly concentrated: the ${subject} account for ${share} of traded value.`,
+          Moderate: `${side} is moderately concentrated, with the ${subject} accounting for ${share} of traded value.`,
+          Low: `${side} is fragmented: the ${subject} account for only ${share} of traded value.`
+        }[level(data.topShare)];
+      }
+      return {
+        score: 40 + Math.abs(data.topShare - (thresholds.highConcentration + thresholds.lowConcentration) / 2),
+        text,
+        highlights: [share],
+        evidence: data.leaders.map(item => ({ label: item.name, value: percent(item.share) }))
+      };
+    }
+  };
+}
+
+/**
+ * Largest country on one side of the trade and whether it dominates
+ */
+function leaderRule(id, group, role) {
+  return {
+    id,
+    scope: 'market',
+    evaluate(metrics, { thresholds }) {
+      const data = metrics[group];
+      if (!data || !data.leaders || !data.leaders[0] || !Number.isFinite(data.leaders[0].share)) {
+        return null;
+      }
+      const { name, share } = data.leaders[0];
+      const dominant = share >= thresholds.dominantShare;
+      return {
+        score: dominant ? 40 + share : 20 + share / 2,
+        text: dominant
+          ? `${name} is the dominant ${role} with ${percent(share)} of traded value.`
+          : `No single ${role} dominates; the largest, ${name}, holds ${percent(share)} of traded value.`,
+        highlights: [name, percent(share)],
+        evidence: data.leaders.slice(1).filter(item => item.share !== null).map(item => ({ label: item.name, value: percent(item.share) }))
+      };
+    }
+  };
+}
+
+const DEFAULT_RULES = [
+  concentrationRule('supplier-concentration', 'suppliers', 'suppliers', 'Supply'),
+  concentrationRule('buyer-concentration', 'buyers', 'buyers', 'Demand'),
+  leaderRule('exporter-dominance', 'exporters', 'exporting country'),
+  leaderRule('importer-dominance', 'importers', 'importing country'),
+  {
+    id: 'market-growth',
+    scope: 'market',
+    evaluate(metrics, { direction, formatCurrency }) {
+      const growth = metrics.growth && metrics.growth.market;
+      if (!Number.isFinite(growth)) {
+        return null;
+      }
+      const basis = metrics.growth.comparedTo ? `compared with ${metrics.growth.comparedTo}` : 'over the period';
+      const text = {
+        up: `Traded value grew ${percent(growth)} ${basis}.`,
+        down: `Traded value contracted ${percent(Math.abs(growth))} ${basis}.`,
+        flat: `Traded value was broadly flat ${basis} (${growth > 0 ? '+' : ''}${percent(growth)}).`
+      }[direction(growth)];
+      return {
+        score: 30 + Math.abs(growth) * 2,
+        text,
+        highlights: [percent(Math.abs(growth))],
+        evidence: metrics.growth.totalValue !== null ? [{ label: 'Traded value', value: formatCurrency(metrics.growth.totalValue) }] : []
+      };
+    }
+  },
+  {
+    id: 'price-trend',
+    scope: 'market',
+    evaluate(metrics, { direction, formatPrice }) {
+      const change = metrics.price && metrics.price.change;
+      if (!change) {
+        return null;
+      }
+      const from = formatPrice(change.from.value);
+      const to = formatPrice(change.to.value);
+      const text = {
+        up: `The average unit price rose ${percent(change.percent)}, from ${from} in ${change.from.label} to ${to} in ${change.to.label}.`,
+        down: `The average unit price fell ${percent(Math.abs(change.percent))}, from ${from} in ${change.from.label} to ${to} in ${change.to.label}.`,
+        flat: `The average unit price held steady between ${change.from.label} and ${change.to.label} at around ${to}.`
+      }[direction(change.percent)];
+      return {
+        score: 30 + Math.abs(change.percent) * 2,
+        text,
+        highlights: [percent(Math.abs(change.percent)), to],
+        evidence: [
+          { label: `Price ${change.from.label}`, value: from },
+          { label: `Price ${change.to.label}`, value: to }
+        ]
+      };
+    }
+  },
+  {
+    id: 'price-spread',
+    scope: 'market',
+    evaluate(metrics, { thresholds, formatPrice }) {
+      const price = metrics.price;
+      if (!price || !Number.isFinite(price.spread)) {
+        return null;
+      }
+      const wide = price.spread > thresholds.wideSpread;
+      const range = `${formatPrice(price.min)} to ${formatPrice(price.max)}`;
+      return {
+        score: wide ? 30 + price.spread / 4 : 20,
+        text: wide
+          ? `Unit prices vary widely, from ${range}, a spread of ${percent(price.spread)} of the average price.`
+          : `Unit prices are tightly grouped, from ${range}, within ${percent(price.spread)} of the average price.`,
+        highlights: [range],
+        evidence: [
+          { label: 'Price range', value: range },
+          { label: 'Average price', value: formatPrice(price.average) }
+        ]
+      };
+    }
+  },
+  {
+    id: 'dominant-lane',
+    scope: 'market',
+    evaluate(metrics, { thresholds, formatCurrency }) {
+      const lane = metrics.lanes && metrics.lanes.top;
+      if (!lane || !Number.isFinite(lane.share)) {
+        return null;
+      }
+      const route = `${lane.origin} → ${lane.destination}`;
+      const basis = metrics.lanes.estimated ? ' (estimated from country totals)' : '';
+      const dominant = lane.share >= thresholds.dominantLane;
+      return {
+        score: dominant ? 35 + lane.share : 15 + lane.share / 2,
+        text: dominant
+          ? `The ${route} lane is the dominant trade route, carrying ${percent(lane.share)} of traded value${basis}.`
+          : `Trade is spread across many lanes; the largest, ${route}, carries ${percent(lane.share)} of traded value${basis}.`,
+        highlights: [route, percent(lane.share)],
+        evidence: [{ label: `${route} value`, value: formatCurrency(lane.value) }]
+      };
+    }
+  },
+  {
+    id: 'partner-concentration',
+    scope: 'partners',
+    evaluate(metrics, { level }) {
+      const top = metrics.partners.slice(0, 3);
+      if (top.length < 2) {
+        return null;
+      }
+      const share = top.reduce((sum, partner) => sum + partner.share, 0);
+      const landscape = `The ${metrics.role === 'suppliers' ? 'supplier' : 'importer'} landscape for ${metrics.country}`;
+      const text = {
+        High: `${landscape} is concentrated: the top ${top.length} companies account for ${percent(share)} of the market.`,
+        Moderate: `${landscape} is moderately concentrated, with the top ${top.length} companies accounting for ${percent(share)} of the market.`,
+        Low: `${landscape} is fragmented: the top ${top.length} companies account for only ${percent(share)} of the market.`
+      }[level(share)];
+      return {
+        score: 50,
+        text,
+        highlights: [metrics.country, percent(share)],
+        evidence: top.map(partner => ({ label: partner.name, value: percent(partner.share) }))
+      };
+    }
+  },
+  {
+    id: 'leading-partner',
+    scope: 'partners',
+    evaluate(metrics, { thresholds }) {
+      const [leader, runnerUp] = metrics.partners;
+      if (!leader) {
+        return null;
+      }
+      const role = metrics.role === 'suppliers' ? 'supplier' : 'importer';
+      const lead = runnerUp ? `, ahead of ${runnerUp.name} at ${percent(runnerUp.share)}` : '';
+      return {
+        score: leader.share >= thresholds.dominantShare ? 55 + leader.share / 2 : 45,
+        text: `${leader.name} is the largest ${role} with ${percent(leader.share)} of the market${lead}.`,
+        highlights: [leader.name, percent(leader.share)],
+        evidence: leader.country ? [{ label: 'Based in', value: leader.country }] : []
+      };
+    }
+  },
+  {
+    id: 'partner-growth',
+    scope: 'partners',
+    evaluate(metrics, { thresholds }) {
+      const growing = metrics.partners
+        .filter(partner => Number.isFinite(partner.growth) && partner.growth >= thresholds.strongGrowth)
+        .sort((a, b) => b.growth - a.growth);
+      if (growing.length === 0) {
+        return null;
+      }
+      const [fastest] = growing;
+      return {
+        score: 25 + fastest.growth / 2,
+        text: `${fastest.name} shows the strongest growth at +${percent(fastest.growth)} ${metrics.comparedTo ? `compared with ${metrics.comparedTo}` : 'year on year'}.`,
+        highlights: [fastest.name],
+        evidence: [{ label: `${fastest.name} share`, value: percent(fastest.share) }]
+      };
+    }
+  },
+  {
+    id: 'partner-geography',
+    scope: 'partners',
+    evaluate(metrics) {
+      const top = metrics.partners.slice(0, 3);
+      const countries = [...new Set(top.map(partner => partner.country).filter(Boolean))];
+      if (countries.length === 0) {
+        return null;
+      }
+      const companies = `the top ${top.length} ${metrics.role === 'suppliers' ? 'suppliers' : 'importers'}`;
+      return {
+        score: countries.length === 1 && top.length > 1 ? 40 : 25,
+        text: countries.length === 1
+          ? `${top.length > 1 ? `All of ${companies} are` : 'The leading company is'} based in ${countries[0]}, concentrating country risk.`
+          : `${companies.charAt(0).toUpperCase()}${companies.slice(1)} are based in ${list(countries)}.`,
+        highlights: countries,
+        evidence: top.map(partner => ({ label: partner.name, value: partner.country }))
+      };
+    }
+  }
+];
+
+class InsightEngine {
+  /**
+   * Options: thresholds, disabled (rule ids), rules (extra rules), rulesFile, formatCurrency, formatPrice (unit prices; defaults to formatCurrency)
+   */
+  constructor(options = {}) {
+    const fromFile = options.rulesFile ? InsightEngine.loadRulesFile(options.rulesFile) : {};
+    const thresholds = { ...fromFile.thresholds, ...options.thresholds };
+    const disabled = [...(fromFile.disabled || []), ...(options.disabled || [])];
+
+    Object.entries(thresholds).forEach(([key, value]) => {
+      if (!(key in DEFAULT_THRESHOLDS)) {
+        throw new Error(`Unknown insight threshold "${key}" (expected one of ${Object.keys(DEFAULT_THRESHOLDS).join(', ')})`);
+      }
+      if (!Number.isFinite(value)) {
+        throw new Error(`Insight threshold "${key}" must be a number, got ${value}`);
+      }
+    });
+    (options.rules || []).forEach(rule => {
+      if (!rule.id || typeof rule.evaluate !== 'function' || !['market', 'partners'].includes(rule.scope)) {
+        throw new Error('Insight rules need an id, a scope (market or partners) and an evaluate function');
+      }
+    });
+
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.formatCurrency = options.formatCurrency || (value => `$${Math.round(value).toLocaleString('en-US')}`);
+    this.formatPrice = options.formatPrice || this.formatCurrency;
+
+    const rules = [...DEFAULT_RULES, ...(options.rules || [])];
+    disabled.forEach(id => {
+      if (!rules.some(rule => rule.id === id)) {
+        throw new Error(`Cannot disable unknown insight rule "${id}"`);
+      }
+    });
+    this.rules = rules.filter(rule => !disabled.includes(rule.id));
+  }
+
+  /**
+   * Load a rules file: JSON with optional `thresholds` and `disabled` rule ids
+   */
+  static loadRulesFile(filePath) {
+    try {
+      return fs.readJsonSync(filePath);
+    } catch (error) {
+      throw new Error(`Cannot read insight rules file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ranked insights for the metrics: [{ id, text, score, highlights, evidence: [{ label, value }] }]
+   *
+   * `highlights` are the key figures and names in the sentence; `evidence` the figures behind it.
+   *
+   * Options: scope ('market' or 'partners'), only (rule ids to run), limit
+   */
+  evaluate(metrics, options = {}) {
+    const { scope = 'market', only = null, limit = Infinity } = options;
+    const context = {
+      thresholds: this.thresholds,
+      formatCurrency: this.formatCurrency,
+      formatPrice: this.formatPrice,
+      level: share => this.concentrationLevel(share),
+      direction: change => this.direction(change)
+    };
+
+    return this.rules
+      .filter(rule => rule.scope === scope && (!only || only.includes(rule.id)))
+      .map(rule => {
+        const insight = rule.evaluate(metrics, context);
+        return insight && { id: rule.id, highlights: [], evidence: [], ...insight };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * 'High', 'Moderate' or 'Low' concentration for a combined share
+   */
+  concentrationLevel(share) {
+    if (share >= this.thresholds.highConcentration) {
+      return 'High';
+    }
+    return share <= this.thresholds.lowConcentration ? 'Low' : 'Moderate';
+  }
+
+  /**
+   * 'up', 'down' or 'flat' for a percentage change
+   */
+  direction(change) {
+    if (Math.abs(change) < this.thresholds.flatChange) {
+      return 'flat';
+    }
+    return change > 0 ? 'up' : 'down';
+  }
+}
+
+InsightEngine.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+module.exports = InsightEngine;
@@ -0,0 +1,166 @@
+/**
+ * Period Comparison - Growth and Rank Movement Between Two Periods
+ *
+ * Compares the current period of product data with a previous one: value growth
+ * for companies, countries and prices, and how far each entry moved in its ranking
+ * (▲3 up three places, ▼1 down one, — unchanged, NEW when it was not ranked before).
+ *
+ * Shipments are assigned to periods by their `period` tag when they have one, or
+ * otherwise by date: calendar years for year-over-year, quarters for
+ * quarter-over-quarter. The latest period is compared with the one before it;
+ * period tags are ordered by the period they name, so they must be years (2024,
+ * FY2024), quarters (2024-Q1, 2024Q1, Q1 2024), half-years (2024-H1, H1 2024) or
+ * months (2024-03).
+ */
+
+const MODES = {
+  yoy: { label: 'YoY', name: 'year-over-year', periodOf: date => date.slice(0, 4) },
+  qoq: {
+    label: 'QoQ',
+    name: 'quarter-over-quarter',
+    periodOf: date => `${date.slice(0, 4)}-Q${Math.ceil(parseInt(date.slice(5, 7), 10) / 3)}`
+  },
+  pop: { label: 'Period', name: 'period-over-period', periodOf: null }
+};
+
+// Period label formats with the year and the first month (1-12) of the period they name
+const PERIOD_FORMATS = [
+  { pattern: /^(?:FY\s?)?(\d{4})$/i, parse: ([, year]) => [year, 1] },
+  { pattern: /^(\d{4})[-\s/]?Q([1-4])$/i, parse: ([, year, quarter]) => [year, quarter * 3 - 2] },
+  { pattern: /^Q([1-4])[-\s/]?(\d{4})$/i, parse: ([, quarter, year]) => [year, quarter * 3 - 2] },
+  { pattern: /^(\d{4})[-\s/]?H([12])$/i, parse: ([, year, half]) => [year, half * 6 - 5] },
+  { pattern: /^H([12])[-\s/]?(\d{4})$/i, parse: ([, half, year]) => [year, half * 6 - 5] },
+  { pattern: /^(\d{4})[-/](0[1-9]|1[0-2])$/, parse: ([, year, month]) => [year, month] }
+];
+
+class PeriodComparison {
+  /**
+   * Comparison mode settings; throws for unknown modes
+   */
+  static mode(mode) {
+    if (!MODES[mode]) {
+      throw new Error(`Unknown comparison mode "${mode}" (expected one of: ${Object.keys(MODES).join(', ')})`);
+    }
+    return { key: mode, ...MODES[mode] };
+  }
+
+  /**
+   * Mode implied by period labels: years are YoY, quarters QoQ, anything else period-over-period
+   */
+  static inferMode(labels) {
+    if (labels.every(label => PERIOD_FORMATS[0].pattern.test(label))) {
+      return 'yoy';
+    }
+    if (labels.every(label => PERIOD_FORMATS[1].pattern.test(label) || PERIOD_FORMATS[2].pattern.test(label))) {
+      return 'qoq';
+    }
+    return 'pop';
+  }
+
+  /**
+   * Sortable key of a period label (months since year 0 of its first month), or null
+   */
+  static periodKey(label) {
+    const text = String(label).trim();
+    for (const { pattern, parse } of PERIOD_FORMATS) {
+      const match = text.match(pattern);
+      if (match) {
+        const [year, month] = parse(match).map(Number);
+        return year * 12 + month - 1;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Split shipments into the latest period and the one before it
+   *
+   * Returns { current: { label, shipments }, previous: { label, shipments }, skipped }
+   * where `skipped` counts shipments of older periods, or null with fewer than two periods.
+   * Throws when a period tag does not name a period that can be ordered.
+   */
+  static splitShipments(shipments, mode = 'yoy') {
+    const { periodOf } = PeriodComparison.mode(mode);
+    const periods = new Map();
+    shipments.forEach(shipment => {
+      const label = shipment.period || (periodOf ? periodOf(shipment.date) : null);
+      if (!label) {
+        return;
+      }
+      if (!periods.has(label)) {
+        periods.set(label, []);
+      }
+      periods.get(label).push(shipment);
+    });
+
+    const unordered = [...periods.keys()].filter(label => PeriodComparison.periodKey(label) === null);
+    if (unordered.length > 0) {
+      throw new Error(`Cannot order period labels ${unordered.map(label => `"${label}"`).join(', ')}: use years (2024), quarters (2024-Q1 or Q1 2024), half-years (2024-H1) or months (2024-03)`);
+    }
+
+    const labels = [...periods.keys()].sort((a, b) => PeriodComparison.periodKey(a) - PeriodComparison.periodKey(b));
+    if (labels.length < 2) {
+      return null;
+    }
+
+    const [previousLabel, currentLabel] = labels.slice(-2);
+    return {
+      current: { label: currentLabel, shipments: periods.get(currentLabel) },
+      previous: { label: previousLabel, shipments: periods.get(previousLabel) },
+      skipped: shipments.length - periods.get(currentLabel).length - periods.get(previousLabel).length
+    };
+  }
+
+  /**
+   * Percent change from the previous to the current value; null without a positive previous value
+   */
+  static growth(current, previous) {
+    if (!Number.isFinite(current) || !Number.isFinite(previous) || previous <= 0) {
+      return null;
+    }
+    return ((current - previous) / previous) * 100;
+  }
+
+  /**
+   * Rank movement label: ▲n, ▼n, — (unchanged) or NEW (not ranked in the previous period)
+   */
+  static movement(rank, previousRank) {
+    if (!Number.isInteger(previousRank)) {
+      return 'NEW';
+    }
+    if (previousRank === rank) {
+      return '—';
+    }
+    return previousRank > rank ? `▲${previousRank - rank}` : `▼${rank - previousRank}`;
+  }
+
+  /**
+   * Previous-period entry for a name, matching aliases in either period
+   */
+  static findPrevious(previousItems, names) {
+    const wanted = new Set(names.filter(Boolean));
+    return previousItems.find(item =>
+      [item.name || item.country, ...(item.aliases || [])].some(name => wanted.has(name))
+    ) || null;
+  }
+
+  /**
+   * Growth and rank movement of a ranked entry against the previous period's ranking
+   *
+   * `previousItems` are ranked entries with `rank` and `rawValue`; returns
+   * { rawGrowth, previousRank, previousValue, movement }.
+   */
+  static compare({ names, rank, value }, previousItems) {
+    const previous = PeriodComparison.findPrevious(previousItems, names);
+    return {
+      rawGrowth: previous ? PeriodComparison.growth(value, previous.rawValue) : null,
+      previousRank: previous ? previous.rank : null,
+      previousValue: previous ? previous.rawValue : null,
+      movement: Number.isInteger(rank) ? PeriodComparison.movement(rank, previous ? previous.rank : null) : null
+    };
+  }
+}
+
+PeriodComparison.MODES = MODES;
+
+module.exports = PeriodComparison;
@@ -0,0 +1,256 @@
+/**
+ * Price Forecaster - Offline Price Projections with Confidence Bands
+ *
+ * Projects a monthly price series with two models and keeps the one with the lower
+ * backtest error:
+ * - Holt-Winters additive exponential smoothing: level, trend and seasonal
+ *   components with smoothing weights picked by grid search on the one-step errors
+ * - Linear regression on time with monthly seasonal dummies
+ *
+ * Both need at least two full seasonal cycles (24 months) for the seasonal part;
+ * with less history they run without it (Holt's linear smoothing, a plain linear
+ * trend). The backtest holds out the last quarter of the series (at most the
+ * horizon), fits on the rest and reports the mean absolute percentage error (MAPE).
+ * When the full series is seasonal the holdout is capped so the rest still covers
+ * two seasons; with exactly two seasons that is impossible and the backtest scores
+ * the trend-only models instead (`trendOnlyBacktest`).
+ *
+ * Confidence bands assume normally distributed errors: Holt-Winters widens them with
+ * the horizon by the usual additive-model variance formula, regression uses the
+ * prediction variance of the fitted coefficients. Lower bounds stop at zero.
+ */
+
+const MODELS = {
+  holtWinters: {
+    name: 'Holt-Winters exponential smoothing',
+    trendOnlyName: "Holt's linear exponential smoothing"
+  },
+  seasonalRegression: {
+    name: 'Linear regression with monthly seasonality',
+    trendOnlyName: 'Linear regression on time'
+  }
+};
+
+// z-scores of the two-sided confidence levels shown on the slides
+const Z_SCORES = { 80: 1.2816, 95: 1.96 };
+
+// Smoothing weights tried for alpha, beta and gamma
+const GRID = [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+const MIN_HISTORY = 6;
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Gauss-Jordan inverse of a small square matrix; null when it is singular
+const invert = matrix => {
+  const size = matrix.length;
+  const rows = matrix.map((row, index) => [...row, ...row.map((_, column) => (column === index ? 1 : 0))]);
+  for (let column = 0; column < size; column++) {
+    const pivot = rows.slice(column).reduce((best, row, offset) =>
+      (Math.abs(row[column]) > Math.abs(rows[best][column]) ? column + offset : best), column);
+    if (Math.abs(rows[pivot][column]) < 1e-12) {
+      return null;
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    const divisor = rows[column][column];
+    rows[column] = rows[column].map(value => value / divisor);
+    rows.forEach((row, index) => {
+      if (index !== column && row[column] !== 0) {
+        const factor = row[column];
+        rows[index] = row.map((value, position) => value - factor * rows[column][position]);
+      }
+    });
+  }
+  return rows.map(row => row.slice(size));
+};
+
+class PriceForecaster {
+  /**
+   * Holt-Winters additive smoothing of `values`, projected `horizon` steps ahead
+   *
+   * Returns { key, name, seasonal, parameters: { alpha, beta, gamma }, forecasts:
+   * [{ mean, sd }] }; without two full seasons gamma is null and no seasonal
+   * component is used.
+   */
+  static holtWinters(values, { seasonLength = 12, horizon = 12 } = {}) {
+    const seasonal = values.length >= seasonLength * 2;
+    const m = seasonal ? seasonLength : 0;
+
+    const run = (alpha, beta, gamma) => {
+      let level;
+      let trend;
+      let seasons = [];
+      let start;
+      if (seasonal) {
+        level = mean(values.slice(0, m));
+        trend = (mean(values.slice(m, 2 * m)) - level) / m;
+        seasons = values.slice(0, m).map(value => value - level);
+        start = m;
+      } else {
+        level = values[0];
+        trend = values[1] - values[0];
+        start = 1;
+      }
+
+      const errors = [];
+      for (let t = start; t < values.length; t++) {
+        const season = seasonal ? seasons[t - m] : 0;
+        errors.push(values[t] - (level + trend + season));
+        const previousLevel = level;
+        level = alpha * (values[t] - season) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        if (seasonal) {
+          seasons.push(gamma * (values[t] - level) + (1 - gamma) * season);
+        }
+      }
+      return { level, trend, seasons, sse: errors.reduce((sum, error) => sum + error * error, 0), count: errors.length };
+    };
+
+    let best = null;
+    GRID.forEach(alpha => GRID.forEach(beta => (seasonal ? GRID : [null]).forEach(gamma => {
+      const fit = run(alpha, beta, gamma);
+      if (!best || fit.sse < best.fit.sse) {
+        best = { alpha, beta, gamma, fit };
+      }
+    })));
+
+    const { alpha, beta, gamma, fit } = best;
+    const sigma = Math.sqrt(fit.sse / Math.max(fit.count, 1));
+    let variance = 0;
+    const forecasts = Array.from({ length: horizon }, (_, index) => {
+      const step = index + 1;
+      // Var(h) = σ² (1 + Σ c_j²), c_j = α(1 + jβ) + γ when j is a whole number of seasons
+      if (step > 1) {
+        const j = step - 1;
+        const weight = alpha * (1 + j * beta) + (seasonal && j % m === 0 ? gamma : 0);
+        variance += weight * weight;
+      }
+      const season = seasonal ? fit.seasons[fit.seasons.length - m + ((step - 1) % m)] : 0;
+      return { mean: fit.level + step * fit.trend + season, sd: sigma * Math.sqrt(1 + variance) };
+    });
+
+    return {
+      key: 'holtWinters',
+      name: seasonal ? MODELS.holtWinters.name : MODELS.holtWinters.trendOnlyName,
+      seasonal,
+      parameters: { alpha, beta, gamma },
+      forecasts
+    };
+  }
+
+  /**
+   * Least-squares regression of `values` on time, plus seasonal dummies with two full seasons
+   *
+   * Returns { key, name, seasonal, parameters: { slope }, forecasts: [{ mean, sd }] }.
+   */
+  static seasonalRegression(values, { seasonLength = 12, horizon = 12 } = {}) {
+    const seasonal = values.length >= seasonLength * 2;
+    // Intercept, time and one dummy per season position but the first
+    const features = t => [
+      1,
+      t,
+      ...(seasonal ? Array.from({ length: seasonLength - 1 }, (_, position) => (t % seasonLength === position + 1 ? 1 : 0)) : [])
+    ];
+
+    const rows = values.map((_, t) => features(t));
+    const width = rows[0].length;
+    const xtx = Array.from({ length: width }, (_, i) =>
+      Array.from({ length: width }, (__, j) => rows.reduce((sum, row) => sum + row[i] * row[j], 0)));
+    const inverse = invert(xtx);
+    if (!inverse) {
+      throw new Error('Price regression is singular; the price history needs at least two distinct months');
+    }
+    const xty = Array.from({ length: width }, (_, i) => rows.reduce((sum, row, t) => sum + row[i] * values[t], 0));
+    const coefficients = inverse.map(row => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+
+    const predict = row => row.reduce((sum, value, i) => sum + value * coefficients[i], 0);
+    const sse = rows.reduce((sum, row, t) => sum + (values[t] - predict(row)) ** 2, 0);
+    const residualVariance = sse / Math.max(values.length - width, 1);
+
+    const forecasts = Array.from({ length: horizon }, (_, index) => {
+      const row = features(values.length + index);
+      // Prediction variance s² (1 + x' (X'X)⁻¹ x)
+      const leverage = row.reduce((sum, value, i) => sum + value * inverse[i].reduce((inner, cell, j) => inner + cell * row[j], 0), 0);
+      return { mean: predict(row), sd: Math.sqrt(residualVariance * (1 + leverage)) };
+    });
+
+    return {
+      key: 'seasonalRegression',
+      name: seasonal ? MODELS.seasonalRegression.name : MODELS.seasonalRegression.trendOnlyName,
+      seasonal,
+      parameters: { slope: coefficients[1] },
+      forecasts
+    };
+  }
+
+  /**
+   * Mean absolute percentage error of a model fitted without the last `holdout` values
+   *
+   * Returns null when every held-out value is zero.
+   */
+  static backtest(values, modelKey, { seasonLength = 12, holdout }) {
+    const training = values.slice(0, values.length - holdout);
+    const actual = values.slice(values.length - holdout);
+    const { forecasts } = PriceForecaster[modelKey](training, { seasonLength, horizon: holdout });
+    const errors = actual
+      .map((value, index) => (value !== 0 ? Math.abs((value - forecasts[index].mean) / value) : null))
+      .filter(error => error !== null);
+    return errors.length > 0 ? mean(errors) * 100 : null;
+  }
+
+  /**
+   * Backtest both models, keep the one with the lower MAPE and project `horizon` steps
+   *
+   * Returns { model, models: [{ key, name, seasonal, parameters, mape }], holdout,
+   * trendOnlyBacktest, points: [{ step, mean, low80, high80, low95, high95 }] }, or
+   * null with fewer than six values. Values must be evenly spaced months without gaps.
+   */
+  static forecast(values, { seasonLength = 12, horizon = 12 } = {}) {
+    if (values.length < MIN_HISTORY) {
+      return null;
+    }
+
+    // Leave two full seasons to fit on when the series has more, otherwise at least four values
+    const seasons = seasonLength * 2;
+    const room = values.length > seasons ? values.length - seasons : values.length - 4;
+    const holdout = Math.max(1, Math.min(horizon, Math.floor(values.length / 4), room));
+    const models = Object.keys(MODELS).map(key => {
+      const fit = PriceForecaster[key](values, { seasonLength, horizon });
+      return { ...fit, mape: PriceForecaster.backtest(values, key, { seasonLength, holdout }) };
+    });
+    const rank = model => (model.mape === null ? Infinity : model.mape);
+    const chosen = models.reduce((best, model) => (rank(model) < rank(best) ? model : best));
+
+    return {
+      model: chosen.key,
+      models: models.map(({ forecasts, ...summary }) => summary),
+      holdout,
+      trendOnlyBacktest: values.length >= seasons && values.length - holdout < seasons,
+      points: chosen.forecasts.map((forecast, index) => {
+        const band = level => [
+          Math.max(0, forecast.mean - Z_SCORES[level] * forecast.sd),
+          forecast.mean + Z_SCORES[level] * forecast.sd
+        ];
+        const [low80, high80] = band(80);
+        const [low95, high95] = band(95);
+        return { step: index + 1, mean: forecast.mean, low80, high80, low95, high95 };
+      })
+    };
+  }
+
+  /**
+   * The `count` months after a YYYY-MM month
+   */
+  static monthsAfter(month, count) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return Array.from({ length: count }, (_, index) => {
+      const date = new Date(Date.UTC(year, monthNumber - 1 + index + 1, 1));
+      return date.toISOString().slice(0, 7);
+    });
+  }
+}
+
+PriceForecaster.MODELS = MODELS;
+PriceForecaster.MIN_HISTORY = MIN_HISTORY;
+
+module.exports = PriceForecaster;
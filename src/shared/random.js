@@ -0,0 +1,60 @@
+/**
+ * Seeded Random - Reproducible Pseudo-Random Numbers
+ *
+ * Every estimated or synthetic number in the deck (performance scores, estimated prices,
+ * demo shipment records) is drawn from this generator instead of Math.random(), so a
+ * given seed reproduces the same deck byte for byte. The orchestrator owns one
+ * generator and hands each consumer its own stream with `fork(label)`, so adding a
+ * slide to one section does not shift the numbers of another.
+ *
+ * Uses mulberry32 with string seeds hashed by FNV-1a.
+ */
+
+const crypto = require('crypto');
+
+class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = seed;
+    this.state = SeededRandom.hashSeed(seed);
+  }
+
+  /**
+   * Fresh seed for runs that do not ask for one; record it to reproduce the run
+   */
+  static generateSeed() {
+    return crypto.randomInt(1, 2 ** 31);
+  }
+
+  /**
+   * 32-bit state from a numeric or string seed (FNV-1a over its string form)
+   */
+  static hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Next number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Independent stream derived from this seed and a label
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+}
+
+module.exports = SeededRandom;
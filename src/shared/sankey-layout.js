@@ -0,0 +1,177 @@
+/**
+ * Sankey Layout - Node and Link Geometry for Flow Diagrams
+ *
+ * Lays out a Sankey diagram of two or more columns (e.g. supplier country →
+ * supplier → buyer). Node heights are proportional to throughput, the larger of a
+ * node's inflow and outflow, and every link is a band whose width is its value on
+ * the same scale, so the bands leaving a node exactly fill its height.
+ *
+ * Nodes are reordered within their column by the weighted position of the nodes
+ * they connect to, sweeping left to right and back, which removes most link
+ * crossings; links are then stacked at each node in the order of the node they
+ * lead to, so bands do not cross where they attach.
+ *
+ * Input:  { columns: [[{ id, name }], ...], links: [{ source, target, value }] }
+ * Output: { nodes, links, columns } with x0/x1/y0/y1 on nodes and y0/y1/width on links
+ */
+
+class SankeyLayout {
+  constructor(options = {}) {
+    this.width = options.width || 600;
+    this.height = options.height || 400;
+    this.nodeWidth = options.nodeWidth || 14;
+    this.nodePadding = options.nodePadding !== undefined ? options.nodePadding : 12;
+    this.margin = options.margin !== undefined ? options.margin : 0;
+    this.iterations = options.iterations !== undefined ? options.iterations : 6;
+  }
+
+  /**
+   * Compute node and link positions
+   */
+  compute(data) {
+    if (!Array.isArray(data.columns) || data.columns.length < 2) {
+      throw new Error('Sankey data needs at least two columns of nodes');
+    }
+
+    const nodeById = new Map();
+    const columns = data.columns.map((column, columnIndex) => column.map(definition => {
+      if (nodeById.has(definition.id)) {
+        throw new Error(`Duplicate Sankey node id: ${definition.id}`);
+      }
+      const node = { ...definition, column: columnIndex, sourceLinks: [], targetLinks: [], value: 0 };
+      nodeById.set(definition.id, node);
+      return node;
+    }));
+
+    const links = data.links
+      .filter(link => link.value > 0)
+      .map(definition => {
+        const source = nodeById.get(definition.source);
+        const target = nodeById.get(definition.target);
+        if (!source || !target) {
+          throw new Error(`Sankey link ${definition.source} → ${definition.target} refers to an unknown node`);
+        }
+        if (target.column !== source.column + 1) {
+          throw new Error(`Sankey link ${definition.source} → ${definition.target} must go to the next column`);
+        }
+        const link = { ...definition, source, target };
+        source.sourceLinks.push(link);
+        target.targetLinks.push(link);
+        return link;
+      });
+
+    // Throughput; nodes with no flows are left out of the diagram
+    columns.forEach(column => column.forEach(node => {
+      node.value = Math.max(this.sum(node.sourceLinks), this.sum(node.targetLinks));
+    }));
+    const visibleColumns = columns.map(column => column.filter(node => node.value > 0));
+
+    this.positionColumns(visibleColumns);
+    this.scaleNodes(visibleColumns);
+    this.orderNodes(visibleColumns);
+    this.positionLinks(visibleColumns);
+
+    return {
+      nodes: visibleColumns.flat(),
+      links,
+      columns: visibleColumns
+    };
+  }
+
+  sum(links) {
+    return links.reduce((total, link) => total + link.value, 0);
+  }
+
+  positionColumns(columns) {
+    const step = (this.width - 2 * this.margin - this.nodeWidth) / (columns.length - 1);
+    columns.forEach((column, columnIndex) => column.forEach(node => {
+      node.x0 = this.margin + columnIndex * step;
+      node.x1 = node.x0 + this.nodeWidth;
+    }));
+  }
+
+  /**
+   * One value scale for every column: the fullest column spans the height
+   */
+  scaleNodes(columns) {
+    const longest = Math.max(...columns.map(column => column.length));
+    this.padding = Math.min(this.nodePadding, (this.height * 0.5) / Math.max(longest - 1, 1));
+    this.ky = Math.min(...columns
+      .filter(column => column.length > 0)
+      .map(column => (this.height - (column.length - 1) * this.padding) / this.sum(column)));
+    columns.forEach(column => column.forEach(node => {
+      node.height = node.value * this.ky;
+    }));
+    columns.forEach(column => this.stack(column));
+  }
+
+  /**
+   * Place a column's nodes top to bottom in their current order, centred vertically
+   */
+  stack(column) {
+    const total = column.reduce((sum, node) => sum + node.height, 0) + Math.max(column.length - 1, 0) * this.padding;
+    let y = (this.height - total) / 2;
+    column.forEach(node => {
+      node.y0 = y;
+      node.y1 = y + node.height;
+      y = node.y1 + this.padding;
+    });
+  }
+
+  /**
+   * Reorder each column by the value-weighted centre of its neighbours
+   */
+  orderNodes(columns) {
+    const centre = node => (node.y0 + node.y1) / 2;
+    const barycentre = (node, links, neighbour) => {
+      const weight = this.sum(links);
+      return weight > 0
+        ? links.reduce((total, link) => total + centre(link[neighbour]) * link.value, 0) / weight
+        : centre(node);
+    };
+    const reorder = (column, key) => {
+      column
+        .map(node => ({ node, key: key(node) }))
+        .sort((a, b) => a.key - b.key)
+        .forEach((entry, index) => {
+          column[index] = entry.node;
+        });
+      this.stack(column);
+    };
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      for (let index = 1; index < columns.length; index++) {
+        reorder(columns[index], node => barycentre(node, node.targetLinks, 'source'));
+      }
+      for (let index = columns.length - 2; index >= 0; index--) {
+        reorder(columns[index], node => barycentre(node, node.sourceLinks, 'target'));
+      }
+    }
+  }
+
+  /**
+   * Stack link bands at both ends, ordered by the position of the other end
+   */
+  positionLinks(columns) {
+    columns.forEach(column => column.forEach(node => {
+      node.sourceLinks.sort((a, b) => a.target.y0 - b.target.y0);
+      node.targetLinks.sort((a, b) => a.source.y0 - b.source.y0);
+    }));
+
+    columns.forEach(column => column.forEach(node => {
+      let sourceY = node.y0;
+      node.sourceLinks.forEach(link => {
+        link.width = link.value * this.ky;
+        link.y0 = sourceY + link.width / 2;
+        sourceY += link.width;
+      });
+      let targetY = node.y0;
+      node.targetLinks.forEach(link => {
+        link.y1 = targetY + link.value * this.ky / 2;
+        targetY += link.value * this.ky;
+      });
+    }));
+  }
+}
+
+module.exports = SankeyLayout;
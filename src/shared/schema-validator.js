@@ -0,0 +1,322 @@
+/**
+ * Schema Validator - Product Data Input Checks
+ *
+ * The DataProcessor falls back to defaults ('Unknown Product', 0) for anything it
+ * cannot find, so a typo such as `topSupplier` silently produces a deck of "$0" and
+ * "Unknown". This module checks product data against a declarative schema before
+ * generation and reports every problem with the JSON path it was found at:
+ *
+ *   { path: '$.topSuppliers[3].value', message: 'expected number, got string "12M"' }
+ *
+ * Supported schema keywords: type (string or list, 'null' allowed), required,
+ * properties, additionalProperties, items, minItems, minimum, maximum, minLength,
+ * pattern, enum and sharesSumTo ({ field, total, tolerance }) for ranked lists.
+ */
+
+const MONTH = /^\d{4}-\d{2}$/;
+const DAY = /^\d{4}-\d{2}(-\d{2})?$/;
+
+const SHARE = { type: 'number', minimum: 0, maximum: 100 };
+const AMOUNT = { type: 'number', minimum: 0 };
+
+const COMPANY_ENTRY = {
+  type: 'object',
+  required: ['name', 'country', 'value'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    country: { type: 'string', minLength: 1 },
+    value: AMOUNT,
+    share: SHARE,
+    aliases: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const COUNTRY_ENTRY = {
+  type: 'object',
+  required: ['country', 'value'],
+  properties: {
+    country: { type: 'string', minLength: 1 },
+    value: AMOUNT,
+    share: SHARE,
+    shipments: { type: 'integer', minimum: 0 }
+  }
+};
+
+const COUNTRY_LIST = {
+  type: 'array',
+  minItems: 1,
+  items: COUNTRY_ENTRY,
+  sharesSumTo: { field: 'share', total: 100, tolerance: 1.5 }
+};
+
+const PRODUCT_DATA_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'totalValue', 'topSuppliers', 'topBuyers', 'importingCountries', 'exportingCountries'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    hsCode: { type: 'string', pattern: /^\d{4,10}$/ },
+    category: { type: 'string' },
+    demoData: { type: 'boolean' },
+    currency: { type: 'string', pattern: /^[A-Za-z]{3}$/ },
+    fxSource: { type: 'string' },
+    quantityUnit: { type: 'string', minLength: 1 },
+    unitConversions: { type: 'object' },
+
+    totalRecords: { type: 'integer', minimum: 0 },
+    totalValue: AMOUNT,
+    avgPrice: AMOUNT,
+    minPrice: AMOUNT,
+    maxPrice: AMOUNT,
+    priceVolatility: AMOUNT,
+    uniqueSuppliers: { type: 'integer', minimum: 0 },
+    uniqueBuyers: { type: 'integer', minimum: 0 },
+    marketGrowth: { type: 'number' },
+    supplierConcentration: { type: 'number', minimum: 0, maximum: 1 },
+    buyerConcentration: { type: 'number', minimum: 0, maximum: 1 },
+    dateRange: { type: 'string', minLength: 1 },
+    period: { type: 'string', minLength: 1 },
+    previousPeriod: { type: 'object' },
+
+    topImportCountry: {
+      type: 'object',
+      required: ['country'],
+      properties: { country: { type: 'string', minLength: 1 }, count: { type: 'integer', minimum: 0 } }
+    },
+    topExportCountry: {
+      type: 'object',
+      required: ['country'],
+      properties: { country: { type: 'string', minLength: 1 }, count: { type: 'integer', minimum: 0 } }
+    },
+
+    topSuppliers: { type: 'array', minItems: 1, items: COMPANY_ENTRY },
+    topBuyers: { type: 'array', minItems: 1, items: COMPANY_ENTRY },
+    importingCountries: COUNTRY_LIST,
+    exportingCountries: COUNTRY_LIST,
+
+    priceHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date', 'price'],
+        properties: {
+          date: { type: 'string', pattern: MONTH },
+          price: AMOUNT,
+          minPrice: AMOUNT,
+          maxPrice: AMOUNT
+        }
+      }
+    },
+    volumeHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date', 'volume'],
+        properties: { date: { type: 'string', pattern: MONTH }, volume: AMOUNT }
+      }
+    },
+
+    tradeMatrix: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['origin', 'destination', 'value'],
+        properties: {
+          origin: { type: 'string', minLength: 1 },
+          destination: { type: 'string', minLength: 1 },
+          value: AMOUNT,
+          volume: AMOUNT,
+          shipments: { type: 'integer', minimum: 0 }
+        }
+      }
+    },
+
+    shipments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date', 'supplier', 'supplierCountry', 'buyer', 'buyerCountry'],
+        properties: {
+          date: { type: 'string', pattern: DAY },
+          supplier: { type: 'string', minLength: 1 },
+          supplierCountry: { type: 'string', minLength: 1 },
+          buyer: { type: 'string', minLength: 1 },
+          buyerCountry: { type: 'string', minLength: 1 },
+          quantity: { type: ['number', 'null'], minimum: 0 },
+          unit: { type: 'string' },
+          unitPrice: { type: ['number', 'null'], minimum: 0 },
+          value: AMOUNT,
+          totalValue: AMOUNT,
+          currency: { type: 'string', pattern: /^[A-Za-z]{3}$/ },
+          period: { type: 'string' }
+        }
+      }
+    },
+
+    importSummary: { type: 'object' }
+  }
+};
+
+class SchemaValidator {
+  constructor(schema = PRODUCT_DATA_SCHEMA) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validate data against the schema; returns every problem as { path, message }
+   */
+  validate(data) {
+    const issues = [];
+    this.validateNode(data, this.schema, '$', issues);
+    return issues;
+  }
+
+  validateNode(value, schema, path, issues) {
+    const report = message => issues.push({ path, message });
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => this.matchesType(value, type))) {
+      report(`expected ${types.join(' or ')}, got ${this.describe(value)}`);
+      return;
+    }
+    if (value === null) {
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      report(`must be one of ${schema.enum.join(', ')}, got ${this.describe(value)}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        report(`must be at least ${schema.minimum}, got ${value}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        report(`must be at most ${schema.maximum}, got ${value}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        report('must not be empty');
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        report(`${this.describe(value)} does not match the expected format ${schema.pattern}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      this.validateArray(value, schema, path, issues);
+    } else if (typeof value === 'object') {
+      this.validateObject(value, schema, path, issues);
+    }
+  }
+
+  validateObject(value, schema, path, issues) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(field => {
+      if (value[field] === undefined) {
+        issues.push({ path: `${path}.${field}`, message: 'required field is missing' });
+      }
+    });
+
+    Object.entries(value).forEach(([field, fieldValue]) => {
+      if (fieldValue === undefined) {
+        return;
+      }
+      if (properties[field]) {
+        this.validateNode(fieldValue, properties[field], `${path}.${field}`, issues);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = this.suggestField(field, Object.keys(properties));
+        issues.push({
+          path: `${path}.${field}`,
+          message: `unknown field${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+        });
+      }
+    });
+  }
+
+  validateArray(value, schema, path, issues) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push({ path, message: `needs at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}, got ${value.length}` });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => this.validateNode(item, schema.items, `${path}[${index}]`, issues));
+    }
+
+    const sum = schema.sharesSumTo;
+    if (sum && value.length > 0 && value.every(item => item && typeof item[sum.field] === 'number')) {
+      const total = value.reduce((acc, item) => acc + item[sum.field], 0);
+      if (Math.abs(total - sum.total) > sum.tolerance) {
+        issues.push({
+          path: `${path}[*].${sum.field}`,
+          message: `${sum.field}s sum to ${Math.round(total * 10) / 10}, expected about ${sum.total} (±${sum.tolerance})`
+        });
+      }
+    }
+  }
+
+  /**
+   * Helper methods
+   */
+
+  matchesType(value, type) {
+    switch (type) {
+      case 'null':
+        return value === null;
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'string') return `string "${value.length > 30 ? `${value.slice(0, 27)}...` : value}"`;
+    if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+    if (typeof value === 'object') return 'object';
+    return `${typeof value} ${value}`;
+  }
+
+  /**
+   * Closest known field name to a misspelt one (edit distance of at most 2)
+   */
+  suggestField(field, knownFields) {
+    let best = null;
+    let bestDistance = 3;
+    knownFields.forEach(known => {
+      const distance = this.editDistance(field.toLowerCase(), known.toLowerCase());
+      if (distance < bestDistance) {
+        best = known;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
+
+SchemaValidator.PRODUCT_DATA_SCHEMA = PRODUCT_DATA_SCHEMA;
+
+module.exports = SchemaValidator;
@@ -0,0 +1,544 @@
+/**
+ * Shipment Importer - Raw Customs Ledger to Product Data
+ *
+ * This module reads a raw shipment ledger (CSV export from customs data providers)
+ * and derives the aggregated product data structure expected by the DataProcessor,
+ * so the complete deck can be reproduced from source transactions.
+ */
+
+const fs = require('fs-extra');
+const CountryRegistry = require('./country-registry');
+const EntityResolver = require('./entity-resolver');
+const CurrencyConverter = require('./currency-converter');
+const UnitConverter = require('./unit-converter');
+const PeriodComparison = require('./period-comparison');
+
+// Accepted header spellings for each ledger field (compared lowercase, alphanumerics only)
+const COLUMN_ALIASES = {
+  date: ['date', 'shipmentdate', 'arrivaldate', 'billofentrydate', 'transactiondate'],
+  supplier: ['supplier', 'suppliername', 'exporter', 'exportername', 'shipper', 'shippername'],
+  supplierCountry: ['suppliercountry', 'exportercountry', 'countryoforigin', 'origincountry', 'shippercountry'],
+  buyer: ['buyer', 'buyername', 'importer', 'importername', 'consignee', 'consigneename'],
+  buyerCountry: ['buyercountry', 'importercountry', 'destinationcountry', 'consigneecountry'],
+  quantity: ['quantity', 'qty', 'quantitykg', 'netweight', 'netweightkg'],
+  unitPrice: ['unitprice', 'priceperunit', 'unitpriceusd', 'unitvalue'],
+  value: ['value', 'totalvalue', 'valueusd', 'totalvalueusd', 'declaredvalue', 'invoicevalue'],
+  portOfLoading: ['portofloading', 'loadingport', 'originport', 'pol'],
+  portOfDischarge: ['portofdischarge', 'dischargeport', 'destinationport', 'pod'],
+  hsCode: ['hscode', 'hs', 'hstariffcode', 'tariffcode'],
+  currency: ['currency', 'currencycode', 'invoicecurrency', 'valuecurrency'],
+  unit: ['unit', 'uom', 'unitofmeasure', 'quantityunit', 'qtyunit'],
+  period: ['period', 'reportingperiod', 'fiscalperiod']
+};
+
+const REQUIRED_COLUMNS = ['date', 'supplier', 'supplierCountry', 'buyer', 'buyerCountry', 'quantity'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class ShipmentImporter {
+  constructor(options = {}) {
+    this.options = {
+      delimiter: ',',
+      topN: 15,
+      ledgerCurrency: 'USD',
+      ledgerUnit: 'kg',
+      dateOrder: null,
+      ...options
+    };
+    if (this.options.dateOrder && !['dmy', 'mdy'].includes(this.options.dateOrder)) {
+      throw new Error(`Ledger date order must be "dmy" or "mdy", got "${this.options.dateOrder}"`);
+    }
+    this.countryRegistry = new CountryRegistry();
+    this.entityResolver = new EntityResolver(this.options.entityResolution);
+    this.currencyConverter = new CurrencyConverter(this.options.currency);
+    this.unitConverter = new UnitConverter(this.options.units);
+  }
+
+  /**
+   * Import a CSV ledger file and build product data from it
+   */
+  async importFile(filePath, productInfo = {}) {
+    const text = await fs.readFile(filePath, 'utf8');
+    const { shipments, skippedRows } = this.parseLedger(text);
+
+    if (skippedRows.length > 0) {
+      console.warn(`⚠️ Skipped ${skippedRows.length} ledger rows that could not be parsed`);
+    }
+
+    const unconverted = shipments.filter(s => s.unitFlag);
+    if (unconverted.length > 0) {
+      console.warn(`⚠️ ${unconverted.length} ledger rows have units that cannot be converted to ${this.unitConverter.baseUnit}`);
+    }
+
+    const split = this.splitPeriods(shipments);
+    const productData = split
+      ? this.buildComparisonData(split, productInfo)
+      : this.buildProductData(shipments, productInfo);
+    productData.importSummary = {
+      source: filePath,
+      importedRows: shipments.length,
+      skippedRows
+    };
+
+    return productData;
+  }
+
+  /**
+   * Split shipments into the latest and the previous period for a comparison deck
+   *
+   * Periods come from the ledger's period column or, with the `comparison.mode`
+   * option ('yoy' or 'qoq'), from the shipment dates. Returns null when the ledger
+   * is not compared or covers a single period.
+   */
+  splitPeriods(shipments) {
+    const tags = [...new Set(shipments.map(s => s.period).filter(Boolean))];
+    const mode = (this.options.comparison && this.options.comparison.mode) || (tags.length > 0 ? PeriodComparison.inferMode(tags) : null);
+    if (!mode) {
+      return null;
+    }
+
+    const split = PeriodComparison.splitShipments(shipments, mode);
+    if (!split) {
+      console.warn('⚠️ Shipment ledger covers a single period; generating without a period comparison');
+      return null;
+    }
+    if (split.skipped > 0) {
+      console.warn(`⚠️ ${split.skipped} shipments before ${split.previous.label} are outside the compared periods`);
+    }
+
+    console.log(`📅 Comparing ${split.current.label} (${split.current.shipments.length} shipments) with ${split.previous.label} (${split.previous.shipments.length} shipments)`);
+    return split;
+  }
+
+  /**
+   * Build product data for the current period with the previous period nested in it
+   */
+  buildComparisonData(split, productInfo = {}) {
+    return {
+      ...this.buildProductData(split.current.shipments, productInfo),
+      period: split.current.label,
+      previousPeriod: {
+        ...this.buildProductData(split.previous.shipments, productInfo),
+        period: split.previous.label
+      }
+    };
+  }
+
+  /**
+   * Parse ledger text into normalised shipment objects
+   */
+  parseLedger(text) {
+    const rows = this.parseCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+
+    if (rows.length === 0) {
+      throw new Error('Shipment ledger is empty');
+    }
+
+    const columnMap = this.mapColumns(rows[0]);
+    const shipments = [];
+    const skippedRows = [];
+
+    rows.slice(1).forEach((row, index) => {
+      // Row numbers are 1-based and include the header line
+      const rowNumber = index + 2;
+      const result = this.parseShipmentRow(row, columnMap);
+
+      if (result.error) {
+        skippedRows.push({ row: rowNumber, reason: result.error });
+      } else {
+        shipments.push(result.shipment);
+      }
+    });
+
+    return { shipments, skippedRows };
+  }
+
+  /**
+   * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+   */
+  parseCSV(text) {
+    const delimiter = this.options.delimiter;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Map ledger header cells to shipment fields
+   */
+  mapColumns(headerRow) {
+    const columnMap = {};
+
+    headerRow.forEach((header, index) => {
+      const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+      const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+
+      if (field && columnMap[field] === undefined) {
+        columnMap[field] = index;
+      }
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(field => columnMap[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Shipment ledger is missing required columns: ${missing.join(', ')}`);
+    }
+
+    if (columnMap.unitPrice === undefined && columnMap.value === undefined) {
+      throw new Error('Shipment ledger needs a unit price or a total value column');
+    }
+
+    return columnMap;
+  }
+
+  /**
+   * Parse a single ledger row into a shipment
+   */
+  parseShipmentRow(row, columnMap) {
+    const cell = field => (columnMap[field] === undefined ? '' : (row[columnMap[field]] || '').trim());
+
+    const date = this.parseDate(cell('date'));
+    if (!date) {
+      return { error: `Invalid or ambiguous date "${cell('date')}"` };
+    }
+
+    const quantity = this.parseNumber(cell('quantity'));
+    if (quantity === null || quantity <= 0) {
+      return { error: `Invalid quantity "${cell('quantity')}"` };
+    }
+
+    let unitPrice = this.parseNumber(cell('unitPrice'));
+    let value = this.parseNumber(cell('value'));
+
+    if (value === null && unitPrice !== null) {
+      value = unitPrice * quantity;
+    }
+    if (unitPrice === null && value !== null) {
+      unitPrice = value / quantity;
+    }
+    if (value === null || value < 0) {
+      return { error: 'Missing unit price and total value' };
+    }
+
+    const supplier = cell('supplier');
+    const buyer = cell('buyer');
+    if (!supplier || !buyer) {
+      return { error: 'Missing supplier or buyer name' };
+    }
+
+    // Values are converted to the reporting currency at the shipment month's rate
+    const currency = this.currencyConverter.normalizeCurrency(cell('currency') || this.options.ledgerCurrency);
+    const originalValue = value;
+    unitPrice = this.currencyConverter.convert(unitPrice, currency, date);
+    value = this.currencyConverter.convert(value, currency, date);
+
+    // Quantities are normalised to the base unit; rows with an unknown unit are kept but flagged
+    const unit = this.unitConverter.normalizeUnit(cell('unit') || this.options.ledgerUnit);
+    const baseQuantity = this.unitConverter.toBase(quantity, unit);
+    if (baseQuantity !== null && baseQuantity !== quantity) {
+      unitPrice = value / baseQuantity;
+    }
+
+    return {
+      shipment: {
+        date,
+        supplier,
+        supplierCountry: this.countryRegistry.getDisplayName(cell('supplierCountry')) || 'Unknown',
+        buyer,
+        buyerCountry: this.countryRegistry.getDisplayName(cell('buyerCountry')) || 'Unknown',
+        quantity: baseQuantity,
+        unitPrice: baseQuantity === null ? null : unitPrice,
+        value,
+        unit: baseQuantity === null ? unit : this.unitConverter.baseUnit,
+        originalQuantity: quantity,
+        originalUnit: unit,
+        unitFlag: baseQuantity === null ? `No conversion from "${unit}" to ${this.unitConverter.baseUnit}` : undefined,
+        currency: this.currencyConverter.reportingCurrency,
+        originalCurrency: currency,
+        originalValue,
+        portOfLoading: cell('portOfLoading'),
+        portOfDischarge: cell('portOfDischarge'),
+        hsCode: cell('hsCode'),
+        period: cell('period') || undefined
+      }
+    };
+  }
+
+  /**
+   * Build aggregated product data from normalised shipments
+   */
+  buildProductData(shipments, productInfo = {}) {
+    if (shipments.length === 0) {
+      throw new Error('Shipment ledger contains no valid shipment rows');
+    }
+
+    // Quantity and price figures only use shipments whose unit converted to the base unit
+    const priced = shipments.filter(s => !s.unitFlag);
+    const totalValue = shipments.reduce((sum, s) => sum + s.value, 0);
+    const totalQuantity = priced.reduce((sum, s) => sum + s.quantity, 0);
+    const pricedValue = priced.reduce((sum, s) => sum + s.value, 0);
+    const unitPrices = priced.map(s => s.unitPrice);
+
+    const suppliers = this.aggregateCompanies(shipments, 'supplier', 'supplierCountry');
+    const buyers = this.aggregateCompanies(shipments, 'buyer', 'buyerCountry');
+    const importingCountries = this.aggregateCountries(shipments, 'buyerCountry', totalValue);
+    const exportingCountries = this.aggregateCountries(shipments, 'supplierCountry', totalValue);
+
+    const dates = shipments.map(s => s.date).sort();
+
+    return {
+      name: productInfo.name || 'Unknown Product',
+      description: productInfo.description,
+      category: productInfo.category,
+      hsCode: productInfo.hsCode || this.getMostCommon(shipments.map(s => s.hsCode).filter(Boolean)),
+      currency: this.currencyConverter.reportingCurrency,
+      fxSource: shipments.some(s => s.originalCurrency !== s.currency) ? this.currencyConverter.source : undefined,
+      quantityUnit: this.unitConverter.baseUnit,
+
+      totalRecords: shipments.length,
+      totalValue,
+      avgPrice: totalQuantity > 0 ? pricedValue / totalQuantity : 0,
+      minPrice: unitPrices.length > 0 ? unitPrices.reduce((min, price) => Math.min(min, price)) : 0,
+      maxPrice: unitPrices.length > 0 ? unitPrices.reduce((max, price) => Math.max(max, price)) : 0,
+      priceVolatility: unitPrices.length > 0 ? this.calculateVolatility(unitPrices) : 0,
+      uniqueSuppliers: suppliers.length,
+      uniqueBuyers: buyers.length,
+      dateRange: `${this.formatMonth(dates[0])} - ${this.formatMonth(dates[dates.length - 1])}`,
+
+      topImportCountry: {
+        country: importingCountries[0].country,
+        count: importingCountries[0].shipments
+      },
+      topExportCountry: {
+        country: exportingCountries[0].country,
+        count: exportingCountries[0].shipments
+      },
+
+      topSuppliers: suppliers.slice(0, this.options.topN),
+      topBuyers: buyers.slice(0, this.options.topN),
+      importingCountries,
+      exportingCountries,
+
+      priceHistory: this.buildPriceHistory(priced),
+      volumeHistory: this.buildVolumeHistory(priced),
+
+      shipments
+    };
+  }
+
+  /**
+   * Aggregate companies by value, attributing each to its main country
+   *
+   * Spellings of the same company are consolidated into one entry with `aliases`.
+   */
+  aggregateCompanies(shipments, nameField, countryField) {
+    const companies = new Map();
+
+    shipments.forEach(shipment => {
+      const name = shipment[nameField];
+      if (!companies.has(name)) {
+        companies.set(name, { name, value: 0, countryValues: {} });
+      }
+
+      const company = companies.get(name);
+      const country = shipment[countryField];
+      company.value += shipment.value;
+      company.countryValues[country] = (company.countryValues[country] || 0) + shipment.value;
+    });
+
+    return this.entityResolver.consolidate([...companies.values()].map(company => ({
+      name: company.name,
+      country: Object.keys(company.countryValues).reduce((a, b) =>
+        company.countryValues[a] >= company.countryValues[b] ? a : b
+      ),
+      value: company.value
+    })));
+  }
+
+  /**
+   * Aggregate countries by value with share of total and shipment count
+   */
+  aggregateCountries(shipments, countryField, totalValue) {
+    const countries = new Map();
+
+    shipments.forEach(shipment => {
+      const country = shipment[countryField];
+      if (!countries.has(country)) {
+        countries.set(country, { country, value: 0, shipments: 0 });
+      }
+
+      const entry = countries.get(country);
+      entry.value += shipment.value;
+      entry.shipments += 1;
+    });
+
+    return [...countries.values()]
+      .map(entry => ({
+        country: entry.country,
+        value: entry.value,
+        share: totalValue > 0 ? Math.round((entry.value / totalValue) * 1000) / 10 : 0,
+        shipments: entry.shipments
+      }))
+      .sort((a, b) => b.value - a.value);
+  }
+
+  /**
+   * Build monthly value-weighted unit price history with min/max bands
+   */
+  buildPriceHistory(shipments) {
+    return this.groupByMonth(shipments).map(({ month, items }) => {
+      const value = items.reduce((sum, s) => sum + s.value, 0);
+      const quantity = items.reduce((sum, s) => sum + s.quantity, 0);
+      const prices = items.map(s => s.unitPrice);
+
+      return {
+        date: month,
+        price: value / quantity,
+        minPrice: prices.reduce((min, price) => Math.min(min, price)),
+        maxPrice: prices.reduce((max, price) => Math.max(max, price))
+      };
+    });
+  }
+
+  /**
+   * Build monthly quantity history
+   */
+  buildVolumeHistory(shipments) {
+    return this.groupByMonth(shipments).map(({ month, items }) => ({
+      date: month,
+      volume: items.reduce((sum, s) => sum + s.quantity, 0)
+    }));
+  }
+
+  /**
+   * Group shipments by YYYY-MM, in chronological order
+   */
+  groupByMonth(shipments) {
+    const months = {};
+    shipments.forEach(shipment => {
+      const month = shipment.date.slice(0, 7);
+      if (!months[month]) {
+        months[month] = [];
+      }
+      months[month].push(shipment);
+    });
+
+    return Object.keys(months).sort().map(month => ({ month, items: months[month] }));
+  }
+
+  /**
+   * Helper methods
+   */
+
+  parseNumber(text) {
+    if (text === undefined || text === null || text === '') return null;
+    const cleaned = String(text).replace(/[^0-9.\-eE]/g, '');
+    const number = parseFloat(cleaned);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Parse a ledger date into YYYY-MM-DD, or null when it is not a real calendar date
+   *
+   * Numeric day/month dates (05/03/2023, 05.03.2023) follow the `dateOrder` option
+   * ('dmy' or 'mdy'); without it they are only read when one part is above 12, and
+   * dates such as 05/03/2023 are rejected as ambiguous.
+   */
+  parseDate(text) {
+    if (!text) return null;
+
+    // ISO dates (YYYY-MM-DD or YYYY/MM/DD) are read as calendar dates, without timezone shifts
+    const iso = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+    if (iso) {
+      const [, year, month, day] = iso.map(Number);
+      return this.calendarDate(year, month, day);
+    }
+
+    const numeric = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/);
+    if (numeric) {
+      const [, first, second, year] = numeric.map(Number);
+      const order = this.options.dateOrder || (first > 12 ? 'dmy' : second > 12 ? 'mdy' : null);
+      if (order === 'dmy') return this.calendarDate(year, second, first);
+      if (order === 'mdy') return this.calendarDate(year, first, second);
+      return null;
+    }
+
+    // Other formats must name the month ("5 Mar 2023", "March 5, 2023")
+    if (!/[a-z]{3}/i.test(text) || !/\b\d{4}\b/.test(text)) return null;
+    const parsed = new Date(text);
+    if (isNaN(parsed.getTime())) return null;
+    return this.calendarDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  }
+
+  calendarDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  formatMonth(date) {
+    const [year, month] = date.split('-');
+    return `${MONTH_NAMES[parseInt(month, 10) - 1]} ${year}`;
+  }
+
+  calculateVolatility(values) {
+    // Coefficient of variation, in percent
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    if (mean === 0) return 0;
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+    return (Math.sqrt(variance) / mean) * 100;
+  }
+
+  getMostCommon(values) {
+    if (values.length === 0) return undefined;
+    const counts = {};
+    values.forEach(value => {
+      counts[value] = (counts[value] || 0) + 1;
+    });
+    return Object.keys(counts).reduce((a, b) => (counts[a] >= counts[b] ? a : b));
+  }
+}
+
+module.exports = ShipmentImporter;
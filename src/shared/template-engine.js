@@ -2,25 +2,20 @@
  * Template Engine - BCG-Level Styling and HTML Generation
  * 
  * This module manages all HTML templates and ensures consistent BCG-level
- * styling across all 300 slides.
+ * styling across all 300 slides. Colours, fonts, the logo and the footer come
+ * from the theme (see src/themes); the default theme is the BCG look.
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 
+const { html } = require('./html');
+const { loadTheme } = require('../themes');
+
 class TemplateEngine {
-  constructor() {
+  constructor(theme = loadTheme()) {
     this.templatesPath = path.join(__dirname, '../templates');
-    this.bcgColors = {
-      navy: '#003366',
-      blue: '#0066CC',
-      orange: '#FF6B35',
-      lightBlue: '#E6F0FF',
-      lightGray: '#F5F5F5',
-      darkGray: '#333333',
-      mediumGray: '#666666',
-      lightOrange: '#FFE6D9'
-    };
+    this.theme = theme;
   }
   
   /**
@@ -38,7 +33,7 @@ class TemplateEngine {
   }
   
   /**
-   * Create the main HTML template with BCG styling
+   * Create the main HTML template; styles go in through the {{STYLES}} placeholder
    */
   async createMainTemplate(templatePath) {
     await fs.ensureDir(this.templatesPath);
@@ -50,7 +45,7 @@ class TemplateEngine {
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>{{TITLE}}</title>
   <style>
-    ${this.getBCGStyles()}
+    {{STYLES}}
   </style>
 </head>
 <body>
@@ -74,19 +69,25 @@ class TemplateEngine {
   }
   
   /**
-   * Get BCG-level CSS styles
+   * Get the theme's CSS styles, filled into the template's {{STYLES}} placeholder
    */
-  getBCGStyles() {
+  getStyles() {
+    const { palette, fonts } = this.theme;
+    
     return `
     :root {
-      --bcg-navy: ${this.bcgColors.navy};
-      --bcg-blue: ${this.bcgColors.blue};
-      --bcg-orange: ${this.bcgColors.orange};
-      --bcg-light-blue: ${this.bcgColors.lightBlue};
-      --bcg-light-gray: ${this.bcgColors.lightGray};
-      --bcg-dark-gray: ${this.bcgColors.darkGray};
-      --bcg-medium-gray: ${this.bcgColors.mediumGray};
-      --bcg-light-orange: ${this.bcgColors.lightOrange};
+      --theme-primary: ${palette.primary};
+      --theme-secondary: ${palette.secondary};
+      --theme-accent: ${palette.accent};
+      --theme-primary-light: ${palette.primaryLight};
+      --theme-accent-light: ${palette.accentLight};
+      --theme-surface: ${palette.surface};
+      --theme-text: ${palette.text};
+      --theme-muted-text: ${palette.mutedText};
+      --theme-positive: ${palette.positive};
+      --theme-negative: ${palette.negative};
+      --theme-body-font: ${fonts.body};
+      --theme-heading-font: ${fonts.heading};
     }
     
     * {
@@ -96,7 +97,7 @@ class TemplateEngine {
     }
     
     body {
-      font-family: 'Arial', 'Helvetica', sans-serif;
+      font-family: var(--theme-body-font);
       background-color: #f0f0f0;
       display: flex;
       flex-direction: column;
@@ -135,26 +136,33 @@ class TemplateEngine {
       justify-content: space-between;
       align-items: center;
       margin-bottom: 30px;
-      border-bottom: 3px solid var(--bcg-navy);
+      border-bottom: 3px solid var(--theme-primary);
       padding-bottom: 15px;
     }
     
     .slide-title {
       font-size: 32px;
-      color: var(--bcg-navy);
+      color: var(--theme-primary);
       font-weight: bold;
+      font-family: var(--theme-heading-font);
       line-height: 1.2;
     }
     
     .slide-logo {
       font-size: 24px;
       font-weight: bold;
-      color: var(--bcg-navy);
-      background-color: var(--bcg-light-blue);
+      color: var(--theme-primary);
+      background-color: var(--theme-primary-light);
       padding: 8px 16px;
       border-radius: 4px;
     }
     
+    .slide-logo img {
+      display: block;
+      max-height: 40px;
+      max-width: 180px;
+    }
+    
     .slide-content {
       flex: 1;
       display: flex;
@@ -163,6 +171,28 @@ class TemplateEngine {
       overflow-y: auto;
     }
     
+    .slide-watermark {
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%) rotate(-30deg);
+      font-size: 64px;
+      font-weight: bold;
+      color: rgba(220, 53, 69, 0.18);
+      border: 6px solid rgba(220, 53, 69, 0.18);
+      padding: 10px 30px;
+      white-space: nowrap;
+      pointer-events: none;
+      z-index: 10;
+    }
+    
+    .slide-footnote {
+      margin-top: 10px;
+      font-size: 11px;
+      line-height: 1.4;
+      color: var(--theme-muted-text);
+    }
+    
     .slide-footer {
       display: flex;
       justify-content: space-between;
@@ -171,12 +201,12 @@ class TemplateEngine {
       border-top: 1px solid #ddd;
       padding-top: 15px;
       font-size: 14px;
-      color: var(--bcg-medium-gray);
+      color: var(--theme-muted-text);
     }
     
     /* Title Slide Styles */
     .title-slide {
-      background: linear-gradient(135deg, var(--bcg-navy) 0%, var(--bcg-blue) 100%);
+      background: linear-gradient(135deg, var(--theme-primary) 0%, var(--theme-secondary) 100%);
       color: white;
       justify-content: center;
       align-items: center;
@@ -202,7 +232,7 @@ class TemplateEngine {
     
     /* Executive Summary Styles */
     .executive-summary {
-      background-color: var(--bcg-light-blue);
+      background-color: var(--theme-primary-light);
       padding: 25px;
       border-radius: 8px;
       margin-bottom: 25px;
@@ -210,15 +240,16 @@ class TemplateEngine {
     
     .summary-title {
       font-size: 24px;
-      color: var(--bcg-navy);
+      color: var(--theme-primary);
       font-weight: bold;
+      font-family: var(--theme-heading-font);
       margin-bottom: 15px;
     }
     
     .summary-content {
       font-size: 16px;
       line-height: 1.6;
-      color: var(--bcg-dark-gray);
+      color: var(--theme-text);
     }
     
     .summary-content p {
@@ -226,10 +257,15 @@ class TemplateEngine {
     }
     
     .summary-content strong {
-      color: var(--bcg-navy);
+      color: var(--theme-primary);
       font-weight: bold;
     }
     
+    .insight-evidence {
+      font-size: 12px;
+      color: var(--theme-muted-text);
+    }
+    
     /* KPI Cards */
     .kpi-container {
       display: grid;
@@ -240,7 +276,7 @@ class TemplateEngine {
     
     .kpi-card {
       background-color: white;
-      border: 2px solid var(--bcg-light-blue);
+      border: 2px solid var(--theme-primary-light);
       border-radius: 8px;
       padding: 20px;
       text-align: center;
@@ -249,7 +285,7 @@ class TemplateEngine {
     
     .kpi-title {
       font-size: 14px;
-      color: var(--bcg-medium-gray);
+      color: var(--theme-muted-text);
       margin-bottom: 8px;
       text-transform: uppercase;
       letter-spacing: 0.5px;
@@ -257,7 +293,7 @@ class TemplateEngine {
     
     .kpi-value {
       font-size: 28px;
-      color: var(--bcg-navy);
+      color: var(--theme-primary);
       font-weight: bold;
       margin-bottom: 8px;
     }
@@ -268,11 +304,11 @@ class TemplateEngine {
     }
     
     .trend-up {
-      color: #28a745;
+      color: var(--theme-positive);
     }
     
     .trend-down {
-      color: #dc3545;
+      color: var(--theme-negative);
     }
     
     /* Table Styles */
@@ -289,7 +325,7 @@ class TemplateEngine {
     }
     
     th {
-      background-color: var(--bcg-navy);
+      background-color: var(--theme-primary);
       color: white;
       padding: 12px;
       text-align: left;
@@ -301,15 +337,15 @@ class TemplateEngine {
       padding: 12px;
       border-bottom: 1px solid #eee;
       font-size: 14px;
-      color: var(--bcg-dark-gray);
+      color: var(--theme-text);
     }
     
     tr:nth-child(even) {
-      background-color: var(--bcg-light-gray);
+      background-color: var(--theme-surface);
     }
     
     tr:hover {
-      background-color: var(--bcg-light-blue);
+      background-color: var(--theme-primary-light);
     }
     
     /* Chart Styles */
@@ -323,12 +359,92 @@ class TemplateEngine {
     
     .chart-title {
       font-size: 18px;
-      color: var(--bcg-navy);
+      color: var(--theme-primary);
       font-weight: bold;
+      font-family: var(--theme-heading-font);
       margin-bottom: 15px;
       text-align: center;
     }
     
+    /* World Map */
+    .world-map .map-canvas {
+      display: flex;
+      justify-content: center;
+    }
+    
+    .world-map .map-country:hover {
+      stroke: var(--theme-text);
+      stroke-width: 1;
+    }
+    
+    .world-map .map-flow-end {
+      fill: var(--theme-accent);
+    }
+    
+    .world-map .map-toggle {
+      position: absolute;
+      opacity: 0;
+      pointer-events: none;
+    }
+    
+    .world-map .map-toggle-labels {
+      display: flex;
+      justify-content: center;
+      gap: 8px;
+      margin-bottom: 10px;
+    }
+    
+    .world-map .map-toggle-labels label {
+      padding: 4px 12px;
+      border: 1px solid var(--theme-primary);
+      border-radius: 4px;
+      color: var(--theme-primary);
+      font-size: 12px;
+      cursor: pointer;
+    }
+    
+    .world-map .map-toggle-imports:checked ~ .map-toggle-labels .map-label-imports,
+    .world-map .map-toggle-exports:checked ~ .map-toggle-labels .map-label-exports {
+      background-color: var(--theme-primary);
+      color: white;
+    }
+    
+    .world-map .map-toggle-imports:checked ~ .map-canvas .map-country {
+      fill: var(--imports);
+    }
+    
+    .world-map .map-toggle-exports:checked ~ .map-canvas .map-country {
+      fill: var(--exports);
+    }
+    
+    .world-map .map-toggle-imports:checked ~ .map-legend-exports,
+    .world-map .map-toggle-exports:checked ~ .map-legend-imports {
+      display: none;
+    }
+    
+    .world-map .map-legend {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      gap: 4px 12px;
+      margin-top: 10px;
+      font-size: 11px;
+      color: var(--theme-muted-text);
+    }
+    
+    .world-map .map-legend i {
+      display: inline-block;
+      width: 12px;
+      height: 12px;
+      margin-right: 4px;
+      vertical-align: middle;
+    }
+    
+    .world-map .map-legend-note {
+      flex-basis: 100%;
+      text-align: center;
+    }
+    
     /* Two Column Layout */
     .two-column {
       display: grid;
@@ -354,7 +470,7 @@ class TemplateEngine {
     }
     
     .product-details {
-      background-color: var(--bcg-light-blue);
+      background-color: var(--theme-primary-light);
       padding: 25px;
       border-radius: 8px;
     }
@@ -364,28 +480,29 @@ class TemplateEngine {
       justify-content: space-between;
       margin-bottom: 12px;
       padding-bottom: 8px;
-      border-bottom: 1px solid rgba(0, 51, 102, 0.2);
+      border-bottom: 1px solid ${this.rgba(palette.primary, 0.2)};
     }
     
     .property-name {
       font-weight: bold;
-      color: var(--bcg-navy);
+      color: var(--theme-primary);
     }
     
     .property-value {
-      color: var(--bcg-dark-gray);
+      color: var(--theme-text);
     }
     
     .medical-uses {
-      background-color: var(--bcg-light-orange);
+      background-color: var(--theme-accent-light);
       padding: 25px;
       border-radius: 8px;
     }
     
     .uses-title {
       font-size: 18px;
-      color: var(--bcg-navy);
+      color: var(--theme-primary);
       font-weight: bold;
+      font-family: var(--theme-heading-font);
       margin-bottom: 15px;
     }
     
@@ -396,13 +513,13 @@ class TemplateEngine {
     
     .use-item {
       padding: 8px 0;
-      border-bottom: 1px solid rgba(255, 107, 53, 0.3);
-      color: var(--bcg-dark-gray);
+      border-bottom: 1px solid ${this.rgba(palette.accent, 0.3)};
+      color: var(--theme-text);
     }
     
     .use-item:before {
       content: "•";
-      color: var(--bcg-orange);
+      color: var(--theme-accent);
       font-weight: bold;
       margin-right: 10px;
     }
@@ -421,11 +538,12 @@ class TemplateEngine {
     
     .toc-section-title {
       font-size: 20px;
-      color: var(--bcg-navy);
+      color: var(--theme-primary);
       font-weight: bold;
+      font-family: var(--theme-heading-font);
       margin-bottom: 15px;
       padding-bottom: 8px;
-      border-bottom: 2px solid var(--bcg-orange);
+      border-bottom: 2px solid var(--theme-accent);
     }
     
     .toc-items {
@@ -435,14 +553,14 @@ class TemplateEngine {
     
     .toc-item {
       padding: 6px 0;
-      color: var(--bcg-dark-gray);
+      color: var(--theme-text);
       font-size: 14px;
       border-bottom: 1px solid #eee;
     }
     
     .toc-item:before {
       content: "→";
-      color: var(--bcg-blue);
+      color: var(--theme-secondary);
       margin-right: 8px;
     }
     
@@ -454,12 +572,12 @@ class TemplateEngine {
       gap: 20px;
       margin-top: 20px;
       padding: 15px;
-      background-color: var(--bcg-light-gray);
+      background-color: var(--theme-surface);
       border-radius: 8px;
     }
     
     .control-btn {
-      background-color: var(--bcg-navy);
+      background-color: var(--theme-primary);
       color: white;
       border: none;
       padding: 10px 20px;
@@ -471,18 +589,18 @@ class TemplateEngine {
     }
     
     .control-btn:hover {
-      background-color: var(--bcg-blue);
+      background-color: var(--theme-secondary);
     }
     
     .control-btn:disabled {
-      background-color: var(--bcg-medium-gray);
+      background-color: var(--theme-muted-text);
       cursor: not-allowed;
     }
     
     #slideCounter {
       font-size: 16px;
       font-weight: bold;
-      color: var(--bcg-navy);
+      color: var(--theme-primary);
       min-width: 80px;
       text-align: center;
     }
@@ -514,6 +632,14 @@ class TemplateEngine {
     `;
   }
   
+  /**
+   * CSS rgba() for a #RRGGBB theme colour
+   */
+  rgba(hex, alpha) {
+    const [r, g, b] = [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  }
+  
   /**
    * Get navigation JavaScript
    */
@@ -588,47 +714,44 @@ class TemplateEngine {
    * Generate title slide
    */
   generateTitleSlide(slideData) {
-    return `
+    return html`
     <div class="slide title-slide" id="slide-${slideData.id}">
       <div class="slide-title">${slideData.title}</div>
       <div class="subtitle">${slideData.subtitle || 'Global Market Analysis & Strategic Insights'}</div>
       <div class="date">${slideData.date || 'Data Period: Jan 2023 - Dec 2023'}</div>
     </div>
-    `;
+    `.toString();
   }
   
   /**
    * Generate table of contents slide
    */
   generateTOCSlide(slideData) {
-    return `
+    return html`
     <div class="slide" id="slide-${slideData.id}">
       <div class="slide-header">
         <div class="slide-title">${slideData.title}</div>
-        <div class="slide-logo">BCG</div>
+        ${this.generateLogo()}
       </div>
       <div class="slide-content">
         <div class="toc-container">
           ${slideData.content}
         </div>
       </div>
-      <div class="slide-footer">
-        <div>${slideData.productName} Trade Intelligence Report</div>
-        <div>Confidential</div>
-      </div>
+      ${this.generateFooter(slideData)}
     </div>
-    `;
+    `.toString();
   }
   
   /**
    * Generate executive summary slide
    */
   generateExecutiveSummarySlide(slideData) {
-    return `
+    return html`
     <div class="slide" id="slide-${slideData.id}">
       <div class="slide-header">
         <div class="slide-title">${slideData.title}</div>
-        <div class="slide-logo">BCG</div>
+        ${this.generateLogo()}
       </div>
       <div class="slide-content">
         <div class="executive-summary">
@@ -637,83 +760,153 @@ class TemplateEngine {
             ${slideData.content}
           </div>
         </div>
-        ${slideData.kpiCards || ''}
-      </div>
-      <div class="slide-footer">
-        <div>${slideData.productName} Trade Intelligence Report</div>
-        <div>Confidential</div>
+        ${slideData.kpiCards}
       </div>
+      ${this.generateFooter(slideData)}
     </div>
-    `;
+    `.toString();
   }
   
   /**
    * Generate product overview slide
    */
   generateProductOverviewSlide(slideData) {
-    return `
+    return html`
     <div class="slide" id="slide-${slideData.id}">
       <div class="slide-header">
         <div class="slide-title">${slideData.title}</div>
-        <div class="slide-logo">BCG</div>
+        ${this.generateLogo()}
       </div>
       <div class="slide-content">
         ${slideData.content}
       </div>
-      <div class="slide-footer">
-        <div>${slideData.productName} Trade Intelligence Report</div>
-        <div>Confidential</div>
-      </div>
+      ${this.generateFooter(slideData)}
     </div>
-    `;
+    `.toString();
   }
   
   /**
    * Generate standard slide
    */
   generateStandardSlide(slideData) {
-    return `
+    return html`
     <div class="slide" id="slide-${slideData.id}">
+      ${slideData.watermark && html`<div class="slide-watermark">${slideData.watermark}</div>`}
       <div class="slide-header">
         <div class="slide-title">${slideData.title}</div>
-        <div class="slide-logo">BCG</div>
+        ${this.generateLogo()}
       </div>
       <div class="slide-content">
         ${slideData.content}
       </div>
-      <div class="slide-footer">
-        <div>${slideData.productName} Trade Intelligence Report</div>
-        <div>Confidential</div>
-      </div>
+      ${slideData.footnote && html`<div class="slide-footnote">${slideData.footnote}</div>`}
+      ${this.generateFooter(slideData)}
     </div>
-    `;
+    `.toString();
+  }
+  
+  /**
+   * Generate the header logo: the theme's image, or its text
+   */
+  generateLogo() {
+    const { text, image } = this.theme.logo;
+    return html`<div class="slide-logo">${image ? html`<img src="${image}" alt="${text || ''}">` : text}</div>`;
+  }
+  
+  /**
+   * Generate the footer with the theme's footer text and confidentiality label
+   */
+  generateFooter(slideData) {
+    return html`<div class="slide-footer">
+        <div>${this.theme.footerText.replace(/\{product\}/g, () => slideData.productName)}</div>
+        <div>${this.theme.confidentiality}</div>
+      </div>`;
+  }
+  
+  /**
+   * Generate a slide for an entry the product data does not have (lenient validation)
+   */
+  generateDataGapSlide(slideData) {
+    return this.generateStandardSlide({
+      ...slideData,
+      content: html`
+        <div class="executive-summary">
+          <div class="summary-title">Data not available</div>
+          <div class="summary-content">
+            <p>${slideData.message}. The problems found in the product data are listed on the Data Quality slide in the appendix.</p>
+          </div>
+        </div>
+      `
+    });
   }
   
   /**
    * Generate KPI cards HTML
    */
   generateKPICards(kpiData) {
-    const cards = kpiData.map(kpi => `
+    const cards = kpiData.map(kpi => html`
       <div class="kpi-card">
         <div class="kpi-title">${kpi.title}</div>
         <div class="kpi-value">${kpi.value}</div>
         <div class="kpi-trend ${kpi.trendClass}">${kpi.trend}</div>
       </div>
-    `).join('');
+    `);
     
-    return `<div class="kpi-container">${cards}</div>`;
+    return html`<div class="kpi-container">${cards}</div>`;
   }
   
   /**
-   * Generate table HTML
+   * Generate insight paragraphs: the sentence with its key figures in bold, then the evidence
+   */
+  generateInsights(insights) {
+    const paragraphs = insights.map(insight => {
+      const highlights = insight.highlights.filter(Boolean).map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const parts = highlights.length > 0 ? insight.text.split(new RegExp(`(${highlights.join('|')})`)) : [insight.text];
+      // split() with a capture group puts the matches at odd indexes
+      const sentence = parts.map((part, index) => (index % 2 === 1 ? html`<strong>${part}</strong>` : part));
+      const evidence = insight.evidence.map(item => `${item.label}: ${item.value}`).join(' · ');
+      
+      return html`<p class="insight" data-insight="${insight.id}">${sentence}${evidence && html` <span class="insight-evidence">(${evidence})</span>`}</p>`;
+    });
+    
+    return html`${paragraphs}`;
+  }
+  
+  /**
+   * Growth and rank movement columns for ranked tables; none without a previous period
+   *
+   * Returns { headers, cells(entry) } for entries carrying the DataProcessor's
+   * `growth` and `movement` fields.
+   */
+  comparisonColumns(comparison, { movement = false } = {}) {
+    if (!comparison.available) {
+      return { headers: [], cells: () => [] };
+    }
+    
+    const movementCell = label => {
+      if (!label) {
+        return '-';
+      }
+      const trendClass = { '▲': 'trend-up', '▼': 'trend-down' }[label[0]];
+      return trendClass ? html`<span class="${trendClass}">${label}</span>` : label;
+    };
+    
+    return {
+      headers: [`${comparison.label} Growth`, ...(movement ? ['Rank Move'] : [])],
+      cells: entry => [entry.growth, ...(movement ? [movementCell(entry.movement)] : [])]
+    };
+  }
+  
+  /**
+   * Generate table HTML; cells are escaped unless they are TrustedHTML
    */
   generateTable(tableData) {
-    const headers = tableData.headers.map(header => `<th>${header}</th>`).join('');
+    const headers = tableData.headers.map(header => html`<th>${header}</th>`);
     const rows = tableData.rows.map(row => 
-      `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`
-    ).join('');
+      html`<tr>${row.map(cell => html`<td>${cell}</td>`)}</tr>`
+    );
     
-    return `
+    return html`
     <div class="table-container">
       <table>
         <thead>
@@ -0,0 +1,318 @@
+/**
+ * Time Series - Shipment Aggregation, Smoothing, Trend and Seasonality
+ *
+ * Aggregates shipment records into regular periods (day, ISO week, month or
+ * quarter), optionally split by a dimension (supplier or buyer country, supplier,
+ * buyer or trade lane), and analyses a series of values:
+ * - trailing moving average
+ * - least-squares linear trend with R²
+ * - classical additive seasonal decomposition (centred moving average trend,
+ *   average detrended value per season position, residual), which needs at least
+ *   two full seasonal cycles
+ * - peaks and troughs: the highest and lowest points and local turning points
+ *
+ * Records are { date: 'YYYY-MM-DD', value, quantity } plus the dimension fields;
+ * `quantity` is null for records whose unit did not convert, which are left out of
+ * volume and unit price. Periods without records are filled in with zero value and
+ * volume and no unit price.
+ */
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utcDate = date => new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10)) || 1));
+
+// Period key of a date, season length and the label of a period's season position
+const GRANULARITIES = {
+  day: {
+    key: date => date.slice(0, 10),
+    seasonLength: 7,
+    seasonLabel: period => DAY_NAMES[utcDate(period).getUTCDay()]
+  },
+  week: {
+    key: date => {
+      // ISO 8601 week: weeks run Monday-Sunday and belong to the year of their Thursday
+      const day = utcDate(date);
+      const thursday = new Date(day.getTime() + (3 - ((day.getUTCDay() + 6) % 7)) * DAY_MS);
+      const week = 1 + Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / DAY_MS / 7);
+      return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    },
+    seasonLength: 52,
+    seasonLabel: period => period.slice(5)
+  },
+  month: {
+    key: date => date.slice(0, 7),
+    seasonLength: 12,
+    seasonLabel: period => MONTH_NAMES[Number(period.slice(5, 7)) - 1]
+  },
+  quarter: {
+    key: date => `${date.slice(0, 4)}-Q${Math.ceil(Number(date.slice(5, 7)) / 3)}`,
+    seasonLength: 4,
+    seasonLabel: period => period.slice(5)
+  }
+};
+
+// Dimension value of a record
+const DIMENSIONS = {
+  supplierCountry: record => record.supplierCountry,
+  buyerCountry: record => record.buyerCountry,
+  supplier: record => record.supplier,
+  buyer: record => record.buyer,
+  lane: record => `${record.supplierCountry} → ${record.buyerCountry}`
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+class TimeSeries {
+  /**
+   * Granularity settings; throws for unknown granularities
+   */
+  static granularity(granularity) {
+    if (!GRANULARITIES[granularity]) {
+      throw new Error(`Unknown time series granularity "${granularity}" (expected one of: ${Object.keys(GRANULARITIES).join(', ')})`);
+    }
+    return GRANULARITIES[granularity];
+  }
+
+  /**
+   * Period key of a YYYY-MM-DD date: 2024-03-15, 2024-W11, 2024-03 or 2024-Q1
+   */
+  static periodKey(date, granularity = 'month') {
+    return TimeSeries.granularity(granularity).key(date);
+  }
+
+  /**
+   * Every period key from the first to the last date, in order
+   */
+  static periodRange(firstDate, lastDate, granularity = 'month') {
+    const { key } = TimeSeries.granularity(granularity);
+    const keys = [];
+    const last = utcDate(lastDate).getTime();
+    // Stepping a day at a time visits every period whatever its length
+    for (let time = utcDate(firstDate).getTime(); time <= last; time += DAY_MS) {
+      const period = key(new Date(time).toISOString().slice(0, 10));
+      if (keys[keys.length - 1] !== period) {
+        keys.push(period);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Aggregate records into periods: [{ period, value, volume, shipments, unitPrice }]
+   *
+   * With a `dimension` the result is an object of series keyed by the dimension
+   * value, each covering the same periods.
+   */
+  static aggregate(records, { granularity = 'month', dimension = null } = {}) {
+    const dated = records.filter(record => /^\d{4}-\d{2}(-\d{2})?$/.test(record.date || ''));
+    if (dated.length === 0) {
+      return dimension ? {} : [];
+    }
+
+    const dates = dated.map(record => record.date).sort();
+    const periods = TimeSeries.periodRange(dates[0], dates[dates.length - 1], granularity);
+    const { key } = TimeSeries.granularity(granularity);
+
+    const build = items => {
+      const buckets = new Map(periods.map(period => [period, { value: 0, volume: 0, pricedValue: 0, shipments: 0 }]));
+      items.forEach(record => {
+        const bucket = buckets.get(key(record.date));
+        bucket.value += record.value || 0;
+        bucket.shipments += 1;
+        if (isNumber(record.quantity) && record.quantity > 0) {
+          bucket.volume += record.quantity;
+          bucket.pricedValue += record.value || 0;
+        }
+      });
+      return periods.map(period => {
+        const bucket = buckets.get(period);
+        return {
+          period,
+          value: bucket.value,
+          volume: bucket.volume,
+          shipments: bucket.shipments,
+          unitPrice: bucket.volume > 0 ? bucket.pricedValue / bucket.volume : null
+        };
+      });
+    };
+
+    if (!dimension) {
+      return build(dated);
+    }
+
+    const memberOf = DIMENSIONS[dimension];
+    if (!memberOf) {
+      throw new Error(`Unknown time series dimension "${dimension}" (expected one of: ${Object.keys(DIMENSIONS).join(', ')})`);
+    }
+    const groups = {};
+    dated.forEach(record => {
+      const member = memberOf(record);
+      (groups[member] = groups[member] || []).push(record);
+    });
+    return Object.fromEntries(Object.entries(groups).map(([member, items]) => [member, build(items)]));
+  }
+
+  /**
+   * Trailing moving average; null until the window is full or when it has a gap
+   */
+  static movingAverage(values, window = 3) {
+    return values.map((_, index) => {
+      if (index < window - 1) {
+        return null;
+      }
+      const slice = values.slice(index - window + 1, index + 1);
+      return slice.every(isNumber) ? slice.reduce((sum, value) => sum + value, 0) / window : null;
+    });
+  }
+
+  /**
+   * Least-squares line through the non-null values against their index
+   *
+   * Returns { slope, intercept, r2, fitted, changePerPeriod } where changePerPeriod
+   * is the slope as a percentage of the mean, or null with fewer than two values.
+   */
+  static linearTrend(values) {
+    const points = values.map((value, index) => [index, value]).filter(([, value]) => isNumber(value));
+    if (points.length < 2) {
+      return null;
+    }
+
+    const n = points.length;
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+    const sxx = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+    const syy = points.reduce((sum, [, y]) => sum + (y - meanY) ** 2, 0);
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+
+    return {
+      slope,
+      intercept,
+      r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1,
+      fitted: values.map((_, index) => intercept + slope * index),
+      changePerPeriod: meanY !== 0 ? (slope / Math.abs(meanY)) * 100 : null
+    };
+  }
+
+  /**
+   * Classical additive decomposition into trend, seasonal and residual components
+   *
+   * Returns { trend, seasonal, residual, indices, strength } where `indices` holds the
+   * seasonal effect of each position (0 = the first value's position) and `strength`
+   * (0-1) how much of the detrended variation the season explains; null when the
+   * series has gaps or fewer than two full cycles.
+   */
+  static decompose(values, seasonLength) {
+    if (seasonLength < 2 || values.length < seasonLength * 2 || !values.every(isNumber)) {
+      return null;
+    }
+
+    // Centred moving average; an even season length averages two offset windows (2×m MA)
+    const half = Math.floor(seasonLength / 2);
+    const trend = values.map((_, index) => {
+      if (index < half || index + half >= values.length) {
+        return null;
+      }
+      if (seasonLength % 2 === 1) {
+        return values.slice(index - half, index + half + 1).reduce((sum, value) => sum + value, 0) / seasonLength;
+      }
+      const window = values.slice(index - half, index + half + 1);
+      const inner = window.slice(1, -1).reduce((sum, value) => sum + value, 0);
+      return (inner + (window[0] + window[window.length - 1]) / 2) / seasonLength;
+    });
+
+    const detrended = values.map((value, index) => (trend[index] === null ? null : value - trend[index]));
+    const positions = Array.from({ length: seasonLength }, (_, position) => {
+      const samples = detrended.filter((value, index) => value !== null && index % seasonLength === position);
+      return samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    });
+    const offset = positions.reduce((sum, value) => sum + value, 0) / seasonLength;
+    const indices = positions.map(value => value - offset);
+
+    const seasonal = values.map((_, index) => indices[index % seasonLength]);
+    const residual = values.map((value, index) => (trend[index] === null ? null : value - trend[index] - seasonal[index]));
+
+    const variance = items => {
+      const present = items.filter(isNumber);
+      const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+      return present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / present.length;
+    };
+    const detrendedVariance = variance(detrended);
+
+    return {
+      trend,
+      seasonal,
+      residual,
+      indices,
+      strength: detrendedVariance > 0 ? Math.max(0, 1 - variance(residual) / detrendedVariance) : 0
+    };
+  }
+
+  /**
+   * Peaks and troughs: the highest and lowest values and local turning points
+   *
+   * Returns { peaks, troughs } as [{ index, value }], at most `count` each, the
+   * global extreme first.
+   */
+  static extremes(values, count = 2) {
+    const points = values.map((value, index) => ({ index, value })).filter(point => isNumber(point.value));
+    if (points.length === 0) {
+      return { peaks: [], troughs: [] };
+    }
+
+    const turning = compare => points.filter((point, position) => {
+      const neighbours = [points[position - 1], points[position + 1]].filter(Boolean);
+      return neighbours.length > 0 && neighbours.every(neighbour => compare(point.value, neighbour.value));
+    });
+
+    // The global extremes come first even when a neighbour ties with them
+    const highest = points.reduce((best, point) => (point.value > best.value ? point : best));
+    const lowest = points.reduce((best, point) => (point.value < best.value ? point : best));
+    const peaks = turning((value, other) => value > other)
+      .filter(point => point !== highest)
+      .sort((a, b) => b.value - a.value);
+    const troughs = turning((value, other) => value < other)
+      .filter(point => point !== lowest)
+      .sort((a, b) => a.value - b.value);
+    return { peaks: [highest, ...peaks].slice(0, count), troughs: [lowest, ...troughs].slice(0, count) };
+  }
+
+  /**
+   * Full analysis of one series of points for a field ('value', 'volume' or 'unitPrice')
+   *
+   * Returns { labels, values, movingAverage, trend, seasonality, peaks, troughs };
+   * seasonality is null when decomposition is not possible, otherwise
+   * { strength, indices: [{ season, effect, percent }] } ordered by season.
+   */
+  static analyze(points, field, { granularity = 'month', window = 3, count = 2 } = {}) {
+    const settings = TimeSeries.granularity(granularity);
+    const values = points.map(point => point[field]);
+    const present = values.filter(isNumber);
+    const mean = present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : 0;
+    const decomposition = TimeSeries.decompose(values, settings.seasonLength);
+
+    return {
+      labels: points.map(point => point.period),
+      values,
+      movingAverage: TimeSeries.movingAverage(values, window),
+      trend: TimeSeries.linearTrend(values),
+      seasonality: decomposition && {
+        strength: decomposition.strength,
+        indices: decomposition.indices.map((effect, position) => ({
+          season: settings.seasonLabel(points[position].period),
+          effect,
+          percent: mean !== 0 ? (effect / Math.abs(mean)) * 100 : 0
+        }))
+      },
+      ...TimeSeries.extremes(values, count)
+    };
+  }
+}
+
+TimeSeries.GRANULARITIES = GRANULARITIES;
+TimeSeries.DIMENSIONS = DIMENSIONS;
+
+module.exports = TimeSeries;
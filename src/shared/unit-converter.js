@@ -0,0 +1,142 @@
+/**
+ * Unit Converter - Quantity Normalisation to a Base Unit
+ *
+ * Shipment quantities arrive in mass units (mg, g, kg, tonnes, lb) or in count units
+ * (vials, units, ampoules). This module converts each quantity to one base unit so
+ * unit prices and averages compare like with like. Mass units convert natively; count
+ * units need a product-specific factor expressed in a known unit:
+ *
+ *   { "vial": { "factor": 100, "unit": "mg" } }   // one vial holds 100 mg of API
+ *
+ * Quantities whose unit cannot be related to the base unit are reported as not
+ * convertible instead of being guessed.
+ */
+
+const fs = require('fs-extra');
+
+// Kilograms per unit for the mass units understood without product factors
+const MASS_UNITS = {
+  mg: 1e-6,
+  g: 1e-3,
+  kg: 1,
+  t: 1000,
+  lb: 0.45359237
+};
+
+// Accepted spellings of each unit (compared lowercase, alphanumerics only)
+const UNIT_ALIASES = {
+  mg: ['mg', 'mgs', 'milligram', 'milligrams'],
+  g: ['g', 'gm', 'gms', 'gr', 'gram', 'grams'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  t: ['t', 'mt', 'ton', 'tons', 'tonne', 'tonnes', 'metricton', 'metrictons'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  vial: ['vial', 'vials'],
+  ampoule: ['ampoule', 'ampoules', 'ampule', 'ampules', 'amp'],
+  unit: ['unit', 'units', 'u', 'pc', 'pcs', 'piece', 'pieces', 'nos', 'no', 'each', 'ea']
+};
+
+class UnitConverter {
+  constructor(options = {}) {
+    this.options = {
+      baseUnit: 'kg',
+      conversions: {},
+      conversionsFile: null,
+      ...options
+    };
+
+    if (this.options.conversionsFile) {
+      this.options.conversions = {
+        ...UnitConverter.loadConversionsFile(this.options.conversionsFile),
+        ...this.options.conversions
+      };
+    }
+
+    this.baseUnit = this.normalizeUnit(this.options.baseUnit || 'kg');
+
+    // Product-specific factors, keyed by normalised unit
+    this.conversions = {};
+    Object.entries(this.options.conversions || {}).forEach(([unit, conversion]) => {
+      if (!conversion || !(conversion.factor > 0) || !conversion.unit) {
+        throw new Error(`Unit conversion for "${unit}" must define a positive "factor" and a "unit"`);
+      }
+      this.conversions[this.normalizeUnit(unit)] = {
+        factor: conversion.factor,
+        unit: this.normalizeUnit(conversion.unit)
+      };
+    });
+  }
+
+  /**
+   * Load product-specific unit conversions from a JSON file
+   */
+  static loadConversionsFile(filePath) {
+    try {
+      return fs.readJsonSync(filePath);
+    } catch (error) {
+      throw new Error(`Cannot read unit conversion file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Canonical spelling of a unit ("KGS" → "kg", "Vials" → "vial")
+   */
+  normalizeUnit(unit) {
+    if (!unit) {
+      return this.baseUnit;
+    }
+    const key = String(unit).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const canonical = Object.keys(UNIT_ALIASES).find(name => UNIT_ALIASES[name].includes(key));
+    return canonical || key;
+  }
+
+  /**
+   * Kilograms in one `unit`, or null when the unit has no mass equivalent
+   */
+  kilogramsPer(unit, seen = []) {
+    if (MASS_UNITS[unit] !== undefined) {
+      return MASS_UNITS[unit];
+    }
+
+    const conversion = this.conversions[unit];
+    if (!conversion || seen.includes(unit)) {
+      return null;
+    }
+
+    const perTarget = this.kilogramsPer(conversion.unit, [...seen, unit]);
+    return perTarget === null ? null : conversion.factor * perTarget;
+  }
+
+  /**
+   * Base units in one `unit`, or null when the unit cannot be converted
+   */
+  getFactor(unit) {
+    const from = this.normalizeUnit(unit);
+    if (from === this.baseUnit) {
+      return 1;
+    }
+
+    // Direct product factor into the base unit, e.g. { vial: { factor: 1, unit: 'unit' } }
+    const conversion = this.conversions[from];
+    if (conversion && conversion.unit === this.baseUnit) {
+      return conversion.factor;
+    }
+
+    const fromKg = this.kilogramsPer(from);
+    const baseKg = this.kilogramsPer(this.baseUnit);
+    return fromKg === null || baseKg === null ? null : fromKg / baseKg;
+  }
+
+  canConvert(unit) {
+    return this.getFactor(unit) !== null;
+  }
+
+  /**
+   * Convert a quantity to the base unit, or null when its unit cannot be converted
+   */
+  toBase(quantity, unit) {
+    const factor = this.getFactor(unit);
+    return factor === null ? null : quantity * factor;
+  }
+}
+
+module.exports = UnitConverter;
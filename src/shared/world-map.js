@@ -0,0 +1,150 @@
+/**
+ * World Map - Projected Country Outlines and Flow Arcs
+ *
+ * Projects the bundled Natural Earth 1:110m country outlines
+ * (data/world-countries-110m.json, keyed by ISO-3166 numeric code) with the
+ * Natural Earth projection and fits them to an SVG viewport. Countries are looked
+ * up through the CountryRegistry, so any spelling or ISO code finds its outline.
+ * Flow lines follow great circles and are split where they cross the antimeridian.
+ * Countries too small for the 1:110m scale (Singapore, Hong Kong) have no outline.
+ */
+
+const CountryRegistry = require('./country-registry');
+const WORLD_GEOMETRY = require('../../data/world-countries-110m.json');
+
+const RADIANS = Math.PI / 180;
+
+class WorldMap {
+  constructor(options = {}) {
+    this.width = options.width || 560;
+    this.height = options.height || 290;
+    this.registry = options.countryRegistry || new CountryRegistry();
+    this.countries = (options.geometry || WORLD_GEOMETRY).countries;
+    this.byNumeric = new Map(this.countries.filter(country => country.id).map(country => [country.id, country]));
+    this.fit();
+  }
+
+  /**
+   * Natural Earth projection (Šavrič et al.) of [longitude, latitude] in degrees, unscaled
+   */
+  static naturalEarth([longitude, latitude]) {
+    const lambda = longitude * RADIANS;
+    const phi = latitude * RADIANS;
+    const phi2 = phi * phi;
+    const phi4 = phi2 * phi2;
+    return [
+      lambda * (0.8707 - 0.131979 * phi2 + phi4 * (-0.013791 + phi4 * (0.003971 * phi2 - 0.001529 * phi4))),
+      phi * (1.007226 + phi2 * (0.015085 + phi4 * (-0.044475 + 0.028874 * phi2 - 0.005916 * phi4)))
+    ];
+  }
+
+  /**
+   * Scale and centre the projection so every outline fits the viewport
+   */
+  fit() {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    this.countries.forEach(country => country.rings.forEach(ring => {
+      for (let i = 0; i < ring.length; i += 2) {
+        const [x, y] = WorldMap.naturalEarth([ring[i], ring[i + 1]]);
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+      }
+    }));
+    this.scale = Math.min(this.width / (maxX - minX), this.height / (maxY - minY));
+    this.offsetX = (this.width - (maxX - minX) * this.scale) / 2 - minX * this.scale;
+    this.offsetY = (this.height - (maxY - minY) * this.scale) / 2 + maxY * this.scale;
+  }
+
+  /**
+   * Viewport [x, y] for [longitude, latitude]
+   */
+  project(point) {
+    const [x, y] = WorldMap.naturalEarth(point);
+    return [
+      Math.round((this.offsetX + x * this.scale) * 10) / 10,
+      Math.round((this.offsetY - y * this.scale) * 10) / 10
+    ];
+  }
+
+  /**
+   * Outline for a country name, alias or ISO code (null when unknown or too small to draw)
+   */
+  findCountry(nameOrCode) {
+    const entry = this.registry.resolve(nameOrCode);
+    return entry ? this.byNumeric.get(entry.numeric) || null : null;
+  }
+
+  /**
+   * SVG path data for an outline; holes are drawn with the even-odd fill rule
+   */
+  countryPath(country) {
+    return country.rings.map(ring => {
+      const points = [];
+      for (let i = 0; i < ring.length; i += 2) {
+        points.push(this.project([ring[i], ring[i + 1]]).join(','));
+      }
+      return `M${points.join(' ')}Z`;
+    }).join('');
+  }
+
+  /**
+   * [longitude, latitude] of the centroid of a country's largest ring
+   */
+  centroid(country) {
+    let best = null;
+    country.rings.forEach(ring => {
+      let area = 0;
+      let cx = 0;
+      let cy = 0;
+      for (let i = 0; i < ring.length - 2; i += 2) {
+        const cross = ring[i] * ring[i + 3] - ring[i + 2] * ring[i + 1];
+        area += cross;
+        cx += (ring[i] + ring[i + 2]) * cross;
+        cy += (ring[i + 1] + ring[i + 3]) * cross;
+      }
+      if (area !== 0 && (!best || Math.abs(area) > Math.abs(best.area))) {
+        best = { area, point: [cx / (3 * area), cy / (3 * area)] };
+      }
+    });
+    return best ? best.point : [country.rings[0][0], country.rings[0][1]];
+  }
+
+  /**
+   * SVG path data for the great-circle arc between two [longitude, latitude] points
+   */
+  greatCirclePath(from, to, segments = 48) {
+    const toVector = ([longitude, latitude]) => [
+      Math.cos(latitude * RADIANS) * Math.cos(longitude * RADIANS),
+      Math.cos(latitude * RADIANS) * Math.sin(longitude * RADIANS),
+      Math.sin(latitude * RADIANS)
+    ];
+    const a = toVector(from);
+    const b = toVector(to);
+    const angle = Math.acos(Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2])));
+    if (angle === 0) {
+      return '';
+    }
+
+    const points = [];
+    for (let step = 0; step <= segments; step++) {
+      const t = step / segments;
+      const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+      const wb = Math.sin(t * angle) / Math.sin(angle);
+      const [x, y, z] = [0, 1, 2].map(axis => wa * a[axis] + wb * b[axis]);
+      points.push([Math.atan2(y, x) / RADIANS, Math.atan2(z, Math.sqrt(x * x + y * y)) / RADIANS]);
+    }
+
+    // Start a new subpath where the arc crosses the antimeridian
+    return points.map((point, index) => {
+      const command = index === 0 || Math.abs(point[0] - points[index - 1][0]) > 180 ? 'M' : 'L';
+      return `${command}${this.project(point).join(',')}`;
+    }).join(' ');
+  }
+}
+
+module.exports = WorldMap;
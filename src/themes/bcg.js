@@ -0,0 +1,47 @@
+/**
+ * BCG Theme - Default Look of the Generated Decks
+ *
+ * Navy and blue with orange accents, Arial throughout and a text logo. Other
+ * themes only need to list what they change; the rest is taken from this one.
+ */
+
+module.exports = {
+  name: 'bcg',
+  title: 'BCG',
+  palette: {
+    primary: '#003366',
+    secondary: '#0066CC',
+    accent: '#FF6B35',
+    primaryLight: '#E6F0FF',
+    accentLight: '#FFE6D9',
+    surface: '#F5F5F5',
+    text: '#333333',
+    mutedText: '#666666',
+    positive: '#28a745',
+    negative: '#dc3545'
+  },
+  fonts: {
+    body: "'Arial', 'Helvetica', sans-serif",
+    heading: "'Arial', 'Helvetica', sans-serif"
+  },
+  // `image` (file path, URL or data URI) replaces the text; the text stays as its alt text
+  logo: {
+    text: 'BCG',
+    image: null
+  },
+  // {product} is replaced with the product name
+  footerText: '{product} Trade Intelligence Report',
+  confidentiality: 'Confidential',
+  chartColors: [
+    '#003366',
+    '#0066CC',
+    '#FF6B35',
+    '#4D9DE0',
+    '#E15241',
+    '#7E909A',
+    '#28a745',
+    '#ffc107',
+    '#6f42c1',
+    '#fd7e14'
+  ]
+};
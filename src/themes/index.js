@@ -0,0 +1,129 @@
+/**
+ * Theme Registry
+ *
+ * Resolves a theme by built-in name ('bcg', 'neutral') or by path to a JSON / JS
+ * module. A theme sets the palette, fonts, logo, footer text, confidentiality label
+ * and chart colour ramp used by the TemplateEngine and ChartGenerator. Themes are
+ * laid over the default BCG theme, so a client theme only lists what it changes.
+ * A logo image given as a file is embedded as a data URI, keeping the HTML deck a
+ * single self-contained file.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const BUILT_IN_THEMES = {
+  bcg: require('./bcg'),
+  neutral: require('./neutral')
+};
+
+const DEFAULT_THEME = 'bcg';
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Load a theme by name, file path or theme object
+ */
+function loadTheme(theme = DEFAULT_THEME) {
+  let definition;
+  let baseDir = process.cwd();
+
+  if (typeof theme === 'object') {
+    definition = theme;
+  } else if (BUILT_IN_THEMES[theme]) {
+    definition = BUILT_IN_THEMES[theme];
+  } else {
+    const themePath = path.resolve(theme);
+    try {
+      definition = require(themePath);
+    } catch (error) {
+      throw new Error(`Unknown theme "${theme}": not a built-in theme (${Object.keys(BUILT_IN_THEMES).join(', ')}) or a readable theme file`);
+    }
+    baseDir = path.dirname(themePath);
+  }
+
+  const base = BUILT_IN_THEMES[DEFAULT_THEME];
+  const resolved = {
+    ...base,
+    ...definition,
+    palette: { ...base.palette, ...definition.palette },
+    fonts: { ...base.fonts, ...definition.fonts },
+    logo: { ...base.logo, ...definition.logo }
+  };
+
+  validateTheme(resolved);
+  resolved.logo = { ...resolved.logo, image: resolveLogoImage(resolved.logo.image, baseDir) };
+  return resolved;
+}
+
+/**
+ * Validate the shape of a resolved theme
+ */
+function validateTheme(theme) {
+  const name = theme.name || '(unnamed)';
+
+  Object.entries(theme.palette).forEach(([key, color]) => {
+    if (!HEX_COLOR.test(color)) {
+      throw new Error(`Theme ${name}: palette.${key} must be a #RRGGBB colour, got "${color}"`);
+    }
+  });
+
+  if (!Array.isArray(theme.chartColors) || theme.chartColors.length === 0) {
+    throw new Error(`Theme ${name}: "chartColors" must be a non-empty array`);
+  }
+  theme.chartColors.forEach((color, index) => {
+    if (!HEX_COLOR.test(color)) {
+      throw new Error(`Theme ${name}: chartColors[${index}] must be a #RRGGBB colour, got "${color}"`);
+    }
+  });
+
+  ['body', 'heading'].forEach(key => {
+    if (typeof theme.fonts[key] !== 'string' || theme.fonts[key].trim() === '') {
+      throw new Error(`Theme ${name}: fonts.${key} must be a CSS font-family list`);
+    }
+  });
+
+  if (!theme.logo.text && !theme.logo.image) {
+    throw new Error(`Theme ${name}: logo needs a "text" or an "image"`);
+  }
+  ['footerText', 'confidentiality'].forEach(key => {
+    if (typeof theme[key] !== 'string') {
+      throw new Error(`Theme ${name}: "${key}" must be a string`);
+    }
+  });
+}
+
+/**
+ * Inline a logo file as a data URI; URLs and data URIs are kept as they are
+ */
+function resolveLogoImage(image, baseDir) {
+  if (!image || /^(https?:|data:)/.test(image)) {
+    return image || null;
+  }
+
+  const imagePath = path.resolve(baseDir, image);
+  const type = IMAGE_TYPES[path.extname(imagePath).toLowerCase()];
+  if (!type) {
+    throw new Error(`Logo image ${image} must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}`);
+  }
+  if (!fs.existsSync(imagePath)) {
+    throw new Error(`Logo image not found: ${imagePath}`);
+  }
+  return `data:${type};base64,${fs.readFileSync(imagePath).toString('base64')}`;
+}
+
+module.exports = {
+  BUILT_IN_THEMES,
+  DEFAULT_THEME,
+  loadTheme,
+  validateTheme
+};
@@ -0,0 +1,40 @@
+/**
+ * Neutral Theme - Unbranded Decks
+ *
+ * Charcoal and teal without a firm logo, for reports delivered under the client's
+ * own name or shared outside an engagement.
+ */
+
+module.exports = {
+  name: 'neutral',
+  title: 'Neutral',
+  palette: {
+    primary: '#2F3E46',
+    secondary: '#1B7F79',
+    accent: '#E09F3E',
+    primaryLight: '#E8F1F0',
+    accentLight: '#FBF0DF',
+    surface: '#F4F5F5',
+    text: '#2B2B2B',
+    mutedText: '#6B7378'
+  },
+  fonts: {
+    body: "'Helvetica Neue', 'Helvetica', 'Arial', sans-serif",
+    heading: "'Georgia', 'Times New Roman', serif"
+  },
+  logo: {
+    text: 'Trade Intelligence',
+    image: null
+  },
+  confidentiality: 'For internal use only',
+  chartColors: [
+    '#2F3E46',
+    '#1B7F79',
+    '#E09F3E',
+    '#84A98C',
+    '#9E2A2B',
+    '#52796F',
+    '#B8B08D',
+    '#6C757D'
+  ]
+};